@@ -0,0 +1,153 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import crypto from 'node:crypto';
+
+/* =============================================================
+   ACCOUNT UTENTE
+   Password con scrypt (salt casuale), token di sessione firmati HMAC-SHA256,
+   utenti e contatori di quota in un file JSON.
+   ============================================================= */
+const SCRYPT_KEYLEN = 64;
+const SCRYPT_OPTS = { N: 16384, r: 8, p: 1 };
+
+function scryptAsync(password, salt, opts) {
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(password, salt, SCRYPT_KEYLEN, opts, (err, key) => err ? reject(err) : resolve(key));
+  });
+}
+
+// Formato: scrypt$N$r$p$salt$hash (base64url), così i parametri possono cambiare in futuro
+export async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const key = await scryptAsync(password, salt, SCRYPT_OPTS);
+  const { N, r, p } = SCRYPT_OPTS;
+  return ['scrypt', N, r, p, salt.toString('base64url'), key.toString('base64url')].join('$');
+}
+
+export async function verifyPassword(password, stored) {
+  const [algo, N, r, p, salt, hash] = String(stored || '').split('$');
+  if (algo !== 'scrypt' || !salt || !hash) return false;
+  const expected = Buffer.from(hash, 'base64url');
+  const key = await scryptAsync(password, Buffer.from(salt, 'base64url'), { N: +N, r: +r, p: +p });
+  return key.length === expected.length && crypto.timingSafeEqual(key, expected);
+}
+
+const hmac = (data, secret) => crypto.createHmac('sha256', secret).update(data).digest('base64url');
+
+// Token: base64url(payload JSON).firma — payload { sub, iat, exp }
+export function signToken(payload, secret) {
+  const body = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  return `${body}.${hmac(body, secret)}`;
+}
+
+export function verifyToken(token, secret, now = Date.now()) {
+  const [body, sig] = String(token || '').split('.');
+  if (!body || !sig) return null;
+  const expected = Buffer.from(hmac(body, secret));
+  const got = Buffer.from(sig);
+  if (expected.length !== got.length || !crypto.timingSafeEqual(expected, got)) return null;
+  try {
+    const payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+    if (!payload.sub || (payload.exp && payload.exp < now)) return null;
+    return payload;
+  } catch { return null; }
+}
+
+// Segreto per i token: AUTH_SECRET oppure uno casuale salvato in DATA_DIR (sopravvive ai riavvii)
+export async function loadAuthSecret(dataDir, envSecret) {
+  if (envSecret) return envSecret;
+  const file = path.join(dataDir, 'auth-secret');
+  try { return (await fs.readFile(file, 'utf8')).trim(); }
+  catch (err) { if (err.code !== 'ENOENT') throw err; }
+  const secret = crypto.randomBytes(32).toString('base64url');
+  await fs.mkdir(dataDir, { recursive: true });
+  await fs.writeFile(file, secret, { mode: 0o600 });
+  return secret;
+}
+
+export function normUsername(v) {
+  return String(v || '').trim().toLowerCase();
+}
+
+export function validateCredentials(username, password) {
+  if (!/^[a-z0-9._-]{3,40}$/.test(username)) return 'Nome utente non valido (3-40 caratteri: lettere, numeri, . _ -)';
+  if (typeof password !== 'string' || password.length < 8) return 'La password deve avere almeno 8 caratteri';
+  if (password.length > 200) return 'Password troppo lunga';
+  return null;
+}
+
+export function publicUser(u) {
+  return { id: u.id, username: u.username, createdAt: u.createdAt };
+}
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+export function createAccountStore(file) {
+  let data = null;
+  let lock = Promise.resolve();
+
+  async function load() {
+    if (data) return data;
+    try { data = JSON.parse(await fs.readFile(file, 'utf8')); }
+    catch (err) { if (err.code !== 'ENOENT') throw err; data = { users: [] }; }
+    return data;
+  }
+
+  async function save() {
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    const tmp = `${file}.${process.pid}.${Date.now()}.tmp`;
+    await fs.writeFile(tmp, JSON.stringify(data), { mode: 0o600 });
+    await fs.rename(tmp, file);
+  }
+
+  function update(fn) {
+    const next = lock.catch(() => {}).then(async () => {
+      await load();
+      const out = await fn(data);
+      await save();
+      return out;
+    });
+    lock = next;
+    return next;
+  }
+
+  return {
+    async findById(id) { return (await load()).users.find(u => u.id === id) || null; },
+    async findByUsername(username) { return (await load()).users.find(u => u.username === username) || null; },
+    create(username, passwordHash) {
+      return update((d) => {
+        if (d.users.some(u => u.username === username)) {
+          const err = new Error('Nome utente già registrato');
+          err.code = 'USER_EXISTS';
+          throw err;
+        }
+        const user = { id: crypto.randomUUID(), username, passwordHash, createdAt: new Date().toISOString(), usage: { day: today(), count: 0 } };
+        d.users.push(user);
+        return user;
+      });
+    },
+    // Quota giornaliera di generazioni: limit 0 = illimitata
+    async usage(id, limit) {
+      const u = await this.findById(id);
+      const used = u?.usage?.day === today() ? u.usage.count : 0;
+      return { used, limit, remaining: limit ? Math.max(0, limit - used) : null };
+    },
+    // n: generazioni addebitate insieme (tutte o nessuna)
+    consume(id, limit, n = 1) {
+      return update((d) => {
+        const u = d.users.find(x => x.id === id);
+        if (!u) return { ok: false, used: 0, limit };
+        if (u.usage?.day !== today()) u.usage = { day: today(), count: 0 };
+        if (limit && u.usage.count + n > limit) return { ok: false, used: u.usage.count, limit };
+        u.usage.count += n;
+        return { ok: true, used: u.usage.count, limit };
+      });
+    },
+    refund(id, n = 1) {
+      return update((d) => {
+        const u = d.users.find(x => x.id === id);
+        if (u && u.usage?.day === today()) u.usage.count = Math.max(0, u.usage.count - n);
+      });
+    }
+  };
+}
@@ -0,0 +1,151 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import crypto from 'node:crypto';
+
+/* =============================================================
+   CACHE CONTENT-ADDRESSED
+   Chiavi = sha256 di un oggetto JSON con chiavi ordinate (hash del file,
+   hash del prompt, modello, parametri...), valori JSON.
+   Backend: disk (un file per voce in <dir>/<ns>/<xx>/<hash>.json), memory, off.
+   Scadenza per TTL dalla scrittura; oltre maxBytes si eliminano le voci
+   usate meno di recente.
+   ============================================================= */
+export const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+
+function stableJson(v) {
+  if (Array.isArray(v)) return `[${v.map(stableJson).join(',')}]`;
+  if (v && typeof v === 'object') return `{${Object.keys(v).sort().filter(k => v[k] !== undefined).map(k => `${JSON.stringify(k)}:${stableJson(v[k])}`).join(',')}}`;
+  return JSON.stringify(v ?? null);
+}
+
+export const cacheKey = (parts) => sha256(stableJson(parts));
+
+const NS_RE = /^[a-z0-9-]+$/;
+
+function createMemoryBackend() {
+  const map = new Map(); // id → { entry, size }: l'ordine di inserimento è l'ordine LRU
+  return {
+    async read(id) {
+      const e = map.get(id);
+      if (!e) return null;
+      map.delete(id); map.set(id, e);
+      return e.entry;
+    },
+    async write(id, entry, size) { map.delete(id); map.set(id, { entry, size }); },
+    async remove(id) { map.delete(id); },
+    async entries() { return [...map.entries()].map(([id, e], i) => ({ id, size: e.size, at: i })); },
+    async clear() { map.clear(); }
+  };
+}
+
+function createDiskBackend(dir) {
+  const fileOf = (id) => {
+    const [ns, key] = id.split('/');
+    return path.join(dir, ns, key.slice(0, 2), `${key}.json`);
+  };
+  return {
+    async read(id) {
+      try {
+        const entry = JSON.parse(await fs.readFile(fileOf(id), 'utf8'));
+        // mtime = ultimo accesso, usato per l'LRU anche dopo un riavvio
+        const now = new Date();
+        fs.utimes(fileOf(id), now, now).catch(() => {});
+        return entry;
+      } catch (err) {
+        if (err.code === 'ENOENT' || err instanceof SyntaxError) return null;
+        throw err;
+      }
+    },
+    async write(id, entry) {
+      const file = fileOf(id);
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      const tmp = `${file}.${process.pid}.${Date.now()}.tmp`;
+      await fs.writeFile(tmp, JSON.stringify(entry));
+      await fs.rename(tmp, file);
+    },
+    async remove(id) { await fs.rm(fileOf(id), { force: true }); },
+    async entries() {
+      const out = [];
+      let namespaces = [];
+      try { namespaces = await fs.readdir(dir); } catch (err) { if (err.code !== 'ENOENT') throw err; }
+      for (const ns of namespaces.filter(n => NS_RE.test(n))) {
+        for (const sub of await fs.readdir(path.join(dir, ns)).catch(() => [])) {
+          for (const f of await fs.readdir(path.join(dir, ns, sub)).catch(() => [])) {
+            if (!f.endsWith('.json')) continue;
+            const st = await fs.stat(path.join(dir, ns, sub, f)).catch(() => null);
+            if (st) out.push({ id: `${ns}/${f.slice(0, -5)}`, size: st.size, at: st.mtimeMs });
+          }
+        }
+      }
+      return out;
+    },
+    async clear() { await fs.rm(dir, { recursive: true, force: true }); }
+  };
+}
+
+export function createCache({ backend = 'disk', dir = '', ttlMs = 7 * 24 * 3600 * 1000, maxBytes = 500 * 1024 * 1024 } = {}) {
+  if (backend === 'off') {
+    return { enabled: false, backend, async get() { return undefined; }, async set() {}, async stats() { return { backend, entries: 0, bytes: 0 }; }, async clear() {} };
+  }
+  if (backend !== 'disk' && backend !== 'memory') throw new Error(`CACHE_BACKEND sconosciuto: ${backend} (valori: disk, memory, off)`);
+  if (backend === 'disk' && !dir) throw new Error('createCache: dir obbligatoria per il backend disk');
+  const store = backend === 'disk' ? createDiskBackend(dir) : createMemoryBackend();
+  // Indice dimensioni/ultimo accesso, costruito alla prima scrittura (scansione della cartella)
+  let index = null;
+  let evicting = Promise.resolve();
+  const loadIndex = async () => (index ||= new Map((await store.entries()).map(e => [e.id, e])));
+
+  async function evict() {
+    const entries = [...(await loadIndex()).values()];
+    let total = entries.reduce((n, e) => n + e.size, 0);
+    if (total <= maxBytes) return;
+    // Si scende al 90% del limite per non rieseguire la pulizia a ogni scrittura
+    for (const e of entries.sort((a, b) => a.at - b.at)) {
+      if (total <= maxBytes * 0.9) break;
+      await store.remove(e.id);
+      index.delete(e.id);
+      total -= e.size;
+    }
+  }
+
+  const idOf = (ns, key) => {
+    if (!NS_RE.test(ns)) throw new Error(`Namespace cache non valido: ${ns}`);
+    return `${ns}/${key}`;
+  };
+
+  return {
+    enabled: true,
+    backend,
+    async get(ns, key) {
+      const id = idOf(ns, key);
+      const entry = await store.read(id);
+      if (!entry) return undefined;
+      if (ttlMs && Date.now() - entry.createdAt > ttlMs) {
+        await store.remove(id);
+        index?.delete(id);
+        return undefined;
+      }
+      const e = index?.get(id);
+      if (e) e.at = Date.now();
+      return entry.value;
+    },
+    async set(ns, key, value) {
+      const id = idOf(ns, key);
+      const entry = { createdAt: Date.now(), value };
+      const size = Buffer.byteLength(JSON.stringify(entry));
+      if (size > maxBytes) return;
+      await store.write(id, entry, size);
+      (await loadIndex()).set(id, { id, size, at: Date.now() });
+      evicting = evicting.then(evict).catch(() => {});
+      await evicting;
+    },
+    async stats() {
+      const entries = [...(await loadIndex()).values()];
+      return { backend, entries: entries.length, bytes: entries.reduce((n, e) => n + e.size, 0), maxBytes, ttlMs };
+    },
+    async clear() {
+      await store.clear();
+      index = new Map();
+    }
+  };
+}
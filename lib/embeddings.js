@@ -0,0 +1,95 @@
+/* =============================================================
+   EMBEDDING DEI TESTI
+   Interfaccia comune: { id, embed(testi) → [Float32Array normalizzati] }.
+   - locale: feature hashing di radici e coppie di parole, nessun modello
+     da scaricare né rete (uso offline, test); buono per domande che
+     riprendono i termini degli appunti
+   - provider: endpoint /embeddings del provider LLM (OpenAI o compatibile)
+   `id` finisce nell'indice: cambiando embedder i vettori vanno ricalcolati.
+   ============================================================= */
+const STOPWORDS = new Set((
+  'a ad al alla alle allo ai agli anche che chi ci come con cosa cui da dal dalla dalle dai degli dei del della delle dello di e ed ' +
+  'era fra gli ha hanno ho i il in io la le lo loro ma mi ne nei nel nella nelle nello no noi non o per perche piu quale quali ' +
+  'quando quanto quella quelle quello questa queste questo se si sia sono su sua sue sui sul sulla suo suoi tra un una uno va ' +
+  'the an and are as at be by do does for from has have how in is it its of on or that the this to was what when where which who why with'
+).split(' '));
+
+// Radice grezza: minuscole senza accenti, via plurali inglesi e vocali finali (cellula/cellule → cellul)
+function stem(w) {
+  if (w.length > 4 && w.endsWith('s') && !w.endsWith('ss')) w = w.slice(0, -1);
+  return w.length > 4 ? w.replace(/[aeiou]+$/, '') : w;
+}
+
+export function textTerms(text) {
+  const words = String(text || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().match(/[a-z0-9]+/g) || [];
+  return words.filter(w => w.length > 1 && !STOPWORDS.has(w)).map(stem);
+}
+
+// FNV-1a a 32 bit
+function hash(s) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < s.length; i++) { h ^= s.charCodeAt(i); h = Math.imul(h, 0x01000193); }
+  return h >>> 0;
+}
+
+export function normalize(v) {
+  let n = 0;
+  for (const x of v) n += x * x;
+  n = Math.sqrt(n);
+  if (n > 0) for (let i = 0; i < v.length; i++) v[i] /= n;
+  return v;
+}
+
+// Vettori già normalizzati: il prodotto scalare è la similarità del coseno
+export function cosine(a, b) {
+  let s = 0;
+  for (let i = 0; i < a.length; i++) s += a[i] * b[i];
+  return s;
+}
+
+export function createLocalEmbedder({ dims = 512 } = {}) {
+  function embedOne(text) {
+    const counts = new Map();
+    const terms = textTerms(text);
+    terms.forEach((t, i) => {
+      counts.set(t, (counts.get(t) || 0) + 1);
+      if (i > 0) { const bi = `${terms[i - 1]}_${t}`; counts.set(bi, (counts.get(bi) || 0) + 0.5); }
+    });
+    const v = new Float32Array(dims);
+    for (const [term, n] of counts) {
+      const h = hash(term);
+      // Peso sublineare: una parola ripetuta dieci volte non vale dieci volte tanto
+      v[h % dims] += (h & 0x80000000 ? -1 : 1) * (n >= 1 ? 1 + Math.log(n) : n);
+    }
+    return normalize(v);
+  }
+  return {
+    id: `local-hash-${dims}`,
+    async embed(texts) { return texts.map(embedOne); }
+  };
+}
+
+// Embedding dal provider LLM; call(fn, testi) avvolge ogni richiesta (scheduler, retry, consumi)
+export function createProviderEmbedder(llm, { model, batchSize = 64, call = (fn) => fn() } = {}) {
+  if (typeof llm?.embed !== 'function') throw new Error(`Il provider ${llm?.name || '-'} non supporta gli embedding: usa EMBEDDINGS_PROVIDER=local`);
+  return {
+    id: `${llm.name}:${model}`,
+    async embed(texts) {
+      const out = [];
+      for (let i = 0; i < texts.length; i += batchSize) {
+        const batch = texts.slice(i, i + batchSize);
+        const res = await call(() => llm.embed(batch, { model }), batch);
+        out.push(...res.vectors.map(v => normalize(Float32Array.from(v))));
+      }
+      return out;
+    }
+  };
+}
+
+// Vettori su disco come base64 di Float32 (un terzo dello spazio del JSON numerico)
+export const encodeVector = (v) => Buffer.from(v.buffer, v.byteOffset, v.byteLength).toString('base64');
+
+export function decodeVector(s) {
+  const buf = Buffer.from(s, 'base64');
+  return new Float32Array(buf.buffer.slice(buf.byteOffset, buf.byteOffset + buf.byteLength));
+}
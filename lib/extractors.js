@@ -0,0 +1,358 @@
+import path from 'node:path';
+import { XMLParser } from 'fast-xml-parser';
+import { unzipSync, strFromU8 } from 'fflate';
+import { htmlToText } from './flashcard-io.js';
+
+/* =============================================================
+   ESTRAZIONE TESTO DAI DOCUMENTI
+   Registro di estrattori scelti per MIME type, estensione o firma del file.
+   Un estrattore è { name, label, mimes, exts, sniff?(buffer), extract(buffer, ctx) }
+   e restituisce { pages: [{ page, text }], numPages, ocr } come per i PDF:
+   titoli come "## Titolo", paragrafi separati da una riga vuota.
+   Qui stanno i formati senza dipendenze dal server (DOCX, PPTX, EPUB, testo);
+   PDF e immagini passano dall'OCR e sono registrati in server.js.
+   ============================================================= */
+const MAX_UNZIPPED_BYTES = 200 * 1024 * 1024;
+
+function extractError(msg) {
+  const err = new Error(msg);
+  err.code = 'EXTRACT_FAILED';
+  return err;
+}
+
+const xmlParser = new XMLParser({ preserveOrder: true, ignoreAttributes: false, attributeNamePrefix: '', trimValues: false, parseTagValue: false, removeNSPrefix: true, htmlEntities: true });
+
+const tagOf = (n) => Object.keys(n).find(k => k !== ':@');
+const attr = (n, k) => (n?.[':@'] || {})[k];
+const kids = (n) => (n ? n[tagOf(n)] : []) || [];
+const child = (n, name) => kids(n).find(c => tagOf(c) === name);
+const childrenNamed = (n, name) => kids(n).filter(c => tagOf(c) === name);
+const textOf = (n) => kids(n).map(c => c['#text'] ?? '').join('');
+function findDeep(nodes, name) {
+  for (const n of nodes) {
+    const t = tagOf(n);
+    if (t === name) return n;
+    if (Array.isArray(n[t])) { const f = findDeep(n[t], name); if (f) return f; }
+  }
+  return null;
+}
+
+function parseXml(text, label) {
+  try { return xmlParser.parse(text); }
+  catch { throw extractError(`File ${label} non valido: XML illeggibile`); }
+}
+
+// Decomprime solo le voci che servono, con un tetto sulla dimensione totale (archivi malformati o "zip bomb")
+function readZip(buffer, label, want = () => true) {
+  let total = 0;
+  try {
+    const files = unzipSync(new Uint8Array(buffer), {
+      filter: (f) => {
+        if (!want(f.name)) return false;
+        total += f.originalSize;
+        if (total > MAX_UNZIPPED_BYTES) throw extractError(`File ${label} troppo grande da decomprimere`);
+        return true;
+      }
+    });
+    return { has: (name) => name in files, text: (name) => (name in files ? strFromU8(files[name]) : null), names: Object.keys(files) };
+  } catch (err) {
+    if (err.code === 'EXTRACT_FAILED') throw err;
+    throw extractError(`File ${label} non valido (archivio ZIP illeggibile)`);
+  }
+}
+
+function zipNames(buffer) {
+  const names = [];
+  try { unzipSync(new Uint8Array(buffer), { filter: (f) => { names.push(f.name); return false; } }); }
+  catch { return []; }
+  return names;
+}
+
+const isZip = (b) => b.length > 4 && b[0] === 0x50 && b[1] === 0x4b;
+
+// Relazioni OPC (_rels/*.rels): Id → percorso assoluto nell'archivio
+function readRels(xml, baseDir) {
+  const rels = {};
+  if (!xml) return rels;
+  for (const r of childrenNamed(findDeep(parseXml(xml, 'OPC'), 'Relationships'), 'Relationship')) {
+    const target = attr(r, 'Target') || '';
+    if (attr(r, 'TargetMode') === 'External') continue;
+    rels[attr(r, 'Id')] = { type: attr(r, 'Type') || '', target: target.startsWith('/') ? target.slice(1) : path.posix.normalize(path.posix.join(baseDir, target)) };
+  }
+  return rels;
+}
+
+// Blocchi → testo di pagina: titoli "## ", elenchi "- " su righe consecutive, paragrafi separati da riga vuota
+function blocksToText(blocks) {
+  let out = '';
+  let prevList = false;
+  for (const b of blocks) {
+    const text = b.text.replace(/[ \t]+/g, ' ').trim();
+    if (!text) continue;
+    const line = b.heading ? `## ${text}` : (b.list ? `- ${text}` : text);
+    if (out) out += prevList && b.list ? '\n' : '\n\n';
+    out += line;
+    prevList = !!b.list;
+  }
+  return out;
+}
+
+function toPages(texts) {
+  const pages = texts.map((text, i) => ({ page: i + 1, text })).filter(p => p.text.trim());
+  return { pages, numPages: texts.length, ocr: false };
+}
+
+/* ===== TESTO E MARKDOWN ===== */
+// UTF-8 (con o senza BOM), altrimenti Windows-1252 come fanno gli editor su file "vecchi"
+export function decodeText(buffer) {
+  const bytes = new Uint8Array(buffer);
+  if (bytes[0] === 0xff && bytes[1] === 0xfe) return new TextDecoder('utf-16le').decode(bytes.subarray(2));
+  if (bytes[0] === 0xfe && bytes[1] === 0xff) return new TextDecoder('utf-16be').decode(bytes.subarray(2));
+  try { return new TextDecoder('utf-8', { fatal: true }).decode(bytes).replace(/^\uFEFF/, ''); }
+  catch { return new TextDecoder('windows-1252').decode(bytes); }
+}
+
+// Le pagine sono separate da form feed (come nell'output di pdftotext); senza, il file è una pagina sola
+export function extractText(buffer) {
+  return toPages(decodeText(buffer).replace(/\r\n?/g, '\n').split('\f'));
+}
+
+/* ===== DOCX ===== */
+const DOCX_SKIP = new Set(['pPr', 'rPr', 'del', 'delText', 'instrText', 'fldChar', 'footnoteReference', 'commentReference', 'drawing', 'pict', 'object']);
+const DOCX_BREAK = { pageBreak: true };
+
+function docxParagraph(p, out) {
+  const pPr = child(p, 'pPr');
+  const style = attr(child(pPr, 'pStyle'), 'val') || '';
+  const outline = parseInt(attr(child(pPr, 'outlineLvl'), 'val'), 10);
+  const heading = /^(heading|titolo|title)\s*\d*$/i.test(style) || outline < 9;
+  const list = !!child(pPr, 'numPr') || /^(list|elenco)/i.test(style);
+  if (child(pPr, 'pageBreakBefore')) out.push(DOCX_BREAK);
+  let text = '';
+  const flush = () => { if (text.trim()) out.push({ text, heading, list }); text = ''; };
+  (function walk(nodes) {
+    for (const n of nodes) {
+      const t = tagOf(n);
+      if (t === 't') text += textOf(n);
+      else if (t === 'tab') text += ' ';
+      else if (t === 'br' || t === 'cr') {
+        if (attr(n, 'type') === 'page') { flush(); out.push(DOCX_BREAK); }
+        else text += ' ';
+      }
+      // Word lo scrive dove cadeva un salto pagina all'ultimo salvataggio: è l'unica traccia delle pagine reali
+      else if (t === 'lastRenderedPageBreak') { flush(); out.push(DOCX_BREAK); }
+      else if (DOCX_SKIP.has(t) || t.startsWith('#')) continue;
+      else if (Array.isArray(n[t])) walk(n[t]);
+    }
+  })(kids(p));
+  flush();
+}
+
+function docxBlocks(nodes, out) {
+  for (const n of nodes) {
+    const t = tagOf(n);
+    if (t === 'p') docxParagraph(n, out);
+    else if (t === 'tbl') {
+      for (const tr of childrenNamed(n, 'tr')) {
+        const cells = childrenNamed(tr, 'tc').map((tc) => {
+          const inner = [];
+          docxBlocks(kids(tc), inner);
+          return inner.filter(b => b.text).map(b => b.text.trim()).join(' ');
+        });
+        if (cells.some(Boolean)) out.push({ text: cells.join(' | ') });
+      }
+    } else if (t === 'sdt') docxBlocks(kids(child(n, 'sdtContent')), out);
+    else if (['customXml', 'ins', 'smartTag'].includes(t)) docxBlocks(kids(n), out);
+  }
+}
+
+export function extractDocx(buffer) {
+  const zip = readZip(buffer, 'DOCX', (name) => name === 'word/document.xml');
+  const xml = zip.text('word/document.xml');
+  if (!xml) throw extractError('File DOCX non valido: manca word/document.xml');
+  const body = findDeep(parseXml(xml, 'DOCX'), 'body');
+  const blocks = [];
+  docxBlocks(kids(body), blocks);
+  // Salti pagina consecutivi (esplicito + lastRenderedPageBreak) contano una volta sola
+  const pages = [[]];
+  for (const b of blocks) {
+    if (b !== DOCX_BREAK) pages[pages.length - 1].push(b);
+    else if (pages[pages.length - 1].length) pages.push([]);
+  }
+  return toPages(pages.map(blocksToText));
+}
+
+/* ===== PPTX: una pagina per slide, note del relatore in coda ===== */
+const PPTX_TITLES = new Set(['title', 'ctrTitle']);
+const PPTX_SKIP_PH = new Set(['sldNum', 'dt', 'ftr', 'hdr', 'sldImg']);
+
+function pptxParagraphs(txBody) {
+  return childrenNamed(txBody, 'p').map((p) => {
+    let text = '';
+    (function walk(nodes) {
+      for (const n of nodes) {
+        const t = tagOf(n);
+        if (t === 't') text += textOf(n);
+        else if (t === 'br') text += ' ';
+        else if (t === 'pPr' || t === 'rPr' || t.startsWith('#')) continue;
+        else if (Array.isArray(n[t])) walk(n[t]);
+      }
+    })(kids(p));
+    return text.trim();
+  }).filter(Boolean);
+}
+
+function pptxShapes(nodes, out, { notes = false } = {}) {
+  for (const n of nodes) {
+    const t = tagOf(n);
+    if (t === 'sp') {
+      const ph = findDeep(kids(child(n, 'nvSpPr')), 'ph');
+      const type = ph ? (attr(ph, 'type') || 'body') : '';
+      if (PPTX_SKIP_PH.has(type)) continue;
+      const paras = pptxParagraphs(child(n, 'txBody'));
+      if (!paras.length) continue;
+      if (notes) out.push({ text: `Note: ${paras.join(' ')}` });
+      else if (PPTX_TITLES.has(type)) out.push({ text: paras.join(' '), heading: true });
+      else if (paras.length > 1) paras.forEach(text => out.push({ text, list: true }));
+      else out.push({ text: paras[0] });
+    } else if (t === 'graphicFrame') {
+      const tbl = findDeep(kids(n), 'tbl');
+      for (const tr of childrenNamed(tbl, 'tr')) {
+        const cells = childrenNamed(tr, 'tc').map(tc => pptxParagraphs(child(tc, 'txBody')).join(' '));
+        if (cells.some(Boolean)) out.push({ text: cells.join(' | ') });
+      }
+    } else if (t === 'grpSp') pptxShapes(kids(n), out, { notes });
+  }
+}
+
+export function extractPptx(buffer) {
+  const zip = readZip(buffer, 'PPTX', (name) => /^ppt\/(presentation\.xml|_rels\/presentation\.xml\.rels|slides\/(_rels\/)?slide\d+\.xml(\.rels)?|notesSlides\/notesSlide\d+\.xml)$/.test(name));
+  const pres = zip.text('ppt/presentation.xml');
+  if (!pres) throw extractError('File PPTX non valido: manca ppt/presentation.xml');
+  // Ordine delle slide: sldIdLst → relazioni della presentazione (i nomi dei file non seguono l'ordine)
+  const rels = readRels(zip.text('ppt/_rels/presentation.xml.rels'), 'ppt');
+  const ids = [...pres.matchAll(/<(?:\w+:)?sldId\b[^>]*?\b\w+:id="([^"]+)"/g)].map(m => m[1]);
+  let slides = ids.map(id => rels[id]?.target).filter(name => name && zip.has(name));
+  if (!slides.length) {
+    slides = zip.names.filter(n => /^ppt\/slides\/slide\d+\.xml$/.test(n))
+      .sort((a, b) => parseInt(a.match(/(\d+)\.xml$/)[1], 10) - parseInt(b.match(/(\d+)\.xml$/)[1], 10));
+  }
+  const texts = slides.map((name) => {
+    const blocks = [];
+    pptxShapes(kids(findDeep(parseXml(zip.text(name), 'PPTX'), 'spTree')), blocks);
+    const slideRels = readRels(zip.text(`ppt/slides/_rels/${path.posix.basename(name)}.rels`), 'ppt/slides');
+    const notes = Object.values(slideRels).find(r => r.type.endsWith('/notesSlide'));
+    if (notes && zip.has(notes.target)) pptxShapes(kids(findDeep(parseXml(zip.text(notes.target), 'PPTX'), 'spTree')), blocks, { notes: true });
+    return blocksToText(blocks);
+  });
+  return toPages(texts);
+}
+
+/* ===== EPUB: una pagina per documento dello spine (di solito un capitolo) ===== */
+const HTML_BLOCKS = new Set(['p', 'div', 'section', 'article', 'blockquote', 'pre', 'tr', 'dt', 'dd', 'figcaption', 'caption', 'li', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6']);
+const HTML_SKIP = new Set(['head', 'script', 'style', 'nav', 'svg', 'math', 'rt', 'rp']);
+
+function htmlBlocks(nodes, out, state = { text: '' }) {
+  for (const n of nodes) {
+    const t = tagOf(n);
+    if (t === '#text') state.text += n[t];
+    else if (HTML_SKIP.has(t) || t.startsWith('#') || t === '?xml') continue;
+    else if (t === 'br') state.text += ' ';
+    else if (t === 'td' || t === 'th') { htmlBlocks(n[t], out, state); state.text += ' | '; }
+    else if (HTML_BLOCKS.has(t)) {
+      const flush = () => { if (state.text.trim()) out.push({ text: state.text.replace(/(\s*\|\s*)+$/, '') }); state.text = ''; };
+      flush();
+      htmlBlocks(n[t], out, state);
+      if (state.text.trim()) out.push({ text: state.text.replace(/(\s*\|\s*)+$/, ''), heading: /^h[1-6]$/.test(t), list: t === 'li' });
+      state.text = '';
+    } else if (Array.isArray(n[t])) htmlBlocks(n[t], out, state);
+  }
+  return out;
+}
+
+function xhtmlToText(xml) {
+  let doc;
+  try { doc = xmlParser.parse(xml); }
+  catch { return htmlToText(xml.replace(/<(head|script|style)\b[\s\S]*?<\/\1>/gi, '')); }
+  const body = findDeep(doc, 'body');
+  return blocksToText(htmlBlocks(body ? kids(body) : doc, []));
+}
+
+export function extractEpub(buffer) {
+  const zip = readZip(buffer, 'EPUB', (name) => /\.(xml|opf|x?html?)$/i.test(name));
+  const container = zip.text('META-INF/container.xml');
+  if (!container) throw extractError('File EPUB non valido: manca META-INF/container.xml');
+  const opfPath = attr(findDeep(parseXml(container, 'EPUB'), 'rootfile'), 'full-path');
+  const opfXml = opfPath && zip.text(opfPath);
+  if (!opfXml) throw extractError('File EPUB non valido: pacchetto OPF mancante');
+  const opf = parseXml(opfXml, 'EPUB');
+  const baseDir = path.posix.dirname(opfPath);
+  const manifest = new Map(childrenNamed(findDeep(opf, 'manifest'), 'item').map(it => [attr(it, 'id'), attr(it, 'href') || '']));
+  const spine = childrenNamed(findDeep(opf, 'spine'), 'itemref').filter(r => attr(r, 'linear') !== 'no');
+  const texts = [];
+  for (const ref of spine) {
+    const href = manifest.get(attr(ref, 'idref'));
+    if (!href) continue;
+    const name = path.posix.normalize(path.posix.join(baseDir, decodeURIComponent(href.split('#')[0])));
+    const xml = zip.text(name);
+    if (xml != null) texts.push(xhtmlToText(xml));
+  }
+  // I documenti vuoti (copertina, pagine di servizio) non diventano pagine
+  return toPages(texts.filter(t => t.trim()));
+}
+
+/* ===== REGISTRO ===== */
+const zipHas = (entry) => (buffer) => isZip(buffer) && zipNames(buffer).includes(entry);
+
+export const DOCUMENT_EXTRACTORS = [
+  {
+    name: 'docx', label: 'DOCX',
+    mimes: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'],
+    exts: ['.docx'],
+    sniff: zipHas('word/document.xml'),
+    extract: extractDocx
+  },
+  {
+    name: 'pptx', label: 'PPTX',
+    mimes: ['application/vnd.openxmlformats-officedocument.presentationml.presentation'],
+    exts: ['.pptx'],
+    sniff: zipHas('ppt/presentation.xml'),
+    extract: extractPptx
+  },
+  {
+    name: 'epub', label: 'EPUB',
+    mimes: ['application/epub+zip'],
+    exts: ['.epub'],
+    sniff: zipHas('META-INF/container.xml'),
+    extract: extractEpub
+  },
+  {
+    name: 'text', label: 'TXT/MD',
+    mimes: ['text/plain', 'text/markdown', 'text/x-markdown'],
+    exts: ['.txt', '.md', '.markdown', '.text'],
+    extract: extractText
+  }
+];
+
+// MIME generici che i browser mandano quando non riconoscono il file: decide l'estensione o la firma
+const GENERIC_MIMES = new Set(['', 'application/octet-stream', 'application/zip', 'application/x-zip-compressed', 'binary/octet-stream']);
+
+export function createExtractorRegistry(extractors = []) {
+  const list = [...extractors];
+  return {
+    register(ex) { list.push(ex); return this; },
+    find({ mimetype = '', originalname = '', buffer } = {}) {
+      const mime = String(mimetype).split(';')[0].trim().toLowerCase();
+      const ext = path.extname(String(originalname)).toLowerCase();
+      if (!GENERIC_MIMES.has(mime)) {
+        const byMime = list.find(ex => ex.mimes.includes(mime));
+        if (byMime) return byMime;
+      }
+      const byExt = ext && list.find(ex => ex.exts.includes(ext));
+      if (byExt) return byExt;
+      return (buffer && list.find(ex => ex.sniff?.(buffer))) || null;
+    },
+    labels: () => list.map(ex => ex.label).join(', '),
+    accept: () => [...new Set(list.flatMap(ex => [...ex.exts, ...ex.mimes]))].join(',')
+  };
+}
@@ -0,0 +1,305 @@
+import crypto from 'node:crypto';
+import initSqlJs from 'sql.js';
+import { zipSync, unzipSync, strToU8 } from 'fflate';
+import { coerceDifficulty } from './i18n.js';
+
+/* =============================================================
+   IMPORT/EXPORT FLASHCARD: Anki (.apkg) e CSV/TSV
+   Difficoltà e pagina viaggiano come tag Anki (difficulty::medium, pagina::12)
+   così il giro Anki → StudyTool → Anki non perde informazioni.
+   In import si accettano anche i mazzi esportati prima dei valori neutri
+   (difficolta::media, colonna "facile"/"difficile").
+   ============================================================= */
+const DIFF_TAG = 'difficulty::';
+const DIFF_TAGS = [DIFF_TAG, 'difficolta::'];
+const PAGE_TAG = 'pagina::';
+
+let _sql = null;
+const sqlJs = () => (_sql ||= initSqlJs());
+
+function importError(msg) {
+  const err = new Error(msg);
+  err.code = 'IMPORT_INVALID';
+  return err;
+}
+
+// Tag Anki: niente spazi, separati da spazio
+function cardTags(card) {
+  const tags = (Array.isArray(card.tags) ? card.tags : []).map(t => String(t).trim().replace(/\s+/g, '_')).filter(Boolean);
+  if (card.difficulty) tags.push(DIFF_TAG + coerceDifficulty(card.difficulty));
+  if (card.sourcePage) tags.push(PAGE_TAG + card.sourcePage);
+  return tags;
+}
+
+// Inverso di cardTags: separa difficoltà e pagina dagli altri tag
+function fromTags(list) {
+  const out = { tags: [], difficulty: null, sourcePage: null };
+  for (const t of list) {
+    const low = t.toLowerCase();
+    const diffTag = DIFF_TAGS.find(p => low.startsWith(p));
+    const diff = diffTag && coerceDifficulty(low.slice(diffTag.length), null);
+    if (diff) out.difficulty = diff;
+    else if (low.startsWith(PAGE_TAG) && /^\d+$/.test(low.slice(PAGE_TAG.length))) out.sourcePage = parseInt(low.slice(PAGE_TAG.length), 10);
+    else if (t) out.tags.push(t);
+  }
+  return out;
+}
+
+function makeCard(front, back, tagList, fallbackDifficulty) {
+  const { tags, difficulty, sourcePage } = fromTags(tagList);
+  return { front, back, difficulty: difficulty || fallbackDifficulty || 'medium', tags, sourcePage };
+}
+
+const escHtml = (s) => String(s ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/\n/g, '<br>');
+
+export function htmlToText(html) {
+  return String(html ?? '')
+    .replace(/\[sound:[^\]]*\]/g, '')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(div|p|li)>/gi, '\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&#39;/g, "'")
+    .replace(/&#(\d+);/g, (_, n) => String.fromCodePoint(+n))
+    .replace(/&amp;/g, '&')
+    .replace(/[ \t]+\n/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+// Chiave di confronto per i duplicati: fronte normalizzato
+export function cardDedupKey(card) {
+  return htmlToText(card.front).toLowerCase().replace(/\s+/g, ' ').replace(/[\s.?!:;,]+$/, '').trim();
+}
+
+// Aggiunge a `existing` le carte nuove; restituisce le carte aggiunte e quante erano duplicate
+export function mergeCards(existing, incoming) {
+  const seen = new Set(existing.map(cardDedupKey));
+  const added = [];
+  let duplicates = 0;
+  for (const c of incoming) {
+    const k = cardDedupKey(c);
+    if (seen.has(k)) { duplicates++; continue; }
+    seen.add(k);
+    added.push(c);
+  }
+  return { cards: [...existing, ...added], added, duplicates };
+}
+
+/* ===== CSV / TSV ===== */
+const SEPARATOR_NAMES = { comma: ',', semicolon: ';', tab: '\t', pipe: '|', colon: ':', space: ' ' };
+
+function csvCell(v, sep) {
+  const s = String(v ?? '');
+  return /["\r\n]/.test(s) || s.includes(sep) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+// Intestazioni "#chiave:valore" riconosciute dall'import testuale di Anki (2.1.55+)
+export function cardsToDelimited(cards, { delimiter = ',', deckName = '' } = {}) {
+  const name = delimiter === '\t' ? 'Tab' : (delimiter === ';' ? 'Semicolon' : 'Comma');
+  const lines = [`#separator:${name}`, '#html:false', `#columns:${['Front', 'Back', 'Tags'].join(delimiter)}`, '#tags column:3'];
+  if (deckName) lines.push(`#deck:${deckName.replace(/[\r\n]+/g, ' ')}`);
+  for (const c of cards) lines.push([c.front, c.back, cardTags(c).join(' ')].map(v => csvCell(v, delimiter)).join(delimiter));
+  return lines.join('\n') + '\n';
+}
+
+function parseRows(text, sep) {
+  const rows = [];
+  let row = [], cell = '', quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') { cell += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else cell += ch;
+    } else if (ch === '"' && cell === '') quoted = true;
+    else if (ch === sep) { row.push(cell); cell = ''; }
+    else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell); rows.push(row); row = []; cell = '';
+    } else cell += ch;
+  }
+  if (cell !== '' || row.length) { row.push(cell); rows.push(row); }
+  return rows.filter(r => r.some(c => c.trim() !== ''));
+}
+
+const HEADER_ALIASES = {
+  front: ['front', 'fronte', 'domanda', 'question', 'termine'],
+  back: ['back', 'retro', 'risposta', 'answer', 'definizione'],
+  tags: ['tags', 'tag'],
+  difficulty: ['difficulty', 'difficoltà', 'difficolta'],
+  sourcePage: ['page', 'pagina', 'sourcepage']
+};
+
+function columnMap(names) {
+  const map = {};
+  names.forEach((n, i) => {
+    const low = n.trim().toLowerCase();
+    for (const [k, aliases] of Object.entries(HEADER_ALIASES)) if (aliases.includes(low) && map[k] === undefined) map[k] = i;
+  });
+  return map.front !== undefined && map.back !== undefined ? map : null;
+}
+
+export function parseDelimited(text, { filename = '' } = {}) {
+  text = String(text).replace(/^\uFEFF/, '');
+  const directives = {};
+  const body = [];
+  for (const line of text.split(/\r?\n/)) {
+    const m = body.length === 0 && line.match(/^#([a-z ]+):(.*)$/i);
+    if (m) directives[m[1].trim().toLowerCase()] = m[2].trim();
+    else body.push(line);
+  }
+  const rest = body.join('\n');
+  let sep = directives.separator ? (SEPARATOR_NAMES[directives.separator.toLowerCase()] || directives.separator[0]) : null;
+  if (!sep) {
+    const first = rest.split(/\r?\n/).find(l => l.trim()) || '';
+    if (/\.tsv$/i.test(filename) || first.includes('\t')) sep = '\t';
+    else sep = (first.match(/;/g) || []).length > (first.match(/,/g) || []).length ? ';' : ',';
+  }
+  const rows = parseRows(rest, sep);
+  let map = directives.columns ? columnMap(directives.columns.split(sep)) : null;
+  if (!map && rows.length && (map = columnMap(rows[0]))) rows.shift();
+  if (!map) map = { front: 0, back: 1, tags: 2 };
+  if (directives['tags column']) map.tags = parseInt(directives['tags column'], 10) - 1;
+  const html = directives.html === 'true';
+  const clean = (s) => html ? htmlToText(s) : String(s ?? '').trim();
+  const cards = [];
+  let skipped = 0;
+  for (const r of rows) {
+    const front = clean(r[map.front]), back = clean(r[map.back]);
+    if (!front || !back) { skipped++; continue; }
+    const tagList = map.tags !== undefined && r[map.tags] ? r[map.tags].trim().split(/\s+/) : [];
+    const card = makeCard(front, back, tagList);
+    const diff = map.difficulty !== undefined ? coerceDifficulty(r[map.difficulty], null) : null;
+    if (diff) card.difficulty = diff;
+    const page = map.sourcePage !== undefined ? parseInt(r[map.sourcePage], 10) : NaN;
+    if (page > 0) card.sourcePage = page;
+    cards.push(card);
+  }
+  return { deckName: directives.deck || '', cards, skipped };
+}
+
+/* ===== ANKI .apkg (collection.anki2, schema 11) ===== */
+const ANKI_SCHEMA = `
+CREATE TABLE col (id integer primary key, crt integer not null, mod integer not null, scm integer not null, ver integer not null, dty integer not null, usn integer not null, ls integer not null, conf text not null, models text not null, decks text not null, dconf text not null, tags text not null);
+CREATE TABLE notes (id integer primary key, guid text not null, mid integer not null, mod integer not null, usn integer not null, tags text not null, flds text not null, sfld integer not null, csum integer not null, flags integer not null, data text not null);
+CREATE TABLE cards (id integer primary key, nid integer not null, did integer not null, ord integer not null, mod integer not null, usn integer not null, type integer not null, queue integer not null, due integer not null, ivl integer not null, factor integer not null, reps integer not null, lapses integer not null, left integer not null, odue integer not null, odid integer not null, flags integer not null, data text not null);
+CREATE TABLE revlog (id integer primary key, cid integer not null, usn integer not null, ease integer not null, ivl integer not null, lastIvl integer not null, factor integer not null, time integer not null, type integer not null);
+CREATE TABLE graves (usn integer not null, oid integer not null, type integer not null);
+CREATE INDEX ix_notes_usn on notes (usn);
+CREATE INDEX ix_cards_usn on cards (usn);
+CREATE INDEX ix_revlog_usn on revlog (usn);
+CREATE INDEX ix_cards_nid on cards (nid);
+CREATE INDEX ix_cards_sched on cards (did, queue, due);
+CREATE INDEX ix_revlog_cid on revlog (cid);
+CREATE INDEX ix_notes_csum on notes (csum);
+`;
+
+const DECK_CONF = {
+  1: {
+    id: 1, name: 'Default', mod: 0, usn: 0, maxTaken: 60, autoplay: true, timer: 0, replayq: true, dyn: false,
+    new: { bury: true, delays: [1, 10], initialFactor: 2500, ints: [1, 4, 7], order: 1, perDay: 20, separate: true },
+    rev: { bury: true, ease4: 1.3, fuzz: 0.05, ivlFct: 1, maxIvl: 36500, minSpace: 1, perDay: 200 },
+    lapse: { delays: [10], leechAction: 0, leechFails: 8, minInt: 1, mult: 0 }
+  }
+};
+
+function deckJson(id, name, mod) {
+  return { id, name, desc: '', mod, usn: -1, collapsed: false, browserCollapsed: false, newToday: [0, 0], revToday: [0, 0], lrnToday: [0, 0], timeToday: [0, 0], dyn: 0, conf: 1, extendNew: 10, extendRev: 50 };
+}
+
+function basicModel(mid, did, mod) {
+  const fld = (name, ord) => ({ name, ord, sticky: false, rtl: false, font: 'Arial', size: 20, media: [] });
+  return {
+    id: mid, name: 'StudyTool Base', type: 0, mod, usn: -1, sortf: 0, did, vers: [], tags: [],
+    flds: [fld('Front', 0), fld('Back', 1)],
+    tmpls: [{ name: 'Carta 1', ord: 0, qfmt: '{{Front}}', afmt: '{{FrontSide}}<hr id=answer>{{Back}}', did: null, bqfmt: '', bafmt: '' }],
+    css: '.card { font-family: arial; font-size: 20px; text-align: center; color: black; background-color: white; }',
+    latexPre: '\\documentclass[12pt]{article}\n\\special{papersize=3in,5in}\n\\usepackage[utf8]{inputenc}\n\\usepackage{amssymb,amsmath}\n\\pagestyle{empty}\n\\setlength{\\parindent}{0in}\n\\begin{document}\n',
+    latexPost: '\\end{document}',
+    req: [[0, 'all', [0]]]
+  };
+}
+
+// Id numerico stabile (ms) derivato da una stringa: reimportare lo stesso mazzo aggiorna invece di duplicare
+function stableId(s) {
+  return 1_500_000_000_000 + (parseInt(crypto.createHash('sha1').update(s).digest('hex').slice(0, 8), 16) % 100_000_000_000);
+}
+
+export async function buildApkg(deckName, cards, { deckKey = deckName } = {}) {
+  const SQL = await sqlJs();
+  const db = new SQL.Database();
+  try {
+    db.exec(ANKI_SCHEMA);
+    const now = Date.now();
+    const sec = Math.floor(now / 1000);
+    const did = stableId(`deck:${deckKey}`);
+    const mid = stableId(`model:studytool-base`);
+    const decks = { 1: deckJson(1, 'Default', sec), [did]: deckJson(did, deckName || 'StudyTool', sec) };
+    const conf = { nextPos: cards.length + 1, estTimes: true, activeDecks: [did], sortType: 'noteFld', timeLim: 0, sortBackwards: false, addToCur: true, curDeck: did, newSpread: 0, dueCounts: true, curModel: mid, collapseTime: 1200 };
+    db.run('INSERT INTO col VALUES (1,?,?,?,11,0,0,0,?,?,?,?,?)', [sec, now, now, JSON.stringify(conf), JSON.stringify({ [mid]: basicModel(mid, did, sec) }), JSON.stringify(decks), JSON.stringify(DECK_CONF), '{}']);
+    const insNote = db.prepare('INSERT INTO notes VALUES (?,?,?,?,-1,?,?,?,?,0,\'\')');
+    const insCard = db.prepare('INSERT INTO cards VALUES (?,?,?,0,?,-1,0,0,?,0,0,0,0,0,0,0,0,\'\')');
+    cards.forEach((c, i) => {
+      const front = escHtml(c.front), back = escHtml(c.back);
+      const nid = now + i, cid = now + cards.length + i;
+      const guid = crypto.createHash('sha1').update(`${deckKey}\u001f${cardDedupKey(c)}`).digest('base64url').slice(0, 10);
+      const csum = parseInt(crypto.createHash('sha1').update(htmlToText(front)).digest('hex').slice(0, 8), 16);
+      const tags = cardTags(c);
+      insNote.run([nid, guid, mid, sec, tags.length ? ` ${tags.join(' ')} ` : '', `${front}\u001f${back}`, htmlToText(front), csum]);
+      insCard.run([cid, nid, did, sec, i + 1]);
+    });
+    insNote.free(); insCard.free();
+    return zipSync({ 'collection.anki2': db.export(), media: strToU8('{}') });
+  } finally {
+    db.close();
+  }
+}
+
+export async function parseApkg(buffer) {
+  let files;
+  try { files = unzipSync(new Uint8Array(buffer)); }
+  catch { throw importError('File .apkg non valido (archivio zip illeggibile)'); }
+  // Le esportazioni recenti hanno collection.anki21b (compresso zstd) e un collection.anki2 fittizio
+  const data = files['collection.anki21'] || (!files['collection.anki21b'] ? files['collection.anki2'] : null);
+  if (!data) {
+    throw importError(files['collection.anki21b']
+      ? 'Formato .apkg recente non supportato: in Anki esporta con "Supporta versioni precedenti di Anki"'
+      : 'File .apkg non valido: manca la collezione');
+  }
+  const SQL = await sqlJs();
+  let db;
+  try { db = new SQL.Database(data); }
+  catch { throw importError('File .apkg non valido: collezione illeggibile'); }
+  try {
+    const col = db.exec('SELECT models, decks FROM col LIMIT 1')[0];
+    if (!col) throw importError('File .apkg non valido: collezione vuota');
+    const models = JSON.parse(col.values[0][0] || '{}');
+    const decks = JSON.parse(col.values[0][1] || '{}');
+    const res = db.exec('SELECT n.mid, n.tags, n.flds, MIN(c.did) FROM notes n LEFT JOIN cards c ON c.nid = n.id GROUP BY n.id ORDER BY n.id');
+    const cards = [];
+    const deckCount = {};
+    let skipped = 0;
+    for (const [mid, tags, flds, did] of res[0]?.values || []) {
+      const fields = String(flds).split('\u001f');
+      const names = (models[mid]?.flds || []).map(f => String(f.name).toLowerCase());
+      const fi = Math.max(0, names.findIndex(n => HEADER_ALIASES.front.includes(n) || n === 'text' || n === 'testo'));
+      const biRaw = names.findIndex(n => HEADER_ALIASES.back.includes(n) || n === 'extra');
+      const bi = biRaw >= 0 ? biRaw : (fi === 0 ? 1 : 0);
+      const front = htmlToText(fields[fi]), back = htmlToText(fields[bi]);
+      if (!front || !back) { skipped++; continue; }
+      cards.push(makeCard(front, back, String(tags || '').trim().split(/\s+/).filter(Boolean)));
+      if (did) deckCount[did] = (deckCount[did] || 0) + 1;
+    }
+    const mainDeck = Object.entries(deckCount).sort((a, b) => b[1] - a[1])[0]?.[0];
+    return { deckName: mainDeck && decks[mainDeck] ? decks[mainDeck].name : '', cards, skipped };
+  } finally {
+    db.close();
+  }
+}
+
+// Sceglie il parser dal nome file: .apkg → Anki, altrimenti testo delimitato
+export async function parseFlashcardFile(buffer, filename = '') {
+  if (/\.(apkg|colpkg)$/i.test(filename) || (buffer[0] === 0x50 && buffer[1] === 0x4b)) return parseApkg(buffer);
+  return parseDelimited(Buffer.from(buffer).toString('utf8'), { filename });
+}
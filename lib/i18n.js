@@ -0,0 +1,113 @@
+/* =============================================================
+   LINGUE DI GENERAZIONE
+   - codici delle lingue di output (parametro `language` delle rotte)
+   - riconoscimento della lingua del documento dalle parole funzionali
+   - valori neutri di lunghezza e difficoltà (short/medium/long,
+     easy/medium/hard) con i vecchi valori italiani accettati come alias
+   - testi dei generatori di ripiego (senza LLM) nelle varie lingue
+   I prompt restano scritti in italiano: cambia la lingua richiesta per l'output.
+   ============================================================= */
+export const LANGUAGES = {
+  it: { name: 'italiano', label: 'Italiano' },
+  en: { name: 'inglese', label: 'English' },
+  de: { name: 'tedesco', label: 'Deutsch' },
+  fr: { name: 'francese', label: 'Français' },
+  es: { name: 'spagnolo', label: 'Español' }
+};
+export const DEFAULT_LANGUAGE = 'it';
+
+const ALIASES = {
+  italiano: 'it', italian: 'it', inglese: 'en', english: 'en', tedesco: 'de', german: 'de', deutsch: 'de',
+  francese: 'fr', french: 'fr', francais: 'fr', spagnolo: 'es', spanish: 'es', espanol: 'es'
+};
+
+// 'en', 'en-US', 'English', 'inglese' → 'en'; null se la lingua non è gestita
+export function languageCode(v) {
+  const s = String(v || '').trim().toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+  if (LANGUAGES[s]) return s;
+  const base = s.split(/[-_]/)[0];
+  return LANGUAGES[base] ? base : (ALIASES[s] || null);
+}
+
+export const languageName = (code) => (LANGUAGES[code] || LANGUAGES[DEFAULT_LANGUAGE]).name;
+
+/*
+ * Parametro `language` di una richiesta: 'auto' (la lingua del documento),
+ * un codice/nome gestito, oppure assente (→ fallback). Lingua sconosciuta: errore 400.
+ */
+export function parseLanguageParam(v, fallback = DEFAULT_LANGUAGE) {
+  const s = String(v ?? '').trim();
+  if (!s) return fallback;
+  if (s.toLowerCase() === 'auto') return 'auto';
+  const code = languageCode(s);
+  if (code) return code;
+  const err = new Error(`Lingua non supportata: ${s} (ammesse: auto, ${Object.keys(LANGUAGES).join(', ')})`);
+  err.status = 400;
+  throw err;
+}
+
+// Parole funzionali frequenti: bastano poche righe per distinguere le lingue gestite
+const STOPWORDS = {
+  it: 'il lo la i gli le un una di del della dei delle che e è non per con sono nel nella alla al come anche più questo questa ma si da tra',
+  en: 'the of and to in is are that for with as on by this it be was from which an or not can these their has have',
+  de: 'der die das und ist nicht ein eine zu den von mit sich des auf für im dem werden wird sind auch als bei oder aus wie',
+  fr: 'le la les et des du un une est que qui dans pour pas sur au avec ce cette sont par plus se ne aux leur ou',
+  es: 'el la los las y de del que en un una es por con para no se su al lo como más pero sus le este esta son'
+};
+const STOP_SETS = Object.fromEntries(Object.entries(STOPWORDS).map(([k, v]) => [k, new Set(v.split(' '))]));
+
+// Lingua prevalente del testo (campione dei primi caratteri); null se gli indizi sono troppo pochi
+export function detectLanguage(text, { sample = 20000, minHits = 4 } = {}) {
+  const words = String(text || '').slice(0, sample).toLowerCase().match(/\p{L}+/gu) || [];
+  const scores = Object.fromEntries(Object.keys(STOP_SETS).map(k => [k, 0]));
+  for (const w of words) for (const [k, set] of Object.entries(STOP_SETS)) if (set.has(w)) scores[k]++;
+  const [best, hits] = Object.entries(scores).sort((a, b) => b[1] - a[1])[0];
+  return hits >= minHits ? best : null;
+}
+
+// Lingua di output: 'auto' segue il documento (se riconosciuto), altrimenti il fallback
+export function resolveTarget(requested, source, fallback = DEFAULT_LANGUAGE) {
+  if (requested === 'auto') return source || fallback;
+  return requested || fallback;
+}
+
+// Riga di prompt quando documento e output sono in lingue diverse ('' altrimenti)
+export function translationNote(source, target) {
+  if (!source || source === target) return '';
+  return `Il testo di partenza è in ${languageName(source)}: scrivi comunque tutto in ${languageName(target)}, mantenendo tra parentesi il termine tecnico originale quando aiuta lo studio.`;
+}
+
+/* ===== Valori neutri di lunghezza e difficoltà ===== */
+export const LENGTHS = ['short', 'medium', 'long'];
+export const DIFFICULTIES = ['easy', 'medium', 'hard'];
+const LEGACY_LENGTHS = { breve: 'short', medio: 'medium', esaustivo: 'long' };
+const LEGACY_DIFFICULTIES = { facile: 'easy', media: 'medium', difficile: 'hard' };
+// Come compaiono nei prompt (scritti in italiano)
+export const LENGTH_PROMPT = { short: 'breve', medium: 'medio', long: 'esaustivo' };
+export const DIFFICULTY_PROMPT = { easy: 'facile', medium: 'media', hard: 'difficile' };
+
+function normEnum(v, values, legacy, fallback, label) {
+  const s = String(v ?? '').trim().toLowerCase();
+  if (!s) return fallback;
+  if (values.includes(s)) return s;
+  if (legacy[s]) return legacy[s];
+  const err = new Error(`${label} non valida: ${s} (ammesse: ${values.join(', ')})`);
+  err.status = 400;
+  throw err;
+}
+export const normLength = (v, fallback = 'medium') => normEnum(v, LENGTHS, LEGACY_LENGTHS, fallback, 'Lunghezza');
+export const normDifficulty = (v, fallback = 'medium') => normEnum(v, DIFFICULTIES, LEGACY_DIFFICULTIES, fallback, 'Difficoltà');
+// Per i dati già salvati o restituiti dal modello: mai errori, al massimo il fallback
+export function coerceDifficulty(v, fallback = 'medium') {
+  try { return normDifficulty(v, fallback); } catch { return fallback; }
+}
+
+/* ===== Testi dei generatori di ripiego (demo senza chiave) ===== */
+const FALLBACK_TEXTS = {
+  it: { concept: 'Concetto', definition: (t) => `Definizione sintetica di ${t}.`, none: 'Nessuna delle precedenti', all: 'Tutte le precedenti', na: 'Non applicabile', explanation: 'Derivata dal testo del PDF (fallback demo).', trueFalse: 'Vero o falso?', whichPage: 'In quale pagina si legge', explain: 'Spiega con parole tue:', fromNotes: 'Dai tuoi appunti', notFound: 'Nei tuoi appunti non ho trovato passaggi pertinenti alla domanda.' },
+  en: { concept: 'Concept', definition: (t) => `Short definition of ${t}.`, none: 'None of the above', all: 'All of the above', na: 'Not applicable', explanation: 'Taken from the PDF text (demo fallback).', trueFalse: 'True or false?', whichPage: 'On which page do you read', explain: 'Explain in your own words:', fromNotes: 'From your notes', notFound: 'I could not find passages in your notes relevant to the question.' },
+  de: { concept: 'Begriff', definition: (t) => `Kurze Definition von ${t}.`, none: 'Keine der genannten', all: 'Alle genannten', na: 'Nicht zutreffend', explanation: 'Aus dem PDF-Text abgeleitet (Demo-Ersatz).', trueFalse: 'Richtig oder falsch?', whichPage: 'Auf welcher Seite steht', explain: 'Erkläre mit eigenen Worten:', fromNotes: 'Aus deinen Notizen', notFound: 'In deinen Notizen habe ich keine passenden Stellen zur Frage gefunden.' },
+  fr: { concept: 'Notion', definition: (t) => `Définition courte de ${t}.`, none: 'Aucune des réponses précédentes', all: 'Toutes les réponses précédentes', na: 'Non applicable', explanation: 'Tirée du texte du PDF (secours de démonstration).', trueFalse: 'Vrai ou faux ?', whichPage: 'À quelle page lit-on', explain: 'Explique avec tes mots :', fromNotes: 'D\'après tes notes', notFound: 'Je n\'ai trouvé dans tes notes aucun passage pertinent pour la question.' },
+  es: { concept: 'Concepto', definition: (t) => `Definición breve de ${t}.`, none: 'Ninguna de las anteriores', all: 'Todas las anteriores', na: 'No aplicable', explanation: 'Derivada del texto del PDF (respaldo de demostración).', trueFalse: '¿Verdadero o falso?', whichPage: '¿En qué página se lee', explain: 'Explica con tus palabras:', fromNotes: 'De tus apuntes', notFound: 'No encontré en tus apuntes pasajes relevantes para la pregunta.' }
+};
+export const fallbackTexts = (code) => FALLBACK_TEXTS[code] || FALLBACK_TEXTS[DEFAULT_LANGUAGE];
@@ -0,0 +1,164 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+
+/* =============================================================
+   LIBRERIA DI STUDIO SU DISCO
+   Un file JSON per materia: { sections: { riassunti, flashcards, quiz }, stats, results, srs, reviews, mastery }.
+   Le scritture sulla stessa materia sono serializzate e atomiche (file temporaneo + rename).
+   ============================================================= */
+export const LIBRARY_SECTIONS = ['riassunti', 'flashcards', 'quiz'];
+// Storico dei ripassi conservato per materia (i più vecchi vengono scartati)
+const MAX_REVIEW_LOG = 5000;
+
+function emptySubject() {
+  return { sections: { riassunti: [], flashcards: [], quiz: [] }, stats: {}, results: [], srs: {}, reviews: [], mastery: { topics: {}, questions: {} } };
+}
+
+export function createLibraryStore(dir) {
+  const cache = new Map();
+  const locks = new Map();
+
+  const fileFor = (subject) => path.join(dir, `${encodeURIComponent(subject)}.json`);
+
+  async function read(subject) {
+    if (cache.has(subject)) return cache.get(subject);
+    let data;
+    try {
+      data = { ...emptySubject(), ...JSON.parse(await fs.readFile(fileFor(subject), 'utf8')) };
+      for (const s of LIBRARY_SECTIONS) if (!Array.isArray(data.sections[s])) data.sections[s] = [];
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+      data = emptySubject();
+    }
+    cache.set(subject, data);
+    return data;
+  }
+
+  async function write(subject, data) {
+    await fs.mkdir(dir, { recursive: true });
+    const file = fileFor(subject);
+    const tmp = `${file}.${process.pid}.${Date.now()}.tmp`;
+    await fs.writeFile(tmp, JSON.stringify(data));
+    await fs.rename(tmp, file);
+  }
+
+  function locked(subject, fn) {
+    const prev = locks.get(subject) || Promise.resolve();
+    const next = prev.catch(() => {}).then(fn);
+    locks.set(subject, next);
+    return next;
+  }
+
+  // Esegue fn(data) in mutua esclusione sulla materia e salva il risultato
+  function update(subject, fn) {
+    return locked(subject, async () => {
+      const data = await read(subject);
+      const out = await fn(data);
+      await write(subject, data);
+      return out;
+    });
+  }
+
+  // Rinomina ed eliminazione di una materia (gestione materie): il file si sposta o sparisce
+  function renameSubject(from, to) {
+    return locked(from, () => locked(to, async () => {
+      if (await fs.access(fileFor(to)).then(() => true, () => false)) {
+        const err = new Error(`Esistono già dati per la materia ${to}`);
+        err.code = 'SUBJECT_EXISTS';
+        err.status = 409;
+        throw err;
+      }
+      try { await fs.rename(fileFor(from), fileFor(to)); }
+      catch (err) { if (err.code !== 'ENOENT') throw err; }
+      cache.delete(from);
+      cache.delete(to);
+    }));
+  }
+
+  function removeSubject(subject) {
+    return locked(subject, async () => {
+      try { await fs.unlink(fileFor(subject)); }
+      catch (err) { if (err.code !== 'ENOENT') throw err; }
+      cache.delete(subject);
+    });
+  }
+
+  async function listSubjects() {
+    let files = [];
+    try { files = await fs.readdir(dir); }
+    catch (err) { if (err.code !== 'ENOENT') throw err; }
+    const out = [];
+    for (const f of files.filter(f => f.endsWith('.json'))) {
+      const subject = decodeURIComponent(f.slice(0, -5));
+      const data = await read(subject);
+      out.push({ subject, counts: Object.fromEntries(LIBRARY_SECTIONS.map(s => [s, data.sections[s].length])), results: data.results.length });
+    }
+    return out;
+  }
+
+  return {
+    listSubjects,
+    renameSubject,
+    removeSubject,
+    async list(subject, section) { return (await read(subject)).sections[section]; },
+    async get(subject, section, id) { return (await read(subject)).sections[section].find(x => x.id === id) || null; },
+    upsert(subject, section, item) {
+      return update(subject, (data) => {
+        const arr = data.sections[section];
+        const idx = arr.findIndex(x => x.id === item.id);
+        if (idx === -1) arr.unshift(item); else arr[idx] = item;
+        return item;
+      });
+    },
+    remove(subject, section, id) {
+      return update(subject, (data) => {
+        const before = data.sections[section].length;
+        data.sections[section] = data.sections[section].filter(x => x.id !== id);
+        return data.sections[section].length !== before;
+      });
+    },
+    async getStats(subject) { return (await read(subject)).stats; },
+    setStats(subject, stats) { return update(subject, (data) => { data.stats = stats; return stats; }); },
+    async getResults(subject) { return (await read(subject)).results; },
+    addResult(subject, result) { return update(subject, (data) => { data.results.unshift(result); return result; }); },
+    async getSections(subject) { return (await read(subject)).sections; },
+    async getReviewState(subject) { const d = await read(subject); return { srs: d.srs, reviews: d.reviews }; },
+    // Registra un ripasso: next(statoPrecedente) calcola il nuovo stato, il log tiene voto e intervallo
+    recordReview(subject, key, entry, next) {
+      return update(subject, (data) => {
+        const state = next(data.srs[key] || null);
+        data.srs[key] = state;
+        data.reviews.push({ key, ...entry, interval: state.interval, ease: state.ease });
+        if (data.reviews.length > MAX_REVIEW_LOG) data.reviews.splice(0, data.reviews.length - MAX_REVIEW_LOG);
+        return state;
+      });
+    },
+    async getMastery(subject) { return (await read(subject)).mastery; },
+    // Risposta in una sessione adattiva: fn(stato) aggiorna i punteggi Elo (lib/mastery.js) e restituisce l'esito
+    updateMastery(subject, fn) { return update(subject, (data) => fn(data.mastery)); },
+    clearResults(subject) { return update(subject, (data) => { data.results = []; data.stats = {}; data.mastery = { topics: {}, questions: {} }; }); },
+    // Migrazione: unisce elementi (per id), statistiche (massimo per domanda) e risultati (senza duplicati)
+    merge(subject, incoming) {
+      return update(subject, (data) => {
+        let items = 0;
+        for (const s of LIBRARY_SECTIONS) {
+          for (const it of (incoming.sections?.[s] || [])) {
+            if (!it || typeof it.id !== 'string') continue;
+            if (!data.sections[s].some(x => x.id === it.id)) { data.sections[s].push(it); items++; }
+          }
+        }
+        for (const [k, v] of Object.entries(incoming.stats || {})) {
+          const cur = data.stats[k] || { asked: 0, wrong: 0 };
+          data.stats[k] = { ...cur, ...v, asked: Math.max(cur.asked || 0, v?.asked || 0), wrong: Math.max(cur.wrong || 0, v?.wrong || 0) };
+        }
+        const seen = new Set(data.results.map(r => JSON.stringify(r)));
+        let results = 0;
+        for (const r of (incoming.results || [])) {
+          const key = JSON.stringify(r);
+          if (!seen.has(key)) { seen.add(key); data.results.push(r); results++; }
+        }
+        return { items, results };
+      });
+    }
+  };
+}
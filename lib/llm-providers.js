@@ -0,0 +1,471 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import crypto from 'node:crypto';
+import OpenAI from 'openai';
+import { createLocalEmbedder, textTerms } from './embeddings.js';
+
+/* =============================================================
+   PROVIDER LLM
+   Ogni provider espone la stessa interfaccia:
+     name, model
+     chat({ system, user, temperature, maxTokens, responseFormat, model, schemaName, hints })
+       → { text, parsed, finishReason, usage: { promptTokens, completionTokens }, headers }
+       (headers: header HTTP della risposta, se disponibili, per i limiti x-ratelimit-*)
+       (schemaName resta valorizzato anche quando si riprova senza response_format)
+       (hints: dati strutturati del compito { count, types, topics, rubric, conceptMap }; li usa solo il mock)
+     ocrPdf(buffer, { prompt, model, maxTokens, call }) → testo grezzo (se supportato)
+     ocrImage(buffer, { mime, prompt, model, maxTokens, call }) → testo grezzo (modelli con visione)
+     embed(testi, { model }) → { vectors: [[...]], usage, headers } (endpoint /embeddings)
+     ping() → { finishReason }
+   Gli errori HTTP vengono rilanciati con `status` (es. 429) così retry/backoff
+   restano gestiti dal server in modo uniforme.
+   Selezione via ENV: LLM_PROVIDER=openai|openai-responses|ollama|mock
+   ============================================================= */
+
+function httpError(status, message, headers = null) {
+  const err = new Error(message || `HTTP ${status}`);
+  err.status = status;
+  if (headers) err.headers = headers;
+  return err;
+}
+
+export function normUsage(u) {
+  if (!u) return null;
+  return {
+    promptTokens: u.prompt_tokens ?? u.input_tokens ?? 0,
+    completionTokens: u.completion_tokens ?? u.output_tokens ?? 0
+  };
+}
+
+function chatMessages(system, user) {
+  return [
+    { role: 'system', content: system },
+    { role: 'user', content: user }
+  ];
+}
+
+function messageText(content) {
+  if (Array.isArray(content)) return content.map(part => part?.text || '').join('').trim();
+  return typeof content === 'string' ? content : '';
+}
+
+export function collectResponseText(resp) {
+  if (!resp) return '';
+  if (typeof resp.output_text === 'string' && resp.output_text) return resp.output_text;
+  if (Array.isArray(resp.output_text) && resp.output_text.length) {
+    return resp.output_text.join('\n');
+  }
+  const out = [];
+  const items = Array.isArray(resp.output) ? resp.output : [];
+  for (const item of items) {
+    if (item?.type === 'message' && Array.isArray(item.content)) {
+      for (const chunk of item.content) {
+        if (chunk?.type === 'output_text' && typeof chunk.text === 'string') {
+          out.push(chunk.text);
+        }
+      }
+    } else if (item?.type === 'output_text' && typeof item.text === 'string') {
+      out.push(item.text);
+    }
+  }
+  return out.join('\n');
+}
+
+// OCR via OpenAI Files + Responses: upload del PDF, trascrizione, cancellazione del file
+async function openaiOcrPdf(client, buffer, { prompt, model, maxTokens, call = (fn) => fn(), onCleanupError }) {
+  const upload = await OpenAI.toFile(buffer, 'upload.pdf');
+  const file = await call(() => client.files.create({ file: upload, purpose: 'assistants' }));
+  try {
+    const response = await call(() => client.responses.create({
+      model,
+      temperature: 0,
+      max_output_tokens: maxTokens,
+      input: [
+        {
+          role: 'user',
+          content: [
+            { type: 'input_text', text: prompt },
+            { type: 'input_file', file_id: file.id }
+          ]
+        }
+      ]
+    }));
+    return collectResponseText(response);
+  } finally {
+    try { await client.files.del(file.id); }
+    catch (err) { onCleanupError?.(err); }
+  }
+}
+
+const imageDataUrl = (buffer, mime) => `data:${mime || 'image/png'};base64,${Buffer.from(buffer).toString('base64')}`;
+
+// OCR di un'immagine (PNG/JPEG) come contenuto del messaggio, formato chat.completions
+function imageMessages(buffer, { prompt, mime }) {
+  return [{ role: 'user', content: [{ type: 'text', text: prompt }, { type: 'image_url', image_url: { url: imageDataUrl(buffer, mime) } }] }];
+}
+
+// encoding_format esplicito: i proxy compatibili spesso ignorano il base64 predefinito dell'SDK
+async function openaiEmbed(client, texts, { model }) {
+  const { data: resp, response } = await client.embeddings.create({ model, input: texts, encoding_format: 'float' }).withResponse();
+  const vectors = [...resp.data].sort((a, b) => a.index - b.index).map(d => d.embedding);
+  return { vectors, usage: normUsage(resp.usage), headers: response.headers };
+}
+
+function openaiClient(env) {
+  // I 429 sono ritentati da withRetries nel server; l'SDK ritenta da sé solo quanto indicato qui
+  const opts = { apiKey: (env.OPENAI_API_KEY || '').trim(), maxRetries: parseInt(env.OPENAI_SDK_MAX_RETRIES || '2', 10) };
+  if ((env.OPENAI_PROJECT || '').trim()) opts.project = env.OPENAI_PROJECT.trim();
+  if ((env.OPENAI_BASE_URL || '').trim()) opts.baseURL = env.OPENAI_BASE_URL.trim();
+  return new OpenAI(opts);
+}
+
+export function createOpenAIChatProvider(env) {
+  const client = openaiClient(env);
+  const model = env.OPENAI_MODEL || 'gpt-4o-mini';
+  return {
+    name: 'openai',
+    model,
+    async chat({ system, user, temperature, maxTokens, responseFormat, model: m }) {
+      const { data: resp, response } = await client.chat.completions.create({
+        model: m || model,
+        temperature,
+        max_tokens: maxTokens,
+        messages: chatMessages(system, user),
+        ...(responseFormat ? { response_format: responseFormat } : {})
+      }).withResponse();
+      const choice = resp.choices?.[0];
+      return {
+        text: messageText(choice?.message?.content),
+        parsed: choice?.message?.parsed || null,
+        finishReason: choice?.finish_reason || '',
+        usage: normUsage(resp.usage),
+        headers: response.headers
+      };
+    },
+    ocrPdf: (buffer, opts) => openaiOcrPdf(client, buffer, opts),
+    embed: (texts, opts) => openaiEmbed(client, texts, opts),
+    async ocrImage(buffer, { prompt, model: m, maxTokens, mime, call = (fn) => fn() }) {
+      const resp = await call(() => client.chat.completions.create({ model: m || model, temperature: 0, max_tokens: maxTokens, messages: imageMessages(buffer, { prompt, mime }) }));
+      return messageText(resp.choices?.[0]?.message?.content);
+    },
+    async ping() {
+      const r = await client.chat.completions.create({
+        model,
+        max_tokens: 5,
+        messages: chatMessages('You are a health check.', 'pong')
+      });
+      return { finishReason: r.choices?.[0]?.finish_reason || '', created: r.created };
+    }
+  };
+}
+
+// Converte il response_format stile chat.completions nel formato `text.format` della Responses API
+function responsesFormat(responseFormat) {
+  if (!responseFormat) return undefined;
+  if (responseFormat.type === 'json_schema') {
+    const { name, schema } = responseFormat.json_schema || {};
+    return { format: { type: 'json_schema', name: name || 'response', schema } };
+  }
+  return { format: { type: responseFormat.type } };
+}
+
+export function createOpenAIResponsesProvider(env) {
+  const client = openaiClient(env);
+  const model = env.OPENAI_MODEL || 'gpt-4o-mini';
+  return {
+    name: 'openai-responses',
+    model,
+    async chat({ system, user, temperature, maxTokens, responseFormat, model: m }) {
+      const { data: resp, response } = await client.responses.create({
+        model: m || model,
+        temperature,
+        max_output_tokens: maxTokens,
+        instructions: system,
+        input: user,
+        ...(responseFormat ? { text: responsesFormat(responseFormat) } : {})
+      }).withResponse();
+      const finishReason = resp.status === 'incomplete' ? (resp.incomplete_details?.reason || 'length') : (resp.status || '');
+      return { text: collectResponseText(resp), parsed: null, finishReason, usage: normUsage(resp.usage), headers: response.headers };
+    },
+    ocrPdf: (buffer, opts) => openaiOcrPdf(client, buffer, opts),
+    embed: (texts, opts) => openaiEmbed(client, texts, opts),
+    async ocrImage(buffer, { prompt, model: m, maxTokens, mime, call = (fn) => fn() }) {
+      const resp = await call(() => client.responses.create({
+        model: m || model,
+        temperature: 0,
+        max_output_tokens: maxTokens,
+        input: [{ role: 'user', content: [{ type: 'input_text', text: prompt }, { type: 'input_image', image_url: imageDataUrl(buffer, mime) }] }]
+      }));
+      return collectResponseText(resp);
+    },
+    async ping() {
+      const r = await client.responses.create({ model, max_output_tokens: 16, input: 'pong' });
+      return { finishReason: r.status || '', created: r.created_at };
+    }
+  };
+}
+
+// Endpoint locale compatibile OpenAI (Ollama `/v1`, llama.cpp server): nessuna chiave richiesta
+export function createLocalProvider(env) {
+  const baseURL = (env.LOCAL_LLM_BASE_URL || 'http://localhost:11434/v1').replace(/\/+$/, '');
+  const model = env.LOCAL_LLM_MODEL || 'llama3.1';
+  const timeoutMs = parseInt(env.LOCAL_LLM_TIMEOUT_MS || '120000', 10);
+  async function post(body, endpoint = '/chat/completions') {
+    const res = await fetch(`${baseURL}${endpoint}`, {
+      method: 'POST',
+      headers: { 'content-type': 'application/json' },
+      body: JSON.stringify(body),
+      signal: AbortSignal.timeout(timeoutMs)
+    });
+    const js = await res.json().catch(() => null);
+    if (!res.ok) throw httpError(res.status, js?.error?.message || js?.error || `LLM locale: HTTP ${res.status}`, Object.fromEntries(res.headers));
+    return js;
+  }
+  return {
+    name: 'ollama',
+    model,
+    async chat({ system, user, temperature, maxTokens, responseFormat, model: m }) {
+      const resp = await post({
+        model: m || model,
+        temperature,
+        max_tokens: maxTokens,
+        messages: chatMessages(system, user),
+        ...(responseFormat ? { response_format: responseFormat } : {})
+      });
+      const choice = resp?.choices?.[0];
+      return {
+        text: messageText(choice?.message?.content),
+        parsed: null,
+        finishReason: choice?.finish_reason || '',
+        usage: normUsage(resp?.usage)
+      };
+    },
+    // Richiede un modello con visione (es. llava, llama3.2-vision)
+    async ocrImage(buffer, { prompt, model: m, maxTokens, mime, call = (fn) => fn() }) {
+      const resp = await call(() => post({ model: m || model, temperature: 0, max_tokens: maxTokens, messages: imageMessages(buffer, { prompt, mime }) }));
+      return messageText(resp?.choices?.[0]?.message?.content);
+    },
+    // Richiede un modello di embedding (es. nomic-embed-text)
+    async embed(texts, { model: m }) {
+      const resp = await post({ model: m, input: texts }, '/embeddings');
+      return { vectors: [...(resp?.data || [])].sort((a, b) => a.index - b.index).map(d => d.embedding), usage: normUsage(resp?.usage) };
+    },
+    async ping() {
+      const r = await post({ model, max_tokens: 5, messages: chatMessages('You are a health check.', 'pong') });
+      return { finishReason: r?.choices?.[0]?.finish_reason || '', created: r?.created };
+    }
+  };
+}
+
+/* =============================================================
+   MOCK DETERMINISTICO CON FIXTURE REGISTRATE
+   Cerca in LLM_MOCK_FIXTURES:
+     <schemaName>-<hash prompt>.json   risposta per un prompt preciso
+     <schemaName>.json                 risposta per tutte le chiamate di quello schema
+     ocr.json                          trascrizione OCR
+     ocr-image.json                    trascrizione OCR delle immagini (se manca: ocr.json)
+   Una fixture è { json } | { raw } | { error: { status, message, headers } },
+   oppure { sequence: [ ... ] } consumata in ordine (l'ultima si ripete).
+   Senza fixture genera una risposta deterministica dal testo del prompt; le
+   varianti (numero di elementi, tipi di domanda, argomenti, griglia, mappa) le decidono gli hints
+   della richiesta, mai la formulazione del prompt.
+   ============================================================= */
+export function mockFixtureKey(system, user) {
+  return crypto.createHash('sha256').update(`${system}\n---\n${user}`).digest('hex').slice(0, 16);
+}
+
+function promptSource(user) {
+  const m = String(user || '').match(/"""([\s\S]*)"""/);
+  return m ? m[1] : String(user || '');
+}
+
+// Marcatori [Pagina N] o, con più documenti, [Documento D: nome · Pagina N]
+function promptPages(user) {
+  const parts = promptSource(user).split(/^\[(?:Documento (\d+): [^\]\n]*? · )?Pagina (\d+)\]\n?/m);
+  const pages = [];
+  if (parts[0].trim()) pages.push({ page: null, doc: null, text: parts[0] });
+  for (let i = 1; i < parts.length; i += 3) pages.push({ page: parseInt(parts[i + 1], 10), doc: parts[i] ? parseInt(parts[i], 10) : null, text: parts[i + 2] || '' });
+  return pages;
+}
+
+function promptSentences(user) {
+  const out = [];
+  for (const p of promptPages(user)) {
+    const plain = p.text.replace(/^#+ /gm, '').replace(/\s+/g, ' ');
+    for (const s of plain.split(/(?<=[.!?])\s+/)) {
+      if (s.trim().length > 10) out.push({ text: s.trim(), page: p.page, doc: p.doc });
+    }
+  }
+  return out.length ? out : [{ text: 'Contenuto del documento.', page: null, doc: null }];
+}
+
+const sourceDoc = (s) => (s.doc ? { sourceDoc: s.doc } : {});
+
+// Argomento: a turno quelli richiesti (quiz sugli argomenti deboli), altrimenti la pagina
+function mockTopic(topics, s, i) {
+  return topics.length ? topics[i % topics.length] : (s.page ? `Pagina ${s.page}` : 'Documento');
+}
+
+function mockQuestion(type, s, i, topic) {
+  const common = { type, explanation: 'Risposta deterministica del provider mock.', sourcePage: s.page, topic, ...sourceDoc(s) };
+  const text = s.text.slice(0, 80);
+  if (type === 'truefalse') return { ...common, question: `Vero o falso? ${text}`, answer: true };
+  if (type === 'numeric') return { ...common, question: `In quale pagina si legge «${text}»?`, answer: s.page || 1, tolerance: 0, unit: '' };
+  if (type === 'cloze') {
+    const word = (s.text.match(/\p{L}{5,}/gu) || ['testo']).sort((a, b) => b.length - a.length)[0];
+    return { ...common, question: s.text.includes(word) ? s.text.replace(word, '___') : `${s.text} ___`, blanks: [[word]] };
+  }
+  if (type === 'open') return { ...common, question: `Spiega: ${text}`, rubric: s.text, sampleAnswer: s.text };
+  const options = [text, `Distrattore A${i + 1}`, `Distrattore B${i + 1}`, `Distrattore C${i + 1}`];
+  return { ...common, question: `Domanda ${i + 1}: quale affermazione compare nel testo?`, options, correct: type === 'multiple' ? [0] : 0 };
+}
+
+export function mockGenerate(schemaName, user, hints = {}) {
+  const sents = promptSentences(user);
+  if (schemaName === 'summary_response') {
+    return { text: sents.slice(0, 3).map(s => s.text).join(' ') };
+  }
+  if (schemaName === 'summary_structured_response') {
+    // Una sezione per frase; termini = parola più lunga di ogni frase, mappa a stella solo se lo schema la chiede
+    const top = sents.slice(0, 3);
+    const terms = top.map(s => ({ term: (s.text.match(/\p{L}{4,}/gu) || ['concetto']).sort((a, b) => b.length - a.length)[0], definition: s.text }));
+    const map = hints.conceptMap
+      ? { conceptMap: { nodes: [{ id: 'n0', label: 'Documento' }, ...terms.map((k, i) => ({ id: `n${i + 1}`, label: k.term }))], edges: terms.map((_, i) => ({ from: 'n0', to: `n${i + 1}`, label: 'tratta' })) } }
+      : {};
+    return { markdown: top.map((s, i) => `## Sezione ${i + 1}\n\n${s.text}`).join('\n\n'), keyTerms: terms, formulas: [], ...map };
+  }
+  if (schemaName === 'flashcards_response') {
+    const n = hints.count || 5;
+    return {
+      cards: Array.from({ length: n }, (_, i) => {
+        const s = sents[i % sents.length];
+        return { front: `Concetto ${i + 1}: ${s.text.slice(0, 60)}`, back: s.text, difficulty: 'medium', tags: ['mock'], sourcePage: s.page, ...sourceDoc(s) };
+      })
+    };
+  }
+  if (schemaName === 'quiz_response') {
+    const n = hints.count || 5;
+    // Quiz con più tipi: i tipi richiesti a turno; solo scelta singola → domande senza 'type', come lo schema di sempre
+    const types = hints.types || [];
+    const topics = hints.topics || [];
+    const mixed = types.some(t => t !== 'single');
+    return {
+      questions: Array.from({ length: n }, (_, i) => {
+        const s = sents[i % sents.length];
+        if (mixed) return mockQuestion(types[i % types.length], s, i, mockTopic(topics, s, i));
+        return {
+          question: `Domanda ${i + 1}: quale affermazione compare nel testo?`,
+          options: [s.text.slice(0, 80), `Distrattore A${i + 1}`, `Distrattore B${i + 1}`, `Distrattore C${i + 1}`],
+          correct: 0,
+          explanation: 'Risposta deterministica del provider mock.',
+          sourcePage: s.page,
+          topic: mockTopic(topics, s, i),
+          ...sourceDoc(s)
+        };
+      })
+    };
+  }
+  if (schemaName === 'grade_response') {
+    // Quota dei termini della griglia presenti nella risposta dello studente
+    const rubric = [...new Set(textTerms(hints.rubric || ''))];
+    const got = new Set(textTerms(promptSource(user)));
+    const missing = rubric.filter(t => !got.has(t));
+    const score = rubric.length ? Math.round((1 - missing.length / rubric.length) * 100) / 100 : 0;
+    return { score, feedback: missing.length ? 'Risposta incompleta.' : 'Risposta completa.', missing };
+  }
+  if (schemaName === 'verify_response') {
+    // Righe "[i] ..." degli elementi: fiducia = quota dei loro termini presenti nel testo
+    const source = new Set(textTerms(promptSource(user)));
+    const lines = [...String(user || '').split('\nTESTO:')[0].matchAll(/^\[(\d+)\] (.*)$/gm)];
+    return {
+      items: lines.map(([, index, line]) => {
+        const terms = [...new Set(textTerms(line))];
+        const share = terms.length ? terms.filter(t => source.has(t)).length / terms.length : 0;
+        return { index: parseInt(index, 10), supported: share > 0, correct: true, confidence: Math.round(share * 100) / 100, issue: share > 0 ? '' : 'Non trovato nel testo.' };
+      })
+    };
+  }
+  if (schemaName === 'ask_response') {
+    // Passaggi numerati "[n] (documento, pagina)": risponde con la prima frase del primo
+    const parts = promptSource(user).split(/^\[(\d+)\][^\n]*\n/m);
+    if (parts.length < 3) return { answer: 'Gli appunti non contengono la risposta.', sources: [], found: false };
+    const first = parts[2].replace(/\s+/g, ' ').trim().split(/(?<=[.!?])\s+/)[0];
+    return { answer: `${first} [${parts[1]}]`, sources: [parseInt(parts[1], 10)], found: true };
+  }
+  return {};
+}
+
+export function createMockProvider(env) {
+  const dir = env.LLM_MOCK_FIXTURES ? path.resolve(env.LLM_MOCK_FIXTURES) : '';
+  const cursors = new Map();
+  const calls = [];
+  const mockEmbedder = createLocalEmbedder();
+  function load(name) {
+    if (!dir) return undefined;
+    const file = path.join(dir, `${name}.json`);
+    if (!fs.existsSync(file)) return undefined;
+    const fx = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (!Array.isArray(fx?.sequence)) return fx;
+    const i = cursors.get(name) || 0;
+    cursors.set(name, i + 1);
+    return fx.sequence[Math.min(i, fx.sequence.length - 1)];
+  }
+  function resolve(fx, fallback) {
+    if (fx?.error) throw httpError(fx.error.status || 500, fx.error.message || 'Errore simulato dal mock', fx.error.headers || null);
+    if (fx && 'raw' in fx) return String(fx.raw);
+    return JSON.stringify(fx && 'json' in fx ? fx.json : fallback());
+  }
+  return {
+    name: 'mock',
+    model: env.LLM_MOCK_MODEL || 'mock-1',
+    calls,
+    async chat({ system, user, responseFormat, maxTokens, schemaName: name, hints }) {
+      const schemaName = name || responseFormat?.json_schema?.name || 'response';
+      const key = mockFixtureKey(system, user);
+      calls.push({ schemaName, key });
+      const fx = load(`${schemaName}-${key}`) ?? load(schemaName);
+      const text = resolve(fx, () => mockGenerate(schemaName, user, hints));
+      return {
+        text,
+        parsed: null,
+        finishReason: fx?.finishReason || 'stop',
+        usage: { promptTokens: Math.ceil((system.length + user.length) / 4), completionTokens: Math.min(maxTokens || Infinity, Math.ceil(text.length / 4)) }
+      };
+    },
+    async ocrPdf() {
+      const fx = load('ocr');
+      return fx ? resolve(fx) : '=== Pagina 1 ===\nTesto OCR simulato dal provider mock.';
+    },
+    async ocrImage() {
+      const fx = load('ocr-image') ?? load('ocr');
+      return fx ? resolve(fx) : 'Testo OCR simulato dal provider mock.';
+    },
+    // Embedding deterministici: gli stessi dell'embedder locale
+    async embed(texts) {
+      const vectors = await mockEmbedder.embed(texts);
+      return { vectors: vectors.map(v => Array.from(v)), usage: { promptTokens: Math.ceil(texts.join(' ').length / 4), completionTokens: 0 } };
+    },
+    async ping() {
+      return { finishReason: 'stop', created: 0 };
+    }
+  };
+}
+
+const FACTORIES = {
+  openai: createOpenAIChatProvider,
+  'openai-responses': createOpenAIResponsesProvider,
+  ollama: createLocalProvider,
+  llamacpp: createLocalProvider,
+  mock: createMockProvider
+};
+
+// Restituisce il provider configurato, oppure null (→ generatori demo) se nessuno è disponibile
+export function createLLMProvider(env = process.env) {
+  const hasKey = !!(env.OPENAI_API_KEY || '').trim();
+  const name = (env.LLM_PROVIDER || (hasKey ? 'openai' : '')).trim().toLowerCase();
+  if (!name || name === 'none') return null;
+  const factory = FACTORIES[name];
+  if (!factory) throw new Error(`LLM_PROVIDER sconosciuto: ${name} (valori: ${Object.keys(FACTORIES).join(', ')})`);
+  if (name.startsWith('openai') && !hasKey) return null;
+  return factory(env);
+}
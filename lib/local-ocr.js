@@ -0,0 +1,114 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import zlib from 'node:zlib';
+import { createRequire } from 'node:module';
+
+/* =============================================================
+   OCR LOCALE (Tesseract)
+   Le pagine PDF vengono rasterizzate con pdf.js (@napi-rs/canvas) e lette da
+   tesseract.js nel processo: il documento non esce dal server.
+   Ogni pagina restituisce { page, text, confidence } (confidenza media 0-100).
+   I modelli di lingua arrivano dai pacchetti @tesseract.js-data/<lingua>
+   (copiati una volta in `langPath`) oppure da una cartella tessdata fornita.
+   ============================================================= */
+const require = createRequire(import.meta.url);
+
+function ocrError(msg) {
+  const err = new Error(msg);
+  err.code = 'OCR_FAILED';
+  return err;
+}
+
+// Cartella con <lingua>.traineddata: quelle mancanti vengono scompattate dai pacchetti npm
+async function ensureLangData(langs, langPath) {
+  await fs.mkdir(langPath, { recursive: true });
+  for (const lang of langs) {
+    const file = path.join(langPath, `${lang}.traineddata`);
+    try { await fs.access(file); continue; } catch {}
+    let gz;
+    try { gz = path.join(path.dirname(require.resolve(`@tesseract.js-data/${lang}/package.json`)), '4.0.0_best_int', `${lang}.traineddata.gz`); }
+    catch { throw ocrError(`Modello OCR per la lingua "${lang}" non trovato: installa @tesseract.js-data/${lang} o copia ${lang}.traineddata in ${langPath}`); }
+    const tmp = `${file}.${process.pid}.tmp`;
+    await fs.writeFile(tmp, zlib.gunzipSync(await fs.readFile(gz)));
+    await fs.rename(tmp, file);
+  }
+}
+
+let _pdfjs = null;
+const loadPdfjs = () => (_pdfjs ||= import('pdfjs-dist/legacy/build/pdf.mjs'));
+const pdfjsDir = () => path.dirname(require.resolve('pdfjs-dist/package.json'));
+
+// Rasterizza le pagine richieste (numeri 1-based) in PNG a `dpi`; una alla volta per contenere la memoria
+async function* renderPdfPages(buffer, pageNumbers, dpi) {
+  const [{ getDocument }, { createCanvas }] = await Promise.all([loadPdfjs(), import('@napi-rs/canvas')]);
+  const dir = pdfjsDir();
+  const doc = await getDocument({
+    data: new Uint8Array(buffer),
+    standardFontDataUrl: path.join(dir, 'standard_fonts') + path.sep,
+    wasmUrl: path.join(dir, 'wasm') + path.sep,
+    verbosity: 0
+  }).promise;
+  try {
+    for (const n of pageNumbers) {
+      if (n < 1 || n > doc.numPages) continue;
+      const page = await doc.getPage(n);
+      const viewport = page.getViewport({ scale: dpi / 72 });
+      const canvas = createCanvas(Math.ceil(viewport.width), Math.ceil(viewport.height));
+      const ctx = canvas.getContext('2d');
+      // Sfondo bianco: le scansioni con trasparenza diventerebbero nere
+      ctx.fillStyle = '#fff';
+      ctx.fillRect(0, 0, canvas.width, canvas.height);
+      await page.render({ canvasContext: ctx, canvas, viewport }).promise;
+      page.cleanup();
+      yield { page: n, image: canvas.toBuffer('image/png') };
+    }
+  } finally {
+    await doc.destroy();
+  }
+}
+
+export function createLocalOcr({ langs = ['ita', 'eng'], langPath, dpi = 300, log = () => {} } = {}) {
+  if (!langPath) throw new Error('createLocalOcr: langPath obbligatorio');
+  // Un worker per documento: la memoria WASM viene liberata a fine lavoro e il processo può terminare
+  async function withWorker(fn) {
+    await ensureLangData(langs, langPath);
+    const { createWorker } = await import('tesseract.js');
+    const worker = await createWorker(langs.join('+'), 1, { langPath, gzip: false, cacheMethod: 'none' });
+    try { return await fn(worker); }
+    finally { await worker.terminate().catch(() => {}); }
+  }
+
+  async function recognize(worker, image) {
+    const { data } = await worker.recognize(image);
+    return { text: data.text || '', confidence: Math.round(data.confidence ?? 0) };
+  }
+
+  return {
+    name: 'tesseract',
+    // onPage(i, total) viene chiamata prima di ogni pagina (avanzamento e annullamento del job)
+    async ocrPdfPages(buffer, pageNumbers, { onPage = () => {} } = {}) {
+      return withWorker(async (worker) => {
+        const out = [];
+        let i = 0;
+        for await (const { page, image } of renderPdfPages(buffer, pageNumbers, dpi)) {
+          onPage(++i, pageNumbers.length);
+          const r = await recognize(worker, image);
+          log(`pagina ${page}: ${r.text.length} caratteri, confidenza ${r.confidence}`);
+          out.push({ page, ...r });
+        }
+        return out;
+      });
+    },
+    async ocrImage(buffer) {
+      return withWorker(worker => recognize(worker, buffer));
+    }
+  };
+}
+
+// Numero di pagine del PDF senza estrarre il testo (serve quando pdf-parse fallisce)
+export async function countPdfPages(buffer) {
+  const { getDocument } = await loadPdfjs();
+  const doc = await getDocument({ data: new Uint8Array(buffer), verbosity: 0 }).promise;
+  try { return doc.numPages; }
+  finally { await doc.destroy(); }
+}
@@ -0,0 +1,59 @@
+import { AsyncLocalStorage } from 'node:async_hooks';
+
+/* =============================================================
+   LOG STRUTTURATI
+   Una riga JSON per evento: { time, level, msg, rid, step, ...campi }.
+   Il contesto della richiesta (rid, step del chunk, ...) viaggia con
+   AsyncLocalStorage: resta corretto anche con più richieste in parallelo.
+   LOG_FORMAT=text stampa righe leggibili "[rid:step] msg k=v" per lo sviluppo.
+   ============================================================= */
+export const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const als = new AsyncLocalStorage();
+
+// Esegue fn con il contesto corrente esteso da `fields` (es. { step: 'S1/3' })
+export function withContext(fields, fn) {
+  return als.run({ ...als.getStore(), ...fields }, fn);
+}
+
+export const logContext = () => als.getStore() || null;
+
+// Gli errori diventano campi serializzabili (messaggio, codice, status HTTP)
+function normField(v) {
+  if (!(v instanceof Error)) return v;
+  const out = { message: v.message };
+  if (v.code) out.code = v.code;
+  if (v.status) out.status = v.status;
+  return out;
+}
+
+function textLine(e) {
+  const { time, level, msg, rid, step, ...rest } = e;
+  const tag = rid ? `[${rid}${step ? `:${step}` : ''}] ` : '';
+  const kv = Object.entries(rest).map(([k, v]) => `${k}=${typeof v === 'object' ? JSON.stringify(v) : v}`).join(' ');
+  return `${tag}${level === 'info' ? '' : `${level.toUpperCase()} `}${msg}${kv ? ` ${kv}` : ''}`;
+}
+
+export function createLogger({ level = 'info', format = 'json', fields = {}, out = process.stdout, err = process.stderr } = {}) {
+  if (!LEVELS[level]) throw new Error(`LOG_LEVEL sconosciuto: ${level} (valori: ${Object.keys(LEVELS).join(', ')})`);
+  if (format !== 'json' && format !== 'text') throw new Error(`LOG_FORMAT sconosciuto: ${format} (valori: json, text)`);
+  const min = LEVELS[level];
+
+  function write(lvl, msg, extra) {
+    if (LEVELS[lvl] < min) return;
+    const e = { time: new Date().toISOString(), level: lvl, msg, ...logContext(), ...fields };
+    for (const [k, v] of Object.entries(extra || {})) if (v !== undefined) e[k] = normField(v);
+    (LEVELS[lvl] >= LEVELS.warn ? err : out).write(`${format === 'json' ? JSON.stringify(e) : textLine(e)}\n`);
+  }
+
+  return {
+    level,
+    enabled: (lvl) => LEVELS[lvl] >= min,
+    debug: (msg, extra) => write('debug', msg, extra),
+    info: (msg, extra) => write('info', msg, extra),
+    warn: (msg, extra) => write('warn', msg, extra),
+    error: (msg, extra) => write('error', msg, extra),
+    // Logger con campi fissi (es. { component: 'ocr' })
+    child: (more) => createLogger({ level, format, fields: { ...fields, ...more }, out, err })
+  };
+}
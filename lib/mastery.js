@@ -0,0 +1,110 @@
+import { collectReviewItems } from './srs.js';
+
+/* =============================================================
+   PADRONANZA PER ARGOMENTO (Elo) E SESSIONI ADATTIVE
+   Lo studente ha un punteggio Elo per argomento, ogni domanda il suo:
+   - probabilità attesa di risposta giusta = 1 / (1 + 10^((domanda - studente) / 400))
+   - dopo la risposta (punteggio 0..1, credito parziale compreso) i due punteggi
+     si spostano in versi opposti di K · (punteggio - atteso); K cala con i tentativi
+   - padronanza dell'argomento = probabilità attesa su una domanda di difficoltà media
+   Stato per materia: { topics: { [argomento]: { rating, attempts, score, last } },
+                        questions: { [chiave]: { rating, attempts } } }
+   La chiave della domanda è la stessa del ripasso (quiz|<id quiz>|<domanda>).
+   ============================================================= */
+export const BASE_RATING = 1500;
+// Punteggio iniziale delle domande secondo la difficoltà del quiz
+export const DIFFICULTY_RATING = { easy: 1350, medium: 1500, hard: 1650 };
+// Sotto questa padronanza (%) l'argomento è debole: meno di una risposta giusta su due a una domanda media
+export const WEAK_MASTERY = 50;
+// Probabilità di risposta giusta cercata all'inizio di una sessione
+export const TARGET_SUCCESS = 0.7;
+const K_START = 64;
+const K_MIN = 16;
+// Quanto conta la debolezza dell'argomento rispetto alla difficoltà giusta nella scelta
+const TOPIC_WEIGHT = 1;
+
+export const expectedScore = (student, item) => 1 / (1 + Math.pow(10, (item - student) / 400));
+const kFactor = (attempts) => Math.max(K_MIN, K_START / Math.sqrt(1 + attempts));
+const round = (x, d = 0) => Math.round(x * 10 ** d) / 10 ** d;
+
+// Argomento della domanda: quelle generate prima degli argomenti ricadono sul titolo del quiz
+export function questionTopic(q, itemTitle = '') {
+  return String(q?.topic || itemTitle || 'Generale').trim().slice(0, 80);
+}
+
+// Domande della materia con argomento e punteggio corrente (quizIds: solo quei quiz)
+export function collectAdaptiveItems(sections, mastery, quizIds = null) {
+  const difficulty = new Map((sections.quiz || []).map(it => [it.id, it?.data?.difficulty]));
+  return collectReviewItems({ quiz: sections.quiz || [] })
+    .filter(it => !quizIds || quizIds.includes(it.itemId))
+    .map(it => ({
+      ...it,
+      topic: questionTopic(it.question, it.itemTitle),
+      rating: mastery.questions[it.key]?.rating ?? DIFFICULTY_RATING[difficulty.get(it.itemId)] ?? BASE_RATING
+    }));
+}
+
+export function topicMastery(state) {
+  return round(100 * expectedScore(state?.rating ?? BASE_RATING, BASE_RATING));
+}
+
+/*
+ * Difficoltà cercata nella sessione: parte da TARGET_SUCCESS e si adatta alle
+ * ultime risposte (session: [{ key, score }] in ordine); tre giuste di fila
+ * portano a domande più difficili, gli errori a domande più facili.
+ */
+export function sessionTarget(session = []) {
+  const recent = session.slice(-3).map(s => Number(s.score) || 0);
+  if (!recent.length) return TARGET_SUCCESS;
+  const avg = recent.reduce((a, b) => a + b, 0) / recent.length;
+  return round(Math.max(0.5, Math.min(0.85, TARGET_SUCCESS + (0.6 - avg) * 0.25)), 2);
+}
+
+/*
+ * Prossima domanda: tra quelle non ancora fatte nella sessione, la più vicina alla
+ * probabilità cercata, preferendo gli argomenti meno padroneggiati e, a parità,
+ * un argomento diverso dall'ultimo. null se non ne restano.
+ */
+export function pickNextQuestion(items, mastery, session = []) {
+  const asked = new Set(session.map(s => s.key));
+  const last = items.find(it => it.key === session[session.length - 1]?.key)?.topic;
+  const target = sessionTarget(session);
+  let best = null;
+  for (const it of items) {
+    if (asked.has(it.key)) continue;
+    const student = mastery.topics[it.topic]?.rating ?? BASE_RATING;
+    const expected = expectedScore(student, it.rating);
+    const cost = Math.abs(expected - target) + TOPIC_WEIGHT * topicMastery(mastery.topics[it.topic]) / 100 + (it.topic === last ? 0.05 : 0);
+    if (!best || cost < best.cost) best = { it, expected, cost };
+  }
+  if (!best) return { item: null, target, remaining: 0 };
+  return { item: { ...best.it, expected: round(best.expected, 2) }, target, remaining: items.filter(it => !asked.has(it.key)).length };
+}
+
+// Aggiorna lo stato (in place) dopo una risposta; score 0..1
+export function recordAttempt(mastery, { key, topic, rating }, score, now = Date.now()) {
+  const t = mastery.topics[topic] || { rating: BASE_RATING, attempts: 0, score: 0, last: 0 };
+  const q = mastery.questions[key] || { rating, attempts: 0 };
+  const expected = expectedScore(t.rating, q.rating);
+  const delta = score - expected;
+  const before = t.rating;
+  mastery.topics[topic] = { rating: round(t.rating + kFactor(t.attempts) * delta, 1), attempts: t.attempts + 1, score: round(t.score + score, 2), last: now };
+  mastery.questions[key] = { rating: round(q.rating - kFactor(q.attempts) / 2 * delta, 1), attempts: q.attempts + 1 };
+  return { topic, expected: round(expected, 2), change: round(mastery.topics[topic].rating - before, 1), ...masteryOf(topic, mastery.topics[topic]) };
+}
+
+function masteryOf(topic, st) {
+  const mastery = topicMastery(st);
+  return { topic, rating: st.rating, mastery, attempts: st.attempts, accuracy: st.attempts ? round(100 * st.score / st.attempts) : null, weak: mastery < WEAK_MASTERY, last: st.last };
+}
+
+// Argomenti dal più debole; items (collectAdaptiveItems) aggiunge quelli mai affrontati e il numero di domande
+export function masterySummary(mastery, items = []) {
+  const count = {};
+  for (const it of items) count[it.topic] = (count[it.topic] || 0) + 1;
+  const names = new Set([...Object.keys(mastery.topics), ...Object.keys(count)]);
+  return [...names]
+    .map(name => ({ ...masteryOf(name, mastery.topics[name] || { rating: BASE_RATING, attempts: 0, score: 0, last: 0 }), questions: count[name] || 0 }))
+    .map(t => (t.attempts ? t : { ...t, weak: false }))
+    .sort((a, b) => (b.attempts > 0) - (a.attempts > 0) || a.mastery - b.mastery || a.topic.localeCompare(b.topic));
+}
@@ -0,0 +1,95 @@
+/* =============================================================
+   METRICHE PROMETHEUS
+   Registro minimale di counter, gauge e histogram con etichette,
+   esposto nel formato testuale 0.0.4 (GET /metrics).
+   I gauge possono avere una funzione `collect` letta a ogni scrape
+   (es. profondità della coda dello scheduler).
+   ============================================================= */
+export const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120];
+
+const escLabel = (v) => String(v).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+function labelKey(names, labels) {
+  return JSON.stringify(names.map(n => labels[n] ?? ''));
+}
+
+function labelText(names, values, extra = '') {
+  const parts = names.map((n, i) => `${n}="${escLabel(values[i])}"`);
+  if (extra) parts.push(extra);
+  return parts.length ? `{${parts.join(',')}}` : '';
+}
+
+const fmt = (n) => (Number.isFinite(n) ? String(n) : (n > 0 ? '+Inf' : '-Inf'));
+
+export function createMetrics({ prefix = '' } = {}) {
+  const metrics = [];
+
+  function register(type, name, help, labelNames, extra = {}) {
+    const m = { type, name: prefix + name, help, labelNames, series: new Map(), ...extra };
+    metrics.push(m);
+    return m;
+  }
+
+  function seriesOf(m, labels, init) {
+    const key = labelKey(m.labelNames, labels);
+    if (!m.series.has(key)) m.series.set(key, { values: m.labelNames.map(n => labels[n] ?? ''), ...init() });
+    return m.series.get(key);
+  }
+
+  return {
+    counter(name, help, labelNames = []) {
+      const m = register('counter', name, help, labelNames);
+      return { inc: (labels = {}, n = 1) => { seriesOf(m, labels, () => ({ value: 0 })).value += n; } };
+    },
+    gauge(name, help, labelNames = [], collect = null) {
+      const m = register('gauge', name, help, labelNames, { collect });
+      return {
+        set: (labels = {}, v) => { seriesOf(m, labels, () => ({ value: 0 })).value = v; },
+        inc: (labels = {}, n = 1) => { seriesOf(m, labels, () => ({ value: 0 })).value += n; },
+        dec: (labels = {}, n = 1) => { seriesOf(m, labels, () => ({ value: 0 })).value -= n; }
+      };
+    },
+    histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+      const m = register('histogram', name, help, labelNames, { buckets });
+      const observe = (labels = {}, v) => {
+        const s = seriesOf(m, labels, () => ({ counts: buckets.map(() => 0), sum: 0, count: 0 }));
+        buckets.forEach((b, i) => { if (v <= b) s.counts[i]++; });
+        s.sum += v;
+        s.count++;
+      };
+      // startTimer(labels) → end(altreEtichette) osserva e restituisce i secondi trascorsi
+      const startTimer = (labels = {}) => {
+        const t0 = process.hrtime.bigint();
+        return (more = {}) => {
+          const secs = Number(process.hrtime.bigint() - t0) / 1e9;
+          observe({ ...labels, ...more }, secs);
+          return secs;
+        };
+      };
+      return { observe, startTimer };
+    },
+    // Valore corrente di una serie (per i test e /api/info)
+    value(name, labels = {}) {
+      const m = metrics.find(x => x.name === prefix + name);
+      const s = m?.series.get(labelKey(m.labelNames, labels));
+      return s ? (m.type === 'histogram' ? s.count : s.value) : 0;
+    },
+    async render() {
+      const lines = [];
+      for (const m of metrics) {
+        if (m.collect) {
+          for (const [labels, v] of await m.collect()) seriesOf(m, labels, () => ({ value: 0 })).value = v;
+        }
+        lines.push(`# HELP ${m.name} ${m.help}`, `# TYPE ${m.name} ${m.type}`);
+        for (const s of m.series.values()) {
+          if (m.type !== 'histogram') { lines.push(`${m.name}${labelText(m.labelNames, s.values)} ${fmt(s.value)}`); continue; }
+          m.buckets.forEach((b, i) => lines.push(`${m.name}_bucket${labelText(m.labelNames, s.values, `le="${b}"`)} ${s.counts[i]}`));
+          lines.push(`${m.name}_bucket${labelText(m.labelNames, s.values, 'le="+Inf"')} ${s.count}`);
+          lines.push(`${m.name}_sum${labelText(m.labelNames, s.values)} ${s.sum}`);
+          lines.push(`${m.name}_count${labelText(m.labelNames, s.values)} ${s.count}`);
+        }
+      }
+      return lines.join('\n') + '\n';
+    }
+  };
+}
@@ -0,0 +1,143 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { cosine, encodeVector, decodeVector } from './embeddings.js';
+
+/* =============================================================
+   INDICE DEI DOCUMENTI DI UNA MATERIA ("chiedi ai tuoi appunti")
+   Un file JSON per materia:
+     { embedder, docs: [{ id, name, format, pages: [n], chunks, addedAt, updatedAt }],
+       chunks: [{ doc, page, text, vec }] }   vec = Float32 in base64
+   Un documento è identificato dall'hash del file: ricaricarlo aggiunge solo
+   le pagine non ancora indicizzate. La ricerca è esaustiva (coseno su tutti
+   i passaggi), adeguata alle dimensioni degli appunti di una materia.
+   ============================================================= */
+function emptyIndex() {
+  return { embedder: null, docs: [], chunks: [] };
+}
+
+export function createNotesIndex(dir) {
+  const cache = new Map();
+  const locks = new Map();
+
+  const fileFor = (subject) => path.join(dir, `${encodeURIComponent(subject)}.json`);
+
+  async function read(subject) {
+    if (cache.has(subject)) return cache.get(subject);
+    let data;
+    try {
+      const raw = JSON.parse(await fs.readFile(fileFor(subject), 'utf8'));
+      data = { ...emptyIndex(), ...raw, chunks: (raw.chunks || []).map(c => ({ ...c, vec: decodeVector(c.vec) })) };
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+      data = emptyIndex();
+    }
+    cache.set(subject, data);
+    return data;
+  }
+
+  async function write(subject, data) {
+    await fs.mkdir(dir, { recursive: true });
+    const file = fileFor(subject);
+    const tmp = `${file}.${process.pid}.${Date.now()}.tmp`;
+    await fs.writeFile(tmp, JSON.stringify({ ...data, chunks: data.chunks.map(c => ({ ...c, vec: encodeVector(c.vec) })) }));
+    await fs.rename(tmp, file);
+  }
+
+  function locked(subject, fn) {
+    const prev = locks.get(subject) || Promise.resolve();
+    const next = prev.catch(() => {}).then(fn);
+    locks.set(subject, next);
+    return next;
+  }
+
+  function update(subject, fn) {
+    return locked(subject, async () => {
+      const data = await read(subject);
+      const out = await fn(data);
+      await write(subject, data);
+      return out;
+    });
+  }
+
+  // Rinomina ed eliminazione di una materia (gestione materie): il file si sposta o sparisce
+  function renameSubject(from, to) {
+    return locked(from, () => locked(to, async () => {
+      if (await fs.access(fileFor(to)).then(() => true, () => false)) {
+        const err = new Error(`Esistono già dati per la materia ${to}`);
+        err.code = 'SUBJECT_EXISTS';
+        err.status = 409;
+        throw err;
+      }
+      try { await fs.rename(fileFor(from), fileFor(to)); }
+      catch (err) { if (err.code !== 'ENOENT') throw err; }
+      cache.delete(from);
+      cache.delete(to);
+    }));
+  }
+
+  function removeSubject(subject) {
+    return locked(subject, async () => {
+      try { await fs.unlink(fileFor(subject)); }
+      catch (err) { if (err.code !== 'ENOENT') throw err; }
+      cache.delete(subject);
+    });
+  }
+
+  // Vettori calcolati con un altro embedder (EMBEDDINGS_PROVIDER/MODEL cambiati): si ricalcolano tutti
+  async function ensureEmbedder(data, embedder) {
+    if (data.embedder === embedder.id) return false;
+    if (data.chunks.length) {
+      const vecs = await embedder.embed(data.chunks.map(c => c.text));
+      data.chunks.forEach((c, i) => { c.vec = vecs[i]; });
+    }
+    data.embedder = embedder.id;
+    return true;
+  }
+
+  return {
+    renameSubject,
+    removeSubject,
+    async listDocs(subject) { return (await read(subject)).docs; },
+    // doc: { id (hash del file), name, format }; passages: [{ page, text }] già suddivisi
+    addDocument(subject, doc, passages, embedder) {
+      return update(subject, async (data) => {
+        await ensureEmbedder(data, embedder);
+        const now = new Date().toISOString();
+        let entry = data.docs.find(d => d.id === doc.id);
+        const known = new Set(entry ? entry.pages : []);
+        const fresh = passages.filter(p => !known.has(p.page));
+        if (fresh.length) {
+          const vecs = await embedder.embed(fresh.map(p => p.text));
+          fresh.forEach((p, i) => data.chunks.push({ doc: doc.id, page: p.page, text: p.text, vec: vecs[i] }));
+        }
+        if (!entry) { entry = { id: doc.id, name: doc.name, format: doc.format, pages: [], chunks: 0, addedAt: now }; data.docs.push(entry); }
+        entry.pages = [...new Set([...entry.pages, ...fresh.map(p => p.page)])].sort((a, b) => a - b);
+        entry.chunks += fresh.length;
+        entry.updatedAt = now;
+        return { doc: entry, added: fresh.length };
+      });
+    },
+    removeDocument(subject, id) {
+      return update(subject, (data) => {
+        const before = data.docs.length;
+        data.docs = data.docs.filter(d => d.id !== id);
+        data.chunks = data.chunks.filter(c => c.doc !== id);
+        return data.docs.length !== before;
+      });
+    },
+    // Passaggi più simili alla domanda: [{ score, doc: { id, name }, page, text }]
+    async search(subject, query, embedder, { k = 6, minScore = 0 } = {}) {
+      let data = await read(subject);
+      if (!data.chunks.length) return [];
+      if (data.embedder !== embedder.id) await update(subject, (d) => ensureEmbedder(d, embedder));
+      data = await read(subject);
+      const [q] = await embedder.embed([query]);
+      const names = new Map(data.docs.map(d => [d.id, d.name]));
+      return data.chunks
+        .map(c => ({ score: cosine(q, c.vec), doc: { id: c.doc, name: names.get(c.doc) || '-' }, page: c.page, text: c.text }))
+        .filter(r => r.score > minScore)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, k);
+    }
+  };
+}
@@ -0,0 +1,161 @@
+import { textTerms } from './embeddings.js';
+
+/* =============================================================
+   TIPI DI DOMANDA DEI QUIZ
+   Campi comuni: type, question, explanation, sourcePage, topic (facoltativo); poi quelli del tipo:
+   - single: options (esattamente 4), correct = indice dell'opzione giusta
+   - multiple: options (2-8), correct = indici delle opzioni giuste (almeno uno)
+   - truefalse: answer true|false
+   - numeric: answer (numero), tolerance (scarto assoluto ammesso), unit
+   - cloze: spazi vuoti "___" nel testo; blanks = per ogni spazio le risposte accettate
+   - open: rubric (criteri di correzione) e sampleAnswer; la correzione la fa
+     il modello (POST /api/quiz/grade)
+   Le domande salvate prima dei tipi (senza type, con options) sono 'single'.
+   Il frontend non corregge da sé: ogni risposta passa da gradeAnswer via POST /api/quiz/grade.
+   ============================================================= */
+export const QUESTION_TYPES = ['single', 'multiple', 'truefalse', 'numeric', 'cloze', 'open'];
+export const BLANK_RE = /_{3,}/g;
+// Punteggio minimo perché una risposta aperta conti come corretta
+export const OPEN_PASS_SCORE = 0.6;
+export const SINGLE_OPTIONS = 4;
+const MAX_OPTIONS = 8;
+
+function invalid(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+const str = (v) => (v == null ? '' : String(v)).trim();
+
+export function questionType(q) {
+  if (!q || typeof q !== 'object') return null;
+  if (q.type !== undefined) return QUESTION_TYPES.includes(q.type) ? q.type : null;
+  return Array.isArray(q.options) ? 'single' : null;
+}
+
+// 3.5, '3,5', ' -2e3 ' → numero; NaN se il testo non è un numero
+export function parseNumber(v) {
+  if (typeof v === 'number') return v;
+  const s = str(v).replace(/\s+/g, '').replace(',', '.');
+  return /^[+-]?(\d+\.?\d*|\.\d+)(e[+-]?\d+)?$/i.test(s) ? Number(s) : NaN;
+}
+
+function parseBool(v) {
+  if (typeof v === 'boolean') return v;
+  const s = str(v).toLowerCase();
+  if (['true', 'vero', 't', 'v'].includes(s)) return true;
+  if (['false', 'falso', 'f'].includes(s)) return false;
+  return null;
+}
+
+// Confronto delle risposte scritte: minuscole, senza accenti, spazi e punteggiatura finale
+const fold = (s) => str(s).toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/\s+/g, ' ').replace(/[.;:!?]+$/, '');
+
+function normOptions(raw, type) {
+  if (!Array.isArray(raw)) throw invalid('Opzioni mancanti');
+  const opts = raw.map(str);
+  if (type === 'single' && opts.length !== SINGLE_OPTIONS) throw invalid(`Servono ${SINGLE_OPTIONS} opzioni (trovate ${opts.length})`);
+  if (type === 'multiple' && (opts.length < 2 || opts.length > MAX_OPTIONS)) throw invalid(`Servono da 2 a ${MAX_OPTIONS} opzioni (trovate ${opts.length})`);
+  if (opts.some(o => !o)) throw invalid('Opzione vuota');
+  if (new Set(opts.map(o => o.toLowerCase())).size !== opts.length) throw invalid('Opzioni duplicate');
+  return opts;
+}
+
+/*
+ * Domanda validata nel modello interno; errore 400 con il motivo se non è utilizzabile.
+ * Tollerante dove l'intento è chiaro (correct fuori intervallo, numeri come stringhe,
+ * una sola risposta accettata come stringa invece che elenco).
+ */
+export function normalizeQuestion(raw) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) throw invalid('Domanda non valida');
+  const type = questionType(raw);
+  if (!type) throw invalid(`Tipo di domanda non valido: ${str(raw.type) || '-'} (ammessi: ${QUESTION_TYPES.join(', ')})`);
+  const question = str(raw.question);
+  if (!question) throw invalid('Testo della domanda mancante');
+  const q = { type, question };
+  if (type === 'single') {
+    q.options = normOptions(raw.options, type);
+    q.correct = Math.max(0, Math.min(parseInt(raw.correct, 10) || 0, q.options.length - 1));
+  } else if (type === 'multiple') {
+    q.options = normOptions(raw.options, type);
+    const picked = (Array.isArray(raw.correct) ? raw.correct : [raw.correct]).map(n => parseInt(n, 10));
+    q.correct = [...new Set(picked)].filter(n => n >= 0 && n < q.options.length).sort((a, b) => a - b);
+    if (!q.correct.length) throw invalid('Nessuna risposta corretta indicata');
+  } else if (type === 'truefalse') {
+    q.answer = parseBool(raw.answer ?? raw.correct);
+    if (q.answer === null) throw invalid('Risposta vero/falso mancante');
+  } else if (type === 'numeric') {
+    q.answer = parseNumber(raw.answer);
+    if (!Number.isFinite(q.answer)) throw invalid('Risposta numerica non valida');
+    q.tolerance = raw.tolerance == null || raw.tolerance === '' ? 0 : parseNumber(raw.tolerance);
+    if (!Number.isFinite(q.tolerance) || q.tolerance < 0) throw invalid('Tolleranza non valida (numero ≥ 0)');
+    q.unit = str(raw.unit).slice(0, 30);
+  } else if (type === 'cloze') {
+    const holes = (question.match(BLANK_RE) || []).length;
+    if (!holes) throw invalid('Il testo non contiene spazi vuoti (___)');
+    const blanks = Array.isArray(raw.blanks) ? raw.blanks : [];
+    q.blanks = blanks.map(b => (Array.isArray(b) ? b : [b]).map(str).filter(Boolean));
+    if (q.blanks.length !== holes || q.blanks.some(b => !b.length)) throw invalid(`Servono le risposte per ognuno dei ${holes} spazi vuoti`);
+  } else {
+    q.rubric = str(raw.rubric);
+    if (!q.rubric) throw invalid('Griglia di correzione mancante');
+    q.sampleAnswer = str(raw.sampleAnswer);
+  }
+  q.explanation = str(raw.explanation);
+  const page = parseInt(raw.sourcePage, 10);
+  q.sourcePage = page > 0 ? page : null;
+  // Argomento (sessioni adattive, vedi lib/mastery.js): solo se indicato
+  const topic = str(raw.topic).slice(0, 80);
+  if (topic) q.topic = topic;
+  return q;
+}
+
+// Tipi richiesti per la generazione: 'single,truefalse', ['numeric'], 'all'; assente → fallback
+export function parseQuestionTypes(v, fallback = ['single']) {
+  const list = (Array.isArray(v) ? v : str(v).split(',')).map(s => str(s).toLowerCase()).filter(Boolean);
+  if (!list.length) return fallback;
+  if (list.includes('all')) return [...QUESTION_TYPES];
+  const bad = list.find(t => !QUESTION_TYPES.includes(t));
+  if (bad) throw invalid(`Tipo di domanda non valido: ${bad} (ammessi: ${QUESTION_TYPES.join(', ')}, all)`);
+  return QUESTION_TYPES.filter(t => list.includes(t));
+}
+
+/*
+ * Correzione delle risposte a correzione automatica → { score (0..1), correct }.
+ * answer: indice (single), elenco di indici (multiple), booleano (truefalse),
+ * numero o testo (numeric), elenco di testi uno per spazio (cloze).
+ * null per le domande aperte: servono il modello o gradeOpenFallback.
+ */
+export function gradeAnswer(q, answer) {
+  const type = questionType(q);
+  let score = 0;
+  if (type === 'single') score = parseInt(answer, 10) === q.correct ? 1 : 0;
+  else if (type === 'multiple') {
+    const picked = new Set((Array.isArray(answer) ? answer : []).map(n => parseInt(n, 10)));
+    const hits = q.correct.filter(n => picked.has(n)).length;
+    // Le scelte sbagliate tolgono quanto quelle giuste aggiungono
+    score = Math.max(0, (hits - (picked.size - hits)) / q.correct.length);
+  } else if (type === 'truefalse') score = parseBool(answer) === q.answer ? 1 : 0;
+  else if (type === 'numeric') {
+    const x = parseNumber(answer);
+    score = Number.isFinite(x) && Math.abs(x - q.answer) <= q.tolerance + 1e-9 * Math.max(1, Math.abs(q.answer)) ? 1 : 0;
+  } else if (type === 'cloze') {
+    const given = Array.isArray(answer) ? answer : [];
+    const ok = q.blanks.filter((accepted, i) => accepted.some(a => fold(a) === fold(given[i]))).length;
+    score = ok / q.blanks.length;
+  } else return null;
+  return { score, correct: score === 1 };
+}
+
+/*
+ * Correzione approssimata di una risposta aperta senza modello (demo senza chiave):
+ * quota dei termini di griglia e risposta modello ritrovati nella risposta.
+ */
+export function gradeOpenFallback(q, answer) {
+  const ref = new Set(textTerms(`${q.rubric} ${q.sampleAnswer || ''}`));
+  const got = new Set(textTerms(answer));
+  const hits = [...ref].filter(t => got.has(t)).length;
+  const score = ref.size ? Math.min(1, hits / Math.ceil(ref.size * 0.6)) : 0;
+  return { score: Math.round(score * 100) / 100, correct: score >= OPEN_PASS_SCORE };
+}
@@ -0,0 +1,606 @@
+import { XMLParser } from 'fast-xml-parser';
+import { zipSync, unzipSync, strToU8, strFromU8 } from 'fflate';
+import { htmlToText } from './flashcard-io.js';
+import { BLANK_RE, normalizeQuestion, questionType } from './questions.js';
+
+/* =============================================================
+   IMPORT/EXPORT QUIZ: Moodle XML, GIFT, IMS QTI 2.1
+   Modello interno: le domande di lib/questions.js. Corrispondenze:
+   - Moodle: multichoice (single true/false), truefalse, numerical, cloze con
+     risposte SHORTANSWER (shortanswer importata come un solo spazio), essay
+     con la griglia in graderinfo
+   - GIFT: scelta con =/~ o pesi %n%, {T}/{F}, {#n:tolleranza}, risposta breve
+     e parola mancante come cloze a un solo spazio; le aperte non hanno griglia
+     (esportate come {} con la griglia in commento, scartate all'import)
+   - QTI: choiceInteraction (Vero/Falso con identificatori true/false),
+     textEntryInteraction (float → numeric, string → spazi del cloze),
+     extendedTextInteraction con rubricBlock view="scorer"
+   All'import ogni domanda viene validata: quelle fuori modello finiscono nel report
+   `rejected` con il motivo, le altre vengono importate.
+   ============================================================= */
+export const QUIZ_FORMATS = ['moodle', 'gift', 'qti'];
+const PAGE_TAG = 'pagina::';
+const UNIT_TAG = 'unità::';
+const SAMPLE_LABEL = 'Risposta modello:';
+
+function importError(msg) {
+  const err = new Error(msg);
+  err.code = 'IMPORT_INVALID';
+  return err;
+}
+
+const escXml = (s) => String(s ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+const escHtml = (s) => escXml(s).replace(/\n/g, '<br>');
+const cdata = (s) => `<![CDATA[${String(s ?? '').replace(/]]>/g, ']]]]><![CDATA[>')}]]>`;
+
+// Motivo di scarto oppure null se la domanda rientra nel modello del quiz
+export function validateQuestion(q) {
+  if (['single', 'multiple'].includes(q.type) && q.correctCount === 0) return 'nessuna risposta corretta';
+  if (q.type === 'single' && q.correctCount > 1) return 'più risposte corrette in una domanda a scelta singola';
+  try { normalizeQuestion(q); }
+  catch (e) { return e.message.charAt(0).toLowerCase() + e.message.slice(1); }
+  return null;
+}
+
+// Raccoglie le domande grezze: { title, type, question, ...campi del tipo, correctCount, explanation, sourcePage } | { title, reject }
+function finalize(raw) {
+  const questions = [], rejected = [];
+  raw.forEach((r, i) => {
+    const reason = r.reject || validateQuestion(r);
+    if (reason) { rejected.push({ index: i + 1, title: r.title || r.question?.slice(0, 80) || '', reason }); return; }
+    questions.push(normalizeQuestion(r));
+  });
+  return { questions, rejected };
+}
+
+// Pesi delle opzioni di una risposta multipla: le giuste si dividono il 100%, le sbagliate tolgono altrettanto
+const multipleWeight = (q) => Math.round(100 / q.correct.length * 1e5) / 1e5;
+const pageOf = (s) => { const m = String(s || '').match(/pagina::(\d+)/); return m ? parseInt(m[1], 10) || null : null; };
+
+// Divide su `ch` non preceduto da backslash
+function splitUnescaped(s, ch) {
+  const parts = [];
+  let cur = '';
+  for (let i = 0; i < s.length; i++) {
+    if (s[i] === '\\' && i + 1 < s.length) { cur += s[i] + s[i + 1]; i++; continue; }
+    if (s[i] === ch) { parts.push(cur); cur = ''; continue; }
+    cur += s[i];
+  }
+  parts.push(cur);
+  return parts;
+}
+
+export function questionDedupKey(q) {
+  return String(q.question || '').toLowerCase().replace(/\s+/g, ' ').replace(/[\s.?!:;,]+$/, '').trim();
+}
+
+export function mergeQuestions(existing, incoming) {
+  const seen = new Set(existing.map(questionDedupKey));
+  const added = [];
+  let duplicates = 0;
+  for (const q of incoming) {
+    const k = questionDedupKey(q);
+    if (seen.has(k)) { duplicates++; continue; }
+    seen.add(k);
+    added.push(q);
+  }
+  return { questions: [...existing, ...added], added, duplicates };
+}
+
+/* ===== XML (preserveOrder: il contenuto misto resta nell'ordine originale) ===== */
+const xmlParser = new XMLParser({ preserveOrder: true, ignoreAttributes: false, attributeNamePrefix: '', trimValues: false, cdataPropName: '#cdata', removeNSPrefix: true });
+
+const tagOf = (n) => Object.keys(n).find(k => k !== ':@');
+const attr = (n, k) => (n?.[':@'] || {})[k];
+const kids = (n) => (n ? n[tagOf(n)] : []) || [];
+const child = (n, name) => kids(n).find(c => tagOf(c) === name);
+const childrenNamed = (n, name) => kids(n).filter(c => tagOf(c) === name);
+function findDeep(nodes, name) {
+  for (const n of nodes) {
+    const t = tagOf(n);
+    if (t === name) return n;
+    if (Array.isArray(n[t])) { const f = findDeep(n[t], name); if (f) return f; }
+  }
+  return null;
+}
+function findAllDeep(nodes, name, out = []) {
+  for (const n of nodes || []) {
+    const t = tagOf(n);
+    if (t === name) out.push(n);
+    else if (Array.isArray(n[t])) findAllDeep(n[t], name, out);
+  }
+  return out;
+}
+
+// Ricostruisce un HTML minimale dal sottoalbero (testo riescapato, CDATA così com'è) e lo riduce a testo
+function toHtml(nodes, skip = []) {
+  let out = '';
+  for (const n of nodes || []) {
+    const t = tagOf(n);
+    if (t === '#text') out += escXml(n[t]);
+    else if (t === '#cdata') out += kids(n).map(c => c['#text'] ?? '').join('');
+    else if (skip.includes(t) || skip.includes(`${t}.${attr(n, 'class')}`)) continue;
+    else if (t === 'br') out += '<br>';
+    // Spazio da riempire di un cloze QTI
+    else if (t === 'textEntryInteraction') out += '_____';
+    else if (['p', 'div', 'li'].includes(t)) out += toHtml(n[t], skip) + `</${t}>`;
+    else out += toHtml(n[t], skip);
+  }
+  return out;
+}
+const nodeText = (n, skip) => n ? htmlToText(toHtml(kids(n), skip)) : '';
+
+function parseXml(text) {
+  try { return xmlParser.parse(text); }
+  catch { throw importError('XML non valido'); }
+}
+
+/* ===== MOODLE XML ===== */
+const MOODLE_TYPES = { single: 'multichoice', multiple: 'multichoice', truefalse: 'truefalse', numeric: 'numerical', cloze: 'cloze', open: 'essay' };
+const CLOZE_ANSWER_TYPES = ['SHORTANSWER', 'SA', 'MW', 'SHORTANSWER_C', 'SAC', 'MWC'];
+const clozeEsc = (s) => String(s).replace(/([}#~/"\\])/g, '\\$1');
+
+export function quizToMoodleXml(title, questions, { category = '' } = {}) {
+  const text = (s, fmt = 'html') => `<text>${fmt === 'html' ? cdata(escHtml(s)) : escXml(s)}</text>`;
+  const out = ['<?xml version="1.0" encoding="UTF-8"?>', '<quiz>'];
+  if (category) out.push(`  <question type="category"><category>${text(`$course$/${category}`, 'plain')}</category></question>`);
+  questions.forEach((q, i) => {
+    const type = questionType(q);
+    // Cloze: ogni spazio diventa una sottodomanda {1:SHORTANSWER:=risposta~=variante}
+    let k = 0;
+    const stem = type === 'cloze' ? q.question.replace(BLANK_RE, () => `{1:SHORTANSWER:${q.blanks[k++].map(a => `=${clozeEsc(a)}`).join('~')}}`) : q.question;
+    out.push(`  <question type="${MOODLE_TYPES[type]}">`,
+      `    <name>${text(`${title || 'Quiz'} ${i + 1}`, 'plain')}</name>`,
+      `    <questiontext format="html">${text(stem)}</questiontext>`,
+      `    <generalfeedback format="html">${text(q.explanation || '')}</generalfeedback>`,
+      '    <defaultgrade>1</defaultgrade>', '    <penalty>0.3333333</penalty>', '    <hidden>0</hidden>');
+    if (type === 'single' || type === 'multiple') {
+      out.push(`    <single>${type === 'single'}</single>`, '    <shuffleanswers>true</shuffleanswers>', '    <answernumbering>abc</answernumbering>');
+      const w = type === 'multiple' ? multipleWeight(q) : 100;
+      const fraction = (j) => (type === 'multiple' ? (q.correct.includes(j) ? w : -w) : (j === q.correct ? 100 : 0));
+      q.options.forEach((o, j) => out.push(`    <answer fraction="${fraction(j)}" format="html">${text(o)}</answer>`));
+    } else if (type === 'truefalse') {
+      out.push(`    <answer fraction="${q.answer ? 100 : 0}" format="moodle_auto_format">${text('true', 'plain')}</answer>`,
+        `    <answer fraction="${q.answer ? 0 : 100}" format="moodle_auto_format">${text('false', 'plain')}</answer>`);
+    } else if (type === 'numeric') {
+      out.push(`    <answer fraction="100" format="moodle_auto_format">${text(String(q.answer), 'plain')}<tolerance>${q.tolerance}</tolerance></answer>`);
+      if (q.unit) out.push(`    <units><unit><multiplier>1</multiplier><unit_name>${escXml(q.unit)}</unit_name></unit></units>`, '    <unitgradingtype>0</unitgradingtype>', '    <showunits>3</showunits>');
+    } else if (type === 'open') {
+      const info = escHtml(q.rubric) + (q.sampleAnswer ? `<p>${SAMPLE_LABEL} ${escHtml(q.sampleAnswer)}</p>` : '');
+      out.push('    <responseformat>editor</responseformat>', '    <responserequired>1</responserequired>', '    <responsefieldlines>10</responsefieldlines>',
+        `    <graderinfo format="html"><text>${cdata(info)}</text></graderinfo>`);
+    }
+    if (q.sourcePage) out.push(`    <tags><tag>${text(PAGE_TAG + q.sourcePage, 'plain')}</tag></tags>`);
+    out.push('  </question>');
+  });
+  out.push('</quiz>');
+  return out.join('\n') + '\n';
+}
+
+function moodleText(n) {
+  if (!n) return '';
+  const fmt = attr(n, 'format') || 'html';
+  const raw = child(n, 'text');
+  if (fmt === 'html' || fmt === 'moodle_auto_format') return nodeText(raw);
+  return htmlToText(escXml(kids(raw).map(c => c['#text'] ?? kids(c).map(x => x['#text'] ?? '').join('')).join('')));
+}
+
+// Testo di una domanda cloze Moodle → { question con gli spazi, blanks } | { reject }
+function parseMoodleCloze(text) {
+  const blanks = [];
+  let reject = null;
+  const question = text.replace(/\{(\d*):([A-Z_]+):((?:\\.|[^\\}])*)\}/g, (_, w, sub, body) => {
+    if (!CLOZE_ANSWER_TYPES.includes(sub)) { reject ||= `sottodomanda cloze "${sub}" non supportata`; return '_____'; }
+    const accepted = splitUnescaped(body, '~').map(a => {
+      const fb = splitUnescaped(a, '#')[0].trim();
+      const m = fb.match(/^(=|%(-?\d+(?:\.\d+)?)%)/);
+      const full = m && (m[1] === '=' || parseFloat(m[2]) >= 100);
+      return full ? fb.slice(m[0].length).replace(/\\(.)/g, '$1').trim() : '';
+    }).filter(Boolean);
+    blanks.push(accepted);
+    return '_____';
+  });
+  return reject ? { reject } : { question, blanks };
+}
+
+export function parseMoodleXml(text) {
+  const root = findDeep(parseXml(text), 'quiz');
+  if (!root) throw importError('Moodle XML non valido: manca l\'elemento <quiz>');
+  let category = '';
+  const raw = [];
+  for (const qn of childrenNamed(root, 'question')) {
+    const type = attr(qn, 'type');
+    if (type === 'category') { category = nodeText(child(child(qn, 'category'), 'text')); continue; }
+    const name = nodeText(child(child(qn, 'name'), 'text'));
+    const answers = childrenNamed(qn, 'answer').map(a => ({ node: a, text: moodleText(a), fraction: parseFloat(attr(a, 'fraction') || '0') }));
+    const full = answers.filter(a => a.fraction >= 100);
+    const tags = childrenNamed(child(qn, 'tags'), 'tag').map(t => nodeText(child(t, 'text')));
+    const common = {
+      title: name,
+      question: moodleText(child(qn, 'questiontext')),
+      explanation: moodleText(child(qn, 'generalfeedback')),
+      sourcePage: pageOf(tags.find(t => t.startsWith(PAGE_TAG)))
+    };
+    if (type === 'multichoice') {
+      // single=false: risposta multipla, giuste le opzioni con punteggio positivo
+      const multiple = nodeText(child(qn, 'single')) === 'false';
+      const picked = answers.flatMap((a, j) => ((multiple ? a.fraction > 0 : a.fraction >= 100) ? [j] : []));
+      raw.push({ ...common, type: multiple ? 'multiple' : 'single', options: answers.map(a => a.text), correctCount: picked.length, correct: multiple ? picked : picked[0] ?? -1 });
+    } else if (type === 'truefalse') {
+      raw.push({ ...common, type: 'truefalse', answer: full.length ? full[0].text.toLowerCase() === 'true' : null });
+    } else if (type === 'numerical') {
+      const unit = childrenNamed(child(qn, 'units'), 'unit').find(u => parseFloat(nodeText(child(u, 'multiplier')) || '1') === 1);
+      const best = full.find(a => a.text !== '*');
+      raw.push({ ...common, type: 'numeric', answer: best ? best.text : null, tolerance: best ? nodeText(child(best.node, 'tolerance')) : null, unit: unit ? nodeText(child(unit, 'unit_name')) : '' });
+    } else if (type === 'cloze') {
+      const cloze = parseMoodleCloze(common.question);
+      raw.push(cloze.reject ? { title: name, reject: cloze.reject } : { ...common, type: 'cloze', ...cloze });
+    } else if (type === 'shortanswer') {
+      // Un solo spazio: quello già nel testo (___) oppure in fondo alla domanda
+      const question = (common.question.match(BLANK_RE) || []).length ? common.question : `${common.question} _____`;
+      raw.push({ ...common, type: 'cloze', question, blanks: [full.map(a => a.text)] });
+    } else if (type === 'essay') {
+      const [rubric, sampleAnswer = ''] = moodleText(child(qn, 'graderinfo')).split(new RegExp(`\\s*${SAMPLE_LABEL}\\s*`));
+      raw.push({ ...common, type: 'open', rubric, sampleAnswer });
+    } else {
+      raw.push({ title: name, reject: `tipo "${type}" non supportato` });
+    }
+  }
+  return { title: category.replace(/^\$\w+\$\//, '').split('/').pop() || '', ...finalize(raw) };
+}
+
+/* ===== GIFT ===== */
+const giftEsc = (s) => String(s ?? '').replace(/([~=#{}:\\])/g, '\\$1').replace(/\n/g, '\\n');
+const giftUnesc = (s) => s.replace(/\\n/g, '\n').replace(/\\([~=#{}:\\])/g, '$1').trim();
+
+export function quizToGift(title, questions, { category = '' } = {}) {
+  const out = [`// ${title || 'Quiz'} — esportato da StudyTool`];
+  if (category) out.push(`$CATEGORY: ${category}`);
+  out.push('');
+  questions.forEach((q, i) => {
+    const type = questionType(q);
+    const tags = [q.sourcePage && PAGE_TAG + q.sourcePage, type === 'numeric' && q.unit && UNIT_TAG + q.unit].filter(Boolean);
+    const name = `${title || 'Quiz'} ${i + 1}${tags.map(t => ` (${t})`).join('')}`;
+    const head = `::${giftEsc(name)}::`;
+    const feedback = q.explanation ? `####${giftEsc(q.explanation)}` : '';
+    if (type === 'truefalse') out.push(`${head}${giftEsc(q.question)} {${q.answer ? 'TRUE' : 'FALSE'}${feedback}}`);
+    else if (type === 'numeric') out.push(`${head}${giftEsc(q.question)} {#${q.answer}:${q.tolerance}${feedback}}`);
+    else if (type === 'open') {
+      // GIFT non ha un campo per la griglia: resta in commento per chi importa a mano
+      out.push(`// Griglia di correzione: ${q.rubric.replace(/\s+/g, ' ')}`);
+      if (q.sampleAnswer) out.push(`// ${SAMPLE_LABEL} ${q.sampleAnswer.replace(/\s+/g, ' ')}`);
+      out.push(`${head}${giftEsc(q.question)} {${feedback}}`);
+    } else if (type === 'cloze') {
+      // Parola mancante: GIFT ne ammette una sola per domanda
+      const [before, after, ...rest] = q.question.split(BLANK_RE);
+      if (rest.length) { out.push(`// ${name}: domanda con più spazi vuoti, non esportabile in GIFT`, ''); return; }
+      out.push(`${head}${giftEsc(before.trim())} {`, ...q.blanks[0].map(a => `\t=${giftEsc(a)}`));
+      if (feedback) out.push(`\t${feedback}`);
+      out.push(`}${after.trim() ? ` ${giftEsc(after.trim())}` : ''}`);
+    } else {
+      out.push(`${head}${giftEsc(q.question)} {`);
+      const w = type === 'multiple' ? multipleWeight(q) : 0;
+      q.options.forEach((o, j) => out.push(type === 'multiple'
+        ? `\t~%${q.correct.includes(j) ? w : -w}%${giftEsc(o)}`
+        : `\t${j === q.correct ? '=' : '~'}${giftEsc(o)}`));
+      if (feedback) out.push(`\t${feedback}`);
+      out.push('}');
+    }
+    out.push('');
+  });
+  return out.join('\n');
+}
+
+// {#9.81:0.01}, {#1..3} (intervallo), {#=9.81:0.01 =%50%9.8:0.1}: vale la prima risposta a punteggio pieno
+function giftNumeric(spec) {
+  const end = spec.indexOf('####');
+  const answers = (end >= 0 ? spec.slice(0, end) : spec).split('=').map(a => a.trim()).filter(Boolean);
+  const best = (answers.find(a => !a.startsWith('%') || a.startsWith('%100%')) || '').replace(/^%100%/, '');
+  const value = splitUnescaped(best, '#')[0].trim();
+  const round = (x) => Number(x.toPrecision(12));
+  const range = value.match(/^(-?[\d.]+)\.\.(-?[\d.]+)$/);
+  if (range) {
+    const a = parseFloat(range[1]), b = parseFloat(range[2]);
+    return { answer: round((a + b) / 2), tolerance: round(Math.abs(b - a) / 2) };
+  }
+  const [answer, tolerance = 0] = value.split(':');
+  return { answer, tolerance };
+}
+
+// Divide su caratteri speciali non preceduti da backslash
+function giftSplit(body) {
+  const parts = [];
+  let cur = '', i = 0;
+  while (i < body.length) {
+    const ch = body[i];
+    if (ch === '\\' && i + 1 < body.length) { cur += ch + body[i + 1]; i += 2; continue; }
+    if (body.startsWith('####', i)) { parts.push(cur); cur = '####'; i += 4; continue; }
+    if (ch === '=' || ch === '~') { parts.push(cur); cur = ch; i++; continue; }
+    cur += ch; i++;
+  }
+  parts.push(cur);
+  return parts.map(p => p.trim()).filter(Boolean);
+}
+
+// Indice del primo carattere `ch` non escapato a partire da `from`
+function giftIndex(s, ch, from = 0) {
+  for (let i = from; i < s.length; i++) {
+    if (s[i] === '\\') { i++; continue; }
+    if (s[i] === ch) return i;
+  }
+  return -1;
+}
+
+export function parseGift(text) {
+  const lines = String(text).replace(/^\uFEFF/, '').split(/\r?\n/);
+  let category = '';
+  const blocks = [];
+  let cur = [];
+  for (const line of lines) {
+    if (/^\s*\/\//.test(line)) continue;
+    const cat = line.match(/^\s*\$CATEGORY:\s*(.*)$/);
+    if (cat) { category = cat[1].trim(); continue; }
+    if (!line.trim()) { if (cur.length) blocks.push(cur.join('\n')); cur = []; continue; }
+    cur.push(line);
+  }
+  if (cur.length) blocks.push(cur.join('\n'));
+  const raw = [];
+  for (let block of blocks) {
+    let title = '';
+    if (block.startsWith('::')) {
+      const end = block.indexOf('::', 2);
+      if (end > 0) { title = giftUnesc(block.slice(2, end)); block = block.slice(end + 2); }
+    }
+    const open = giftIndex(block, '{');
+    const close = open >= 0 ? giftIndex(block, '}', open) : -1;
+    if (open < 0 || close < 0) { raw.push({ title: title || block.slice(0, 80), reject: 'blocco risposte {…} mancante' }); continue; }
+    const strip = (s) => htmlToText(giftUnesc(s.replace(/^\s*\[(html|moodle|plain|markdown)\]/, '')));
+    const before = strip(block.slice(0, open)), after = strip(block.slice(close + 1));
+    // Formato "parola mancante": il blocco risposte sta in mezzo al testo
+    const question = after ? `${before} _____ ${after}` : before;
+    const body = block.slice(open + 1, close).trim();
+    const unit = title.match(/\(unità::(.*?)\)/);
+    const parts = giftSplit(body);
+    const general = parts.filter(p => p.startsWith('####')).map(p => giftUnesc(p.slice(4))).join(' ');
+    const common = { title, question, explanation: htmlToText(general), sourcePage: pageOf(title) };
+    const tf = body.match(/^(T|F|TRUE|FALSE)(\s|#|$)/i);
+    if (tf) { raw.push({ ...common, type: 'truefalse', answer: tf[1][0].toUpperCase() === 'T' }); continue; }
+    if (body.startsWith('#') && !body.startsWith('####')) { raw.push({ ...common, type: 'numeric', ...giftNumeric(body.slice(1)), unit: unit ? unit[1] : '' }); continue; }
+    const answers = parts.filter(p => p[0] === '=' || p[0] === '~').map(p => {
+      const fb = giftIndex(p, '#', 1);
+      let txt = (fb >= 0 ? p.slice(1, fb) : p.slice(1)).trim();
+      let weight = p[0] === '=' ? 100 : 0;
+      const w = txt.match(/^%(-?\d+(?:\.\d+)?)%/);
+      if (w) { weight = parseFloat(w[1]); txt = txt.slice(w[0].length); }
+      return { text: strip(txt), weight, exact: p[0] === '=', matching: p[0] === '=' && txt.includes('->') };
+    });
+    if (!answers.length) { raw.push({ title, question, reject: 'domanda aperta senza griglia di correzione (GIFT non la prevede)' }); continue; }
+    if (answers.some(a => a.matching)) { raw.push({ title, question, reject: 'domanda di abbinamento non supportata' }); continue; }
+    // Solo risposte "=": risposta breve o parola mancante → cloze con un solo spazio
+    if (answers.every(a => a.exact)) {
+      raw.push({ ...common, type: 'cloze', question: after ? question : `${before} _____`, blanks: [answers.filter(a => a.weight >= 100).map(a => a.text)] });
+      continue;
+    }
+    // Solo "~" con pesi: più opzioni con punteggio positivo (o penalità) = risposta multipla
+    const positive = answers.flatMap((a, j) => (a.weight > 0 ? [j] : []));
+    const multiple = !answers.some(a => a.exact) && (positive.length > 1 || answers.some(a => a.weight < 0));
+    const full = answers.flatMap((a, j) => (a.weight >= 100 ? [j] : []));
+    raw.push({
+      ...common,
+      type: multiple ? 'multiple' : 'single',
+      options: answers.map(a => a.text),
+      correctCount: multiple ? positive.length : full.length,
+      correct: multiple ? positive : full[0] ?? -1
+    });
+  }
+  return { title: category.replace(/^\$\w+\$\//, '').split('/').pop() || '', ...finalize(raw) };
+}
+
+/* ===== IMS QTI 2.1 (pacchetto zip con imsmanifest.xml) ===== */
+const QTI_NS = 'http://www.imsglobal.org/xsd/imsqti_v2p1';
+
+const MATCH_CORRECT = '<responseProcessing template="http://www.imsglobal.org/question/qti_v2p1/rptemplates/match_correct"/>';
+
+// Dichiarazione della risposta, corpo e correzione per tipo di domanda
+function qtiParts(q) {
+  const type = questionType(q);
+  if (type === 'single' || type === 'multiple' || type === 'truefalse') {
+    // Vero/falso: scelta tra due opzioni con identificatori true/false
+    const choices = type === 'truefalse' ? [['true', 'Vero'], ['false', 'Falso']] : q.options.map((o, j) => [`C${j}`, o]);
+    const correct = type === 'truefalse' ? [String(q.answer)] : (type === 'multiple' ? q.correct : [q.correct]).map(j => `C${j}`);
+    return {
+      decl: `<responseDeclaration identifier="RESPONSE" cardinality="${type === 'multiple' ? 'multiple' : 'single'}" baseType="identifier">
+    <correctResponse>${correct.map(v => `<value>${v}</value>`).join('')}</correctResponse>
+  </responseDeclaration>`,
+      body: `<choiceInteraction responseIdentifier="RESPONSE" shuffle="${type !== 'truefalse'}" maxChoices="${type === 'multiple' ? 0 : 1}">
+      <prompt>${escXml(q.question)}</prompt>
+${choices.map(([id, o]) => `      <simpleChoice identifier="${id}">${escXml(o)}</simpleChoice>`).join('\n')}
+    </choiceInteraction>`,
+      processing: MATCH_CORRECT
+    };
+  }
+  if (type === 'numeric') {
+    return {
+      decl: `<responseDeclaration identifier="RESPONSE" cardinality="single" baseType="float">
+    <correctResponse><value>${q.answer}</value></correctResponse>
+  </responseDeclaration>`,
+      body: `<p>${escXml(q.question)}</p>
+    <p><textEntryInteraction responseIdentifier="RESPONSE" expectedLength="12"/>${q.unit ? ` <span class="unit">${escXml(q.unit)}</span>` : ''}</p>`,
+      processing: `<responseProcessing>
+    <responseCondition><responseIf>
+      <equal toleranceMode="absolute" tolerance="${q.tolerance} ${q.tolerance}"><variable identifier="RESPONSE"/><correct identifier="RESPONSE"/></equal>
+      <setOutcomeValue identifier="SCORE"><baseValue baseType="float">1</baseValue></setOutcomeValue>
+    </responseIf></responseCondition>
+  </responseProcessing>`
+    };
+  }
+  if (type === 'cloze') {
+    // Uno spazio = una textEntryInteraction; le risposte accettate sono nel mapping
+    let k = 0;
+    return {
+      decl: q.blanks.map((accepted, j) => `<responseDeclaration identifier="RESPONSE${j + 1}" cardinality="single" baseType="string">
+    <correctResponse><value>${escXml(accepted[0])}</value></correctResponse>
+    <mapping defaultValue="0">${accepted.map(a => `<mapEntry mapKey="${escXml(a)}" mappedValue="1"/>`).join('')}</mapping>
+  </responseDeclaration>`).join('\n  '),
+      body: `<p>${escXml(q.question).replace(BLANK_RE, () => `<textEntryInteraction responseIdentifier="RESPONSE${++k}" expectedLength="15"/>`)}</p>`,
+      processing: `<responseProcessing>
+    <setOutcomeValue identifier="SCORE"><sum>${q.blanks.map((_, j) => `<mapResponse identifier="RESPONSE${j + 1}"/>`).join('')}</sum></setOutcomeValue>
+  </responseProcessing>`
+    };
+  }
+  // Aperta: correzione manuale, griglia per chi corregge e risposta modello come correctResponse
+  return {
+    decl: `<responseDeclaration identifier="RESPONSE" cardinality="single" baseType="string">${q.sampleAnswer ? `
+    <correctResponse><value>${escXml(q.sampleAnswer)}</value></correctResponse>
+  ` : ''}</responseDeclaration>`,
+    body: `<p>${escXml(q.question)}</p>
+    <rubricBlock view="scorer"><p>${escXml(q.rubric)}</p></rubricBlock>
+    <extendedTextInteraction responseIdentifier="RESPONSE" expectedLines="10"/>`,
+    processing: ''
+  };
+}
+
+function qtiItem(id, q) {
+  const { decl, body, processing } = qtiParts(q);
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<assessmentItem xmlns="${QTI_NS}" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xsi:schemaLocation="${QTI_NS} http://www.imsglobal.org/xsd/qti/qtiv2p1/imsqti_v2p1.xsd" identifier="${id}" title="${escXml(q.question.slice(0, 80))}"${q.sourcePage ? ` label="${PAGE_TAG}${q.sourcePage}"` : ''} adaptive="false" timeDependent="false">
+  ${decl}
+  <outcomeDeclaration identifier="SCORE" cardinality="single" baseType="float"><defaultValue><value>0</value></defaultValue></outcomeDeclaration>
+  <outcomeDeclaration identifier="FEEDBACK" cardinality="single" baseType="identifier"/>
+  <itemBody>
+    ${body}
+  </itemBody>${processing ? `
+  ${processing}` : ''}${q.explanation ? `
+  <modalFeedback outcomeIdentifier="FEEDBACK" identifier="EXPLANATION" showHide="show">${escXml(q.explanation)}</modalFeedback>` : ''}
+</assessmentItem>
+`;
+}
+
+export function quizToQtiPackage(title, questions) {
+  const files = {};
+  const resources = questions.map((q, i) => {
+    const id = `item${i + 1}`;
+    files[`items/${id}.xml`] = strToU8(qtiItem(id, q));
+    return `    <resource identifier="${id}" type="imsqti_item_xmlv2p1" href="items/${id}.xml"><file href="items/${id}.xml"/></resource>`;
+  });
+  files['imsmanifest.xml'] = strToU8(`<?xml version="1.0" encoding="UTF-8"?>
+<manifest xmlns="http://www.imsglobal.org/xsd/imscp_v1p1" xmlns:imsmd="http://ltsc.ieee.org/xsd/LOM" identifier="MANIFEST-${Date.now()}">
+  <metadata>
+    <schema>QTIv2.1 Package</schema><schemaversion>1.0.0</schemaversion>
+    <imsmd:lom><imsmd:general><imsmd:title><imsmd:string>${escXml(title || 'Quiz')}</imsmd:string></imsmd:title></imsmd:general></imsmd:lom>
+  </metadata>
+  <organizations/>
+  <resources>
+${resources.join('\n')}
+  </resources>
+</manifest>
+`);
+  return zipSync(files);
+}
+
+function parseQtiItem(xml) {
+  const item = findDeep(parseXml(xml), 'assessmentItem');
+  if (!item) return null;
+  const title = attr(item, 'title') || attr(item, 'identifier') || '';
+  const body = child(item, 'itemBody');
+  const decl = (id) => childrenNamed(item, 'responseDeclaration').find(d => attr(d, 'identifier') === id);
+  const values = (d) => childrenNamed(child(d, 'correctResponse'), 'value').map(v => nodeText(v));
+  const common = { title, explanation: childrenNamed(item, 'modalFeedback').map(f => nodeText(f)).join('\n'), sourcePage: pageOf(attr(item, 'label')) };
+  const nodes = body ? kids(body) : [];
+
+  const interaction = findDeep(nodes, 'choiceInteraction');
+  if (interaction) {
+    const correctIds = values(decl(attr(interaction, 'responseIdentifier')));
+    const choices = childrenNamed(interaction, 'simpleChoice');
+    const ids = choices.map(c => String(attr(c, 'identifier')));
+    const prompt = nodeText(child(interaction, 'prompt'));
+    const question = [nodeText(body, ['choiceInteraction']), prompt].filter(Boolean).join('\n');
+    if (ids.length === 2 && ids.every(id => ['true', 'false'].includes(id.toLowerCase()))) {
+      return { ...common, type: 'truefalse', question, answer: correctIds.length ? correctIds[0].toLowerCase() === 'true' : null };
+    }
+    const multiple = parseInt(attr(interaction, 'maxChoices') ?? '1', 10) !== 1;
+    const picked = ids.flatMap((id, j) => (correctIds.includes(id) ? [j] : []));
+    return { ...common, type: multiple ? 'multiple' : 'single', question, options: choices.map(c => nodeText(c)), correctCount: picked.length, correct: multiple ? picked : picked[0] ?? -1 };
+  }
+
+  const entries = findAllDeep(nodes, 'textEntryInteraction');
+  if (entries.length) {
+    const decls = entries.map(e => decl(attr(e, 'responseIdentifier')));
+    if (entries.length === 1 && ['float', 'integer'].includes(attr(decls[0], 'baseType'))) {
+      const answer = values(decls[0])[0];
+      const equal = findDeep(kids(child(item, 'responseProcessing')), 'equal');
+      const mode = attr(equal, 'toleranceMode') || 'exact';
+      const t = parseFloat(String(attr(equal, 'tolerance') || '0').split(/\s+/)[0]) || 0;
+      const unit = findAllDeep(nodes, 'span').find(n => attr(n, 'class') === 'unit');
+      return {
+        ...common, type: 'numeric', question: nodeText(body, ['textEntryInteraction', 'span.unit']), answer,
+        tolerance: mode === 'absolute' ? t : (mode === 'relative' ? Math.abs(parseFloat(answer)) * t / 100 : 0),
+        unit: nodeText(unit)
+      };
+    }
+    if (decls.some(d => attr(d, 'baseType') !== 'string')) return { title, reject: 'spazi da riempire non testuali non supportati' };
+    const blanks = decls.map(d => [...new Set([...values(d), ...childrenNamed(child(d, 'mapping'), 'mapEntry').filter(e => parseFloat(attr(e, 'mappedValue')) > 0).map(e => String(attr(e, 'mapKey')))])]);
+    return { ...common, type: 'cloze', question: nodeText(body), blanks };
+  }
+
+  const essay = findDeep(nodes, 'extendedTextInteraction');
+  if (essay) {
+    const rubric = findAllDeep(nodes, 'rubricBlock').find(r => String(attr(r, 'view') || '').includes('scorer'));
+    return { ...common, type: 'open', question: nodeText(body, ['extendedTextInteraction', 'rubricBlock']), rubric: nodeText(rubric), sampleAnswer: values(decl(attr(essay, 'responseIdentifier')))[0] || '' };
+  }
+  const other = nodes.map(tagOf).find(t => /Interaction$/.test(t));
+  return { title, reject: other ? `interazione "${other}" non supportata` : 'nessuna interazione supportata' };
+}
+
+export function parseQti(buffer) {
+  const bytes = new Uint8Array(buffer);
+  let title = '';
+  let docs;
+  if (bytes[0] === 0x50 && bytes[1] === 0x4b) {
+    let files;
+    try { files = unzipSync(bytes); }
+    catch { throw importError('Pacchetto QTI non valido (zip illeggibile)'); }
+    // Ordine del manifest se presente, altrimenti tutti gli XML del pacchetto
+    let hrefs = [];
+    if (files['imsmanifest.xml']) {
+      const doc = parseXml(strFromU8(files['imsmanifest.xml']));
+      title = nodeText(findDeep(kids(findDeep(doc, 'metadata')), 'string'));
+      const manifest = findDeep(doc, 'resources');
+      hrefs = childrenNamed(manifest, 'resource').filter(r => /^imsqti_item/.test(attr(r, 'type') || '')).map(r => attr(r, 'href'));
+    }
+    if (!hrefs.length) hrefs = Object.keys(files).filter(f => f.endsWith('.xml') && f !== 'imsmanifest.xml').sort();
+    docs = hrefs.filter(h => files[h]).map(h => strFromU8(files[h]));
+  } else {
+    docs = [Buffer.from(bytes).toString('utf8')];
+  }
+  const raw = docs.map(parseQtiItem).filter(Boolean);
+  if (!raw.length) throw importError('Nessun assessmentItem QTI 2.1 trovato');
+  return { title, ...finalize(raw) };
+}
+
+/* ===== Dispatcher ===== */
+export function exportQuiz(format, title, questions, opts = {}) {
+  if (format === 'moodle') return { body: quizToMoodleXml(title, questions, opts), type: 'application/xml; charset=utf-8', ext: 'xml' };
+  if (format === 'gift') return { body: quizToGift(title, questions, opts), type: 'text/plain; charset=utf-8', ext: 'gift.txt' };
+  if (format === 'qti') return { body: Buffer.from(quizToQtiPackage(title, questions)), type: 'application/zip', ext: 'qti.zip' };
+  throw importError(`Formato non supportato (ammessi: ${QUIZ_FORMATS.join(', ')})`);
+}
+
+// Formato esplicito oppure dedotto da estensione e contenuto
+export function detectQuizFormat(buffer, filename = '') {
+  const bytes = new Uint8Array(buffer);
+  if (bytes[0] === 0x50 && bytes[1] === 0x4b) return 'qti';
+  const head = Buffer.from(bytes.subarray(0, 2000)).toString('utf8');
+  if (/<assessmentItem[\s>]/.test(head)) return 'qti';
+  if (/<quiz[\s>]/.test(head) || /\.xml$/i.test(filename)) return 'moodle';
+  return 'gift';
+}
+
+export function parseQuizFile(buffer, filename = '', format = '') {
+  const fmt = format || detectQuizFormat(buffer, filename);
+  if (fmt === 'qti') return { format: fmt, ...parseQti(buffer) };
+  const text = Buffer.from(buffer).toString('utf8');
+  if (fmt === 'moodle') return { format: fmt, ...parseMoodleXml(text) };
+  if (fmt === 'gift') return { format: fmt, ...parseGift(text) };
+  throw importError(`Formato non supportato (ammessi: ${QUIZ_FORMATS.join(', ')})`);
+}
@@ -0,0 +1,174 @@
+/* =============================================================
+   SCHEDULER DELLE CHIAMATE LLM
+   - budget RPM e TPM su finestra scorrevole di 60s (ogni chiamata partita
+     resta nel conto esattamente 60s, niente reset a scatti)
+   - concorrenza massima delle chiamate in volo
+   - equità: una coda per client servita a turno, così un utente con un PDF
+     enorme non blocca gli altri
+   - coda limitata: oltre maxQueue le nuove chiamate sono rifiutate (QUEUE_FULL)
+   - pausa globale quando il provider segnala i limiti (x-ratelimit-*, retry-after)
+   ============================================================= */
+import { AsyncResource } from 'node:async_hooks';
+
+const WINDOW_MS = 60_000;
+
+// Durate nel formato degli header OpenAI ("1s", "6m0s", "20ms", "1h2m3.5s") o secondi semplici
+export function parseDuration(v) {
+  if (v == null || v === '') return null;
+  const s = String(v).trim();
+  if (/^\d+(\.\d+)?$/.test(s)) return Math.round(parseFloat(s) * 1000);
+  const re = /(\d+(?:\.\d+)?)(ms|h|m|s)/g;
+  const mult = { h: 3_600_000, m: 60_000, s: 1000, ms: 1 };
+  let ms = 0, matched = '';
+  for (const [all, n, unit] of s.matchAll(re)) { ms += parseFloat(n) * mult[unit]; matched += all; }
+  return matched === s ? Math.round(ms) : null;
+}
+
+// Lettura uniforme degli header: oggetto Headers (fetch) oppure oggetto semplice (SDK, provider locale)
+function headerGetter(headers) {
+  if (!headers) return null;
+  if (typeof headers.get === 'function') return (name) => headers.get(name);
+  const lower = Object.fromEntries(Object.entries(headers).map(([k, v]) => [k.toLowerCase(), v]));
+  return (name) => lower[name];
+}
+
+const num = (v) => (v == null || v === '' || Number.isNaN(Number(v)) ? null : Number(v));
+
+// Attesa suggerita dal provider dopo un 429 (ms), null se gli header non dicono nulla
+export function retryAfterMs(headers, now = Date.now()) {
+  const h = headerGetter(headers);
+  if (!h) return null;
+  const ms = num(h('retry-after-ms'));
+  if (ms != null) return Math.max(0, ms);
+  const ra = h('retry-after');
+  if (ra != null && ra !== '') {
+    if (num(ra) != null) return Math.max(0, num(ra) * 1000);
+    const at = Date.parse(ra);
+    if (!Number.isNaN(at)) return Math.max(0, at - now);
+  }
+  // Senza retry-after: il reset del limite esaurito (richieste o token)
+  const resets = [['requests', h('x-ratelimit-reset-requests')], ['tokens', h('x-ratelimit-reset-tokens')]]
+    .filter(([kind]) => num(h(`x-ratelimit-remaining-${kind}`)) === 0)
+    .map(([, v]) => parseDuration(v))
+    .filter(v => v != null);
+  return resets.length ? Math.max(...resets) : null;
+}
+
+function queueFullError(maxQueue) {
+  const err = new Error(`Troppe richieste in coda verso il modello (${maxQueue}): riprova tra poco`);
+  err.code = 'QUEUE_FULL';
+  err.status = 503;
+  return err;
+}
+
+export function createScheduler({ rpm = 0, tpm = 0, concurrency = 1, maxQueue = 0, log = () => {} } = {}) {
+  const queues = new Map(); // client → [task]; l'ordine delle chiavi è il turno
+  const window = [];        // { at, tokens } delle chiamate partite negli ultimi 60s
+  let queued = 0;
+  let active = 0;
+  let pausedUntil = 0;
+  let server = { tokens: null, resetAt: 0 }; // token residui dichiarati dal provider
+  let timer = null;
+
+  function prune(now) {
+    while (window.length && now - window[0].at >= WINDOW_MS) window.shift();
+  }
+
+  // ms da attendere prima che possa partire una chiamata da `tokens` (0 = subito)
+  function waitFor(tokens, now) {
+    prune(now);
+    let wait = Math.max(0, pausedUntil - now);
+    if (rpm && window.length >= rpm) wait = Math.max(wait, window[window.length - rpm].at + WINDOW_MS - now);
+    if (tpm) {
+      // Una chiamata più grande dell'intero budget parte comunque, a finestra vuota
+      const need = Math.min(tokens, tpm);
+      let total = window.reduce((n, e) => n + e.tokens, 0);
+      for (const e of window) {
+        if (total + need <= tpm) break;
+        total -= e.tokens;
+        wait = Math.max(wait, e.at + WINDOW_MS - now);
+      }
+    }
+    if (server.tokens != null && now < server.resetAt && server.tokens < tokens) wait = Math.max(wait, server.resetAt - now);
+    return wait;
+  }
+
+  function start(task, now) {
+    active++;
+    const entry = { at: now, tokens: task.tokens };
+    window.push(entry);
+    Promise.resolve()
+      .then(task.fn)
+      .then((res) => {
+        // Dopo la risposta il conto TPM usa i token reali al posto della stima
+        let used = null;
+        try { used = task.tokensOf?.(res) ?? null; } catch {}
+        if (used != null) entry.tokens = used;
+        task.resolve(res);
+      }, task.reject)
+      .finally(() => { active--; pump(); });
+  }
+
+  function pump() {
+    if (timer) { clearTimeout(timer); timer = null; }
+    while (active < concurrency && queued) {
+      const [client, q] = queues.entries().next().value;
+      const now = Date.now();
+      const wait = waitFor(q[0].tokens, now);
+      if (wait > 0) {
+        log(`attesa ${wait}ms (finestra ${window.length}/${rpm || '∞'} richieste, coda ${queued})`);
+        timer = setTimeout(pump, wait + 5);
+        timer.unref?.(); // l'attesa da sola non tiene vivo il processo
+        return;
+      }
+      const task = q.shift();
+      queued--;
+      // Il client servito passa in fondo al turno
+      queues.delete(client);
+      if (q.length) queues.set(client, q);
+      start(task, now);
+    }
+  }
+
+  return {
+    // fn viene eseguita quando c'è budget; tokens = stima, tokensOf(risultato) = token reali
+    schedule(fn, { client = '-', tokens = 0, tokensOf = null } = {}) {
+      if (maxQueue && queued >= maxQueue) return Promise.reject(queueFullError(maxQueue));
+      return new Promise((resolve, reject) => {
+        if (!queues.has(client)) queues.set(client, []);
+        // fn parte dal pump di un'altra chiamata: la si lega al contesto (rid, step) di chi l'ha accodata
+        queues.get(client).push({ fn: AsyncResource.bind(fn), tokens, tokensOf, resolve, reject });
+        queued++;
+        pump();
+      });
+    },
+    isFull() { return !!maxQueue && queued >= maxQueue; },
+    // Ferma tutte le partenze per `ms` (es. dopo un 429 con retry-after)
+    pause(ms) {
+      pausedUntil = Math.max(pausedUntil, Date.now() + ms);
+      pump();
+    },
+    // Header della risposta del provider: limiti residui e relativi reset
+    observe(headers, now = Date.now()) {
+      const h = headerGetter(headers);
+      if (!h) return;
+      if (num(h('x-ratelimit-remaining-requests')) === 0) {
+        pausedUntil = Math.max(pausedUntil, now + (parseDuration(h('x-ratelimit-reset-requests')) ?? 1000));
+      }
+      const tokens = num(h('x-ratelimit-remaining-tokens'));
+      if (tokens != null) server = { tokens, resetAt: now + (parseDuration(h('x-ratelimit-reset-tokens')) ?? 0) };
+    },
+    stats() {
+      const now = Date.now();
+      prune(now);
+      return {
+        active,
+        queued,
+        clients: Object.fromEntries([...queues].map(([c, q]) => [c, q.length])),
+        window: { requests: window.length, tokens: window.reduce((n, e) => n + e.tokens, 0) },
+        limits: { rpm, tpm, concurrency, maxQueue },
+        pausedMs: Math.max(0, pausedUntil - now)
+      };
+    }
+  };
+}
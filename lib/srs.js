@@ -0,0 +1,95 @@
+import { questionType } from './questions.js';
+
+/* =============================================================
+   RIPETIZIONE DILAZIONATA (SM-2)
+   Stato per elemento: { ease, interval (giorni), reps, lapses, due (ms), last (ms) }.
+   Voti 0-5 come in SuperMemo: <3 = dimenticato (l'elemento ricomincia da 1 giorno).
+   ============================================================= */
+export const DAY_MS = 24 * 3600 * 1000;
+export const SRS_MIN_EASE = 1.3;
+export const SRS_START_EASE = 2.5;
+
+export function newSrsState() {
+  return { ease: SRS_START_EASE, interval: 0, reps: 0, lapses: 0, due: 0, last: 0 };
+}
+
+export function sm2(prev, grade, now = Date.now()) {
+  const s = { ...newSrsState(), ...prev };
+  const q = Math.max(0, Math.min(5, Math.round(grade)));
+  if (q < 3) {
+    s.reps = 0;
+    s.interval = 1;
+    if (prev && prev.reps > 0) s.lapses++;
+  } else {
+    s.reps++;
+    s.interval = s.reps === 1 ? 1 : (s.reps === 2 ? 6 : Math.round(s.interval * s.ease));
+  }
+  s.ease = Math.max(SRS_MIN_EASE, +(s.ease + (0.1 - (5 - q) * (0.08 + (5 - q) * 0.02))).toFixed(2));
+  s.last = now;
+  s.due = now + s.interval * DAY_MS;
+  return s;
+}
+
+// Fine della giornata (UTC) di `now`: tutto ciò che scade entro oggi è da ripassare
+export function endOfDay(now = Date.now()) {
+  return Math.floor(now / DAY_MS) * DAY_MS + DAY_MS - 1;
+}
+
+// Chiavi stabili: tipo|id elemento|testo (fronte della carta o testo della domanda)
+export function reviewKey(kind, itemId, text) {
+  return `${kind}|${itemId}|${String(text || '').trim()}`;
+}
+
+// Tutte le carte e le domande ripassabili della materia (domande di ogni tipo, vedi lib/questions.js)
+export function collectReviewItems(sections) {
+  const out = [];
+  for (const it of sections.flashcards || []) {
+    for (const c of it?.data?.cards || []) {
+      if (c && c.front) out.push({ key: reviewKey('card', it.id, c.front), kind: 'card', itemId: it.id, itemTitle: it.title || '', card: c });
+    }
+  }
+  for (const it of sections.quiz || []) {
+    for (const q of it?.data?.questions || []) {
+      if (q && q.question && questionType(q)) out.push({ key: reviewKey('quiz', it.id, q.question), kind: 'quiz', itemId: it.id, itemTitle: it.title || '', question: q });
+    }
+  }
+  return out;
+}
+
+// Sessione di oggi: elementi scaduti (i più in ritardo prima) più al massimo `newLimit` elementi mai visti
+export function dueToday(items, srs, { now = Date.now(), newLimit = 20 } = {}) {
+  const limit = endOfDay(now);
+  const due = [], fresh = [];
+  for (const it of items) {
+    const st = srs[it.key];
+    if (!st) fresh.push({ ...it, state: null });
+    else if (st.due <= limit) due.push({ ...it, state: st });
+  }
+  due.sort((a, b) => a.state.due - b.state.due);
+  return { due, fresh: fresh.slice(0, Math.max(0, newLimit)), newTotal: fresh.length };
+}
+
+// Riepilogo per le statistiche: ripassi di oggi, ritenzione a 30 giorni, carico dei prossimi 7 giorni
+export function reviewSummary(items, srs, reviews, now = Date.now()) {
+  const todayStart = endOfDay(now) + 1 - DAY_MS;
+  const since30 = now - 30 * DAY_MS;
+  const recent = reviews.filter(r => r.at >= since30);
+  const known = new Set(items.map(i => i.key));
+  const states = Object.entries(srs).filter(([k]) => known.has(k)).map(([, st]) => st);
+  const upcoming = Array.from({ length: 7 }, (_, d) => {
+    const from = d === 0 ? -Infinity : todayStart + d * DAY_MS;
+    const to = todayStart + (d + 1) * DAY_MS;
+    return states.filter(st => st.due >= from && st.due < to).length;
+  });
+  return {
+    total: items.length,
+    learned: states.length,
+    dueToday: upcoming[0],
+    newCount: items.length - states.length,
+    reviewsToday: reviews.filter(r => r.at >= todayStart).length,
+    retention30: recent.length ? Math.round(recent.filter(r => r.grade >= 3).length / recent.length * 1000) / 10 : null,
+    reviews30: recent.length,
+    upcoming,
+    lapses: states.reduce((n, st) => n + (st.lapses || 0), 0)
+  };
+}
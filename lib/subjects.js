@@ -0,0 +1,187 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { parseLanguageParam, DEFAULT_LANGUAGE, languageCode } from './i18n.js';
+
+/* =============================================================
+   MATERIE E PROFILI DI PROMPT
+   Le materie sono create, rinominate ed eliminate dall'utente; ognuna ha un
+   profilo applicato ai prompt di riassunti, flashcard, quiz e domande:
+   lingua di output (codice di lib/i18n.js o 'auto' = quella del documento),
+   tono, gestione delle formule, glossario e istruzioni.
+   Un file JSON per spazio (condiviso o utente): { subjects: [...] }.
+   ============================================================= */
+export const DEFAULT_PROFILE = { language: DEFAULT_LANGUAGE, tone: 'neutro', formulas: 'auto', glossary: [], instructions: '' };
+
+const TONES = {
+  neutro: null,
+  formale: 'Usa un registro formale e accademico, con la terminologia tecnica della disciplina.',
+  divulgativo: 'Usa un tono divulgativo e chiaro, con esempi concreti dove aiutano.',
+  semplice: 'Usa frasi brevi e un lessico semplice, adatto a chi inizia a studiare la materia.'
+};
+const FORMULAS = {
+  auto: null,
+  latex: 'Scrivi formule, equazioni e simboli in LaTeX tra $...$ (es. $E = mc^2$, $\\Delta G < 0$).',
+  testo: 'Scrivi formule ed equazioni in testo semplice, senza LaTeX (es. E = mc^2, H2O).'
+};
+export const PROFILE_TONES = Object.keys(TONES);
+export const PROFILE_FORMULAS = Object.keys(FORMULAS);
+
+// Materie proposte a chi non ne ha ancora create (erano fisse nel frontend)
+export const DEFAULT_SUBJECTS = [
+  { name: 'Biologia', description: 'Cellule, genetica, fisiologia…', color: '#2bbf7e' },
+  { name: 'Chimica', description: 'Struttura, reazioni, stechiometria…', color: '' },
+  { name: 'Fisica', description: 'Meccanica, termodinamica, onde…', color: '#7a5af8', profile: { formulas: 'latex' } }
+];
+
+const MAX_GLOSSARY = 200;
+
+function invalid(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+const str = (v) => (v == null ? '' : String(v)).trim();
+
+export function normalizeProfile(input = {}, prev = DEFAULT_PROFILE) {
+  if (typeof input !== 'object' || Array.isArray(input)) throw invalid('Profilo non valido');
+  const p = { ...DEFAULT_PROFILE, ...prev };
+  // Profili salvati prima dei codici lingua ('italiano' → 'it')
+  if (p.language !== 'auto') p.language = languageCode(p.language) || DEFAULT_PROFILE.language;
+  if (input.language !== undefined) p.language = parseLanguageParam(input.language, DEFAULT_PROFILE.language);
+  if (input.tone !== undefined) {
+    p.tone = str(input.tone) || DEFAULT_PROFILE.tone;
+    if (!TONES.hasOwnProperty(p.tone)) throw invalid(`Tono non valido (ammessi: ${PROFILE_TONES.join(', ')})`);
+  }
+  if (input.formulas !== undefined) {
+    p.formulas = str(input.formulas) || DEFAULT_PROFILE.formulas;
+    if (!FORMULAS.hasOwnProperty(p.formulas)) throw invalid(`Gestione formule non valida (ammesse: ${PROFILE_FORMULAS.join(', ')})`);
+  }
+  if (input.glossary !== undefined) {
+    if (!Array.isArray(input.glossary)) throw invalid('Il glossario deve essere un elenco di { term, definition }');
+    if (input.glossary.length > MAX_GLOSSARY) throw invalid(`Glossario troppo lungo (massimo ${MAX_GLOSSARY} voci)`);
+    p.glossary = input.glossary
+      .map(g => (typeof g === 'string' ? { term: str(g), definition: '' } : { term: str(g?.term), definition: str(g?.definition) }))
+      .filter(g => g.term);
+    if (p.glossary.some(g => g.term.length > 80 || g.definition.length > 300)) throw invalid('Voce di glossario troppo lunga (termine 80, definizione 300 caratteri)');
+  }
+  if (input.instructions !== undefined) {
+    p.instructions = str(input.instructions);
+    if (p.instructions.length > 2000) throw invalid('Istruzioni troppo lunghe (massimo 2000 caratteri)');
+  }
+  return p;
+}
+
+// Nome, descrizione, colore e profilo di una materia; prev = materia esistente (aggiornamento parziale)
+export function normalizeSubject(input, prev = null) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) throw invalid('Materia non valida');
+  const name = input.name !== undefined ? str(input.name) : prev?.name;
+  if (!name || name.length > 80) throw invalid('Nome della materia non valido (1-80 caratteri)');
+  const description = input.description !== undefined ? str(input.description) : (prev?.description || '');
+  if (description.length > 200) throw invalid('Descrizione troppo lunga (massimo 200 caratteri)');
+  const color = input.color !== undefined ? str(input.color) : (prev?.color || '');
+  if (color && !/^#[0-9a-f]{6}$/i.test(color)) throw invalid('Colore non valido (formato #rrggbb)');
+  return { name, description, color, profile: normalizeProfile(input.profile || {}, prev?.profile) };
+}
+
+/*
+ * Indicazioni da aggiungere al prompt; '' con il profilo predefinito, così i
+ * prompt (e le voci di cache) delle materie senza personalizzazioni non cambiano.
+ */
+export function profileGuide(profile = DEFAULT_PROFILE) {
+  const lines = [TONES[profile.tone], FORMULAS[profile.formulas]].filter(Boolean);
+  if (profile.glossary?.length) {
+    lines.push('Usa questa terminologia (glossario della materia):');
+    for (const g of profile.glossary) lines.push(`- ${g.term}${g.definition ? `: ${g.definition}` : ''}`);
+  }
+  if (profile.instructions) lines.push(`Istruzioni specifiche per la materia: ${profile.instructions}`);
+  return lines.join('\n');
+}
+
+// seed() → nomi delle materie che hanno già dati (libreria), da registrare al primo accesso
+export function createSubjectStore(file, { defaults = DEFAULT_SUBJECTS, seed = async () => [] } = {}) {
+  let data = null;
+  let loading = null;
+  let lock = Promise.resolve();
+
+  async function read() {
+    try {
+      const d = JSON.parse(await fs.readFile(file, 'utf8'));
+      for (const s of d.subjects) s.profile = normalizeProfile({}, s.profile);
+      return d;
+    }
+    catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+      const now = new Date().toISOString();
+      const names = [...defaults.map(d => d.name), ...((await seed()).filter(n => !defaults.some(d => d.name === n)))];
+      return { subjects: names.map(name => ({ ...normalizeSubject(defaults.find(d => d.name === name) || { name }), createdAt: now, updatedAt: now })) };
+    }
+  }
+  // Una sola lettura anche con più richieste in parallelo al primo accesso
+  function load() {
+    if (!loading) loading = read().then(d => (data = d), (err) => { loading = null; throw err; });
+    return loading;
+  }
+
+  async function save() {
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    const tmp = `${file}.${process.pid}.${Date.now()}.tmp`;
+    await fs.writeFile(tmp, JSON.stringify(data));
+    await fs.rename(tmp, file);
+  }
+
+  function update(fn) {
+    const next = lock.catch(() => {}).then(async () => {
+      await load();
+      const out = await fn(data);
+      await save();
+      return out;
+    });
+    lock = next;
+    return next;
+  }
+
+  const find = (d, name) => d.subjects.find(s => s.name === name) || null;
+  function exists(name) {
+    const err = new Error(`Esiste già una materia chiamata ${name}`);
+    err.code = 'SUBJECT_EXISTS';
+    err.status = 409;
+    return err;
+  }
+
+  return {
+    async list() { return (await load()).subjects; },
+    async get(name) { return find(await load(), name); },
+    create(input) {
+      return update((d) => {
+        const s = normalizeSubject(input);
+        if (find(d, s.name)) throw exists(s.name);
+        const now = new Date().toISOString();
+        const subject = { ...s, createdAt: now, updatedAt: now };
+        d.subjects.push(subject);
+        return subject;
+      });
+    },
+    // Aggiorna una materia; onRename(vecchio, nuovo) sposta i dati collegati prima di salvare il nuovo nome
+    update(name, input, onRename) {
+      return update(async (d) => {
+        const cur = find(d, name);
+        if (!cur) return null;
+        const next = normalizeSubject(input, cur);
+        if (next.name !== name) {
+          if (find(d, next.name)) throw exists(next.name);
+          if (onRename) await onRename(name, next.name);
+        }
+        Object.assign(cur, next, { updatedAt: new Date().toISOString() });
+        return cur;
+      });
+    },
+    remove(name) {
+      return update((d) => {
+        const before = d.subjects.length;
+        d.subjects = d.subjects.filter(s => s.name !== name);
+        return d.subjects.length !== before;
+      });
+    }
+  };
+}
@@ -0,0 +1,256 @@
+/* =============================================================
+   RIASSUNTI STRUTTURATI ED ESPORTAZIONE
+   Con format=structured il riassunto resta in `text`, scritto in Markdown
+   (titoli ##/###, elenchi, formule LaTeX tra $...$ e $$...$$), e si aggiungono:
+   - outline: titoli di sezione ricavati dal Markdown ([{ level, title }])
+   - keyTerms: [{ term, definition }]
+   - formulas: [{ latex, description }] (LaTeX senza delimitatori)
+   - conceptMap: { nodes: [{ id, label }], edges: [{ from, to, label }] } oppure null
+   Esportazione: Markdown (la mappa come blocco mermaid) e HTML autonomo
+   (KaTeX e Mermaid da CDN); il PDF si ottiene stampando l'HTML dal browser.
+   I riassunti semplici ({ text }) si esportano allo stesso modo.
+   ============================================================= */
+export const SUMMARY_FORMATS = ['plain', 'structured'];
+export const SUMMARY_EXPORTS = {
+  md: { type: 'text/markdown; charset=utf-8', ext: 'md' },
+  html: { type: 'text/html; charset=utf-8', ext: 'html' }
+};
+const MAX_TERMS = 40;
+const MAX_FORMULAS = 40;
+const MAX_NODES = 30;
+// Librerie dell'HTML esportato: versioni fisse con hash SRI (sha384 dei file del pacchetto npm, serviti identici da jsDelivr).
+// Le stesse voci sono in RICH_CDN di index.html: vanno aggiornate insieme
+const KATEX_CDN = 'https://cdn.jsdelivr.net/npm/katex@0.16.11/dist';
+export const RICH_ASSETS = {
+  katexCss: { url: `${KATEX_CDN}/katex.min.css`, integrity: 'sha384-nB0miv6/jRmo5UMMR1wu3Gz6NLsoTkbqJghGIsx//Rlm+ZU03BU6SQNC66uf4l5+' },
+  katex: { url: `${KATEX_CDN}/katex.min.js`, integrity: 'sha384-7zkQWkzuo3B5mTepMUcHkMB5jZaolc2xDwL6VFqjFALcbeS9Ggm/Yr2r3Dy4lfFg' },
+  autoRender: { url: `${KATEX_CDN}/contrib/auto-render.min.js`, integrity: 'sha384-43gviWU0YVjaDtb/GhzOouOXtZMP/7XUzwPTstBeZFe/+rCMvRwr4yROQP43s0Xk' },
+  mermaid: { url: 'https://cdn.jsdelivr.net/npm/mermaid@10.9.1/dist/mermaid.min.js', integrity: 'sha384-WmdflGW9aGfoBdHc4rRyWzYuAjEmDwMdGdiPNacbwfGKxBW/SO6guzuQ76qjnSlr' }
+};
+const sri = (name) => `integrity="${RICH_ASSETS[name].integrity}" crossorigin="anonymous"`;
+
+// Intestazioni delle parti aggiunte nell'esportazione, nella lingua del riassunto
+const LABELS = {
+  it: { terms: 'Termini chiave', formulas: 'Formule', map: 'Mappa concettuale' },
+  en: { terms: 'Key terms', formulas: 'Formulas', map: 'Concept map' },
+  de: { terms: 'Schlüsselbegriffe', formulas: 'Formeln', map: 'Begriffslandkarte' },
+  fr: { terms: 'Termes clés', formulas: 'Formules', map: 'Carte conceptuelle' },
+  es: { terms: 'Términos clave', formulas: 'Fórmulas', map: 'Mapa conceptual' }
+};
+
+export function parseSummaryFormat(v) {
+  const s = String(v ?? '').trim().toLowerCase();
+  if (!s) return 'plain';
+  if (SUMMARY_FORMATS.includes(s)) return s;
+  const err = new Error(`Formato del riassunto non valido: ${s} (ammessi: ${SUMMARY_FORMATS.join(', ')})`);
+  err.status = 400;
+  throw err;
+}
+
+const str = (v) => String(v ?? '').trim();
+const list = (v) => (Array.isArray(v) ? v : []);
+function dedupe(items, key) {
+  const seen = new Set();
+  return items.filter(x => { const k = key(x); if (seen.has(k)) return false; seen.add(k); return true; });
+}
+const termKey = (k) => k.term.toLowerCase();
+const formulaKey = (f) => f.latex.replace(/\s+/g, '');
+// Il modello a volte racchiude la formula tra $...$, $$...$$, \(...\) o \[...\]
+const bareLatex = (s) => str(s).replace(/^(\$\$?|\\\[|\\\()\s*/, '').replace(/\s*(\$\$?|\\\]|\\\))$/, '');
+
+// Titoli Markdown fuori dai blocchi di codice
+export function outlineFromMarkdown(md) {
+  const out = [];
+  let fence = false;
+  for (const line of String(md || '').split('\n')) {
+    if (/^\s*```/.test(line)) { fence = !fence; continue; }
+    const m = !fence && line.match(/^(#{1,6})\s+(.+?)\s*#*\s*$/);
+    if (m) out.push({ level: m[1].length, title: m[2] });
+  }
+  return out;
+}
+
+// Nodi con etichetta, archi solo tra nodi esistenti e senza doppioni; null se non resta nessun nodo
+export function normalizeConceptMap(raw) {
+  const ids = new Set();
+  const nodes = [];
+  for (const n of list(raw?.nodes)) {
+    const label = str(n?.label) || str(n?.id);
+    const id = str(n?.id) || label;
+    if (!label || ids.has(id) || nodes.length >= MAX_NODES) continue;
+    ids.add(id);
+    nodes.push({ id, label });
+  }
+  const edges = dedupe(list(raw?.edges)
+    .map(e => ({ from: str(e?.from), to: str(e?.to), label: str(e?.label) }))
+    .filter(e => ids.has(e.from) && ids.has(e.to) && e.from !== e.to), e => `${e.from}\n${e.to}`);
+  return nodes.length ? { nodes, edges } : null;
+}
+
+// Mappe dei singoli chunk in una sola: i nodi con la stessa etichetta coincidono
+export function mergeConceptMaps(maps) {
+  const byLabel = new Map();
+  const nodes = [], edges = [];
+  for (const map of maps.filter(Boolean)) {
+    const local = new Map();
+    for (const n of map.nodes) {
+      const key = n.label.toLowerCase();
+      if (!byLabel.has(key) && nodes.length < MAX_NODES) {
+        byLabel.set(key, `n${nodes.length + 1}`);
+        nodes.push({ id: byLabel.get(key), label: n.label });
+      }
+      if (byLabel.has(key)) local.set(n.id, byLabel.get(key));
+    }
+    for (const e of map.edges) edges.push({ from: local.get(e.from), to: local.get(e.to), label: e.label });
+  }
+  return normalizeConceptMap({ nodes, edges });
+}
+
+// Risposta del modello (schema summary_structured_response) → forma salvata e restituita
+export function normalizeStructuredSummary(raw) {
+  const text = str(raw?.markdown ?? raw?.text);
+  return {
+    text,
+    outline: outlineFromMarkdown(text),
+    keyTerms: dedupe(list(raw?.keyTerms).map(k => ({ term: str(k?.term), definition: str(k?.definition) })).filter(k => k.term), termKey).slice(0, MAX_TERMS),
+    formulas: dedupe(list(raw?.formulas).map(f => ({ latex: bareLatex(f?.latex), description: str(f?.description) })).filter(f => f.latex), formulaKey).slice(0, MAX_FORMULAS),
+    conceptMap: normalizeConceptMap(raw?.conceptMap)
+  };
+}
+
+/*
+ * Riassunto finale dai riassunti dei chunk: il testo (e la mappa) dell'unione
+ * quando c'è, altrimenti i testi in sequenza e le mappe fuse; termini e formule
+ * di tutte le parti, senza doppioni, perché l'unione tende a perderne.
+ */
+export function combineStructured(parts, merged = null) {
+  const all = merged ? [merged, ...parts] : parts;
+  const text = merged ? merged.text : parts.map(p => p.text).join('\n\n');
+  return {
+    text,
+    outline: outlineFromMarkdown(text),
+    keyTerms: dedupe(all.flatMap(p => p.keyTerms), termKey).slice(0, MAX_TERMS),
+    formulas: dedupe(all.flatMap(p => p.formulas), formulaKey).slice(0, MAX_FORMULAS),
+    conceptMap: merged?.conceptMap || mergeConceptMaps(parts.map(p => p.conceptMap))
+  };
+}
+
+export function conceptMapToMermaid(map) {
+  const q = (s) => `"${String(s).replace(/"/g, '#quot;')}"`;
+  const id = new Map(map.nodes.map((n, i) => [n.id, `n${i + 1}`]));
+  return [
+    'graph TD',
+    ...map.nodes.map(n => `  ${id.get(n.id)}[${q(n.label)}]`),
+    ...map.edges.map(e => `  ${id.get(e.from)} -->${e.label ? `|${q(e.label)}|` : ''} ${id.get(e.to)}`)
+  ].join('\n');
+}
+
+// summary: dati dell'elemento salvato ({ text, keyTerms?, formulas?, conceptMap?, language? })
+export function summaryToMarkdown(title, summary) {
+  const l = LABELS[summary.language] || LABELS.it;
+  const out = [`# ${title}`, '', str(summary.text)];
+  const terms = list(summary.keyTerms), formulas = list(summary.formulas);
+  if (terms.length) out.push('', `## ${l.terms}`, '', ...terms.map(k => `- **${k.term}**${k.definition ? `: ${k.definition}` : ''}`));
+  if (formulas.length) out.push('', `## ${l.formulas}`, '', ...formulas.flatMap(f => [`$$${f.latex}$$`, ...(f.description ? ['', f.description] : []), '']));
+  if (summary.conceptMap?.nodes?.length) out.push('', `## ${l.map}`, '', '```mermaid', conceptMapToMermaid(summary.conceptMap), '```');
+  return out.join('\n').replace(/\n{3,}/g, '\n\n').trim() + '\n';
+}
+
+/* ===== Markdown → HTML (il sottoinsieme usato nei riassunti) ===== */
+const escHtml = (s) => String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+// Formule e codice vengono messi da parte prima di grassetti e corsivi (gli _ e * del LaTeX non vanno toccati)
+function inline(s, keep) {
+  const hold = (html) => `\u0000${keep.push(html) - 1}\u0000`;
+  s = s.replace(/`([^`]+)`/g, (_, c) => hold(`<code>${escHtml(c)}</code>`))
+    .replace(/\$\$([\s\S]+?)\$\$/g, (m) => hold(escHtml(m)))
+    .replace(/(^|[^\\$])\$([^$\n]+?)\$/g, (_, pre, m) => pre + hold(escHtml(`$${m}$`)));
+  return escHtml(s)
+    .replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>')
+    .replace(/(^|[^*])\*([^*\s][^*]*?)\*/g, '$1<em>$2</em>')
+    .replace(/(^|\W)_([^_\s][^_]*?)_(?=\W|$)/g, '$1<em>$2</em>')
+    .replace(/\[([^\]]+)\]\((https?:\/\/[^\s)]+)\)/g, '<a href="$2">$1</a>');
+}
+
+export function markdownToHtml(md) {
+  const keep = [];
+  const out = [];
+  const lines = String(md || '').replace(/\r\n?/g, '\n').split('\n');
+  let para = [], listTag = null;
+  const flush = () => {
+    if (para.length) out.push(`<p>${inline(para.join(' '), keep)}</p>`);
+    para = [];
+  };
+  const closeList = () => { if (listTag) out.push(`</${listTag}>`); listTag = null; };
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    if (/^\s*```/.test(line)) {
+      flush(); closeList();
+      const code = [];
+      while (++i < lines.length && !/^\s*```/.test(lines[i])) code.push(lines[i]);
+      out.push(`<pre><code>${escHtml(code.join('\n'))}</code></pre>`);
+      continue;
+    }
+    // Formula su più righe tra $$ ... $$
+    if (line.trim() === '$$') {
+      flush(); closeList();
+      const tex = [];
+      while (++i < lines.length && lines[i].trim() !== '$$') tex.push(lines[i]);
+      out.push(`<div class="math">${escHtml(`$$${tex.join('\n')}$$`)}</div>`);
+      continue;
+    }
+    const h = line.match(/^(#{1,6})\s+(.+?)\s*#*\s*$/);
+    const item = line.match(/^\s*(?:([-*+])|(\d+)[.)])\s+(.*)$/);
+    if (!line.trim()) { flush(); closeList(); }
+    else if (h) { flush(); closeList(); out.push(`<h${h[1].length}>${inline(h[2], keep)}</h${h[1].length}>`); }
+    else if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) { flush(); closeList(); out.push('<hr>'); }
+    else if (/^>\s?/.test(line)) { flush(); closeList(); out.push(`<blockquote>${inline(line.replace(/^>\s?/, ''), keep)}</blockquote>`); }
+    else if (item) {
+      flush();
+      const tag = item[1] ? 'ul' : 'ol';
+      if (listTag !== tag) { closeList(); out.push(`<${tag}>`); listTag = tag; }
+      out.push(`<li>${inline(item[3], keep)}</li>`);
+    }
+    else if (listTag && /^\s{2,}\S/.test(line)) out[out.length - 1] = out[out.length - 1].replace(/<\/li>$/, ` ${inline(line.trim(), keep)}</li>`);
+    else { closeList(); para.push(line.trim()); }
+  }
+  flush(); closeList();
+  return out.join('\n').replace(/\u0000(\d+)\u0000/g, (_, n) => keep[n]);
+}
+
+export function summaryToHtml(title, summary) {
+  const l = LABELS[summary.language] || LABELS.it;
+  const terms = list(summary.keyTerms), formulas = list(summary.formulas);
+  const map = summary.conceptMap?.nodes?.length ? summary.conceptMap : null;
+  const body = [`<h1>${escHtml(title)}</h1>`, markdownToHtml(summary.text)];
+  if (terms.length) body.push(`<h2>${l.terms}</h2>`, `<dl>${terms.map(k => `<dt>${escHtml(k.term)}</dt><dd>${escHtml(k.definition)}</dd>`).join('')}</dl>`);
+  if (formulas.length) body.push(`<h2>${l.formulas}</h2>`, ...formulas.map(f => `<div class="formula"><div class="math">${escHtml(`$$${f.latex}$$`)}</div>${f.description ? `<p>${escHtml(f.description)}</p>` : ''}</div>`));
+  if (map) body.push(`<h2>${l.map}</h2>`, `<pre class="mermaid">${escHtml(conceptMapToMermaid(map))}</pre>`);
+  return `<!doctype html>
+<html lang="${escHtml(summary.language || 'it')}">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escHtml(title)}</title>
+<link rel="stylesheet" href="${RICH_ASSETS.katexCss.url}" ${sri('katexCss')}>
+<script defer src="${RICH_ASSETS.katex.url}" ${sri('katex')}></script>
+<script defer src="${RICH_ASSETS.autoRender.url}" ${sri('autoRender')} onload="renderMathInElement(document.body,{delimiters:[{left:'$$',right:'$$',display:true},{left:'$',right:'$',display:false}],throwOnError:false})"></script>
+${map ? `<script defer src="${RICH_ASSETS.mermaid.url}" ${sri('mermaid')} onload="mermaid.initialize({startOnLoad:true,securityLevel:'strict'})"></script>\n` : ''}<style>
+body{font-family:system-ui,-apple-system,"Segoe UI",Roboto,sans-serif;max-width:46rem;margin:2rem auto;padding:0 1rem;line-height:1.6;color:#1d2433}
+h1,h2,h3{line-height:1.25}dt{font-weight:600;margin-top:.6rem}dd{margin-left:1rem}
+pre{background:#f4f5f7;padding:.8rem;overflow:auto}.formula{margin:.8rem 0}.formula p{margin:.2rem 0 0;color:#555}
+blockquote{border-left:3px solid #ccd;margin:0;padding-left:1rem;color:#555}
+@media print{body{margin:0;max-width:none}a{color:inherit}pre.mermaid{background:none}}
+</style>
+</head>
+<body>
+${body.join('\n')}
+</body>
+</html>
+`;
+}
+
+export function exportSummary(format, title, summary) {
+  const fmt = SUMMARY_EXPORTS[format];
+  return { ...fmt, body: format === 'html' ? summaryToHtml(title, summary) : summaryToMarkdown(title, summary) };
+}
@@ -0,0 +1,119 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+
+/* =============================================================
+   CONSUMO TOKEN E COSTO STIMATO
+   Ogni richiesta di generazione registra token di prompt/completamento
+   per modello; il costo è stimato dal listino (USD per milione di token).
+   File JSON: totali per giorno × client e per giorno × modello, più le
+   ultime richieste. I giorni oltre `retentionDays` vengono scartati.
+   ============================================================= */
+
+// Listino indicativo (USD / 1M token); LLM_PRICES lo integra o lo sostituisce per modello
+export const DEFAULT_PRICES = {
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4.1-nano': { input: 0.1, output: 0.4 },
+  'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+  'gpt-4.1': { input: 2, output: 8 },
+  'o4-mini': { input: 1.1, output: 4.4 },
+  'text-embedding-3-small': { input: 0.02, output: 0 },
+  'text-embedding-3-large': { input: 0.13, output: 0 }
+};
+
+// Prezzo del modello: nome esatto, poi il prefisso più lungo (es. gpt-4o-mini-2024-07-18); "openai/…" come su OpenRouter
+export function priceFor(model, prices = DEFAULT_PRICES) {
+  const name = String(model || '').toLowerCase().replace(/^openai\//, '');
+  if (prices[name]) return prices[name];
+  const key = Object.keys(prices).filter(k => name.startsWith(k)).sort((a, b) => b.length - a.length)[0];
+  return key ? prices[key] : null;
+}
+
+export function estimateCost(model, promptTokens, completionTokens, prices = DEFAULT_PRICES) {
+  const p = priceFor(model, prices);
+  if (!p) return null;
+  return Math.round(((promptTokens * p.input + completionTokens * p.output) / 1e6) * 1e6) / 1e6;
+}
+
+const today = () => new Date().toISOString().slice(0, 10);
+const emptyTotals = () => ({ requests: 0, calls: 0, promptTokens: 0, completionTokens: 0, costUsd: 0 });
+const round6 = (n) => Math.round(n * 1e6) / 1e6;
+
+function addTo(t, u) {
+  t.requests += u.requests || 0;
+  t.calls += u.calls || 0;
+  t.promptTokens += u.promptTokens || 0;
+  t.completionTokens += u.completionTokens || 0;
+  t.costUsd = round6(t.costUsd + (u.costUsd || 0));
+  return t;
+}
+
+export function createUsageLedger(file, { prices = DEFAULT_PRICES, retentionDays = 90, keepRecent = 200 } = {}) {
+  let data = null;
+  let lock = Promise.resolve();
+
+  async function load() {
+    if (data) return data;
+    try { data = JSON.parse(await fs.readFile(file, 'utf8')); }
+    catch (err) { if (err.code !== 'ENOENT') throw err; data = { days: {}, recent: [] }; }
+    return data;
+  }
+
+  async function save() {
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    const tmp = `${file}.${process.pid}.${Date.now()}.tmp`;
+    await fs.writeFile(tmp, JSON.stringify(data));
+    await fs.rename(tmp, file);
+  }
+
+  function update(fn) {
+    const next = lock.catch(() => {}).then(async () => {
+      await load();
+      const out = await fn(data);
+      await save();
+      return out;
+    });
+    lock = next;
+    return next;
+  }
+
+  return {
+    // entry: { rid, client, kind, models: { modello: { calls, promptTokens, completionTokens } } }
+    record({ rid = '-', client = '-', kind = '-', models = {} }) {
+      return update((d) => {
+        const day = today();
+        const dd = (d.days[day] ||= { clients: {}, models: {} });
+        const total = emptyTotals();
+        total.requests = 1;
+        for (const [model, u] of Object.entries(models)) {
+          const costUsd = estimateCost(model, u.promptTokens, u.completionTokens, prices) || 0;
+          const mu = { requests: 1, calls: u.calls, promptTokens: u.promptTokens, completionTokens: u.completionTokens, costUsd };
+          addTo((dd.models[model] ||= emptyTotals()), mu);
+          addTo(total, { ...mu, requests: 0 });
+        }
+        addTo((dd.clients[client] ||= emptyTotals()), total);
+        const { requests, ...tokens } = total;
+        d.recent.unshift({ at: new Date().toISOString(), rid, client, kind, ...tokens, models });
+        d.recent.length = Math.min(d.recent.length, keepRecent);
+        const oldest = new Date(Date.now() - retentionDays * 86_400_000).toISOString().slice(0, 10);
+        for (const k of Object.keys(d.days)) if (k < oldest) delete d.days[k];
+        return total;
+      });
+    },
+    // Riepilogo degli ultimi `days` giorni: per giorno, per client, per modello
+    async summary({ days = 30 } = {}) {
+      await lock.catch(() => {}); // include le registrazioni ancora in scrittura
+      const d = await load();
+      const from = new Date(Date.now() - (days - 1) * 86_400_000).toISOString().slice(0, 10);
+      const out = { from, to: today(), totals: emptyTotals(), days: [], clients: {}, models: {}, recent: d.recent.slice(0, 50) };
+      for (const day of Object.keys(d.days).filter(k => k >= from).sort()) {
+        const dt = emptyTotals();
+        for (const [client, t] of Object.entries(d.days[day].clients)) { addTo(dt, t); addTo((out.clients[client] ||= emptyTotals()), t); }
+        for (const [model, t] of Object.entries(d.days[day].models)) addTo((out.models[model] ||= emptyTotals()), t);
+        addTo(out.totals, dt);
+        out.days.push({ day, ...dt });
+      }
+      return out;
+    }
+  };
+}
@@ -0,0 +1,124 @@
+import { textTerms } from './embeddings.js';
+import { BLANK_RE, questionType } from './questions.js';
+
+/* =============================================================
+   VERIFICA DEI CONTENUTI GENERATI
+   Controlli euristici su domande e flashcard rispetto al chunk da cui
+   sono state generate:
+   - difetti che rendono l'elemento inutilizzabile (fatali): opzioni uguali
+     o quasi, distrattori generici tipo "Tutte le precedenti" (il frontend
+     mescola le opzioni), tutte le opzioni giuste, carte incomplete
+   - aderenza al testo: quota dei termini dell'affermazione da verificare
+     (la risposta giusta, la frase del vero/falso...) presenti nel chunk
+   Il secondo passaggio con il modello (VERIFY_MODE=llm) sta in server.js:
+   qui ci sono la descrizione degli elementi per il prompt e la sintesi
+   del verdetto in una fiducia 0..1.
+   ============================================================= */
+export const VERIFY_MODES = ['off', 'heuristic', 'llm'];
+// Sotto questa aderenza l'elemento viene segnalato (non scartato)
+export const LOW_GROUNDING = 0.5;
+
+// "Tutte le precedenti", "None of the above"... nelle lingue di output gestite
+const CATCH_ALL = [
+  /^(tutte|nessuna|entrambe) (le|delle|dei|le risposte|delle risposte) (precedenti|altre|sopra)/,
+  /^(tutti|nessuno) (i|dei) precedenti/,
+  /^(all|none|both|neither) of (the )?(above|these|the above|previous)/,
+  /^(alle|keine|beide) (der )?(genannten|vorherigen|oben genannten|antworten)/,
+  /^(toutes|aucune) (les |des )?(reponses )?(precedentes|ci-dessus)/,
+  /^(todas|ninguna) (las |de las )?(anteriores|respuestas anteriores)/
+];
+const fold = (s) => String(s == null ? '' : s).trim().toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+
+export const isCatchAll = (option) => CATCH_ALL.some(re => re.test(fold(option)));
+
+// Coppie di opzioni uguali a meno di maiuscole, punteggiatura, parole vuote e ordine delle parole
+export function nearDuplicateOptions(options) {
+  const keys = options.map(o => {
+    const terms = [...new Set(textTerms(o))].sort().join(' ');
+    return terms || fold(o);
+  });
+  const pairs = [];
+  for (let i = 0; i < keys.length; i++) {
+    for (let j = i + 1; j < keys.length; j++) if (keys[i] && keys[i] === keys[j]) pairs.push([i, j]);
+  }
+  return pairs;
+}
+
+// Testo che il chunk deve confermare: la risposta giusta, non la formulazione della domanda
+function claimText(q) {
+  const type = questionType(q);
+  if (type === 'single') return q.options[q.correct];
+  if (type === 'multiple') return q.correct.map(i => q.options[i]).join(' ');
+  if (type === 'cloze') {
+    let k = 0;
+    return q.question.replace(BLANK_RE, () => q.blanks[k++]?.[0] || '');
+  }
+  if (type === 'open') return `${q.rubric} ${q.sampleAnswer || ''}`;
+  return q.question;
+}
+
+// Quota dei termini di `claim` presenti nel chunk; null se il testo non ha termini utili (es. "a", "42")
+export function groundingScore(claim, sourceTerms) {
+  const terms = [...new Set(textTerms(claim))];
+  if (!terms.length) return null;
+  return terms.filter(t => sourceTerms.has(t)).length / terms.length;
+}
+
+function verdict(fatal, grounding) {
+  const issues = [...fatal];
+  if (!fatal.length && grounding !== null && grounding < LOW_GROUNDING) issues.push('poco aderente al testo');
+  const confidence = fatal.length ? 0 : (grounding === null ? 0.5 : grounding);
+  return { confidence: Math.round(confidence * 100) / 100, grounding, issues, fatal: fatal.length > 0 };
+}
+
+// q: domanda già validata da normalizeQuestion; sourceTerms: Set dei termini del chunk (textTerms)
+export function checkQuestion(q, sourceTerms) {
+  const fatal = [];
+  if (Array.isArray(q.options)) {
+    for (const [i, j] of nearDuplicateOptions(q.options)) fatal.push(`opzioni quasi uguali: "${q.options[i]}" / "${q.options[j]}"`);
+    const generic = q.options.filter(isCatchAll);
+    if (generic.length) fatal.push(`distrattore generico: "${generic[0]}"`);
+    if (q.type === 'multiple' && q.correct.length === q.options.length) fatal.push('tutte le opzioni sono corrette');
+  }
+  return verdict(fatal, groundingScore(claimText(q), sourceTerms));
+}
+
+export function checkCard(card, sourceTerms) {
+  const front = String(card?.front ?? '').trim(), back = String(card?.back ?? '').trim();
+  const fatal = [];
+  if (!front || !back) fatal.push('carta incompleta');
+  else if (fold(front) === fold(back)) fatal.push('il retro ripete il fronte');
+  return verdict(fatal, groundingScore(back || front, sourceTerms));
+}
+
+const LETTERS = 'ABCDEFGH';
+// Una riga per elemento nel prompt di verifica
+export function describeQuestion(q) {
+  const type = questionType(q);
+  const head = `(${type}) ${q.question}`;
+  if (type === 'single' || type === 'multiple') {
+    const right = [].concat(q.correct).map(i => LETTERS[i]).join(', ');
+    return `${head} | Opzioni: ${q.options.map((o, i) => `${LETTERS[i]}) ${o}`).join(' ')} | Giusta: ${right}`;
+  }
+  if (type === 'truefalse') return `${head} | Giusta: ${q.answer ? 'vero' : 'falso'}`;
+  if (type === 'numeric') return `${head} | Giusta: ${q.answer}${q.tolerance ? ` ± ${q.tolerance}` : ''}${q.unit ? ` ${q.unit}` : ''}`;
+  if (type === 'cloze') return `${head} | Spazi: ${q.blanks.map(b => b.join(' / ')).join(' ; ')}`;
+  return `${head} | Griglia: ${q.rubric}`;
+}
+export const describeCard = (card) => `(flashcard) ${String(card.front).trim()} | Retro: ${String(card.back).trim()}`;
+
+/*
+ * Fiducia finale con il verdetto del modello ({ supported, correct, confidence }):
+ * conta soprattutto il modello, l'aderenza euristica corregge. Bocciato se il
+ * modello non trova conferma nel testo o ritiene sbagliata la risposta.
+ */
+export function mergeVerdict(check, model) {
+  if (!model || check.fatal) return { ...check, failed: check.fatal };
+  const issues = [...check.issues];
+  if (!model.supported) issues.push('non confermato dal testo');
+  if (!model.correct) issues.push('risposta indicata non corretta');
+  if (model.issue) issues.push(String(model.issue).trim());
+  const m = Math.max(0, Math.min(1, Number(model.confidence) || 0));
+  const confidence = check.grounding === null ? m : 0.7 * m + 0.3 * check.grounding;
+  return { ...check, confidence: Math.round(confidence * 100) / 100, issues: [...new Set(issues)], failed: !model.supported || !model.correct };
+}
@@ -1,48 +1,84 @@
 import 'dotenv/config';
+import { pathToFileURL } from 'node:url';
+import path from 'node:path';
+import crypto from 'node:crypto';
 import express from 'express';
 import cors from 'cors';
 import multer from 'multer';
 // Import diretto del core per evitare il blocco di debug in index.js del pacchetto
 import pdfParse from 'pdf-parse/lib/pdf-parse.js';
-import OpenAI from 'openai';
+import { createLLMProvider, normUsage } from './lib/llm-providers.js';
+import { createLibraryStore, LIBRARY_SECTIONS } from './lib/library-store.js';
+import { buildApkg, cardsToDelimited, parseFlashcardFile, mergeCards, htmlToText } from './lib/flashcard-io.js';
+import { exportQuiz, parseQuizFile, mergeQuestions, QUIZ_FORMATS } from './lib/quiz-io.js';
+import { parseSummaryFormat, normalizeStructuredSummary, combineStructured, exportSummary, SUMMARY_EXPORTS } from './lib/summary-io.js';
+import { createExtractorRegistry, DOCUMENT_EXTRACTORS } from './lib/extractors.js';
+import { createLocalOcr, countPdfPages } from './lib/local-ocr.js';
+import { createCache, cacheKey, sha256 } from './lib/cache.js';
+import { createScheduler, retryAfterMs } from './lib/scheduler.js';
+import { createUsageLedger, DEFAULT_PRICES } from './lib/usage.js';
+import { createLocalEmbedder, createProviderEmbedder, textTerms } from './lib/embeddings.js';
+import { createNotesIndex } from './lib/notes-index.js';
+import { LANGUAGES, parseLanguageParam, detectLanguage, resolveTarget, translationNote, languageName, normLength, normDifficulty, coerceDifficulty, LENGTH_PROMPT, DIFFICULTY_PROMPT, DIFFICULTIES, fallbackTexts } from './lib/i18n.js';
+import { QUESTION_TYPES, SINGLE_OPTIONS, normalizeQuestion, parseQuestionTypes, questionType, gradeAnswer, gradeOpenFallback, OPEN_PASS_SCORE } from './lib/questions.js';
+import { VERIFY_MODES, checkQuestion, checkCard, describeQuestion, describeCard, mergeVerdict } from './lib/verify.js';
+import { createSubjectStore, profileGuide, DEFAULT_PROFILE, PROFILE_TONES, PROFILE_FORMULAS } from './lib/subjects.js';
+import { createLogger, withContext } from './lib/logger.js';
+import { createMetrics } from './lib/metrics.js';
+import { sm2, collectReviewItems, dueToday, reviewSummary } from './lib/srs.js';
+import { collectAdaptiveItems, pickNextQuestion, recordAttempt, masterySummary } from './lib/mastery.js';
+import { createAccountStore, hashPassword, verifyPassword, signToken, verifyToken, loadAuthSecret, normUsername, validateCredentials, publicUser } from './lib/accounts.js';
 
-// ===== Throttle & Queue (configurabili da ENV) =====
+// ===== Log e metriche =====
+// DEBUG_LOG=1 resta una scorciatoia per LOG_LEVEL=debug
+const DEBUG_LOG = (process.env.DEBUG_LOG === '1' || process.env.DEBUG_LOG === 'true');
+const log = createLogger({
+  level: (process.env.LOG_LEVEL || (DEBUG_LOG ? 'debug' : 'info')).trim().toLowerCase(),
+  format: (process.env.LOG_FORMAT || 'json').trim().toLowerCase()
+});
+const metrics = createMetrics({ prefix: 'studytool_' });
+const METRICS_TOKEN = process.env.METRICS_TOKEN || ''; // se impostato, GET /metrics richiede Authorization: Bearer <token>
+const mx = {
+  http: metrics.histogram('http_request_duration_seconds', 'Durata delle richieste HTTP per rotta', ['method', 'route', 'status']),
+  llmCalls: metrics.counter('llm_calls_total', 'Chiamate al provider LLM per esito (ok, error, rate_limited)', ['provider', 'kind', 'outcome']),
+  llmDuration: metrics.histogram('llm_call_duration_seconds', 'Durata delle chiamate al provider LLM', ['provider', 'kind']),
+  llmRetries: metrics.counter('llm_retries_total', 'Chiamate LLM ritentate dopo un 429', ['provider']),
+  llm429: metrics.counter('llm_rate_limited_total', 'Risposte 429 del provider LLM', ['provider']),
+  llmTokens: metrics.counter('llm_tokens_total', 'Token consumati per modello', ['model', 'type']),
+  queueDepth: metrics.gauge('llm_queue_depth', 'Chiamate LLM in attesa nello scheduler', [], () => [[{}, scheduler.stats().queued]]),
+  activeWorkers: metrics.gauge('llm_active_calls', 'Chiamate LLM in corso', [], () => [[{}, scheduler.stats().active]]),
+  jobs: metrics.gauge('jobs_running', 'Job di generazione in coda o in esecuzione', [], () => [[{}, [..._jobs.values()].filter(j => j.status === 'queued' || j.status === 'running').length]]),
+  ocr: metrics.counter('ocr_invocations_total', 'Invocazioni OCR per motore e tipo di input', ['engine', 'kind']),
+  extractFailures: metrics.counter('extraction_failures_total', 'Estrazioni di testo fallite per formato', ['format']),
+  cache: metrics.counter('cache_lookups_total', 'Letture della cache per esito', ['ns', 'result']),
+  verified: metrics.counter('generated_items_verified_total', 'Domande e flashcard verificate per esito (kept, regenerated, dropped)', ['kind', 'outcome'])
+};
+
+// ===== Scheduler & retry (configurabili da ENV) =====
 const sleep = (ms) => new Promise(r => setTimeout(r, ms));
 const OPENAI_RPM = parseInt(process.env.OPENAI_RPM || '30', 10);
+const OPENAI_TPM = parseInt(process.env.OPENAI_TPM || '0', 10); // 0 = nessun limite sui token
 const OPENAI_CONCURRENCY = parseInt(process.env.OPENAI_CONCURRENCY || '2', 10);
+const LLM_QUEUE_MAX = parseInt(process.env.LLM_QUEUE_MAX || '100', 10); // chiamate in attesa oltre le quali si risponde 503
 const SPREAD_DISABLE = process.env.SPREAD_DISABLE === '1';
 const CHUNK_PAUSE_MS = parseInt(process.env.CHUNK_PAUSE_MS || '0', 10);
-const MAX_INPUT_CHARS = parseInt(process.env.OPENAI_MAX_INPUT_CHARS || '50000', 10);
-
-// Coda semplice per limitare la concorrenza delle chiamate OpenAI
-const _queue = [];
-let _active = 0;
-async function _pump(){
-  if (_active >= OPENAI_CONCURRENCY || !_queue.length) return;
-  const { fn, resolve, reject } = _queue.shift();
-  _active++;
-  try { resolve(await fn()); }
-  catch(e){ reject(e); }
-  finally { _active--; setImmediate(_pump); }
-}
-function runQueued(fn){ return new Promise((resolve, reject)=>{ _queue.push({ fn, resolve, reject }); _pump(); }); }
-
-// Throttle RPM su finestra mobile di 60s
-let _winStart = 0;
-let _reqInWindow = 0;
-async function throttleRPM(){
-  const now = Date.now();
-  if (now - _winStart >= 60_000) { _winStart = now; _reqInWindow = 0; }
-  if (_reqInWindow >= OPENAI_RPM) {
-    const wait = 60_000 - (now - _winStart) + 50;
-    if (DEBUG_LOG) console.log(`[${globalThis.__currentRid||'-'}][throttle] window ${_reqInWindow}/${OPENAI_RPM} wait ${wait}ms`);
-    await sleep(wait);
-    _winStart = Date.now(); _reqInWindow = 0;
-  }
-  _reqInWindow++;
-}
+const MAX_INPUT_CHARS = parseInt(process.env.OPENAI_MAX_INPUT_CHARS || '50000', 10); // per documento
+const MAX_TOTAL_INPUT_CHARS = parseInt(process.env.OPENAI_MAX_TOTAL_INPUT_CHARS || String(MAX_INPUT_CHARS * 3), 10); // per richiesta, su tutti i documenti
+const CHUNK_MAX_TOKENS = parseInt(process.env.CHUNK_MAX_TOKENS || '2000', 10);
+const CHUNK_OVERLAP_TOKENS = parseInt(process.env.CHUNK_OVERLAP_TOKENS || '150', 10);
 
-// Retry/backoff per 429 residuali
+// Budget RPM/TPM su finestra scorrevole, concorrenza ed equità tra client (vedi lib/scheduler.js)
+const scheduler = createScheduler({
+  rpm: OPENAI_RPM,
+  tpm: OPENAI_TPM,
+  concurrency: OPENAI_CONCURRENCY,
+  maxQueue: LLM_QUEUE_MAX,
+  log: (msg) => log.debug(`scheduler: ${msg}`)
+});
+
+// Retry sui 429: attesa indicata dal provider (retry-after, x-ratelimit-reset-*) che ferma anche
+// le altre chiamate in coda; senza indicazioni backoff esponenziale
+const RETRY_MAX_WAIT_MS = 60_000;
 async function withRetries(fn, { retries=3, base=500 } = {}){
   let i=0;
   while(true){
@@ -50,14 +86,59 @@ async function withRetries(fn, { retries=3, base=500 } = {}){
     catch(e){
       const status = e?.status || e?.code || e?.response?.status;
       if (status !== 429 || i >= retries) throw e;
-      await sleep(base * Math.pow(2,i) + Math.random()*150);
+      const hinted = retryAfterMs(e?.headers);
+      if (hinted != null && hinted > RETRY_MAX_WAIT_MS) throw e; // es. limite giornaliero: inutile aspettare
+      if (hinted != null) scheduler.pause(hinted);
+      const wait = hinted ?? base * Math.pow(2,i) + Math.random()*150;
+      mx.llmRetries.inc({ provider: llm?.name || 'none' });
+      log.warn('429 dal provider: nuovo tentativo', { attempt: i + 1, waitMs: Math.round(wait), hinted: hinted != null });
+      await sleep(wait);
       i++;
     }
   }
 }
 
 const app = express();
-const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 25 * 1024 * 1024 } }); // 25MB
+const UPLOAD_MAX_FILES = parseInt(process.env.UPLOAD_MAX_FILES || '10', 10);
+const UPLOAD_MAX_FILE_MB = parseInt(process.env.UPLOAD_MAX_FILE_MB || '25', 10);
+const UPLOAD_MAX_TOTAL_MB = parseInt(process.env.UPLOAD_MAX_TOTAL_MB || '60', 10);
+const multerUpload = multer({ storage: multer.memoryStorage(), limits: { fileSize: UPLOAD_MAX_FILE_MB * 1024 * 1024 } });
+// Errori di upload (file troppo grandi, troppi file) → status e messaggio per il client
+function uploadError(err, field, maxFiles) {
+  if (err.code === 'LIMIT_FILE_SIZE') return [413, `File troppo grande (massimo ${UPLOAD_MAX_FILE_MB} MB per file)`];
+  if (err.code === 'LIMIT_UNEXPECTED_FILE') return [400, err.field === field ? (maxFiles > 1 ? `Troppi file (massimo ${maxFiles})` : 'Carica un solo file') : `Campo file inatteso: ${err.field}`];
+  return [err.status || 400, err.message || String(err)];
+}
+// multer prosegue dagli eventi dello stream di upload, fuori dal contesto dei log: lo si ripristina
+const upload = {
+  // Import e indicizzazione: un file, errori in JSON come per le generazioni
+  single: (field) => {
+    const mw = multerUpload.single(field);
+    return (req, res, next) => mw(req, res, (err) => withContext({ rid: req._rid }, () => {
+      if (!err) return next();
+      const [status, error] = uploadError(err, field, 1);
+      log.warn('upload rifiutato', { status, error });
+      res.status(status).json({ ok:false, error });
+    }));
+  },
+  // Rotte di generazione: uno o più documenti nello stesso campo, con limite sul totale.
+  // Gli errori rispondono subito in JSON restituendo la quota già addebitata
+  files: (field) => {
+    const mw = multerUpload.array(field, UPLOAD_MAX_FILES);
+    return (req, res, next) => mw(req, res, (err) => withContext({ rid: req._rid }, () => {
+      const total = (req.files || []).reduce((sum, f) => sum + f.size, 0);
+      if (!err && total > UPLOAD_MAX_TOTAL_MB * 1024 * 1024) {
+        err = new Error(`Upload troppo grande: ${(total / 1048576).toFixed(1)} MB in totale (massimo ${UPLOAD_MAX_TOTAL_MB} MB)`);
+        err.status = 413;
+      }
+      if (!err) return next();
+      const [status, error] = uploadError(err, field, UPLOAD_MAX_FILES);
+      log.warn('upload rifiutato', { status, error });
+      refundQuota(req);
+      res.status(status).json({ ok:false, error });
+    }));
+  }
+};
 
 // CORS con allowlist per deploy su Render (gestisce anche preflight)
 const allowlist = (process.env.ALLOWED_ORIGINS || '').split(',').map(s => s.trim()).filter(Boolean);
@@ -71,139 +152,496 @@ const corsOptions = {
 app.use(cors(corsOptions));
 app.options('*', cors(corsOptions));
 app.use(express.json({ limit: '2mb' }));
-// Debug verbose abilitabile da ENV
-const DEBUG_LOG = (process.env.DEBUG_LOG === '1' || process.env.DEBUG_LOG === 'true');
-// Middleware: assegna un request-id e logga inizio/fine
+// Middleware: assegna un request-id, apre il contesto dei log e misura la durata per rotta
 app.use((req, res, next) => {
   const rid = Math.random().toString(36).slice(2,8) + '-' + Date.now().toString(36).slice(-4);
   req._rid = rid;
   const start = Date.now();
+  const endTimer = mx.http.startTimer({ method: req.method });
   res.setHeader('x-request-id', rid);
-  console.log(`[${rid}] ${req.method} ${req.path} from ${req.ip || 'unknown'}`);
   res.on('finish', () => {
-    console.log(`[${rid}] done ${res.statusCode} in ${Date.now()-start}ms`);
+    // Rotta Express (es. /api/jobs/:id) per non creare una serie per ogni id
+    const route = req.route ? (req.baseUrl || '') + req.route.path : 'unmatched';
+    endTimer({ route, status: res.statusCode });
+    log.info('risposta', { rid, status: res.statusCode, ms: Date.now() - start });
+  });
+  withContext({ rid }, () => {
+    log.info('richiesta', { method: req.method, path: req.path, ip: req.ip || 'unknown' });
+    next();
   });
-  next();
 });
 
 const PORT = process.env.PORT || 8787;
 const apiKeyRaw = process.env.OPENAI_API_KEY || '';
 const apiKey = apiKeyRaw.trim();
-const HAS_OPENAI = !!apiKey;
-const clientOpts = { apiKey };
-if ((process.env.OPENAI_PROJECT||'').trim()) clientOpts.project = (process.env.OPENAI_PROJECT||'').trim();
-if ((process.env.OPENAI_BASE_URL||'').trim()) clientOpts.baseURL = (process.env.OPENAI_BASE_URL||'').trim();
-const openai = HAS_OPENAI ? new OpenAI(clientOpts) : null;
+// Provider LLM selezionato da LLM_PROVIDER (default: openai se c'è la chiave); null → generatori demo
+const llm = createLLMProvider(process.env);
+const HAS_LLM = !!llm;
 // Log config effettiva per debug (senza segreti)
-const MODEL_CFG = process.env.OPENAI_MODEL || 'gpt-4o-mini';
+const MODEL_CFG = llm ? llm.model : (process.env.OPENAI_MODEL || 'gpt-4o-mini');
 const MAX_TOKENS_CFG = parseInt(process.env.OPENAI_MAX_TOKENS || process.env.OPENAI_MAX_OUTPUT_TOKENS || '800', 10);
 const OCR_ENABLED = process.env.OCR_ENABLE ? process.env.OCR_ENABLE !== '0' : true;
 const OCR_MODEL_CFG = process.env.OPENAI_OCR_MODEL || MODEL_CFG;
 const OCR_MAX_OUTPUT_TOKENS = parseInt(process.env.OPENAI_OCR_MAX_OUTPUT_TOKENS || '2000', 10);
+// llm = OCR del provider (PDF intero caricato), tesseract = OCR locale pagina per pagina
+const OCR_ENGINE = (process.env.OCR_ENGINE || 'llm').trim().toLowerCase();
+if (!['llm', 'tesseract'].includes(OCR_ENGINE)) throw new Error(`OCR_ENGINE sconosciuto: ${OCR_ENGINE} (valori: llm, tesseract)`);
+const OCR_LOW_CONFIDENCE = parseInt(process.env.OCR_LOW_CONFIDENCE || '60', 10);
 const KEY_TYPE = apiKey.startsWith('sk-proj-') ? 'project' : (apiKey.startsWith('sk-') ? 'user' : (apiKey ? 'unknown' : 'none'));
 const KEY_LEN = apiKey.length;
-console.log(`[studytool] OpenAI model=${MODEL_CFG} max_tokens=${MAX_TOKENS_CFG} rpm=${OPENAI_RPM} concurrency=${OPENAI_CONCURRENCY} hasOpenAI=${HAS_OPENAI} keyType=${KEY_TYPE} keyLen=${KEY_LEN} project=${process.env.OPENAI_PROJECT? 'set':''} baseURL=${process.env.OPENAI_BASE_URL? 'set':''} ocrEnabled=${OCR_ENABLED} ocrModel=${OCR_MODEL_CFG}`);
+log.info('configurazione', { provider: llm ? llm.name : 'none', model: MODEL_CFG, maxTokens: MAX_TOKENS_CFG, rpm: OPENAI_RPM, tpm: OPENAI_TPM || 'off', concurrency: OPENAI_CONCURRENCY, queueMax: LLM_QUEUE_MAX, hasLLM: HAS_LLM, keyType: KEY_TYPE, keyLen: KEY_LEN, project: process.env.OPENAI_PROJECT ? 'set' : '', baseURL: process.env.OPENAI_BASE_URL ? 'set' : '', ocrEnabled: OCR_ENABLED, ocrEngine: OCR_ENGINE, ocrModel: OCR_MODEL_CFG });
 
 /* =============================================================
-   AUTH OPZIONALE PER LE ROTTE /api/* (eccetto /api/ping)
+   AUTENTICAZIONE
+   - account utente: POST /api/auth/register|login → token firmato (Authorization: Bearer)
+   - SERVER_API_KEY (x-api-key): accesso di servizio legacy, dati nello spazio condiviso
+   - AUTH_REQUIRED=1: senza token o chiave le rotte /api/* rispondono 401
    ============================================================= */
+const DATA_DIR = path.resolve(process.env.DATA_DIR || './data');
 const REQUIRED_KEY = process.env.SERVER_API_KEY || '';
-app.use((req, res, next) => {
-  if (req.path === '/api/ping') return next();
-  if (!REQUIRED_KEY) return next(); // disattivato se non impostato
-  if (req.get('x-api-key') === REQUIRED_KEY) return next();
+const AUTH_REQUIRED = process.env.AUTH_REQUIRED === '1' || process.env.AUTH_REQUIRED === 'true';
+const AUTH_ALLOW_REGISTER = process.env.AUTH_ALLOW_REGISTER !== '0';
+const AUTH_INVITE_CODE = process.env.AUTH_INVITE_CODE || '';
+const AUTH_TOKEN_TTL_MS = parseInt(process.env.AUTH_TOKEN_TTL_MS || String(7 * 24 * 3600 * 1000), 10); // 7 giorni
+const USER_DAILY_QUOTA = parseInt(process.env.USER_DAILY_QUOTA || '30', 10); // generazioni/giorno per utente, 0 = illimitate
+// Letto (o generato) al primo uso, così importare il modulo non scrive su disco
+let _authSecret = null;
+const authSecret = () => (_authSecret ||= loadAuthSecret(DATA_DIR, process.env.AUTH_SECRET).catch((err) => { _authSecret = null; throw err; }));
+const accounts = createAccountStore(path.join(DATA_DIR, 'users.json'));
+const PUBLIC_PATHS = new Set(['/api/ping', '/api/auth/register', '/api/auth/login']);
+
+app.use(async (req, res, next) => {
+  if (!req.path.startsWith('/api/') || PUBLIC_PATHS.has(req.path)) return next();
+  const bearer = (req.get('authorization') || '').match(/^Bearer\s+(.+)$/i);
+  if (bearer) {
+    let payload;
+    try { payload = verifyToken(bearer[1], await authSecret()); }
+    catch (err) {
+      log.error('segreto di autenticazione non disponibile', { err });
+      return res.status(500).json({ ok:false, error:'Autenticazione non disponibile' });
+    }
+    const user = payload ? await accounts.findById(payload.sub).catch(() => null) : null;
+    if (!user) return res.status(401).json({ ok:false, error:'Sessione non valida o scaduta' });
+    req.user = user;
+    return next();
+  }
+  if (REQUIRED_KEY && req.get('x-api-key') === REQUIRED_KEY) return next();
+  if (!REQUIRED_KEY && !AUTH_REQUIRED) return next(); // modalità aperta (sviluppo)
   return res.status(401).json({ ok:false, error:'Unauthorized' });
 });
 
+// Proprietario dei dati della richiesta: id utente oppure null (spazio condiviso)
+const ownerOf = (req) => req.user ? req.user.id : null;
+
+async function issueSession(user) {
+  const now = Date.now();
+  const token = signToken({ sub: user.id, iat: now, exp: now + AUTH_TOKEN_TTL_MS }, await authSecret());
+  return { token, expiresAt: now + AUTH_TOKEN_TTL_MS, user: publicUser(user), quota: await accounts.usage(user.id, USER_DAILY_QUOTA) };
+}
+
+app.post('/api/auth/register', async (req,res)=>{
+  if (!AUTH_ALLOW_REGISTER) return res.status(403).json({ ok:false, error:'Registrazione disattivata' });
+  if (AUTH_INVITE_CODE && req.body?.inviteCode !== AUTH_INVITE_CODE) return res.status(403).json({ ok:false, error:'Codice invito non valido' });
+  const username = normUsername(req.body?.username);
+  const password = req.body?.password;
+  const invalid = validateCredentials(username, password);
+  if (invalid) return res.status(400).json({ ok:false, error: invalid });
+  try{
+    const user = await accounts.create(username, await hashPassword(password));
+    log.info('nuovo utente', { username: user.username, userId: user.id });
+    res.status(201).json({ ok:true, ...(await issueSession(user)) });
+  }catch(e){
+    if (e.code === 'USER_EXISTS') return res.status(409).json({ ok:false, error: e.message });
+    log.error('registrazione fallita', { err: e });
+    res.status(500).json({ ok:false, error:'Registrazione non riuscita' });
+  }
+});
+
+app.post('/api/auth/login', async (req,res)=>{
+  try{
+    const user = await accounts.findByUsername(normUsername(req.body?.username));
+    // Verifica eseguita comunque per non rivelare quali utenti esistono dai tempi di risposta
+    const valid = await verifyPassword(String(req.body?.password || ''), user ? user.passwordHash : 'scrypt$16384$8$1$AAAAAAAAAAAAAAAAAAAAAA$AA');
+    if (!user || !valid) return res.status(401).json({ ok:false, error:'Credenziali non valide' });
+    res.json({ ok:true, ...(await issueSession(user)) });
+  }catch(e){
+    log.error('login fallito', { err: e });
+    res.status(500).json({ ok:false, error:'Accesso non riuscito' });
+  }
+});
+
+app.get('/api/auth/me', async (req,res)=>{
+  if (!req.user) return res.status(401).json({ ok:false, error:'Accesso richiesto' });
+  try{
+    res.json({ ok:true, user: publicUser(req.user), quota: await accounts.usage(req.user.id, USER_DAILY_QUOTA) });
+  }catch(e){
+    log.error('lettura account fallita', { err: e });
+    res.status(500).json({ ok:false, error:'Account non disponibile' });
+  }
+});
+
+// Quota giornaliera per utente: addebita `cost` generazioni prima di leggere l'upload
+const chargeQuota = (cost) => async (req, res, next) => {
+  if (!req.user || !USER_DAILY_QUOTA) return next();
+  let q;
+  try { q = await accounts.consume(req.user.id, USER_DAILY_QUOTA, cost); }
+  catch (err) {
+    log.error('quota non aggiornata', { err });
+    return res.status(500).json({ ok:false, error:'Errore nel controllo quota' });
+  }
+  if (!q.ok) {
+    const error = cost > 1 && q.used < q.limit ? `Quota giornaliera insufficiente (servono ${cost} generazioni, ne restano ${q.limit - q.used})` : `Quota giornaliera esaurita (${q.limit} generazioni)`;
+    return res.status(429).json({ ok:false, error, quota: { used: q.used, limit: q.limit, remaining: Math.max(0, q.limit - q.used) } });
+  }
+  req.quotaCharged = cost;
+  next();
+};
+const requireQuota = chargeQuota(1);
+
+// Restituisce le generazioni addebitate (tutte, o n) se la richiesta fallisce o viene annullata
+function refundQuota(req, n = req.quotaCharged) {
+  n = Math.min(n || 0, req.quotaCharged || 0);
+  if (!n) return;
+  req.quotaCharged -= n;
+  accounts.refund(req.user.id, n).catch(err => log.warn('rimborso quota fallito', { err }));
+}
+
+/* =============================================================
+   CONTESTO DELLA RICHIESTA E CONSUMI
+   Ogni generazione ha un contesto (req._ctx) con il client per l'equità dello
+   scheduler, lo stato della cache e i token consumati per modello.
+   A fine richiesta i consumi vanno nel registro DATA_DIR/usage.json (GET /api/admin/usage).
+   ============================================================= */
+const usageLedger = createUsageLedger(path.join(DATA_DIR, 'usage.json'), {
+  prices: { ...DEFAULT_PRICES, ...parseJsonEnv('LLM_PRICES') },
+  retentionDays: parseInt(process.env.USAGE_RETENTION_DAYS || '90', 10)
+});
+const ADMIN_USERS = new Set((process.env.ADMIN_USERS || '').split(',').map(normUsername).filter(Boolean));
+
+function parseJsonEnv(name) {
+  if (!process.env[name]) return {};
+  try { return JSON.parse(process.env[name]); }
+  catch { throw new Error(`${name} non è JSON valido`); }
+}
+
+// Client della richiesta: utente, chiave di servizio, altrimenti indirizzo IP
+function clientOf(req) {
+  if (req.user) return `user:${req.user.username}`;
+  const key = req.get('x-api-key');
+  if (REQUIRED_KEY && key === REQUIRED_KEY) return `key:${sha256(key).slice(0, 8)}`;
+  return `ip:${req.ip || '-'}`;
+}
+
+function requestCtx(req) {
+  if (!req._ctx) {
+    const v = String(req.query?.cache ?? req.body?.cache ?? '').toLowerCase();
+    const bypass = /no-cache|no-store/.test(String(req.headers['cache-control'] || '').toLowerCase()) || ['0', 'false', 'no'].includes(v);
+    req._ctx = { rid: req._rid || '-', client: clientOf(req), bypass, extraction: null, hits: 0, misses: 0, usage: {} };
+  }
+  return req._ctx;
+}
+
+function trackUsage(rc, model, u) {
+  if (!rc || !u) return;
+  const m = (rc.usage[model] ||= { calls: 0, promptTokens: 0, completionTokens: 0 });
+  m.calls++;
+  m.promptTokens += u.promptTokens || 0;
+  m.completionTokens += u.completionTokens || 0;
+}
+
+// Registra il consumo anche se la richiesta fallisce o viene annullata: i token sono stati spesi
+function recordUsage(req, kind) {
+  const rc = req._ctx;
+  if (!rc || !Object.keys(rc.usage).length) return;
+  usageLedger.record({ rid: rc.rid, client: rc.client, kind, models: rc.usage })
+    .then(t => log.info('consumo', { client: rc.client, kind, calls: t.calls, promptTokens: t.promptTokens, completionTokens: t.completionTokens, costUsd: t.costUsd }))
+    .catch(err => log.warn('registro consumi non aggiornato', { err }));
+}
+
+// Metadati per la risposta (e riepilogo nel log della richiesta)
+function requestMeta(req) {
+  if (!cache.enabled) return {};
+  const rc = requestCtx(req);
+  log.info('cache', { extraction: rc.extraction, llmHits: rc.hits, llmMisses: rc.misses, bypass: rc.bypass });
+  return { cache: { bypass: rc.bypass, extraction: rc.extraction, llm: { hits: rc.hits, misses: rc.misses } } };
+}
+
+// Coda verso il modello piena: 503 subito, prima di addebitare la quota e leggere l'upload
+function requireCapacity(req, res, next) {
+  if (!HAS_LLM || !scheduler.isFull()) return next();
+  log.warn('coda LLM piena: richiesta rifiutata', { queueMax: LLM_QUEUE_MAX });
+  res.setHeader('Retry-After', '30');
+  return res.status(503).json({ ok:false, error:'Servizio occupato: troppe richieste in coda verso il modello, riprova tra poco' });
+}
+
+// Amministrazione: utenti in ADMIN_USERS, chiave SERVER_API_KEY, oppure chiunque in modalità aperta
+function requireAdmin(req, res, next) {
+  const ok = req.user ? ADMIN_USERS.has(req.user.username) : (REQUIRED_KEY ? req.get('x-api-key') === REQUIRED_KEY : !AUTH_REQUIRED);
+  if (!ok) return res.status(403).json({ ok:false, error:'Riservato agli amministratori' });
+  next();
+}
+
+/* =============================================================
+   CACHE (testo estratto e risultati LLM)
+   Estrazione: hash del file + formato + intervallo pagine + motore OCR.
+   LLM: hash del prompt completo (template + chunk + parametri) + schema, modello, temperatura, max_tokens.
+   `Cache-Control: no-cache` (o campo/query cache=0) salta le letture ma aggiorna le voci.
+   ============================================================= */
+const cache = createCache({
+  backend: (process.env.CACHE_BACKEND || 'disk').trim().toLowerCase(),
+  dir: path.resolve(process.env.CACHE_DIR || path.join(DATA_DIR, 'cache')),
+  ttlMs: parseInt(process.env.CACHE_TTL_MS || String(7 * 24 * 3600 * 1000), 10), // 7 giorni
+  maxBytes: parseInt(process.env.CACHE_MAX_MB || '500', 10) * 1024 * 1024
+});
+
+// Legge da cache o calcola e salva; un guasto della cache non fa fallire la generazione
+async function cached(rc, ns, key, label, compute, storable = () => true) {
+  if (!cache.enabled) return { value: await compute(), hit: false };
+  if (!rc.bypass) {
+    const value = await cache.get(ns, key).catch((err) => { log.warn('lettura cache fallita', { ns, err }); return undefined; });
+    mx.cache.inc({ ns, result: value !== undefined ? 'hit' : 'miss' });
+    if (value !== undefined) {
+      log.info('cache hit', { ns, label });
+      return { value, hit: true };
+    }
+  }
+  const value = await compute();
+  if (storable(value)) await cache.set(ns, key, value).catch((err) => log.warn('scrittura cache fallita', { ns, err }));
+  return { value, hit: false };
+}
+
 /* =============================================================
    UTILITÀ
    ============================================================= */
-function cleanText(t) {
+// Normalizza gli spazi di una pagina mantenendo titoli e paragrafi (righe vuote)
+function cleanPageText(t) {
   if (!t) return '';
-  return t.replace(/\r/g, ' ').replace(/\n/g, ' ').replace(/\t/g, ' ').replace(/\s+/g, ' ').trim();
+  return t.replace(/\r\n?/g, '\n')
+    .replace(/[\t\f\v\u00a0 ]+/g, ' ')
+    .split('\n').map(l => l.trim()).join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+// Marcatore di pagina nel testo per il modello: [Pagina N], oppure [Documento D: nome · Pagina N]
+// quando la richiesta unisce più documenti (doc = posizione del file nell'upload, da 1)
+const PAGE_MARKER_RE = /^\[(?:Documento (\d+): ([^\]\n]*?) · )?Pagina (\d+)\]\n?/m;
+const pageMarker = (p) => (p.doc ? `[Documento ${p.doc}: ${p.name} · Pagina ${p.page}]` : `[Pagina ${p.page}]`);
+const multiDocument = (text) => /^\[Documento \d+: /m.test(text || '');
+
+// Testo per il modello: ogni pagina preceduta dal suo marcatore
+function pagesToText(pages) {
+  return pages.filter(p => p.text).map(p => `${pageMarker(p)}\n${p.text}`).join('\n\n');
 }
 
-function collectResponseText(resp) {
-  if (!resp) return '';
-  if (Array.isArray(resp.output_text) && resp.output_text.length) {
-    return resp.output_text.join('\n');
+// Inverso di pagesToText: ricostruisce le pagine dai marcatori (testo senza marcatori → pagina 1)
+function splitPageMarkers(text) {
+  const parts = String(text || '').split(new RegExp(PAGE_MARKER_RE.source, 'gm'));
+  const pages = [];
+  if (parts[0].trim()) pages.push({ page: 1, text: parts[0].trim() });
+  for (let i = 1; i < parts.length; i += 4) {
+    const body = (parts[i + 3] || '').trim();
+    if (!body) continue;
+    const doc = parts[i] ? { doc: parseInt(parts[i], 10), name: parts[i + 1] } : {};
+    pages.push({ ...doc, page: parseInt(parts[i + 2], 10), text: body });
   }
-  const out = [];
-  const items = Array.isArray(resp.output) ? resp.output : [];
-  for (const item of items) {
-    if (item?.type === 'message' && Array.isArray(item.content)) {
-      for (const chunk of item.content) {
-        if (chunk?.type === 'output_text' && typeof chunk.text === 'string') {
-          out.push(chunk.text);
+  return pages;
+}
+
+function normSourcePage(v) {
+  const n = parseInt(v, 10);
+  return n > 0 ? n : null;
+}
+
+// Stima grezza dei token: ~4 caratteri per token per testi in alfabeto latino
+function estimateTokens(s) {
+  return Math.ceil(String(s || '').length / 4);
+}
+
+function splitSentences(text) {
+  const out = String(text || '').match(/[^.!?…]+(?:[.!?…]+["'»)\]]*|$)/g) || [];
+  return out.map(s => s.trim()).filter(Boolean);
+}
+
+/*
+ * Chunking semantico: rispetta titoli, paragrafi e frasi, misura in token stimati
+ * e ripete in testa a ogni chunk le ultime frasi del precedente (overlap).
+ * I marcatori di pagina vengono riportati all'inizio di ogni chunk e a ogni cambio pagina (o documento).
+ */
+function chunkText(txt, { maxTokens = CHUNK_MAX_TOKENS, overlapTokens = CHUNK_OVERLAP_TOKENS } = {}) {
+  const markers = PAGE_MARKER_RE.test(txt || '');
+  const maxChars = maxTokens * 4;
+  const units = [];
+  for (const { doc, name, page, text } of splitPageMarkers(txt)) {
+    for (const block of text.split(/\n{2,}/)) {
+      const b = block.trim();
+      if (!b) continue;
+      if (estimateTokens(b) <= maxTokens) { units.push({ doc, name, page, text: b, heading: /^#{1,6} /.test(b) }); continue; }
+      // Paragrafo troppo lungo: si spezza per frasi (e le frasi enormi per parole)
+      splitSentences(b).forEach((sent, i) => {
+        const pieces = [];
+        if (estimateTokens(sent) <= maxTokens) pieces.push(sent);
+        else {
+          let cur = '';
+          for (const w of sent.split(/\s+/)) {
+            if (cur && cur.length + w.length + 1 > maxChars) { pieces.push(cur); cur = ''; }
+            cur = cur ? `${cur} ${w}` : w;
+          }
+          if (cur) pieces.push(cur);
         }
-      }
-    } else if (item?.type === 'output_text' && typeof item.text === 'string') {
-      out.push(item.text);
+        pieces.forEach((piece, j) => units.push({ doc, name, page, text: piece, cont: i > 0 || j > 0 }));
+      });
     }
   }
-  return out.join('\n');
-}
 
-function chunkText(txt, max = 8000) {
-  // Semplice chunking per lunghi PDF
+  const render = (items) => {
+    let out = '';
+    let page = null, doc = null;
+    for (const it of items) {
+      if (markers && (it.page !== page || it.doc !== doc)) { out += (out ? '\n\n' : '') + `${pageMarker(it)}\n`; page = it.page; doc = it.doc; }
+      else if (out) out += it.cont ? ' ' : '\n\n';
+      out += it.text;
+    }
+    return out;
+  };
+  const overlapFrom = (items) => {
+    if (overlapTokens <= 0) return [];
+    const last = items[items.length - 1];
+    const tail = [];
+    let tokens = 0;
+    for (const sent of splitSentences(last.text).reverse()) {
+      tokens += estimateTokens(sent);
+      if (tokens > overlapTokens) break;
+      tail.unshift(sent);
+    }
+    return tail.length ? [{ doc: last.doc, name: last.name, page: last.page, text: tail.join(' '), overlap: true }] : [];
+  };
+
   const chunks = [];
-  let i = 0;
-  while (i < txt.length) {
-    chunks.push(txt.slice(i, i + max));
-    i += max;
+  let cur = [];
+  let curTokens = 0;
+  const hasContent = () => cur.some(u => !u.overlap);
+  const flush = (withOverlap) => {
+    // Un titolo non resta in coda a un chunk: passa al successivo
+    const carry = [];
+    while (cur.length > 1 && cur[cur.length - 1].heading) carry.unshift(cur.pop());
+    chunks.push(render(cur));
+    const next = (withOverlap && !carry.length) ? overlapFrom(cur) : [];
+    cur = [...next, ...carry];
+    curTokens = cur.reduce((n, u) => n + estimateTokens(u.text), 0);
+  };
+  for (const u of units) {
+    const t = estimateTokens(u.text);
+    if (hasContent() && u.heading && curTokens >= maxTokens * 0.6) flush(false);
+    else if (hasContent() && curTokens + t > maxTokens) flush(true);
+    cur.push({ ...u, cont: u.cont && cur.length > 0 && cur[cur.length - 1].page === u.page && cur[cur.length - 1].doc === u.doc });
+    curTokens += t;
   }
+  if (hasContent()) flush(false);
   return chunks;
 }
 
-async function runPdfOCR(buffer, rid = '-') {
+// Ripartisce n elementi sui chunk in proporzione ai token; se n < chunk li sceglie equidistanti
+function distributeCount(n, chunks) {
+  const counts = chunks.map(() => 0);
+  if (!chunks.length) return counts;
+  if (n < chunks.length) {
+    for (let k = 0; k < n; k++) counts[Math.floor((k + 0.5) * chunks.length / n)]++;
+    return counts;
+  }
+  const weights = chunks.map(c => estimateTokens(c));
+  const total = weights.reduce((a, b) => a + b, 0) || 1;
+  const shares = weights.map(w => 1 + (n - chunks.length) * w / total);
+  shares.forEach((sh, i) => { counts[i] = Math.floor(sh); });
+  let left = n - counts.reduce((a, b) => a + b, 0);
+  const byRemainder = shares.map((sh, i) => [sh - Math.floor(sh), i]).sort((a, b) => b[0] - a[0]);
+  for (let k = 0; left > 0; k++, left--) counts[byRemainder[k % byRemainder.length][1]]++;
+  return counts;
+}
+
+// Divide l'output OCR sui marcatori "=== Pagina N ===" (in assenza: form feed o pagina unica)
+function splitOcrPages(raw) {
+  const parts = String(raw || '').split(/^\s*=+\s*Pagina\s+(\d+)\s*=+\s*$/mi);
+  const pages = [];
+  if (parts.length > 1) {
+    for (let i = 1; i < parts.length; i += 2) {
+      const text = cleanPageText(parts[i + 1]);
+      if (text) pages.push({ page: parseInt(parts[i], 10), text });
+    }
+    return pages;
+  }
+  return String(raw || '').split('\f').map((t, i) => ({ page: i + 1, text: cleanPageText(t) })).filter(p => p.text);
+}
+
+// Token di una risposta: usage già normalizzato dal provider (chat) o grezzo dell'SDK (OCR)
+function usageOf(r) {
+  const u = r?.usage;
+  if (!u) return null;
+  return u.promptTokens != null ? u : normUsage(u);
+}
+
+// Chiamata al provider: scheduler (RPM/TPM, equità tra client, coda limitata) e retry sui 429.
+// `tokens` è la stima per il budget TPM; i token reali finiscono nel contesto della richiesta.
+function llmCall(fn, { rc = null, tokens = 0, model = MODEL_CFG, kind = 'chat' } = {}) {
+  const tokensOf = (r) => { const u = usageOf(r); return u ? u.promptTokens + u.completionTokens : null; };
+  const provider = llm.name;
+  return withRetries(() => scheduler.schedule(async () => {
+    const end = mx.llmDuration.startTimer({ provider, kind });
+    try {
+      const res = await fn();
+      const secs = end();
+      mx.llmCalls.inc({ provider, kind, outcome: 'ok' });
+      scheduler.observe(res?.headers);
+      const u = usageOf(res);
+      trackUsage(rc, model, u);
+      log.debug('chiamata LLM', { kind, model, ms: Math.round(secs * 1000), promptTokens: u?.promptTokens, completionTokens: u?.completionTokens });
+      if (u) { mx.llmTokens.inc({ model, type: 'prompt' }, u.promptTokens || 0); mx.llmTokens.inc({ model, type: 'completion' }, u.completionTokens || 0); }
+      return res;
+    } catch (err) {
+      end();
+      const limited = err?.status === 429;
+      mx.llmCalls.inc({ provider, kind, outcome: limited ? 'rate_limited' : 'error' });
+      if (limited) mx.llm429.inc({ provider });
+      scheduler.observe(err?.headers);
+      throw err;
+    }
+  }, { client: rc?.client, tokens, tokensOf }));
+}
+
+const OCR_PROMPTS = {
+  pdf: 'Sei un motore OCR. Leggi il PDF allegato ed estrai esclusivamente il testo leggibile pagina per pagina, mantenendo l\'ordine di lettura. Inizia ogni pagina con una riga "=== Pagina N ===" (N = numero della pagina nel PDF). Mantieni titoli e paragrafi, con una riga vuota tra i paragrafi. Restituisci solo testo puro.',
+  image: 'Sei un motore OCR. Trascrivi esclusivamente il testo leggibile nell\'immagine allegata, nell\'ordine di lettura. Mantieni titoli e paragrafi, con una riga vuota tra i paragrafi. Restituisci solo testo puro.'
+};
+
+const localOcr = OCR_ENGINE === 'tesseract' ? createLocalOcr({
+  langs: (process.env.OCR_LANGS || 'ita+eng').split('+').map(s => s.trim()).filter(Boolean),
+  langPath: path.resolve(process.env.OCR_LANG_PATH || path.join(DATA_DIR, 'tessdata')),
+  dpi: parseInt(process.env.OCR_DPI || '300', 10),
+  log: (msg) => log.debug(`OCR locale: ${msg}`)
+}) : null;
+
+// OCR tramite il provider: PDF interi (ocrPdf) oppure immagini PNG/JPEG (ocrImage, modelli con visione)
+async function runOCR(buffer, { mime = 'application/pdf', rc = null } = {}) {
+  const kind = mime === 'application/pdf' ? 'pdf' : 'image';
+  const method = kind === 'pdf' ? 'ocrPdf' : 'ocrImage';
   if (!OCR_ENABLED) throw new Error('OCR disabilitato');
-  if (!HAS_OPENAI) throw new Error('OCR non disponibile: OPENAI non configurato');
-  const label = `${rid}:OCR`;
+  if (!HAS_LLM) throw new Error('OCR non disponibile: LLM non configurato');
+  if (typeof llm[method] !== 'function') throw new Error(`OCR ${kind === 'pdf' ? 'dei PDF' : 'delle immagini'} non supportato dal provider ${llm.name}`);
   const model = OCR_MODEL_CFG;
-  console.log(`[${label}] fallback OCR attivo con modello ${model}`);
-  const upload = await OpenAI.toFile(buffer, 'upload.pdf');
-  const file = await runQueued(async () => {
-    await throttleRPM();
-    return await withRetries(() => openai.files.create({
-      file: upload,
-      purpose: 'assistants'
-    }));
+  mx.ocr.inc({ engine: 'llm', kind });
+  log.info('OCR con il provider', { kind, provider: llm.name, model });
+  const raw = await llm[method](buffer, {
+    model,
+    mime,
+    maxTokens: OCR_MAX_OUTPUT_TOKENS,
+    prompt: OCR_PROMPTS[kind],
+    call: (fn) => llmCall(fn, { rc, tokens: OCR_MAX_OUTPUT_TOKENS, model, kind: 'ocr' }),
+    onCleanupError: (err) => log.debug('cleanup file OCR fallito', { err })
   });
-  try {
-    const response = await runQueued(async () => {
-      await throttleRPM();
-      return await withRetries(() => openai.responses.create({
-        model,
-        temperature: 0,
-        max_output_tokens: OCR_MAX_OUTPUT_TOKENS,
-        input: [
-          {
-            role: 'user',
-            content: [
-              {
-                type: 'input_text',
-                text: 'Sei un motore OCR. Leggi il PDF allegato ed estrai esclusivamente il testo leggibile pagina per pagina, mantenendo l\'ordine di lettura. Restituisci solo testo puro, usando una riga vuota tra le pagine.'
-              },
-              {
-                type: 'input_file',
-                file_id: file.id
-              }
-            ]
-          }
-        ]
-      }));
-    });
-    const raw = collectResponseText(response);
-    const cleaned = cleanText(raw).trim();
-    if (!cleaned) throw new Error('OCR completato ma testo vuoto');
-    console.log(`[${label}] OCR completato. Caratteri estratti=${cleaned.length}`);
-    return cleaned.slice(0, MAX_INPUT_CHARS);
-  } finally {
-    await runQueued(async () => {
-      try { await openai.files.del(file.id); }
-      catch (err) { if (DEBUG_LOG) console.warn(`[${label}] cleanup file OCR fallito:`, err?.message || err); }
-    });
-  }
+  const pages = splitOcrPages(raw);
+  if (!pages.length) throw new Error('OCR completato ma testo vuoto');
+  log.info('OCR completato', { pages: pages.length, chars: pages.reduce((n, p) => n + p.text.length, 0) });
+  return pages;
 }
 
 function safeJSON(s) {
@@ -239,31 +677,56 @@ function pickN(arr, n) {
   return out;
 }
 
-// Fallback molto semplice per demo senza chiave: genera contenuti naïf dal testo
-function dummySummary(text, length='medio') {
-  const sents = text.split('. ').map(s => s.trim()).filter(Boolean);
-  const take = length === 'breve' ? 3 : (length === 'esaustivo' ? 12 : 6);
+// Fallback molto semplice per demo senza chiave: genera contenuti naïf dal testo (etichette nella lingua richiesta)
+function dummySummary(text, length='medium') {
+  const plain = splitPageMarkers(text).map(p => p.text.replace(/^#+ (.*)$/gm, '$1.')).join(' ').replace(/\s+/g, ' ');
+  const sents = plain.split('. ').map(s => s.trim()).filter(Boolean);
+  const take = length === 'short' ? 3 : (length === 'long' ? 12 : 6);
   return sents.slice(0, take).join('. ') + (sents.length ? '.' : '');
 }
-function dummyFlashcards(text, n=10) {
-  const words = Array.from(new Set(text.replace(/[^A-Za-zÀ-ÿ0-9 ]/g,' ').split(' ').filter(w => w.length>6))).slice(0, 100);
+function dummyStructuredSummary(text, profile, length, conceptMap) {
+  const terms = dummyFlashcards(text, 5, profile.language).map(c => ({ term: c.front, definition: c.back }));
+  const map = { nodes: [{ id: 'n0', label: profile.name }, ...terms.map((k, i) => ({ id: `n${i + 1}`, label: k.term }))], edges: terms.map((_, i) => ({ from: 'n0', to: `n${i + 1}`, label: '' })) };
+  return { markdown: `## ${profile.name}\n\n${dummySummary(text, length)}`, keyTerms: terms, formulas: [], conceptMap: conceptMap ? map : null };
+}
+function dummyFlashcards(text, n=10, lang='it') {
+  const t = fallbackTexts(lang);
+  const seen = new Set();
+  const words = [];
+  for (const p of splitPageMarkers(text)) {
+    for (const w of p.text.replace(/[^A-Za-zÀ-ÿ0-9 ]/g,' ').split(' ')) {
+      if (w.length>6 && !seen.has(w)) { seen.add(w); words.push({ w, page: p.page, doc: p.doc }); }
+    }
+  }
   const cards = [];
   for (let i=0;i<Math.min(n, 20);i++) {
-    const term = words[i] || `Concetto ${i+1}`;
-    cards.push({ front: term, back: `Definizione sintetica di ${term}.`, difficulty: 'media', tags: [] });
+    const term = words[i]?.w || `${t.concept} ${i+1}`;
+    cards.push({ front: term, back: t.definition(term), difficulty: 'medium', tags: [], sourcePage: words[i]?.page || null, sourceDoc: words[i]?.doc });
   }
   return cards;
 }
-function dummyQuiz(text, n=10) {
-  const sents = Array.from(new Set(text.split('. ').map(s => s.trim()).filter(s => s.length>20)));
+function dummyQuiz(text, n=10, lang='it', types=['single']) {
+  const t = fallbackTexts(lang);
+  const seen = new Set();
+  const sents = [];
+  for (const p of splitPageMarkers(text)) {
+    for (const s of p.text.replace(/\s+/g, ' ').split('. ').map(s => s.trim())) {
+      if (s.length>20 && !seen.has(s)) { seen.add(s); sents.push({ s, page: p.page, doc: p.doc }); }
+    }
+  }
   const base = pickN(sents, Math.min(n, 15));
-  const qs = base.map((s, idx) => {
+  const qs = base.map(({ s, page, doc }, idx) => {
     const stem = s.replace(/^\d+\)\s*/, '');
+    const type = types[idx % types.length];
+    const common = { explanation: t.explanation, sourcePage: page, sourceDoc: doc };
+    const word = (stem.match(/[A-Za-zÀ-ÿ]{5,}/g) || []).sort((a, b) => b.length - a.length)[0];
+    if (type === 'truefalse') return { type, question: `${t.trueFalse} ${stem}`, answer: true, ...common };
+    if (type === 'numeric' && page) return { type, question: `${t.whichPage} «${stem}»?`, answer: page, tolerance: 0, unit: '', ...common };
+    if (type === 'cloze' && word) return { type, question: stem.replace(word, '_____'), blanks: [[word]], ...common };
+    if (type === 'open') return { type, question: `${t.explain} ${stem}`, rubric: stem, sampleAnswer: stem, ...common };
     const opt1 = stem.slice(0, Math.min(40, stem.length)) + '…';
-    const opt2 = 'Nessuna delle precedenti';
-    const opt3 = 'Tutte le precedenti';
-    const opt4 = 'Non applicabile';
-    return ({ question: `Q${idx+1}. ${stem}`, options: [opt1, opt2, opt3, opt4], correct: 0, explanation: 'Derivata dal testo del PDF (fallback demo).' });
+    if (type === 'multiple') return { type, question: `Q${idx+1}. ${stem}`, options: [opt1, t.none, t.all, t.na], correct: [0], ...common };
+    return ({ question: `Q${idx+1}. ${stem}`, options: [opt1, t.none, t.all, t.na], correct: 0, ...common });
   });
   return qs;
 }
@@ -271,11 +734,10 @@ function dummyQuiz(text, n=10) {
 /* =============================================================
    PROMPTING
    ============================================================= */
-async function askOpenAI_JSON(system, user, temperature=0.3, opts={}) {
-  if (!HAS_OPENAI) throw new Error("OPENAI non configurato");
-  const MODEL = process.env.OPENAI_MODEL || 'gpt-4o-mini';
+async function askLLM_JSON(system, user, temperature=0.3, opts={}) {
+  if (!HAS_LLM) throw new Error("LLM non configurato");
+  const MODEL = llm.model;
   const maxTokens = parseInt(process.env.OPENAI_MAX_TOKENS || process.env.OPENAI_MAX_OUTPUT_TOKENS || '800', 10);
-  const rid = globalThis.__currentRid || '-';
   const attemptsCfg = parseInt(process.env.OPENAI_JSON_ATTEMPTS || '5', 10);
   const attempts = Math.max(1, parseInt(opts.attempts || attemptsCfg || 2, 10));
   const schema = opts.schema || null;
@@ -283,64 +745,47 @@ async function askOpenAI_JSON(system, user, temperature=0.3, opts={}) {
   const responseFormat = schema
     ? { type: 'json_schema', json_schema: { name: schemaName, schema } }
     : { type: 'json_object' };
-  if (DEBUG_LOG) console.log(`[${rid}] enqueue openai model=${MODEL} temp=${temperature} max_tokens=${maxTokens} q=${_queue.length} a=${_active} attempts=${attempts} schema=${schema?'on':'off'}`);
-  return runQueued(async () => {
-    let lastErr = null;
-    for (let attempt = 1; attempt <= attempts; attempt++) {
+  const rc = opts.rc || null;
+  if (log.enabled('debug')) { const st = scheduler.stats(); log.debug('LLM in coda', { provider: llm.name, model: MODEL, temperature, maxTokens, queued: st.queued, active: st.active, client: rc?.client, attempts, schema: !!schema }); }
+  let lastErr = null;
+  for (let attempt = 1; attempt <= attempts; attempt++) {
+    try {
+      const t0 = Date.now();
+      log.debug('LLM avvio', { provider: llm.name, model: MODEL, attempt, attempts });
+      const request = { system, user, temperature, maxTokens, model: MODEL, schemaName, hints: opts.hints || {} };
+      const call = (payload) => llmCall(() => llm.chat(payload), { rc, tokens: estimateTokens(system + user) + maxTokens, model: MODEL });
+      let resp;
+      let usedNativeJson = false;
       try {
-        const t0 = Date.now();
-        if (DEBUG_LOG) console.log(`[${rid}] start openai model=${MODEL} attempt=${attempt}/${attempts}`);
-        await throttleRPM();
-        const basePayload = {
-          model: MODEL,
-          temperature,
-          max_tokens: maxTokens,
-          messages: [
-            { role: "system", content: system },
-            { role: "user", content: user }
-          ]
-        };
-        const call = (payload) => withRetries(() => openai.chat.completions.create(payload));
-        let resp;
-        let usedNativeJson = false;
-        try {
-          resp = await call({ ...basePayload, response_format: responseFormat });
-          usedNativeJson = true;
-        } catch (err) {
-          const errMsg = (err?.error?.message || err?.message || '').toLowerCase();
-          if (err?.status === 400 && errMsg.includes('response_format')) {
-            if (DEBUG_LOG) console.warn(`[${rid}] response_format unsupported, falling back to text JSON parsing`);
-            resp = await call(basePayload);
-          } else {
-            throw err;
-          }
-        }
-        const choice = resp.choices?.[0];
-        if (DEBUG_LOG) console.log(`[${rid}] openai done in ${Date.now()-t0}ms finish=${choice?.finish_reason||'-'} attempt=${attempt}`);
-        const parsed = choice?.message?.parsed;
-        if (usedNativeJson && parsed) return parsed;
-        const content = choice?.message?.content;
-        let txt = '';
-        if (Array.isArray(content)) {
-          txt = content.map(part => part?.text || '').join('').trim();
-        } else if (typeof content === 'string') {
-          txt = content;
-        }
-        if (!txt && usedNativeJson) throw new Error('Risposta OpenAI senza JSON');
-        try {
-          return safeJSON(txt);
-        } catch (parseErr) {
-          if (DEBUG_LOG) console.warn(`[${rid}] safeJSON failed: ${parseErr.message}. Snippet: ${txt.slice(0,180)}...`);
-          throw parseErr;
-        }
+        resp = await call({ ...request, responseFormat });
+        usedNativeJson = true;
       } catch (err) {
-        lastErr = err;
-        if (DEBUG_LOG) console.warn(`[${rid}] askOpenAI_JSON attempt ${attempt} failed: ${err.message}`);
-        if (attempt < attempts) await sleep(150 * attempt);
+        const errMsg = (err?.error?.message || err?.message || '').toLowerCase();
+        if (err?.status === 400 && errMsg.includes('response_format')) {
+          log.debug('response_format non supportato: ritento leggendo il JSON dal testo');
+          resp = await call(request);
+        } else {
+          throw err;
+        }
+      }
+      log.debug('LLM risposta', { provider: llm.name, ms: Date.now() - t0, finish: resp.finishReason || '-', attempt });
+      if (usedNativeJson && resp.parsed) return resp.parsed;
+      const txt = resp.text || '';
+      if (!txt && usedNativeJson) throw new Error('Risposta LLM senza JSON');
+      try {
+        return safeJSON(txt);
+      } catch (parseErr) {
+        log.debug('JSON non leggibile', { err: parseErr, snippet: txt.slice(0, 180) });
+        throw parseErr;
       }
+    } catch (err) {
+      if (err?.code === 'QUEUE_FULL') throw err;
+      lastErr = err;
+      log.debug('tentativo JSON fallito', { attempt, err });
+      if (attempt < attempts) await sleep(150 * attempt);
     }
-    throw lastErr || new Error('Impossibile ottenere JSON valido da OpenAI');
-  });
+  }
+  throw lastErr || new Error('Impossibile ottenere JSON valido dal LLM');
 }
 
 /* =============================================================
@@ -348,13 +793,46 @@ async function askOpenAI_JSON(system, user, temperature=0.3, opts={}) {
    ============================================================= */
 function computeSpreadDelay(){ return 0; }
 
-async function buildSummary(text, subject, length) {
-  if (!HAS_OPENAI) return { text: dummySummary(text, length) };
-  const system = "Sei un assistente didattico che produce riassunti accurati in italiano. Rispondi SOLO in JSON valido.";
+// Chiamata LLM passando dalla cache; `run` include la validazione, così in cache finiscono solo risposte buone
+async function cachedLLM(rc, schemaName, system, user, temperature, run) {
+  const key = cacheKey({ schemaName, prompt: sha256(`${system}\n---\n${user}`), model: llm.model, temperature, maxTokens: MAX_TOKENS_CFG });
+  const { value, hit } = await cached(rc, 'llm', key, schemaName, run);
+  if (hit) rc.hits++; else rc.misses++;
+  return value;
+}
+
+// Indicazioni di lingua e profilo della materia come righe di prompt ('' con il profilo predefinito)
+function guideLines(profile) {
+  const g = [translationNote(profile.source, profile.language), profileGuide(profile)].filter(Boolean).join('\n');
+  return g ? `${g}\n` : '';
+}
+
+// Rigenerazione dopo la verifica: elementi scartati da non riproporre ('' alla prima generazione)
+function avoidLine(avoid) {
+  return avoid.length ? `Non riproporre questi elementi, scartati in verifica: ${avoid.map(s => `"${s}"`).join('; ')}.\n` : '';
+}
+
+// Testo che unisce più documenti: come citarli nel riassunto o indicarli in 'sourceDoc' ('' con un documento solo)
+function documentsLine(text, summary = false) {
+  if (!multiDocument(text)) return '';
+  const head = "Il testo unisce più documenti: i marcatori sono nella forma [Documento D: nome · Pagina N].";
+  return summary
+    ? `${head} Copri tutti i documenti e nelle citazioni indica anche il nome del file, es. "(lezione-2.pdf, p. 3)".\n`
+    : `${head} In 'sourceDoc' indica il numero D del documento da cui proviene ogni elemento e distribuisci gli elementi tra i documenti.\n`;
+}
+const sourceDocSchema = { type: 'integer', minimum: 1, description: 'Numero del documento (D nel marcatore [Documento D: ...])' };
+
+// profile: { name, language (lingua di output), source (lingua del documento), tone, formulas, glossary, instructions }
+// length/difficulty: valori neutri di lib/i18n.js, descritti in italiano nel prompt
+async function buildSummary(text, profile, length, rc) {
+  if (!HAS_LLM) return { text: dummySummary(text, length) };
+  const lang = languageName(profile.language);
+  const system = `Sei un assistente didattico che produce riassunti accurati in ${lang}. Rispondi SOLO in JSON valido.`;
   const user = `
-Crea un riassunto in italiano del seguente testo (materia: ${subject}).
-LUNGHEZZA: ${length} (breve/medio/esaustivo). 
-Formatta in JSON: {"text": "<riassunto>"}
+Crea un riassunto in ${lang} del seguente testo (materia: ${profile.name}).
+LUNGHEZZA: ${LENGTH_PROMPT[length]} (breve/medio/esaustivo). 
+Il testo contiene marcatori [Pagina N] all'inizio di ogni pagina: cita tra parentesi la pagina dei concetti principali, es. "(p. 3)". Mantieni la struttura per paragrafi.
+${documentsLine(text, true)}${guideLines(profile)}Formatta in JSON: {"text": "<riassunto>"}
 
 TESTO:
 """${text}"""
@@ -363,22 +841,76 @@ TESTO:
     type: 'object',
     additionalProperties: false,
     properties: {
-      text: { type: 'string', description: 'Riassunto in italiano del testo fornito' }
+      text: { type: 'string', description: `Riassunto in ${lang} del testo fornito` }
     },
     required: ['text']
   };
-  const out = await askOpenAI_JSON(system, user, 0.3, { schemaName: 'summary_response', schema });
-  if (!out.text) throw new Error("JSON senza campo 'text'");
-  return out;
+  return cachedLLM(rc, 'summary_response', system, user, 0.3, async () => {
+    const out = await askLLM_JSON(system, user, 0.3, { schemaName: 'summary_response', schema, rc });
+    if (!out.text) throw new Error("JSON senza campo 'text'");
+    return out;
+  });
+}
+
+// Riassunto strutturato (format=structured): Markdown con titoli, termini chiave, formule LaTeX e, se richiesta, mappa concettuale
+async function buildStructuredSummary(text, profile, length, rc, { conceptMap = true } = {}) {
+  if (!HAS_LLM) return normalizeStructuredSummary(dummyStructuredSummary(text, profile, length, conceptMap));
+  const lang = languageName(profile.language);
+  const system = `Sei un assistente didattico che produce riassunti accurati e ben strutturati in ${lang}. Rispondi SOLO in JSON valido.`;
+  const formulas = profile.formulas === 'testo'
+    ? "Lascia vuoto 'formulas'."
+    : "Scrivi le formule in LaTeX tra $...$ (in linea) o $$...$$ (a sé); in 'formulas' elenca le formule principali in LaTeX senza delimitatori, con una breve descrizione.";
+  const map = conceptMap
+    ? "In 'conceptMap' costruisci una mappa concettuale di 5-15 concetti: nodi con id brevi (es. \"n1\") ed etichette di poche parole, archi con una relazione breve (es. \"contiene\", \"causa\").\n"
+    : '';
+  const user = `
+Crea un riassunto in ${lang} del seguente testo (materia: ${profile.name}).
+LUNGHEZZA: ${LENGTH_PROMPT[length]} (breve/medio/esaustivo). 
+Scrivi il riassunto in 'markdown' in formato Markdown: sezioni con titoli ## e ###, elenchi puntati, **grassetto** per i termini importanti.
+Il testo contiene marcatori [Pagina N] all'inizio di ogni pagina: cita tra parentesi la pagina dei concetti principali, es. "(p. 3)".
+In 'keyTerms' elenca i termini chiave con una definizione di una frase. ${formulas}
+${map}${documentsLine(text, true)}${guideLines(profile)}Formato JSON:
+{"markdown":"## ...","keyTerms":[{"term":"...","definition":"..."}],"formulas":[{"latex":"...","description":"..."}]${conceptMap ? ',"conceptMap":{"nodes":[{"id":"n1","label":"..."}],"edges":[{"from":"n1","to":"n2","label":"..."}]}' : ''}}
+
+TESTO:
+"""${text}"""
+  `.trim();
+  const pair = (a, b) => ({ type: 'object', additionalProperties: false, properties: { [a]: { type: 'string' }, [b]: { type: 'string' } }, required: [a, b] });
+  const schema = {
+    type: 'object',
+    additionalProperties: false,
+    properties: {
+      markdown: { type: 'string', description: `Riassunto in ${lang}, in Markdown` },
+      keyTerms: { type: 'array', items: pair('term', 'definition') },
+      formulas: { type: 'array', items: pair('latex', 'description') },
+      ...(conceptMap ? { conceptMap: {
+        type: 'object',
+        additionalProperties: false,
+        properties: {
+          nodes: { type: 'array', items: pair('id', 'label') },
+          edges: { type: 'array', items: { type: 'object', additionalProperties: false, properties: { from: { type: 'string' }, to: { type: 'string' }, label: { type: 'string' } }, required: ['from', 'to', 'label'] } }
+        },
+        required: ['nodes', 'edges']
+      } } : {})
+    },
+    required: ['markdown', 'keyTerms', 'formulas', ...(conceptMap ? ['conceptMap'] : [])]
+  };
+  return cachedLLM(rc, 'summary_structured_response', system, user, 0.3, async () => {
+    const out = normalizeStructuredSummary(await askLLM_JSON(system, user, 0.3, { schemaName: 'summary_structured_response', schema, rc, hints: { conceptMap } }));
+    if (!out.text) throw new Error("JSON senza campo 'markdown'");
+    return conceptMap ? out : { ...out, conceptMap: null };
+  });
 }
 
-async function buildFlashcards(text, subject, n, difficulty) {
-  if (!HAS_OPENAI) return { cards: dummyFlashcards(text, n) };
-  const system = "Sei un assistente didattico. Genera flashcards Q&A in italiano. Rispondi SOLO in JSON valido.";
+async function buildFlashcards(text, profile, n, difficulty, rc, avoid = []) {
+  if (!HAS_LLM) return { cards: dummyFlashcards(text, n, profile.language) };
+  const lang = languageName(profile.language);
+  const system = `Sei un assistente didattico. Genera flashcards Q&A in ${lang}. Rispondi SOLO in JSON valido.`;
   const user = `
-Dal testo seguente (materia: ${subject}) genera ${n} flashcards con difficoltà ${difficulty} (facile/media/difficile).
-Formato JSON:
-{"cards":[{"front":"<domanda/termine>","back":"<risposta/definizione>","difficulty":"<facile|media|difficile>","tags":["..."]}, ...]}
+Dal testo seguente (materia: ${profile.name}) genera ${n} flashcards con difficoltà ${DIFFICULTY_PROMPT[difficulty]} (facile/media/difficile).
+Il testo contiene marcatori [Pagina N]: in 'sourcePage' indica il numero della pagina da cui proviene ogni carta.
+${documentsLine(text)}${avoidLine(avoid)}${guideLines(profile)}Formato JSON:
+{"cards":[{"front":"<domanda/termine>","back":"<risposta/definizione>","difficulty":"<easy|medium|hard>","tags":["..."],"sourcePage":1}, ...]}
 
 TESTO:
 """${text}"""
@@ -390,18 +922,20 @@ TESTO:
       cards: {
         type: 'array',
         minItems: 1,
-        maxItems: 60,
+        maxItems: n,
         items: {
           type: 'object',
           additionalProperties: false,
           properties: {
             front: { type: 'string' },
             back: { type: 'string' },
-            difficulty: { type: 'string', enum: ['facile', 'media', 'difficile'] },
+            difficulty: { type: 'string', enum: DIFFICULTIES, description: 'easy = facile, medium = media, hard = difficile' },
             tags: {
               type: 'array',
               items: { type: 'string' }
-            }
+            },
+            sourcePage: { type: 'integer', minimum: 1, description: 'Pagina del PDF da cui proviene la carta' },
+            ...(multiDocument(text) ? { sourceDoc: sourceDocSchema } : {})
           },
           required: ['front', 'back']
         }
@@ -409,231 +943,1678 @@ TESTO:
     },
     required: ['cards']
   };
-  const out = await askOpenAI_JSON(system, user, 0.4, { schemaName: 'flashcards_response', schema });
-  if (!out.cards || !Array.isArray(out.cards)) throw new Error("JSON senza 'cards'");
-  return out;
+  return cachedLLM(rc, 'flashcards_response', system, user, 0.4, async () => {
+    const out = await askLLM_JSON(system, user, 0.4, { schemaName: 'flashcards_response', schema, rc, hints: { count: n } });
+    if (!out.cards || !Array.isArray(out.cards)) throw new Error("JSON senza 'cards'");
+    return out;
+  });
 }
 
-async function buildQuiz(text, subject, n, difficulty) {
-  if (!HAS_OPENAI) return { questions: dummyQuiz(text, n) };
-  const system = "Sei un assistente che crea quiz a scelta multipla (4 opzioni) in italiano. Rispondi SOLO in JSON valido.";
+// Come descrivere al modello ogni tipo di domanda (vedi lib/questions.js) e un esempio del JSON atteso
+const QUIZ_TYPE_PROMPT = {
+  single: "single: scelta singola, 'options' con 4 opzioni e 'correct' = indice dell'opzione giusta (0..3)",
+  multiple: "multiple: più risposte giuste, 'options' con 4-6 opzioni e 'correct' = elenco degli indici giusti",
+  truefalse: "truefalse: affermazione da valutare, 'answer' true o false",
+  numeric: "numeric: risposta numerica (calcoli, costanti, dati del testo), 'answer' = numero, 'tolerance' = scarto assoluto ammesso, 'unit' = unità di misura (vuota se adimensionale)",
+  cloze: "cloze: frase con uno o più spazi vuoti scritti ___ in 'question' e in 'blanks', per ogni spazio, l'elenco delle risposte accettate (sinonimi, grafie alternative)",
+  open: "open: risposta aperta breve, 'rubric' = criteri di correzione puntuali (concetti che la risposta deve contenere), 'sampleAnswer' = risposta modello"
+};
+const QUIZ_TYPE_EXAMPLE = {
+  single: '{"type":"single","question":"...","options":["A","B","C","D"],"correct":0,"explanation":"...","sourcePage":1}',
+  multiple: '{"type":"multiple","question":"...","options":["A","B","C","D"],"correct":[0,2],"explanation":"...","sourcePage":1}',
+  truefalse: '{"type":"truefalse","question":"...","answer":true,"explanation":"...","sourcePage":1}',
+  numeric: '{"type":"numeric","question":"...","answer":9.81,"tolerance":0.01,"unit":"m/s^2","explanation":"...","sourcePage":1}',
+  cloze: '{"type":"cloze","question":"Il ___ produce ATP.","blanks":[["mitocondrio","mitocondri"]],"explanation":"...","sourcePage":1}',
+  open: '{"type":"open","question":"...","rubric":"...","sampleAnswer":"...","explanation":"...","sourcePage":1}'
+};
+
+// types: tipi di domanda richiesti (parseQuestionTypes)
+// Quiz sugli argomenti deboli (POST /api/quiz/weak-topics): argomenti da coprire e da usare in 'topic'
+function focusLine(focus) {
+  return focus.length ? `Concentrati su questi argomenti, su cui lo studente è debole: ${focus.join('; ')}. In 'topic' usa esattamente questi nomi.\n` : '';
+}
+
+async function buildQuiz(text, profile, n, difficulty, types, rc, avoid = [], focus = []) {
+  if (!HAS_LLM) return { questions: dummyQuiz(text, n, profile.language, types) };
+  const lang = languageName(profile.language);
+  // Solo scelta singola: prompt e schema di sempre, così le voci di cache restano valide
+  const mixed = types.length > 1 || types[0] !== 'single';
+  const system = mixed
+    ? `Sei un assistente che crea quiz con domande di vari tipi in ${lang}. Rispondi SOLO in JSON valido.`
+    : `Sei un assistente che crea quiz a scelta multipla (4 opzioni) in ${lang}. Rispondi SOLO in JSON valido.`;
+  const kinds = mixed
+    ? `Tipi di domanda da alternare (campo 'type'): ${types.join(', ')}.\n${types.map(t => `- ${QUIZ_TYPE_PROMPT[t]}`).join('\n')}\nOgni domanda con 'explanation' breve.`
+    : "Ogni domanda con 4 opzioni e un indice 'correct' (0..3) e 'explanation' breve.";
+  const example = mixed ? types.map(t => QUIZ_TYPE_EXAMPLE[t]).join(', ') : '{"question":"...","options":["A","B","C","D"],"correct":0,"explanation":"...","sourcePage":1,"topic":"..."}';
   const user = `
-Crea un quiz basato sul testo (materia: ${subject}).
-Numero domande: ${n}. Difficoltà: ${difficulty} (facile/media/difficile).
-Ogni domanda con 4 opzioni e un indice 'correct' (0..3) e 'explanation' breve.
-Formato JSON:
-{"questions":[{"question":"...","options":["A","B","C","D"],"correct":0,"explanation":"..."}, ...]}
+Crea un quiz basato sul testo (materia: ${profile.name}).
+Numero domande: ${n}. Difficoltà: ${DIFFICULTY_PROMPT[difficulty]} (facile/media/difficile).
+${kinds}
+Il testo contiene marcatori [Pagina N]: in 'sourcePage' indica il numero della pagina su cui si basa ogni domanda.
+In 'topic' indica l'argomento della domanda in 1-4 parole, con lo stesso nome per le domande sullo stesso argomento.
+${focusLine(focus)}${documentsLine(text)}${avoidLine(avoid)}${guideLines(profile)}Formato JSON:
+{"questions":[${example}, ...]}
 
 TESTO:
 """${text}"""
   `.trim();
+  const sourcePage = { type: 'integer', minimum: 1, description: 'Pagina del PDF su cui si basa la domanda' };
+  const topic = focus.length
+    ? { type: 'string', enum: focus, description: 'Argomento debole su cui verte la domanda' }
+    : { type: 'string', description: 'Argomento della domanda (1-4 parole)' };
+  const sourceDoc = multiDocument(text) ? { sourceDoc: sourceDocSchema } : {};
+  const item = mixed ? {
+    type: 'object',
+    additionalProperties: false,
+    properties: {
+      type: { type: 'string', enum: types },
+      question: { type: 'string' },
+      options: { type: 'array', items: { type: 'string' }, minItems: 2, maxItems: 8 },
+      correct: { anyOf: [{ type: 'integer', minimum: 0 }, { type: 'array', items: { type: 'integer', minimum: 0 } }] },
+      answer: { type: ['number', 'boolean'] },
+      tolerance: { type: 'number', minimum: 0 },
+      unit: { type: 'string' },
+      blanks: { type: 'array', items: { type: 'array', items: { type: 'string' }, minItems: 1 } },
+      rubric: { type: 'string' },
+      sampleAnswer: { type: 'string' },
+      explanation: { type: 'string' },
+      sourcePage,
+      topic,
+      ...sourceDoc
+    },
+    required: ['type', 'question']
+  } : {
+    type: 'object',
+    additionalProperties: false,
+    properties: {
+      question: { type: 'string' },
+      options: {
+        type: 'array',
+        items: { type: 'string' },
+        minItems: 4,
+        maxItems: 4
+      },
+      correct: { type: 'integer', minimum: 0, maximum: 3 },
+      explanation: { type: 'string' },
+      sourcePage,
+      topic,
+      ...sourceDoc
+    },
+    required: ['question', 'options', 'correct']
+  };
   const schema = {
     type: 'object',
     additionalProperties: false,
     properties: {
-      questions: {
+      questions: { type: 'array', minItems: 1, maxItems: n, items: item }
+    },
+    required: ['questions']
+  };
+  return cachedLLM(rc, 'quiz_response', system, user, 0.4, async () => {
+    const out = await askLLM_JSON(system, user, 0.4, { schemaName: 'quiz_response', schema, rc, hints: { count: n, types, topics: focus } });
+    if (!out.questions || !Array.isArray(out.questions)) throw new Error("JSON senza 'questions'");
+    return out;
+  });
+}
+
+/* =============================================================
+   VERIFICA DEI CONTENUTI GENERATI (lib/verify.js)
+   Per ogni chunk: controlli euristici e, con VERIFY_MODE=llm, un secondo
+   passaggio del modello sugli elementi rispetto al testo. Gli elementi
+   bocciati vengono rigenerati una volta e riverificati; quelli che non
+   passano nemmeno allora vengono scartati. Ogni elemento tenuto riceve
+   `confidence` (0..1) ed eventualmente `issues`.
+   ============================================================= */
+const VERIFY_MODE = VERIFY_MODES.includes((process.env.VERIFY_MODE || '').trim().toLowerCase()) ? process.env.VERIFY_MODE.trim().toLowerCase() : 'heuristic';
+const VERIFY_MIN_CONFIDENCE = parseFloat(process.env.VERIFY_MIN_CONFIDENCE || '0'); // sotto questa fiducia l'elemento è bocciato
+const VERIFY_REGENERATE = process.env.VERIFY_REGENERATE !== '0';
+// I contenuti di ripiego (demo senza chiave) sono segnaposto: non si verificano
+const verifyActive = () => HAS_LLM && VERIFY_MODE !== 'off';
+
+// Verdetto del modello per ogni riga (null se manca nella risposta)
+async function modelVerdicts(chunk, lines, profile, rc) {
+  const system = 'Sei un revisore di materiale didattico: controlli domande e flashcard rispetto al testo da cui sono state generate. Rispondi SOLO in JSON valido.';
+  const user = `
+Verifica gli elementi seguenti (materia: ${profile.name}) rispetto al TESTO da cui sono stati generati.
+Per ogni elemento, con il suo indice:
+- supported: true se il testo contiene le informazioni per rispondere
+- correct: true se la risposta indicata come giusta è corretta secondo il testo (nelle domande a scelta: nessun'altra opzione è altrettanto giusta)
+- confidence: fiducia da 0 a 1 che l'elemento sia corretto, chiaro e utile per lo studio
+- issue: il problema in poche parole, in italiano ('' se nessuno)
+Formato JSON: {"items":[{"index":0,"supported":true,"correct":true,"confidence":0.9,"issue":""}, ...]}
+
+ELEMENTI:
+${lines.map((l, i) => `[${i}] ${l}`).join('\n')}
+
+TESTO:
+"""${chunk}"""
+  `.trim();
+  const schema = {
+    type: 'object',
+    additionalProperties: false,
+    properties: {
+      items: {
         type: 'array',
-        minItems: 1,
-        maxItems: 60,
         items: {
           type: 'object',
           additionalProperties: false,
           properties: {
-            question: { type: 'string' },
-            options: {
-              type: 'array',
-              items: { type: 'string' },
-              minItems: 4,
-              maxItems: 4
-            },
-            correct: { type: 'integer', minimum: 0, maximum: 3 },
-            explanation: { type: 'string' }
+            index: { type: 'integer', minimum: 0 },
+            supported: { type: 'boolean' },
+            correct: { type: 'boolean' },
+            confidence: { type: 'number', minimum: 0, maximum: 1 },
+            issue: { type: 'string' }
           },
-          required: ['question', 'options', 'correct']
+          required: ['index', 'supported', 'correct', 'confidence']
         }
       }
     },
-    required: ['questions']
+    required: ['items']
   };
-  const out = await askOpenAI_JSON(system, user, 0.4, { schemaName: 'quiz_response', schema });
-  if (!out.questions || !Array.isArray(out.questions)) throw new Error("JSON senza 'questions'");
-  return out;
+  const out = await cachedLLM(rc, 'verify_response', system, user, 0, async () => {
+    const out = await askLLM_JSON(system, user, 0, { schemaName: 'verify_response', schema, rc });
+    if (!Array.isArray(out.items)) throw new Error("JSON senza 'items'");
+    return out;
+  });
+  const byIndex = new Map(out.items.map(v => [parseInt(v.index, 10), v]));
+  return lines.map((_, i) => byIndex.get(i) || null);
+}
+
+// kind: 'quiz' | 'flashcards' → { kept: elementi con confidence, failed: [{ item, issues }] }
+async function checkItems(kind, chunk, items, profile, rc) {
+  const sourceTerms = new Set(textTerms(chunk));
+  const checks = items.map(it => (kind === 'quiz' ? checkQuestion : checkCard)(it, sourceTerms));
+  const models = [];
+  const todo = items.map((_, i) => i).filter(i => !checks[i].fatal);
+  if (VERIFY_MODE === 'llm' && todo.length) {
+    try {
+      const v = await modelVerdicts(chunk, todo.map(i => (kind === 'quiz' ? describeQuestion : describeCard)(items[i])), profile, rc);
+      todo.forEach((i, k) => { models[i] = v[k]; });
+    } catch (err) {
+      if (err?.code === 'QUEUE_FULL' || err?.code === 'JOB_CANCELLED') throw err;
+      // Verifica del modello non riuscita: restano i controlli euristici
+      log.warn('verifica del modello non riuscita', { kind, error: err.message });
+    }
+  }
+  const kept = [], failed = [];
+  items.forEach((it, i) => {
+    const v = mergeVerdict(checks[i], models[i]);
+    if (v.failed || v.confidence < VERIFY_MIN_CONFIDENCE) failed.push({ item: it, issues: v.issues });
+    else kept.push({ ...it, confidence: v.confidence, ...(v.issues.length ? { issues: v.issues } : {}) });
+  });
+  return { kept, failed };
+}
+
+/*
+ * Verifica gli elementi generati da un chunk; regenerate(k, scartati) ne produce k nuovi.
+ * stats ({ checked, regenerated, dropped }) accumula i conteggi della richiesta.
+ */
+async function verifyChunk(kind, chunk, items, { profile, rc, regenerate, stats }) {
+  if (!items.length) return items;
+  let { kept, failed } = await checkItems(kind, chunk, items, profile, rc);
+  stats.checked += items.length;
+  if (failed.length && VERIFY_REGENERATE) {
+    const fresh = await regenerate(failed.length, failed.map(f => f.item));
+    const again = await checkItems(kind, chunk, fresh, profile, rc);
+    stats.checked += fresh.length;
+    stats.regenerated += again.kept.length;
+    mx.verified.inc({ kind, outcome: 'regenerated' }, again.kept.length);
+    kept = kept.concat(again.kept);
+    failed = failed.concat(again.failed);
+  }
+  if (failed.length) log.info('elementi scartati in verifica', { kind, dropped: failed.length, issues: failed.slice(0, 5).map(f => f.issues.join(', ')) });
+  stats.dropped += failed.length;
+  mx.verified.inc({ kind, outcome: 'kept' }, kept.length);
+  mx.verified.inc({ kind, outcome: 'dropped' }, failed.length);
+  return kept;
 }
 
 /* =============================================================
    API
    ============================================================= */
-app.get('/api/ping', (req,res)=> res.json({ ok:true, hasOpenAI: HAS_OPENAI }));
+// auth: il frontend decide se mostrare il login (required) e il modulo di registrazione
+app.get('/api/ping', (req,res)=> res.json({ ok:true, hasOpenAI: HAS_LLM, provider: llm ? llm.name : 'none', auth: { required: AUTH_REQUIRED || !!REQUIRED_KEY, register: AUTH_ALLOW_REGISTER, invite: !!AUTH_INVITE_CODE } }));
 // Endpoint info per verifica configurazione runtime (richiede x-api-key se attiva)
 app.get('/api/info', (req,res)=>{
   res.json({
     ok: true,
-    hasOpenAI: HAS_OPENAI,
-    model: process.env.OPENAI_MODEL || 'gpt-4o-mini',
+    hasOpenAI: HAS_LLM,
+    provider: llm ? llm.name : 'none',
+    model: MODEL_CFG,
     maxTokens: parseInt(process.env.OPENAI_MAX_TOKENS || process.env.OPENAI_MAX_OUTPUT_TOKENS || '800', 10),
     project: process.env.OPENAI_PROJECT ? 'set' : '',
     baseURL: process.env.OPENAI_BASE_URL ? 'set' : '',
     keyType: KEY_TYPE,
     keyLen: KEY_LEN,
     rpm: OPENAI_RPM,
+    tpm: OPENAI_TPM,
     concurrency: OPENAI_CONCURRENCY,
+    queueMax: LLM_QUEUE_MAX,
+    embeddings: EMBEDDINGS_PROVIDER === 'local' ? localEmbedder.id : `${llm.name}:${EMBEDDINGS_MODEL}`,
+    languages: Object.keys(LANGUAGES),
+    questionTypes: QUESTION_TYPES,
+    verify: { mode: verifyActive() ? VERIFY_MODE : 'off', regenerate: VERIFY_REGENERATE, minConfidence: VERIFY_MIN_CONFIDENCE },
     allowedOrigins: allowlist
   });
 });
 
-// Endpoint diagnostico: verifica chiamata minima a OpenAI
+// Consumo token e costo stimato per giorno, client e modello, più lo stato dello scheduler
+app.get('/api/admin/usage', requireAdmin, async (req,res)=>{
+  const days = Math.min(Math.max(parseInt(req.query.days, 10) || 30, 1), 365);
+  try { res.json({ ok:true, usage: await usageLedger.summary({ days }), scheduler: scheduler.stats() }); }
+  catch (e) {
+    log.error('lettura consumi fallita', { err: e });
+    res.status(500).json({ ok:false, error:'Registro consumi non disponibile' });
+  }
+});
+
+// Metriche Prometheus: fuori da /api, così lo scraper non ha bisogno di account o x-api-key
+app.get('/metrics', async (req,res)=>{
+  if (METRICS_TOKEN && req.get('authorization') !== `Bearer ${METRICS_TOKEN}`) return res.status(401).type('text/plain').send('Unauthorized\n');
+  res.type('text/plain; version=0.0.4').send(await metrics.render());
+});
+
+// Endpoint diagnostico: verifica chiamata minima al provider LLM
 app.get('/api/debug/openai', async (req,res)=>{
   try{
-    if (!HAS_OPENAI) return res.status(400).json({ ok:false, error: 'OPENAI_API_KEY mancante' });
-    const MODEL = process.env.OPENAI_MODEL || 'gpt-4o-mini';
+    if (!HAS_LLM) return res.status(400).json({ ok:false, error: 'Nessun provider LLM configurato (OPENAI_API_KEY o LLM_PROVIDER)' });
     const t0 = Date.now();
-    const r = await openai.chat.completions.create({
-      model: MODEL,
-      max_tokens: 5,
-      messages: [ { role:'system', content:'You are a health check.' }, { role:'user', content:'pong' } ]
-    });
-    return res.json({ ok:true, ms: Date.now()-t0, finish: r.choices?.[0]?.finish_reason || '', created: r.created });
+    const r = await llm.ping();
+    return res.json({ ok:true, provider: llm.name, ms: Date.now()-t0, finish: r.finishReason || '', created: r.created });
   }catch(e){
     const status = e?.status || e?.code || e?.response?.status || 0;
     return res.status(400).json({ ok:false, status, error: e?.message || String(e) });
   }
 });
 
-async function extractPdfTextFromReq(req) {
-  if (!req.file) throw new Error("PDF mancante (campo 'pdf')");
-  const buffer = req.file.buffer;
-  let txt = '';
-  let pageFrom = parseInt(req.body.page_from, 10);
-  let pageTo = parseInt(req.body.page_to, 10);
+// pagerender per pdf-parse: ricostruisce righe, paragrafi e titoli dalla posizione/dimensione del testo
+function renderPageStructured(pageData, sink) {
+  return pageData.getTextContent({ normalizeWhitespace: true, disableCombineTextItems: false })
+    .then((content) => {
+      const lines = [];
+      for (const item of content.items) {
+        const y = item.transform[5];
+        const size = Math.abs(item.transform[3]) || item.height || 0;
+        const last = lines[lines.length - 1];
+        if (last && Math.abs(last.y - y) <= Math.max(1, size * 0.3)) {
+          last.text += item.str;
+          last.size = Math.max(last.size, size);
+        } else {
+          lines.push({ y, size, text: item.str });
+        }
+      }
+      // Corpo del testo = dimensione di carattere che copre più testo nella pagina
+      const bySize = new Map();
+      lines.forEach(l => { if (l.size) bySize.set(l.size, (bySize.get(l.size) || 0) + l.text.length); });
+      const bodySize = [...bySize.entries()].sort((a, b) => b[1] - a[1])[0]?.[0] || 0;
+      const blocks = [];
+      let para = [];
+      const flush = () => { if (para.length) blocks.push(para.join(' ').replace(/(\w)- (\w)/g, '$1$2')); para = []; };
+      lines.forEach((l, i) => {
+        const text = l.text.trim();
+        if (!text) return;
+        const prev = lines[i - 1];
+        const gap = prev ? Math.abs(prev.y - l.y) : 0;
+        const isHeading = bodySize && l.size >= bodySize * 1.2 && text.length <= 120;
+        if (isHeading) { flush(); blocks.push(`## ${text}`); return; }
+        if (prev && gap > Math.max(l.size, prev.size) * 1.8) flush();
+        para.push(text);
+      });
+      flush();
+      const text = cleanPageText(blocks.join('\n\n'));
+      sink[pageData.pageIndex] = text;
+      return text;
+    });
+}
+
+// PDF: testo con pdf-parse (solo fino a page_to), poi OCR.
+// Con OCR_ENGINE=tesseract si leggono solo le pagine rimaste vuote (PDF misti testo/scansione);
+// con l'OCR del provider il PDF intero viene trascritto solo se nessuna pagina dell'intervallo ha testo.
+async function extractPdf(buffer, { job = null, range = null, rc = null } = {}) {
+  const inRange = (p) => !range || (p.page >= range.from && p.page <= range.to);
+  let pages = [];
+  let numPages = 0;
   try {
-    const data = await pdfParse(buffer);
-    if (data.numpages && pageFrom && pageTo && pageFrom <= pageTo && pageFrom >= 1 && pageTo <= data.numpages) {
-      const pages = (data.text || '').split(/\f|\n\s*\n/);
-      const selected = pages.slice(pageFrom - 1, pageTo);
-      txt = selected.join(' ').replace(/\s+/g, ' ').trim();
-      console.log(`[${req._rid||'-'}] PDF: Elaboro solo pagine ${pageFrom}-${pageTo} su ${data.numpages}. Pagine selezionate: ${selected.length}`);
-      selected.forEach((p, i) => console.log(`[${req._rid||'-'}] Pagina ${pageFrom + i}: ${p.slice(0, 60).replace(/\s+/g, ' ')}...`));
-    } else {
-      txt = (data.text || '').replace(/\s+/g, ' ').trim();
-      console.log(`[${req._rid||'-'}] PDF: Nessun intervallo selezionato, elaboro tutto il PDF (${data.numpages || '?'} pagine)`);
-    }
+    const rendered = [];
+    // Copia in un Uint8Array proprio: i Buffer piccoli di Node condividono un pool (byteOffset ≠ 0) che pdf.js legge male
+    const data = await pdfParse(new Uint8Array(buffer), {
+      pagerender: (pageData) => renderPageStructured(pageData, rendered),
+      max: range ? range.to : 0
+    });
+    numPages = data.numpages || 0;
+    pages = rendered.map((text, i) => ({ page: i + 1, text: text || '' })).filter(inRange);
+    log.info('PDF letto', { numPages, range: range ? `${range.from}-${range.to}` : 'tutto', selected: pages.length });
+  } catch (err) {
+    log.warn('errore pdf-parse', { err });
+  }
+  if (localOcr && OCR_ENABLED) return ocrEmptyPagesLocally(buffer, { job, range, pages, numPages });
+  if (pages.some(p => p.text)) return { pages, numPages, ocr: false };
+  log.info('nessun testo nel PDF: fallback OCR');
+  jobStep(job, 'ocr');
+  try {
+    pages = (await runOCR(buffer, { rc })).filter(inRange);
+    log.info('OCR PDF', { range: range ? `${range.from}-${range.to}` : 'tutto', pagesWithText: pages.length });
+    return { pages, numPages, ocr: true, ocrEngine: 'llm' };
+  } catch (ocrErr) {
+    const reason = ocrErr?.message || String(ocrErr);
+    throw new Error(`Impossibile estrarre testo dal PDF (OCR fallito: ${reason})`);
+  }
+}
+
+async function ocrEmptyPagesLocally(buffer, { job, range, pages, numPages }) {
+  if (!numPages) {
+    // pdf-parse non ha letto il file: le pagine si contano con pdf.js e vanno tutte all'OCR
+    try { numPages = await countPdfPages(buffer); }
+    catch (err) { throw new Error(`Impossibile leggere il PDF: ${err?.message || err}`); }
+    const last = range ? Math.min(range.to, numPages) : numPages;
+    pages = [];
+    for (let n = range ? range.from : 1; n <= last; n++) pages.push({ page: n, text: '' });
+  }
+  const empty = pages.filter(p => !p.text).map(p => p.page);
+  if (!empty.length) return { pages, numPages, ocr: false };
+  mx.ocr.inc({ engine: 'tesseract', kind: 'pdf' });
+  log.info('OCR locale (tesseract) sulle pagine senza testo', { pages: empty });
+  jobStep(job, 'ocr', 0, empty.length);
+  let results;
+  try {
+    results = await localOcr.ocrPdfPages(buffer, empty, { onPage: (i, total) => jobStep(job, 'ocr', i, total) });
   } catch (err) {
-    console.warn(`[${req._rid||'-'}] Errore pdf-parse: ${err?.message || err}`);
+    if (err?.code === 'JOB_CANCELLED') throw err;
+    const reason = err?.message || String(err);
+    if (!pages.some(p => p.text)) throw new Error(`Impossibile estrarre testo dal PDF (OCR fallito: ${reason})`);
+    log.warn('OCR locale fallito: proseguo con le sole pagine di testo', { reason });
+    return { pages, numPages, ocr: false, partial: true };
+  }
+  const byPage = new Map(results.map(r => [r.page, r]));
+  for (const p of pages) {
+    const r = byPage.get(p.page);
+    if (r) { p.text = r.text; p.confidence = r.confidence; }
+  }
+  const low = results.filter(r => r.confidence < OCR_LOW_CONFIDENCE).map(r => r.page);
+  log.info('OCR locale completato', { confidence: Math.round(results.reduce((n, r) => n + r.confidence, 0) / (results.length || 1)), lowConfidence: low });
+  return { pages, numPages, ocr: true, ocrEngine: 'tesseract' };
+}
+
+// Immagini: un'unica pagina letta dall'OCR (locale o del provider)
+async function extractImage(buffer, { job = null, mime = 'image/png', rc = null } = {}) {
+  jobStep(job, 'ocr');
+  try {
+    if (localOcr && OCR_ENABLED) {
+      mx.ocr.inc({ engine: 'tesseract', kind: 'image' });
+      const r = await localOcr.ocrImage(buffer);
+      log.info('OCR locale immagine', { chars: r.text.length, confidence: r.confidence });
+      return { pages: [{ page: 1, text: r.text, confidence: r.confidence }], numPages: 1, ocr: true, ocrEngine: 'tesseract' };
+    }
+    const text = (await runOCR(buffer, { mime, rc })).map(p => p.text).join('\n\n');
+    return { pages: [{ page: 1, text }], numPages: 1, ocr: true, ocrEngine: 'llm' };
+  } catch (ocrErr) {
+    throw new Error(`Impossibile estrarre testo dall'immagine (OCR fallito: ${ocrErr?.message || ocrErr})`);
+  }
+}
+
+const extractors = createExtractorRegistry([
+  { name: 'pdf', label: 'PDF', mimes: ['application/pdf'], exts: ['.pdf'], sniff: (b) => b.subarray(0, 1024).includes('%PDF-'), extract: extractPdf },
+  ...DOCUMENT_EXTRACTORS,
+  {
+    name: 'image', label: 'PNG/JPEG', mimes: ['image/png', 'image/jpeg'], exts: ['.png', '.jpg', '.jpeg'],
+    sniff: (b) => (b[0] === 0x89 && b[1] === 0x50 && b[2] === 0x4e && b[3] === 0x47) || (b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff),
+    extract: (buffer, ctx) => extractImage(buffer, { ...ctx, mime: buffer[0] === 0xff ? 'image/jpeg' : 'image/png' })
+  }
+]);
+
+// Nome del file caricato come compare nei marcatori e nelle risposte (senza caratteri che rompono i marcatori)
+const fileLabel = (file) => String(file.originalname || 'documento').replace(/[[\]\r\n·]+/g, ' ').trim().slice(0, 80) || 'documento';
+
+/*
+ * Intervalli di pagine, uno per file (null = documento intero): page_from/page_to
+ * valgono per tutti i file, `ranges` (JSON, nell'ordine di upload) per i singoli file:
+ * ogni voce è "3-8", "5", { from, to } oppure null/"" per l'intervallo comune.
+ */
+function parsePageRanges(body, files) {
+  const pageFrom = parseInt(body.page_from, 10);
+  const pageTo = parseInt(body.page_to, 10);
+  const common = pageFrom >= 1 && pageTo >= pageFrom ? { from: pageFrom, to: pageTo } : null;
+  if (body.ranges == null || body.ranges === '') return files.map(() => common);
+  const bad = (msg) => { const err = new Error(msg); err.status = 400; return err; };
+  let list = null;
+  try { list = JSON.parse(body.ranges); } catch { /* gestito sotto */ }
+  if (!Array.isArray(list) || list.length > files.length) throw bad(`Campo 'ranges' non valido: serve un elenco JSON con al massimo un intervallo per file (${files.length})`);
+  return files.map((file, i) => {
+    const r = list[i];
+    if (r == null || r === '') return common;
+    const [from, to = from] = typeof r === 'object' ? [r.from, r.to] : String(r).split('-');
+    const range = { from: parseInt(from, 10), to: parseInt(to, 10) };
+    if (!(range.from >= 1 && range.to >= range.from)) throw bad(`Intervallo di pagine non valido per ${fileLabel(file)}: ${JSON.stringify(r)}`);
+    return range;
+  });
+}
+
+// Estrae le pagine non vuote di un file caricato ([{ page, text, confidence }]), limitate all'intervallo.
+// Le "pagine" sono quelle del formato: pagine per PDF/DOCX, slide per PPTX, capitoli per EPUB.
+async function extractDocument(req, file, range, job = null) {
+  const extractor = extractors.find(file);
+  if (!extractor) {
+    mx.extractFailures.inc({ format: 'unsupported' });
+    throw new Error(`Formato non supportato (${file.originalname || file.mimetype || 'sconosciuto'}). Formati accettati: ${extractors.labels()}`);
+  }
+  log.info('documento', { format: extractor.label, name: file.originalname || '-', bytes: file.size });
+  const rc = requestCtx(req);
+  const ocrTag = !OCR_ENABLED ? 'off' : (localOcr ? `tesseract:${process.env.OCR_LANGS || 'ita+eng'}@${process.env.OCR_DPI || '300'}` : `llm:${OCR_MODEL_CFG}`);
+  const fileHash = sha256(file.buffer);
+  const key = cacheKey({ file: fileHash, format: extractor.name, range, ocr: ocrTag });
+  const { value: res, hit } = await cached(rc, 'extract', key, `estrazione ${extractor.label}`,
+    () => extractor.extract(file.buffer, { job, range, rc }),
+    (r) => !r.partial).catch((err) => {
+      if (err?.code !== 'JOB_CANCELLED') mx.extractFailures.inc({ format: extractor.name });
+      throw err;
+    });
+  // Con più file basta un'estrazione non in cache per segnarla come miss
+  if (rc.extraction !== 'miss') rc.extraction = hit ? 'hit' : 'miss';
+  const pages = res.pages
+    .filter(p => !range || (p.page >= range.from && p.page <= range.to))
+    .map(p => ({ page: p.page, text: cleanPageText(p.text), confidence: p.confidence }))
+    .filter(p => p.text);
+  if (log.enabled('debug')) pages.forEach(p => log.debug('pagina', { page: p.page, start: p.text.slice(0, 60).replace(/\s+/g, ' ') }));
+  if (!pages.length) {
+    mx.extractFailures.inc({ format: extractor.name });
+    throw new Error(`Impossibile estrarre testo dal file ${extractor.label}${range ? ` nelle pagine ${range.from}-${range.to}` : ''}`);
+  }
+  return { name: fileLabel(file), pages, numPages: res.numPages || pages[pages.length - 1].page, ocr: !!res.ocr, ocrEngine: res.ocrEngine || null, format: extractor.name, sha: fileHash };
+}
+
+// Limite caratteri: si tengono pagine intere finché c'è spazio, l'ultima viene troncata
+function trimPages(doc, maxChars) {
+  const out = [];
+  let budget = maxChars;
+  for (const p of doc.pages) {
+    if (budget <= 0) { log.warn('limite di caratteri raggiunto: pagine successive ignorate', { name: doc.name, maxChars, fromPage: p.page }); break; }
+    const text = p.text.slice(0, budget);
+    out.push({ ...p, text });
+    budget -= text.length;
   }
-  if (!txt) {
-    console.log(`[${req._rid||'-'}] Nessun testo PDF estratto. Avvio fallback OCR...`);
+  return { ...doc, pages: out, truncated: out.length < doc.pages.length || out[out.length - 1].text.length < doc.pages[out.length - 1].text.length };
+}
+
+/*
+ * Budget di caratteri dei documenti di una richiesta: al massimo MAX_INPUT_CHARS per
+ * documento e MAX_TOTAL_INPUT_CHARS in tutto, diviso in parti uguali; lo spazio non
+ * usato dai documenti più corti passa agli altri.
+ */
+function shareBudget(sizes, perDoc = MAX_INPUT_CHARS, total = MAX_TOTAL_INPUT_CHARS) {
+  const order = sizes.map((_, i) => i).sort((a, b) => sizes[a] - sizes[b]);
+  const out = [];
+  let left = total;
+  order.forEach((i, k) => {
+    out[i] = Math.max(1, Math.min(perDoc, sizes[i], Math.floor(left / (order.length - k))));
+    left -= out[i];
+  });
+  return out;
+}
+
+// Documento del campo 'pdf' per le rotte a file singolo (indicizzazione nella libreria)
+async function extractPagesFromReq(req, job = null) {
+  if (!req.file) throw new Error("File mancante (campo 'pdf')");
+  jobStep(job, 'extracting');
+  const doc = await extractDocument(req, req.file, parsePageRanges(req.body, [req.file])[0], job);
+  return trimPages(doc, MAX_INPUT_CHARS);
+}
+
+// Tutti i documenti caricati nel campo 'pdf' (rotte di generazione), nell'ordine di upload e nel budget di caratteri
+async function extractDocumentsFromReq(req, job = null) {
+  const files = req.files?.length ? req.files : (req.file ? [req.file] : []);
+  if (!files.length) throw new Error("File mancante (campo 'pdf')");
+  const ranges = parsePageRanges(req.body, files);
+  const docs = [];
+  // In sequenza: l'OCR dei documenti scansionati è già parallelo al suo interno
+  for (const [i, file] of files.entries()) {
+    jobStep(job, 'extracting', files.length > 1 ? i + 1 : 0, files.length > 1 ? files.length : 0);
     try {
-      txt = await runPdfOCR(buffer, req._rid || '-');
-      if (pageFrom && pageTo && pageFrom <= pageTo) {
-        const ocrPages = txt.split(/\n\s*\n/);
-        const selected = ocrPages.slice(pageFrom - 1, pageTo);
-        txt = selected.join(' ').replace(/\s+/g, ' ').trim();
-        console.log(`[${req._rid||'-'}] OCR: Elaboro solo pagine ${pageFrom}-${pageTo}. Pagine selezionate: ${selected.length}`);
-        selected.forEach((p, i) => console.log(`[${req._rid||'-'}] Pagina OCR ${pageFrom + i}: ${p.slice(0, 60).replace(/\s+/g, ' ')}...`));
-      } else {
-        console.log(`[${req._rid||'-'}] OCR: Nessun intervallo selezionato, elaboro tutto il PDF`);
-      }
-    } catch (ocrErr) {
-      const reason = ocrErr?.message || String(ocrErr);
-      throw new Error(`Impossibile estrarre testo dal PDF (OCR fallito: ${reason})`);
+      docs.push(await extractDocument(req, file, ranges[i], job));
+    } catch (err) {
+      if (files.length > 1 && !err.code) err.message = `${fileLabel(file)}: ${err.message}`;
+      throw err;
     }
   }
-  if (!txt) throw new Error("Impossibile estrarre testo dal PDF");
-  return txt.slice(0, MAX_INPUT_CHARS);
+  const budgets = shareBudget(docs.map(d => d.pages.reduce((n, p) => n + p.text.length, 0)));
+  return docs.map((d, i) => trimPages(d, budgets[i]));
 }
 
-app.post('/api/summary', upload.single('pdf'), async (req,res)=>{
-  try{
-    const subject = (req.body.subject || 'Generale').trim();
-    const length = (req.body.length || 'medio').toLowerCase();
-    const text = await extractPdfTextFromReq(req);
-    const chunks = chunkText(text, 8000);
-    const rid = req._rid; console.log(`[${rid}] summary: subject=${subject} length=${length} chars=${text.length} chunks=${chunks.length}`);
-    // Delay complessivo proporzionale alla dimensione; spalmato sui chunk
-    const totalDelay = computeSpreadDelay(text.length);
-    const perChunkDelay = chunks.length ? Math.floor(totalDelay / chunks.length) : 0;
-    if (totalDelay>0) console.log(`[rate-spread] totalDelay=${totalDelay}ms, perChunk=${perChunkDelay}ms, chunks=${chunks.length}`);
-    let partials = [];
-    for (let i=0; i<chunks.length; i++) {
-      const c = chunks[i];
-      const sleepMs = (perChunkDelay>0) ? perChunkDelay : CHUNK_PAUSE_MS;
-      if (i>0 && sleepMs>0) await sleep(sleepMs);
-      globalThis.__currentRid = `${rid}:S${i+1}/${chunks.length}`;
+/*
+ * Testo per il modello più il riepilogo OCR da allegare al risultato ({} se l'OCR non è servito)
+ * e l'elenco dei documenti (`sources`). Con più file ogni pagina porta nel marcatore anche
+ * il documento di provenienza. I documenti entrano anche nell'indice della materia; se
+ * l'indicizzazione fallisce la generazione prosegue.
+ */
+async function extractTextFromReq(req, job = null) {
+  const docs = await extractDocumentsFromReq(req, job);
+  const subject = (req.body.subject || 'Generale').trim();
+  if (RAG_INDEX_UPLOADS && subject.length <= 80) {
+    for (const doc of docs) await indexDocument(req, subject, doc).catch(err => log.warn('indicizzazione del documento fallita', { subject, name: doc.name, err }));
+  }
+  const multi = docs.length > 1;
+  const pages = docs.flatMap((d, i) => (multi ? d.pages.map(p => ({ ...p, doc: i + 1, name: d.name })) : d.pages));
+  const sources = docs.map(d => ({ name: d.name, format: d.format, pages: d.pages.length, chars: d.pages.reduce((n, p) => n + p.text.length, 0), truncated: d.truncated }));
+  if (multi) log.info('documenti uniti', { files: docs.length, chars: sources.reduce((n, s) => n + s.chars, 0) });
+  return { text: pagesToText(pages), ocrInfo: ocrSummary(docs), sources };
+}
+// Elenco dei documenti nella risposta, solo se la richiesta ne unisce più di uno
+const sourcesMeta = (sources) => (sources?.length > 1 ? { sources } : {});
+
+// Confidenza per pagina (solo OCR locale; il provider non la fornisce) e pagine sotto OCR_LOW_CONFIDENCE.
+// Con più documenti ogni pagina riporta anche il file (`file`), e così le voci di lowConfidence
+function ocrSummary(docs) {
+  const multi = Array.isArray(docs) && docs.length > 1;
+  const scanned = [].concat(docs).filter(d => d.ocr);
+  if (!scanned.length) return {};
+  const pages = scanned.flatMap(d => d.pages.filter(p => p.confidence != null).map(p => ({ ...(multi ? { file: d.name } : {}), page: p.page, confidence: p.confidence })));
+  const low = pages.filter(p => p.confidence < OCR_LOW_CONFIDENCE);
+  return { ocr: { engine: scanned[0].ocrEngine, pages, lowConfidence: multi ? low.map(p => ({ file: p.file, page: p.page })) : low.map(p => p.page) } };
+}
+
+/* =============================================================
+   PIPELINE DI GENERAZIONE (usate sia in modalità sincrona sia dai job)
+   ============================================================= */
+// Lingua del documento (riconosciuta dal testo) e lingua di output: `language` della richiesta o del profilo, 'auto' = quella del documento
+function withLanguage(profile, requested, text) {
+  const source = detectLanguage(text);
+  return { ...profile, language: resolveTarget(requested, source), source };
+}
+const languageMeta = (profile) => ({ language: { source: profile.source, target: profile.language } });
+// Riepilogo della verifica nella risposta (assente se la verifica non è attiva)
+const verificationMeta = (stats) => (verifyActive() ? { verification: { mode: VERIFY_MODE, ...stats } } : {});
+
+// Più documenti: il numero di documento indicato dal modello diventa il nome del file ({} altrimenti)
+function sourceFile(sourceDoc, sources) {
+  const d = parseInt(sourceDoc, 10);
+  return sources?.length > 1 && d >= 1 && d <= sources.length ? { sourceFile: sources[d - 1].name } : {};
+}
+
+// format=structured → { conceptMap } (conceptMap=0 per ometterla), null per il riassunto semplice
+function summaryStructure(req) {
+  if (parseSummaryFormat(req.body.format) !== 'structured') return null;
+  const map = String(req.body.conceptMap ?? '').toLowerCase();
+  return { conceptMap: !['0', 'false', 'no'].includes(map) };
+}
+
+// shared: documenti già estratti e divisi in chunk ({ text, ocrInfo, sources, chunks }, vedi runStudyPack)
+async function runSummary(req, job = null, shared = null) {
+  const subject = (req.body.subject || 'Generale').trim();
+  const length = normLength(req.body.length);
+  const structure = summaryStructure(req);
+  const base = await subjectProfile(req, subject);
+  const requested = parseLanguageParam(req.body.language, base.language);
+  const { text, ocrInfo, sources } = shared || await extractTextFromReq(req, job);
+  const profile = withLanguage(base, requested, text);
+  const chunks = shared?.chunks || chunkText(text);
+  log.info('riassunto', { subject, length, format: structure ? 'structured' : 'plain', source: profile.source, target: profile.language, chars: text.length, chunks: chunks.length });
+  // Delay complessivo proporzionale alla dimensione; spalmato sui chunk
+  const totalDelay = computeSpreadDelay(text.length);
+  const perChunkDelay = chunks.length ? Math.floor(totalDelay / chunks.length) : 0;
+  if (totalDelay>0) log.info('rate spread', { totalDelayMs: totalDelay, perChunkMs: perChunkDelay, chunks: chunks.length });
+  const build = (t) => (structure ? buildStructuredSummary(t, profile, length, requestCtx(req), structure) : buildSummary(t, profile, length, requestCtx(req)));
+  let partials = [];
+  for (let i=0; i<chunks.length; i++) {
+    const c = chunks[i];
+    const sleepMs = (perChunkDelay>0) ? perChunkDelay : CHUNK_PAUSE_MS;
+    if (i>0 && sleepMs>0) await sleep(sleepMs);
+    jobStep(job, 'chunk', i + 1, chunks.length);
+    const r = await withContext({ step: `S${i+1}/${chunks.length}` }, async () => {
       const t0 = Date.now();
-      const r = await buildSummary(c, subject, length);
-      if (DEBUG_LOG) console.log(`[${globalThis.__currentRid}] chunk done in ${Date.now()-t0}ms textLen=${(r.text||'').length}`);
-      partials.push(r.text);
-    }
-    let finalText = partials.join("\n\n");
-    if (partials.length > 1 && HAS_OPENAI) {
-      const sleepMs = (perChunkDelay>0) ? perChunkDelay : CHUNK_PAUSE_MS;
-      if (sleepMs>0) await sleep(sleepMs);
-      globalThis.__currentRid = `${rid}:S-MERGE`;
+      const out = await build(c);
+      log.debug('chunk completato', { ms: Date.now() - t0, textLen: (out.text || '').length });
+      return out;
+    });
+    partials.push(r);
+    jobEmit(job, 'partial', { index: i + 1, total: chunks.length, text: r.text });
+  }
+  let finalText = partials.map(p => p.text).join("\n\n"), merged = null;
+  if (partials.length > 1 && HAS_LLM) {
+    const sleepMs = (perChunkDelay>0) ? perChunkDelay : CHUNK_PAUSE_MS;
+    if (sleepMs>0) await sleep(sleepMs);
+    jobStep(job, 'merging');
+    const r = await withContext({ step: 'S-MERGE' }, async () => {
+      const t0 = Date.now();
+      const out = await build(finalText);
+      log.debug('unione completata', { ms: Date.now() - t0, textLen: (out.text || '').length });
+      return out;
+    });
+    finalText = r.text;
+    merged = r;
+    jobEmit(job, 'merged', { text: finalText });
+  }
+  const rich = structure ? { format: 'structured', ...combineStructured(partials, merged) } : { text: finalText };
+  return { ...rich, ...languageMeta(profile), ...sourcesMeta(sources), ...ocrInfo, ...requestMeta(req) };
+}
+
+// Genera per ogni chunk la sua quota di elementi (flashcards/quiz), li verifica (se `verify`) e concatena i risultati
+async function generatePerChunk(req, job, { tag, text, chunks = chunkText(text), n, build, pick, verify = null }) {
+  const counts = distributeCount(n, chunks);
+  const spread = computeSpreadDelay(text.length);
+  const perChunkDelay = chunks.length ? Math.floor(spread / chunks.length) : 0;
+  const items = [];
+  let done = 0;
+  for (let i=0; i<chunks.length; i++) {
+    if (!counts[i]) continue;
+    const sleepMs = (perChunkDelay>0) ? perChunkDelay : CHUNK_PAUSE_MS;
+    if (done>0 && sleepMs>0) await sleep(sleepMs);
+    jobStep(job, 'chunk', i + 1, chunks.length);
+    const got = await withContext({ step: `${tag}${i+1}/${chunks.length}` }, async () => {
       const t0 = Date.now();
-      const r = await buildSummary(finalText, subject, length);
-      if (DEBUG_LOG) console.log(`[${globalThis.__currentRid}] merge done in ${Date.now()-t0}ms len=${(r.text||'').length}`);
-      finalText = r.text;
+      let out = pick(await build(chunks[i], counts[i]));
+      if (verify) out = await verify(chunks[i], out, (k, avoid) => build(chunks[i], k, avoid).then(pick));
+      log.debug('chunk completato', { ms: Date.now() - t0, asked: counts[i], got: out.length });
+      return out;
+    });
+    items.push(...got);
+    done++;
+  }
+  return { items, chunks: chunks.length };
+}
+
+async function runFlashcards(req, job = null, shared = null) {
+  const subject = (req.body.subject || 'Generale').trim();
+  const difficulty = normDifficulty(req.body.difficulty);
+  const n = Math.max(1, Math.min(parseInt(req.body.numCards || req.body.num || '12', 10), 60));
+  const base = await subjectProfile(req, subject);
+  const requested = parseLanguageParam(req.body.language, base.language);
+  const { text, ocrInfo, sources } = shared || await extractTextFromReq(req, job);
+  const profile = withLanguage(base, requested, text);
+  log.info('flashcards', { subject, difficulty, n, source: profile.source, target: profile.language, chars: text.length });
+  const t0 = Date.now();
+  const stats = { checked: 0, regenerated: 0, dropped: 0 };
+  const { items, chunks } = await generatePerChunk(req, job, {
+    tag: 'F', text, chunks: shared?.chunks, n,
+    build: (chunk, k, avoid) => buildFlashcards(chunk, profile, k, difficulty, requestCtx(req), avoid),
+    pick: (out) => out.cards,
+    verify: verifyActive() ? (chunk, cards, regenerate) => verifyChunk('flashcards', chunk, cards, {
+      profile, rc: requestCtx(req), stats, regenerate: (k, failed) => regenerate(k, failed.map(c => String(c.front || '').trim()).filter(Boolean))
+    }) : null
+  });
+  log.debug('flashcards generate', { ms: Date.now() - t0, chunks, count: items.length });
+  const cards = items.slice(0, n).map(({ sourceDoc, ...c }) => ({ ...c, difficulty: coerceDifficulty(c.difficulty, difficulty), sourcePage: normSourcePage(c.sourcePage), ...sourceFile(sourceDoc, sources) }));
+  if (verifyActive() && !cards.length) throw new Error('Nessuna flashcard ha superato la verifica');
+  return { cards, ...verificationMeta(stats), ...languageMeta(profile), ...sourcesMeta(sources), ...ocrInfo, ...requestMeta(req) };
+}
+
+// shared come in runSummary; con `focus` (runWeakTopicsQuiz) il prompt chiede quegli argomenti
+async function runQuiz(req, job = null, shared = null) {
+  const subject = (req.body.subject || 'Generale').trim();
+  const difficulty = normDifficulty(req.body.difficulty);
+  const types = parseQuestionTypes(req.body.types);
+  const n = Math.max(1, Math.min(parseInt(req.body.numQuestions || req.body.num || '15', 10), 60));
+  const base = await subjectProfile(req, subject);
+  const requested = parseLanguageParam(req.body.language, base.language);
+  const { text, ocrInfo, sources } = shared || await extractTextFromReq(req, job);
+  const profile = withLanguage(base, requested, text);
+  log.info('quiz', { subject, difficulty, types: types.join(','), n, source: profile.source, target: profile.language, chars: text.length });
+  const t0 = Date.now();
+  const stats = { checked: 0, regenerated: 0, dropped: 0 };
+  let raw = 0, rejected = 0;
+  // sanifica (lib/questions.js) e tieni solo i tipi richiesti, prima della verifica;
+  // le opzioni in più di una scelta singola vengono tagliate alle prime 4, come sempre
+  const sanitize = (questions) => questions.flatMap(r => {
+    raw++;
+    try {
+      const single = questionType(r) === 'single' && Array.isArray(r.options);
+      const q = { ...normalizeQuestion(single ? { ...r, options: r.options.slice(0, SINGLE_OPTIONS) } : r), ...sourceFile(r.sourceDoc, sources) };
+      return types.includes(q.type) ? [q] : [];
+    } catch { rejected++; return []; }
+  });
+  const { items, chunks } = await generatePerChunk(req, job, {
+    tag: 'Q', text, chunks: shared?.chunks, n,
+    build: (chunk, k, avoid) => buildQuiz(chunk, profile, k, difficulty, types, requestCtx(req), avoid, shared?.focus),
+    pick: (out) => sanitize(out.questions),
+    verify: verifyActive() ? (chunk, questions, regenerate) => verifyChunk('quiz', chunk, questions, {
+      profile, rc: requestCtx(req), stats, regenerate: (k, failed) => regenerate(k, failed.map(q => q.question))
+    }) : null
+  });
+  log.debug('quiz generato', { ms: Date.now() - t0, chunks, raw });
+  if (rejected) log.warn('domande scartate', { rejected, raw });
+  // deduplica e limita a n
+  const uniq = [];
+  const seen = new Set();
+  for (const q of items) {
+    const key = q.question.toLowerCase();
+    if (seen.has(key)) continue;
+    seen.add(key);
+    uniq.push(q);
+    if (uniq.length >= n) break;
+  }
+  if (!uniq.length) throw new Error(stats.dropped ? 'Nessuna domanda ha superato la verifica' : "Nessuna domanda valida generata dall'IA");
+  return { questions: uniq, ...verificationMeta(stats), ...languageMeta(profile), ...sourcesMeta(sources), ...ocrInfo, ...requestMeta(req) };
+}
+
+/*
+ * Pacchetto di studio: riassunto, flashcard e quiz da un solo upload. I documenti
+ * vengono estratti (ed eventualmente letti con l'OCR) e divisi in chunk una volta sola;
+ * i prompt sono gli stessi delle rotte singole, quindi anche la cache è condivisa.
+ * Le parti girano una dopo l'altra: quella che fallisce finisce in `errors` e la sua
+ * generazione viene restituita; se falliscono tutte la richiesta fallisce.
+ */
+const STUDY_PACK_PARTS = [['summary', runSummary], ['flashcards', runFlashcards], ['quiz', runQuiz]];
+// Campi comuni alle parti: riportati una volta sola nella risposta del pacchetto
+const STUDY_PACK_SHARED = ['language', 'sources', 'ocr', 'cache'];
+
+async function runStudyPack(req, job = null) {
+  // Parametri validati prima di estrarre il documento: un errore non deve arrivare a metà pacchetto
+  normLength(req.body.length);
+  normDifficulty(req.body.difficulty);
+  parseQuestionTypes(req.body.types);
+  summaryStructure(req);
+  const subject = (req.body.subject || 'Generale').trim();
+  parseLanguageParam(req.body.language, (await subjectProfile(req, subject)).language);
+  const { text, ocrInfo, sources } = await extractTextFromReq(req, job);
+  const shared = { text, ocrInfo, sources, chunks: chunkText(text) };
+  log.info('pacchetto di studio', { subject, chars: text.length, chunks: shared.chunks.length });
+  const out = {}, errors = {};
+  let language = null;
+  for (const [i, [name, run]] of STUDY_PACK_PARTS.entries()) {
+    if (job) job.part = { name, index: i, total: STUDY_PACK_PARTS.length };
+    try {
+      const data = await withContext({ part: name }, () => run(req, job, shared));
+      out[name] = Object.fromEntries(Object.entries(data).filter(([k]) => !STUDY_PACK_SHARED.includes(k)));
+      language ||= data.language;
+    } catch (err) {
+      if (err?.code === 'QUEUE_FULL' || err?.code === 'JOB_CANCELLED') throw err;
+      if (Object.keys(errors).length === STUDY_PACK_PARTS.length - 1) throw err;
+      log.warn('parte del pacchetto fallita', { part: name, error: err.message });
+      errors[name] = err.message || String(err);
+      refundQuota(req, 1);
     }
-    res.json({ ok:true, data: { text: finalText } });
-  }catch(e){
-    res.status(400).json({ ok:false, error: e.message || String(e) });
   }
-});
+  if (job) job.part = null;
+  return { ...out, ...(Object.keys(errors).length ? { errors } : {}), language, ...sourcesMeta(sources), ...ocrInfo, ...requestMeta(req) };
+}
 
-app.post('/api/flashcards', upload.single('pdf'), async (req,res)=>{
-  try{
-    const subject = (req.body.subject || 'Generale').trim();
-    const difficulty = (req.body.difficulty || 'media').toLowerCase();
-    const n = Math.max(1, Math.min(parseInt(req.body.num || '12', 10), 60));
-    const text = await extractPdfTextFromReq(req);
-    const spread = computeSpreadDelay(text.length);
-    const delay = (spread>0) ? spread : CHUNK_PAUSE_MS;
-    if (delay>0) { console.log(`[rate-spread] flashcards delay=${delay}ms`); await sleep(delay); }
-    const rid = req._rid; globalThis.__currentRid = `${rid}:F`;
-    console.log(`[${rid}] flashcards: subject=${subject} diff=${difficulty} n=${n} chars=${text.length}`);
-    const t0 = Date.now();
-    const out = await buildFlashcards(text, subject, n, difficulty);
-    if (DEBUG_LOG) console.log(`[${rid}] flashcards built in ${Date.now()-t0}ms count=${(out.cards||[]).length}`);
-    res.json({ ok:true, data: out });
-  }catch(e){
-    res.status(400).json({ ok:false, error: e.message || String(e) });
+/* =============================================================
+   JOB ASINCRONI
+   POST /api/{summary,flashcards,quiz,study-pack} con async=1 → 202 { jobId }
+   GET /api/jobs/:id → stato/progresso/risultato, DELETE → annulla
+   ============================================================= */
+const JOB_TTL_MS = parseInt(process.env.JOB_TTL_MS || '1800000', 10); // 30 min dopo la fine
+const _jobs = new Map();
+
+function createJob(kind, rid, owner = null) {
+  const id = Math.random().toString(36).slice(2,10) + Date.now().toString(36);
+  const now = Date.now();
+  const job = { id, kind, rid, owner, status: 'queued', stage: 'queued', current: 0, total: 0, result: null, error: null, cancelled: false, createdAt: now, updatedAt: now, finishedAt: 0 };
+  _jobs.set(id, job);
+  return job;
+}
+
+// Aggiorna la fase del job; se annullato interrompe la pipeline al prossimo step
+function jobStep(job, stage, current = 0, total = 0) {
+  if (!job) return;
+  if (job.cancelled) {
+    const err = new Error('Job annullato');
+    err.code = 'JOB_CANCELLED';
+    throw err;
+  }
+  job.status = 'running';
+  job.stage = stage;
+  job.current = current;
+  job.total = total;
+  job.updatedAt = Date.now();
+  log.debug('job', { jobId: job.id, stage, current, total });
+  jobEmit(job, 'progress', { stage, current, total, percent: jobPercent(job) });
+}
+
+// Notifica un evento agli eventuali ascoltatori del job (es. stream SSE)
+function jobEmit(job, event, data) {
+  if (!job || !job.listener) return;
+  try { job.listener(event, data); }
+  catch (err) { log.debug('listener del job fallito', { jobId: job.id, event, err }); }
+}
+
+function jobPercent(job) {
+  if (job.status === 'done') return 100;
+  // Pacchetto di studio: la fascia della generazione (25-92%) è divisa tra le parti
+  const partSpan = (f) => 25 + Math.round(((job.part.index + f) / job.part.total) * 67);
+  const f = job.total ? (job.current - 1) / job.total : 0;
+  switch (job.stage) {
+    case 'extracting': return 5;
+    case 'ocr': return job.total ? 5 + Math.round((job.current / job.total) * 20) : 15;
+    case 'chunk': return job.part ? partSpan(f * 0.95) : 25 + Math.round(f * 65);
+    case 'merging': return job.part ? partSpan(0.95) : 92;
+    default: return 0;
+  }
+}
+
+function jobView(job) {
+  return {
+    id: job.id,
+    kind: job.kind,
+    status: job.status,
+    stage: job.stage,
+    current: job.current,
+    total: job.total,
+    percent: jobPercent(job),
+    ...(job.part ? { part: job.part } : {}),
+    error: job.error,
+    result: job.status === 'done' ? job.result : null,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt
+  };
+}
+
+// Esegue il runner del job; la promise restituita si risolve sempre a job concluso
+function runJob(job, runner) {
+  return Promise.resolve()
+    .then(runner)
+    .then((result) => {
+      if (job.cancelled) return;
+      job.status = 'done'; job.stage = 'done'; job.result = result;
+      jobEmit(job, 'done', result);
+    })
+    .catch((e) => {
+      if (job.cancelled || e?.code === 'JOB_CANCELLED') { job.status = 'cancelled'; jobEmit(job, 'cancelled', {}); return; }
+      job.status = 'failed'; job.error = e?.message || String(e);
+      log.warn('job fallito', { jobId: job.id, error: job.error });
+      jobEmit(job, 'error', { error: job.error });
+    })
+    .finally(() => { job.finishedAt = job.updatedAt = Date.now(); });
+}
+
+// Pulizia periodica dei job conclusi
+setInterval(() => {
+  const now = Date.now();
+  for (const [id, job] of _jobs) {
+    if (job.finishedAt && now - job.finishedAt > JOB_TTL_MS) _jobs.delete(id);
+  }
+}, 60_000).unref();
+
+function wantsAsync(req) {
+  const v = String(req.query.async ?? req.body?.async ?? '').toLowerCase();
+  return v === '1' || v === 'true';
+}
+
+// Gestore comune: sincrono (risposta con data) oppure job asincrono (202 + jobId)
+function generationHandler(kind, pipeline) {
+  const runner = (req, job) => pipeline(req, job).finally(() => recordUsage(req, kind));
+  return async (req, res) => {
+    if (wantsAsync(req)) {
+      const job = createJob(kind, req._rid, ownerOf(req));
+      runJob(job, () => runner(req, job)).then(() => { if (job.status !== 'done') refundQuota(req); });
+      log.info('job creato', { jobId: job.id, kind });
+      return res.status(202).json({ ok:true, jobId: job.id, job: jobView(job) });
+    }
+    try{
+      const data = await runner(req);
+      res.json({ ok:true, data });
+    }catch(e){
+      refundQuota(req);
+      if (e?.code === 'QUEUE_FULL') res.setHeader('Retry-After', '30');
+      res.status(e?.code === 'QUEUE_FULL' ? 503 : 400).json({ ok:false, error: e.message || String(e) });
+    }
+  };
+}
+
+app.post('/api/summary', requireCapacity, requireQuota, upload.files('pdf'), generationHandler('summary', runSummary));
+app.post('/api/flashcards', requireCapacity, requireQuota, upload.files('pdf'), generationHandler('flashcards', runFlashcards));
+app.post('/api/quiz', requireCapacity, requireQuota, upload.files('pdf'), generationHandler('quiz', runQuiz));
+// Costa una generazione per parte (riassunto, flashcard, quiz)
+app.post('/api/study-pack', requireCapacity, chargeQuota(STUDY_PACK_PARTS.length), upload.files('pdf'), generationHandler('study-pack', runStudyPack));
+
+/* =============================================================
+   QUIZ SUGLI ARGOMENTI DEBOLI
+   POST /api/quiz/weak-topics { subject, topics?, num?, difficulty?, types?, language? }
+   Nuove domande sugli argomenti meno padroneggiati (lib/mastery.js), generate dai
+   passaggi degli appunti indicizzati della materia più vicini a ogni argomento:
+   nessun upload, stessa pipeline (e stessa verifica) di /api/quiz.
+   ============================================================= */
+const WEAK_TOPICS_MAX = 5;
+const WEAK_TOPIC_PASSAGES = parseInt(process.env.WEAK_TOPIC_PASSAGES || '4', 10);
+
+// Argomenti richiesti, altrimenti i deboli (o, se nessuno lo è, i meno padroneggiati tra quelli affrontati)
+async function weakTopics(req, subject) {
+  const raw = req.body.topics;
+  const asked = (Array.isArray(raw) ? raw : String(raw || '').split(',')).map(t => String(t).trim().slice(0, 80)).filter(Boolean);
+  if (asked.length) return [...new Set(asked)].slice(0, WEAK_TOPICS_MAX);
+  const lib = libraryFor(req);
+  const mastery = await lib.getMastery(subject);
+  const topics = masterySummary(mastery, collectAdaptiveItems(await lib.getSections(subject), mastery)).filter(t => t.attempts);
+  const weak = topics.filter(t => t.weak);
+  const picked = (weak.length ? weak : topics.slice(0, 2)).slice(0, WEAK_TOPICS_MAX).map(t => t.topic);
+  if (!picked.length) throw new Error('Nessun argomento da rinforzare: rispondi prima a qualche domanda in una sessione adattiva oppure indica gli argomenti');
+  return picked;
+}
+
+async function runWeakTopicsQuiz(req, job = null) {
+  const subject = String(req.body.subject || '').trim();
+  if (!subject || subject.length > 80) throw new Error('Materia non valida');
+  normDifficulty(req.body.difficulty);
+  parseQuestionTypes(req.body.types);
+  const focus = await weakTopics(req, subject);
+  const index = notesIndexFor(req);
+  const docs = await index.listDocs(subject);
+  if (!docs.length) throw new Error(`Nessun documento indicizzato per ${subject}: carica prima gli appunti della materia`);
+  jobStep(job, 'extracting');
+  // Passaggi più vicini a ogni argomento, senza doppioni, nell'ordine del documento
+  const embedder = embedderFor(requestCtx(req));
+  const found = new Map();
+  for (const topic of focus) {
+    for (const p of await index.search(subject, topic, embedder, { k: WEAK_TOPIC_PASSAGES, minScore: RAG_MIN_SCORE })) {
+      found.set(`${p.doc.id}|${p.page}|${p.text}`, p);
+    }
+  }
+  if (!found.size) throw new Error(`Negli appunti di ${subject} non ci sono passaggi su: ${focus.join(', ')}`);
+  const used = docs.filter(d => [...found.values()].some(p => p.doc.id === d.id));
+  const multi = used.length > 1;
+  const pages = [...found.values()]
+    .map(p => ({ doc: multi ? used.findIndex(d => d.id === p.doc.id) + 1 : null, name: p.doc.name, page: p.page, text: p.text }))
+    .sort((a, b) => (a.doc || 0) - (b.doc || 0) || a.page - b.page);
+  const text = pagesToText(pages);
+  const sources = used.map(d => ({ name: d.name, format: d.format, pages: new Set(pages.filter(p => p.name === d.name).map(p => p.page)).size }));
+  log.info('quiz argomenti deboli', { subject, topics: focus, passages: found.size, chars: text.length });
+  const out = await runQuiz(req, job, { text, ocrInfo: {}, sources, chunks: chunkText(text), focus });
+  // Domande senza argomento (generatori demo): quello con più termini in comune
+  const terms = focus.map(t => new Set(textTerms(t)));
+  for (const q of out.questions) {
+    if (q.topic) continue;
+    const words = new Set(textTerms(`${q.question} ${q.explanation || ''}`));
+    const hits = terms.map(ts => [...ts].filter(t => words.has(t)).length);
+    q.topic = focus[hits.indexOf(Math.max(...hits))];
+  }
+  return { ...out, topics: focus };
+}
+
+app.post('/api/quiz/weak-topics', requireCapacity, requireQuota, generationHandler('quiz', runWeakTopicsQuiz));
+
+/* =============================================================
+   CORREZIONE DELLE RISPOSTE
+   POST /api/quiz/grade { subject?, question, answer, language? } → { type, score (0..1), correct }
+     oppure { subject?, items: [{ question, answer }], language? } → { results: [...] } (un quiz in una chiamata)
+   Le domande a correzione automatica seguono le regole di lib/questions.js;
+   quelle aperte le corregge il modello secondo la griglia (rubric), con
+   feedback e concetti mancanti: solo in quel caso coda e quota.
+   ============================================================= */
+const GRADE_MAX_CHARS = 3000;
+const GRADE_MAX_ITEMS = 60;
+
+// Risposte della richiesta: { items: [{ question, answer }] } (un quiz intero) oppure una sola { question, answer }
+const gradeItems = (body) => (Array.isArray(body?.items) ? body.items : [body]);
+const openCount = (body) => gradeItems(body).filter(it => questionType(it?.question) === 'open').length;
+// Coda e quota solo con risposte aperte: una generazione per ognuna
+const openOnly = (mw) => (req, res, next) => (openCount(req.body) ? mw(req, res, next) : next());
+const chargeOpen = (req, res, next) => chargeQuota(openCount(req.body))(req, res, next);
+
+// Domanda normalizzata e risposta da correggere; lancia un errore se non sono valide
+function gradeInput(item) {
+  const q = normalizeQuestion(item?.question);
+  if (q.type !== 'open') return { q, answer: item?.answer };
+  const answer = String(item?.answer ?? '').trim();
+  if (!answer) throw new Error('Risposta mancante');
+  if (answer.length > GRADE_MAX_CHARS) throw new Error(`Risposta troppo lunga (massimo ${GRADE_MAX_CHARS} caratteri)`);
+  return { q, answer };
+}
+
+async function buildGrade(q, answer, profile, rc) {
+  if (!HAS_LLM) return { ...gradeOpenFallback(q, answer), feedback: '', missing: [] };
+  const lang = languageName(profile.language);
+  const system = `Sei un docente che corregge le risposte aperte di uno studente secondo una griglia di correzione. Scrivi il commento in ${lang} e rispondi SOLO in JSON valido.`;
+  const user = `
+Correggi la risposta dello studente (materia: ${profile.name}).
+DOMANDA: ${q.question}
+GRIGLIA DI CORREZIONE: ${q.rubric}
+${q.sampleAnswer ? `RISPOSTA MODELLO: ${q.sampleAnswer}\n` : ''}In 'score' assegna un punteggio da 0 a 1 in proporzione ai criteri della griglia soddisfatti; non penalizzare forma e ortografia se il contenuto è corretto.
+In 'feedback' spiega in 1-3 frasi cosa va bene e cosa manca; in 'missing' elenca i concetti della griglia assenti o sbagliati.
+Formato JSON: {"score":0.5,"feedback":"...","missing":["..."]}
+
+RISPOSTA DELLO STUDENTE:
+"""${answer}"""
+  `.trim();
+  const schema = {
+    type: 'object',
+    additionalProperties: false,
+    properties: {
+      score: { type: 'number', minimum: 0, maximum: 1 },
+      feedback: { type: 'string' },
+      missing: { type: 'array', items: { type: 'string' } }
+    },
+    required: ['score', 'feedback']
+  };
+  const out = await cachedLLM(rc, 'grade_response', system, user, 0, async () => {
+    const out = await askLLM_JSON(system, user, 0, { schemaName: 'grade_response', schema, rc, hints: { rubric: q.rubric } });
+    if (!Number.isFinite(Number(out.score))) throw new Error("JSON senza campo 'score'");
+    return out;
+  });
+  const score = Math.round(Math.max(0, Math.min(Number(out.score), 1)) * 100) / 100;
+  return { score, correct: score >= OPEN_PASS_SCORE, feedback: String(out.feedback || '').trim(), missing: (Array.isArray(out.missing) ? out.missing : []).map(String).filter(Boolean) };
+}
+
+app.post('/api/quiz/grade', openOnly(requireCapacity), openOnly(chargeOpen), async (req,res)=>{
+  const batch = Array.isArray(req.body?.items);
+  const items = gradeItems(req.body);
+  let inputs;
+  try {
+    if (batch && (!items.length || items.length > GRADE_MAX_ITEMS)) throw new Error(`Servono da 1 a ${GRADE_MAX_ITEMS} risposte`);
+    // Nella forma a lotti l'errore indica la domanda: nessuna correzione parziale
+    inputs = items.map((it, i) => {
+      try { return gradeInput(it); }
+      catch (e) { throw new Error(batch ? `Domanda ${i + 1}: ${e.message}` : e.message); }
+    });
+  } catch (e) { refundQuota(req); return res.status(400).json({ ok:false, error: e.message }); }
+  try {
+    const subject = String(req.body?.subject || 'Generale').trim();
+    const base = inputs.some(x => x.q.type === 'open') ? await subjectProfile(req, subject) : null;
+    const results = await Promise.all(inputs.map(async ({ q, answer }) => {
+      if (q.type !== 'open') return { type: q.type, ...gradeAnswer(q, answer) };
+      // 'auto': la lingua in cui ha risposto lo studente
+      const requested = parseLanguageParam(req.body?.language, base.language);
+      const profile = { ...base, language: resolveTarget(requested, detectLanguage(answer, { minHits: 1 })) };
+      const data = await buildGrade(q, answer, profile, requestCtx(req));
+      log.info('correzione', { subject, score: data.score, chars: answer.length });
+      return { type: q.type, ...data };
+    })).finally(() => { if (base) recordUsage(req, 'grade'); });
+    const meta = base ? requestMeta(req) : {};
+    res.json({ ok:true, data: batch ? { results, ...meta } : { ...results[0], ...meta } });
+  } catch (e) {
+    refundQuota(req);
+    if (e?.code === 'QUEUE_FULL') res.setHeader('Retry-After', '30');
+    res.status(e?.code === 'QUEUE_FULL' ? 503 : 400).json({ ok:false, error: e.message || String(e) });
   }
 });
 
-app.post('/api/quiz', upload.single('pdf'), async (req,res)=>{
-  try{
-    const subject = (req.body.subject || 'Generale').trim();
-    const difficulty = (req.body.difficulty || 'media').toLowerCase();
-    const n = Math.max(1, Math.min(parseInt(req.body.num || '15', 10), 60));
-    const text = await extractPdfTextFromReq(req);
-    const spread = computeSpreadDelay(text.length);
-    const delay = (spread>0) ? spread : CHUNK_PAUSE_MS;
-    if (delay>0) { console.log(`[rate-spread] quiz delay=${delay}ms`); await sleep(delay); }
-    const rid = req._rid; globalThis.__currentRid = `${rid}:Q`;
-    console.log(`[${rid}] quiz: subject=${subject} diff=${difficulty} n=${n} chars=${text.length}`);
-    const t0 = Date.now();
-    const out = await buildQuiz(text, subject, n, difficulty);
-    if (DEBUG_LOG) console.log(`[${rid}] quiz built in ${Date.now()-t0}ms raw=${(out.questions||[]).length}`);
-    // sanifica e limita a n
-    const uniq = [];
-    const seen = new Set();
-    for (const q of out.questions) {
-      const key = (q.question || '').trim().toLowerCase();
-      if (!key || seen.has(key)) continue;
-      seen.add(key);
-      const opts = Array.isArray(q.options) ? q.options.slice(0,4) : [];
-      if (opts.length < 4) continue;
-      const correct = Math.max(0, Math.min(parseInt(q.correct,10) || 0, 3));
-      uniq.push({ question: q.question, options: opts, correct, explanation: q.explanation || "" });
-      if (uniq.length >= n) break;
+/* =============================================================
+   STREAMING SSE DEL RIASSUNTO
+   POST /api/summary/stream → eventi: job, progress, partial, merged, done | error | cancelled
+   ============================================================= */
+const SSE_HEARTBEAT_MS = 15_000;
+
+app.post('/api/summary/stream', requireCapacity, requireQuota, upload.files('pdf'), async (req,res)=>{
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no' // evita il buffering dei proxy (Render/nginx)
+  });
+  const send = (event, data) => { if (!res.writableEnded) res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`); };
+  const job = createJob('summary', req._rid, ownerOf(req));
+  job.listener = send;
+  send('job', { jobId: job.id });
+  // Commento periodico per tenere viva la connessione dietro al proxy
+  const heartbeat = setInterval(() => { if (!res.writableEnded) res.write(': ping\n\n'); }, SSE_HEARTBEAT_MS);
+  // Se il client chiude lo stream il job viene annullato
+  res.on('close', () => {
+    if (job.status === 'queued' || job.status === 'running') {
+      job.cancelled = true;
+      log.info('stream chiuso dal client: job annullato', { rid: req._rid, jobId: job.id });
     }
-    if (!uniq.length) throw new Error("Nessuna domanda valida generata dall'IA");
-    res.json({ ok:true, data: { questions: uniq } });
-  }catch(e){
-    res.status(400).json({ ok:false, error: e.message || String(e) });
+  });
+  await runJob(job, () => runSummary(req, job).finally(() => recordUsage(req, 'summary')));
+  if (job.status !== 'done') refundQuota(req);
+  clearInterval(heartbeat);
+  job.listener = null;
+  res.end();
+});
+
+// I job sono visibili solo al proprietario (gli altri ricevono 404 come per un id inesistente)
+function findJob(req) {
+  const job = _jobs.get(req.params.id);
+  return job && job.owner === ownerOf(req) ? job : null;
+}
+
+app.get('/api/jobs/:id', (req,res)=>{
+  const job = findJob(req);
+  if (!job) return res.status(404).json({ ok:false, error: 'Job non trovato' });
+  res.json({ ok:true, job: jobView(job) });
+});
+
+app.delete('/api/jobs/:id', (req,res)=>{
+  const job = findJob(req);
+  if (!job) return res.status(404).json({ ok:false, error: 'Job non trovato' });
+  if (job.status === 'queued' || job.status === 'running') {
+    job.cancelled = true;
+    job.status = 'cancelled';
+    job.updatedAt = Date.now();
+    log.info('job annullato', { jobId: job.id });
   }
+  res.json({ ok:true, job: jobView(job) });
 });
 
-app.listen(PORT, () => {
-  console.log(`[studytool] Server attivo sulla porta ${PORT}. OpenAI: ${HAS_OPENAI ? 'ON' : 'OFF'}`);
+/* =============================================================
+   MATERIE (create, rinominate ed eliminate dall'utente)
+   /api/subjects[/:name] -> elenco, creazione, modifica del profilo, rinomina, eliminazione
+   Il profilo della materia (lingua, tono, formule, glossario, istruzioni)
+   entra nei prompt di riassunti, flashcard, quiz e domande sugli appunti.
+   ============================================================= */
+// Spazio condiviso in subjects/subjects.json, un file per utente in subjects/users/<id>.json
+const _subjectStores = new Map();
+function subjectsFor(req) {
+  const owner = ownerOf(req);
+  const key = owner || '';
+  if (!_subjectStores.has(key)) {
+    const lib = libraryFor(req);
+    _subjectStores.set(key, createSubjectStore(path.join(DATA_DIR, 'subjects', owner ? path.join('users', `${owner}.json`) : 'subjects.json'), {
+      // Al primo accesso entrano anche le materie che hanno già dati in libreria
+      seed: async () => (await lib.listSubjects()).map(s => s.subject)
+    }));
+  }
+  return _subjectStores.get(key);
+}
+
+// Profilo da applicare ai prompt; le materie non registrate (es. 'Generale') usano quello predefinito
+async function subjectProfile(req, name) {
+  const subject = await subjectsFor(req).get(name).catch((err) => {
+    log.warn('profilo della materia non disponibile', { subject: name, err });
+    return null;
+  });
+  return { ...DEFAULT_PROFILE, ...subject?.profile, name };
+}
+
+const subjectRoute = (fn) => async (req, res) => {
+  try { await fn(req, res); }
+  catch (err) {
+    if (err.status) return res.status(err.status).json({ ok:false, error: err.message });
+    log.error('errore materie', { err });
+    res.status(500).json({ ok:false, error:'Errore di salvataggio delle materie' });
+  }
+};
+
+app.get('/api/subjects', subjectRoute(async (req,res)=>{
+  res.json({ ok:true, subjects: await subjectsFor(req).list(), options: { tones: PROFILE_TONES, formulas: PROFILE_FORMULAS } });
+}));
+app.post('/api/subjects', subjectRoute(async (req,res)=>{
+  res.status(201).json({ ok:true, subject: await subjectsFor(req).create(req.body || {}) });
+}));
+// Rinomina: libreria e indice degli appunti passano al nuovo nome
+app.put('/api/subjects/:name', subjectRoute(async (req,res)=>{
+  const subject = await subjectsFor(req).update(req.params.name, req.body || {}, async (from, to) => {
+    await libraryFor(req).renameSubject(from, to);
+    await notesIndexFor(req).renameSubject(from, to);
+    log.info('materia rinominata', { from, to });
+  });
+  if (!subject) return res.status(404).json({ ok:false, error:'Materia non trovata' });
+  res.json({ ok:true, subject });
+}));
+// Elimina la materia con tutti i suoi contenuti (riassunti, mazzi, quiz, ripassi, documenti indicizzati)
+app.delete('/api/subjects/:name', subjectRoute(async (req,res)=>{
+  const name = req.params.name;
+  if (!(await subjectsFor(req).remove(name))) return res.status(404).json({ ok:false, error:'Materia non trovata' });
+  await libraryFor(req).removeSubject(name);
+  await notesIndexFor(req).removeSubject(name);
+  log.info('materia eliminata', { subject: name });
+  res.json({ ok:true });
+}));
+
+/* =============================================================
+   LIBRERIA DI STUDIO (persistenza lato server)
+   /api/library/:subject/:section[/:id]  -> riassunti | flashcards | quiz
+   /api/library/:subject/stats|results   -> statistiche domande e storico quiz
+   /api/library/:subject/review[/stats]  -> ripasso dilazionato (SM-2) di carte e domande
+   /api/library/:subject/flashcards/import, .../:id/export -> mazzi Anki (.apkg) e CSV/TSV
+   /api/library/:subject/quiz/import, .../:id/export -> Moodle XML, GIFT, QTI 2.1
+   /api/library/:subject/documents[/:id] -> documenti indicizzati per POST /api/ask
+   ============================================================= */
+const SRS_NEW_PER_DAY = parseInt(process.env.SRS_NEW_PER_DAY || '20', 10);
+// Spazio condiviso (modalità aperta / SERVER_API_KEY) in library/, una cartella per utente in library/users/<id>/
+const _libraries = new Map();
+function libraryFor(req) {
+  const owner = ownerOf(req);
+  const key = owner || '';
+  if (!_libraries.has(key)) _libraries.set(key, createLibraryStore(owner ? path.join(DATA_DIR, 'library', 'users', owner) : path.join(DATA_DIR, 'library')));
+  return _libraries.get(key);
+}
+
+function libSubject(req, res) {
+  const subject = String(req.params.subject || '').trim();
+  if (!subject || subject.length > 80) { res.status(400).json({ ok:false, error:'Materia non valida' }); return null; }
+  return subject;
+}
+function libSection(req, res) {
+  if (!LIBRARY_SECTIONS.includes(req.params.section)) { res.status(400).json({ ok:false, error:`Sezione non valida (ammesse: ${LIBRARY_SECTIONS.join(', ')})` }); return null; }
+  return req.params.section;
+}
+function libItem(body, id) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) return null;
+  const item = { ...body, id: String(id || body.id || '') || crypto.randomUUID() };
+  if (!item.date) item.date = new Date().toISOString();
+  return item;
+}
+const libRoute = (fn) => async (req, res) => {
+  try { await fn(req, res); }
+  catch (err) {
+    log.error('errore libreria', { err });
+    res.status(500).json({ ok:false, error:'Errore di salvataggio della libreria' });
+  }
+};
+
+app.get('/api/library', libRoute(async (req,res)=>{
+  res.json({ ok:true, subjects: await libraryFor(req).listSubjects() });
+}));
+
+// Migrazione una tantum dal vecchio "cloud" localStorage: { subjects: { [materia]: { sections, stats, results } } }
+app.post('/api/library/import', libRoute(async (req,res)=>{
+  const subjects = req.body?.subjects;
+  if (!subjects || typeof subjects !== 'object') return res.status(400).json({ ok:false, error:'Formato import non valido' });
+  const imported = {};
+  for (const [subject, data] of Object.entries(subjects)) {
+    if (!subject.trim() || subject.length > 80 || !data || typeof data !== 'object') continue;
+    imported[subject] = await libraryFor(req).merge(subject.trim(), data);
+  }
+  log.info('libreria importata', { imported });
+  res.json({ ok:true, imported });
+}));
+
+app.get('/api/library/:subject/stats', libRoute(async (req,res)=>{
+  const subject = libSubject(req, res); if (!subject) return;
+  res.json({ ok:true, stats: await libraryFor(req).getStats(subject) });
+}));
+app.put('/api/library/:subject/stats', libRoute(async (req,res)=>{
+  const subject = libSubject(req, res); if (!subject) return;
+  const stats = req.body?.stats;
+  if (!stats || typeof stats !== 'object' || Array.isArray(stats)) return res.status(400).json({ ok:false, error:'Statistiche non valide' });
+  res.json({ ok:true, stats: await libraryFor(req).setStats(subject, stats) });
+}));
+
+app.get('/api/library/:subject/results', libRoute(async (req,res)=>{
+  const subject = libSubject(req, res); if (!subject) return;
+  res.json({ ok:true, results: await libraryFor(req).getResults(subject) });
+}));
+app.post('/api/library/:subject/results', libRoute(async (req,res)=>{
+  const subject = libSubject(req, res); if (!subject) return;
+  const r = req.body;
+  if (!r || typeof r !== 'object' || typeof r.score !== 'number' || typeof r.total !== 'number') return res.status(400).json({ ok:false, error:'Risultato non valido' });
+  res.json({ ok:true, result: await libraryFor(req).addResult(subject, { ...r, date: r.date || new Date().toISOString() }) });
+}));
+// Azzera storico e statistiche della materia
+app.delete('/api/library/:subject/results', libRoute(async (req,res)=>{
+  const subject = libSubject(req, res); if (!subject) return;
+  await libraryFor(req).clearResults(subject);
+  res.json({ ok:true });
+}));
+
+// Sessione "da ripassare oggi": carte e domande scadute più i nuovi elementi del giorno
+app.get('/api/library/:subject/review', libRoute(async (req,res)=>{
+  const subject = libSubject(req, res); if (!subject) return;
+  const lib = libraryFor(req);
+  const items = collectReviewItems(await lib.getSections(subject));
+  const { srs } = await lib.getReviewState(subject);
+  const newLimit = req.query.newLimit !== undefined ? Math.max(0, parseInt(req.query.newLimit, 10) || 0) : SRS_NEW_PER_DAY;
+  const { due, fresh, newTotal } = dueToday(items, srs, { newLimit });
+  res.json({ ok:true, items: [...due, ...fresh], counts: { due: due.length, new: fresh.length, newTotal, total: items.length } });
+}));
+app.post('/api/library/:subject/review', libRoute(async (req,res)=>{
+  const subject = libSubject(req, res); if (!subject) return;
+  const { key, grade } = req.body || {};
+  if (typeof key !== 'string' || !/^(card|quiz)\|/.test(key) || key.length > 2000) return res.status(400).json({ ok:false, error:'Chiave di ripasso non valida' });
+  if (!Number.isInteger(grade) || grade < 0 || grade > 5) return res.status(400).json({ ok:false, error:'Voto non valido (intero 0-5)' });
+  const now = Date.now();
+  const state = await libraryFor(req).recordReview(subject, key, { kind: key.split('|')[0], grade, at: now }, (prev) => sm2(prev, grade, now));
+  res.json({ ok:true, state });
+}));
+app.get('/api/library/:subject/review/stats', libRoute(async (req,res)=>{
+  const subject = libSubject(req, res); if (!subject) return;
+  const lib = libraryFor(req);
+  const items = collectReviewItems(await lib.getSections(subject));
+  const { srs, reviews } = await lib.getReviewState(subject);
+  res.json({ ok:true, summary: reviewSummary(items, srs, reviews) });
+}));
+
+/* ===== Padronanza per argomento e sessioni adattive (Elo, vedi lib/mastery.js) ===== */
+app.get('/api/library/:subject/mastery', libRoute(async (req,res)=>{
+  const subject = libSubject(req, res); if (!subject) return;
+  const lib = libraryFor(req);
+  const mastery = await lib.getMastery(subject);
+  res.json({ ok:true, topics: masterySummary(mastery, collectAdaptiveItems(await lib.getSections(subject), mastery)) });
+}));
+
+// session: [{ key, score }] delle risposte già date; quizIds: limita la sessione a quei quiz
+function adaptiveSession(body) {
+  const { session = [], quizIds = null } = body || {};
+  if (!Array.isArray(session) || session.length > 500 || session.some(s => !s || typeof s.key !== 'string')) return { error: 'Sessione non valida' };
+  if (quizIds !== null && (!Array.isArray(quizIds) || quizIds.some(id => typeof id !== 'string'))) return { error: "Campo 'quizIds' non valido" };
+  return { session, quizIds };
+}
+
+app.post('/api/library/:subject/adaptive/next', libRoute(async (req,res)=>{
+  const subject = libSubject(req, res); if (!subject) return;
+  const { session, quizIds, error } = adaptiveSession(req.body);
+  if (error) return res.status(400).json({ ok:false, error });
+  const lib = libraryFor(req);
+  const mastery = await lib.getMastery(subject);
+  const items = collectAdaptiveItems(await lib.getSections(subject), mastery, quizIds);
+  res.json({ ok:true, ...pickNextQuestion(items, mastery, session) });
+}));
+
+app.post('/api/library/:subject/adaptive/answer', libRoute(async (req,res)=>{
+  const subject = libSubject(req, res); if (!subject) return;
+  const { key, score } = req.body || {};
+  if (typeof score !== 'number' || !(score >= 0 && score <= 1)) return res.status(400).json({ ok:false, error:'Punteggio non valido (numero 0-1)' });
+  const lib = libraryFor(req);
+  const item = collectAdaptiveItems(await lib.getSections(subject), await lib.getMastery(subject)).find(it => it.key === key);
+  if (!item) return res.status(404).json({ ok:false, error:'Domanda non trovata' });
+  const result = await lib.updateMastery(subject, (mastery) => recordAttempt(mastery, item, score));
+  res.json({ ok:true, result });
+}));
+
+// Esportazione di un mazzo: ?format=apkg (default) | csv | tsv
+const EXPORT_FORMATS = {
+  apkg: { type: 'application/octet-stream', ext: 'apkg' },
+  csv: { type: 'text/csv; charset=utf-8', ext: 'csv', delimiter: ',' },
+  tsv: { type: 'text/tab-separated-values; charset=utf-8', ext: 'tsv', delimiter: '\t' }
+};
+app.get('/api/library/:subject/flashcards/:id/export', libRoute(async (req,res)=>{
+  const subject = libSubject(req, res); if (!subject) return;
+  const fmt = EXPORT_FORMATS[String(req.query.format || 'apkg').toLowerCase()];
+  if (!fmt) return res.status(400).json({ ok:false, error:`Formato non supportato (ammessi: ${Object.keys(EXPORT_FORMATS).join(', ')})` });
+  const item = await libraryFor(req).get(subject, 'flashcards', req.params.id);
+  if (!item) return res.status(404).json({ ok:false, error:'Elemento non trovato' });
+  const cards = item.data?.cards || [];
+  const deckName = `${subject}::${item.title || 'Flashcards'}`;
+  const body = fmt.ext === 'apkg'
+    ? Buffer.from(await buildApkg(deckName, cards, { deckKey: `${subject}/${item.id}` }))
+    : cardsToDelimited(cards, { delimiter: fmt.delimiter, deckName });
+  const filename = `${String(item.title || 'flashcards').replace(/[^\w\-. ]+/g, '_').trim() || 'flashcards'}.${fmt.ext}`;
+  log.info('export mazzo', { format: fmt.ext, itemId: item.id, cards: cards.length });
+  res.set('Content-Type', fmt.type);
+  res.set('Content-Disposition', `attachment; filename="${filename}"; filename*=UTF-8''${encodeURIComponent(filename)}`);
+  res.send(body);
+}));
+
+// Titolo di un elemento importato, preso dal file caricato: testo su una riga, senza markup
+const IMPORT_TITLE_MAX = 120;
+function importTitle(...candidates) {
+  for (const c of candidates) {
+    const title = htmlToText(c).replace(/[<>]/g, '').replace(/\s+/g, ' ').trim().slice(0, IMPORT_TITLE_MAX);
+    if (title) return title;
+  }
+  return '';
+}
+
+// Importazione (.apkg, .csv, .tsv, .txt nel campo "file"): nuovo mazzo oppure aggiunta a deckId senza duplicati
+app.post('/api/library/:subject/flashcards/import', upload.single('file'), libRoute(async (req,res)=>{
+  const subject = libSubject(req, res); if (!subject) return;
+  if (!req.file) return res.status(400).json({ ok:false, error:'Nessun file caricato' });
+  let parsed;
+  try { parsed = await parseFlashcardFile(req.file.buffer, req.file.originalname); }
+  catch (e) {
+    if (e.code === 'IMPORT_INVALID') return res.status(400).json({ ok:false, error: e.message });
+    throw e;
+  }
+  if (!parsed.cards.length) return res.status(400).json({ ok:false, error:'Nessuna carta valida trovata nel file' });
+  const lib = libraryFor(req);
+  const deckId = req.body?.deckId ? String(req.body.deckId) : '';
+  let item = deckId ? await lib.get(subject, 'flashcards', deckId) : null;
+  if (deckId && !item) return res.status(404).json({ ok:false, error:'Mazzo di destinazione non trovato' });
+  const base = item ? item.data?.cards || [] : [];
+  const { cards, added, duplicates } = mergeCards(base, parsed.cards);
+  if (!item) {
+    const title = String(req.body?.title || '').trim() || importTitle(parsed.deckName.split('::').pop(), req.file.originalname.replace(/\.[^.]+$/, ''));
+    item = { id: crypto.randomUUID(), title, createdAt: new Date().toLocaleString('it-IT'), date: new Date().toISOString(), type: 'flashcards', data: { difficulty: 'medium', cards: [], source: { importedFrom: req.file.originalname } } };
+  }
+  item = { ...item, data: { ...item.data, cards } };
+  await lib.upsert(subject, 'flashcards', item);
+  log.info('import mazzo', { name: req.file.originalname, added: added.length, duplicates, skipped: parsed.skipped });
+  res.json({ ok:true, item, imported: added.length, duplicates, skipped: parsed.skipped });
+}));
+
+// Esportazione di un riassunto: ?format=md (default) | html (pagina autonoma con KaTeX e Mermaid, da stampare in PDF)
+app.get('/api/library/:subject/riassunti/:id/export', libRoute(async (req,res)=>{
+  const subject = libSubject(req, res); if (!subject) return;
+  const format = String(req.query.format || 'md').toLowerCase();
+  if (!SUMMARY_EXPORTS[format]) return res.status(400).json({ ok:false, error:`Formato non supportato (ammessi: ${Object.keys(SUMMARY_EXPORTS).join(', ')})` });
+  const item = await libraryFor(req).get(subject, 'riassunti', req.params.id);
+  if (!item) return res.status(404).json({ ok:false, error:'Elemento non trovato' });
+  const out = exportSummary(format, item.title || 'Riassunto', { ...item.data, text: item.data?.text || '' });
+  const filename = `${String(item.title || 'riassunto').replace(/[^\w\-. ]+/g, '_').trim() || 'riassunto'}.${out.ext}`;
+  log.info('export riassunto', { format, itemId: item.id });
+  res.set('Content-Type', out.type);
+  res.set('Content-Disposition', `attachment; filename="${filename}"; filename*=UTF-8''${encodeURIComponent(filename)}`);
+  res.send(out.body);
+}));
+
+// Esportazione quiz per LMS: ?format=moodle (default) | gift | qti
+app.get('/api/library/:subject/quiz/:id/export', libRoute(async (req,res)=>{
+  const subject = libSubject(req, res); if (!subject) return;
+  const format = String(req.query.format || 'moodle').toLowerCase();
+  if (!QUIZ_FORMATS.includes(format)) return res.status(400).json({ ok:false, error:`Formato non supportato (ammessi: ${QUIZ_FORMATS.join(', ')})` });
+  const item = await libraryFor(req).get(subject, 'quiz', req.params.id);
+  if (!item) return res.status(404).json({ ok:false, error:'Elemento non trovato' });
+  const questions = item.data?.questions || [];
+  const out = exportQuiz(format, item.title || 'Quiz', questions, { category: `StudyTool/${subject}/${item.title || 'Quiz'}` });
+  const filename = `${String(item.title || 'quiz').replace(/[^\w\-. ]+/g, '_').trim() || 'quiz'}.${out.ext}`;
+  log.info('export quiz', { format, itemId: item.id, questions: questions.length });
+  res.set('Content-Type', out.type);
+  res.set('Content-Disposition', `attachment; filename="${filename}"; filename*=UTF-8''${encodeURIComponent(filename)}`);
+  res.send(out.body);
+}));
+
+// Importazione di una banca domande (campo "file"; opzionali format, quizId, title, dryRun=1 per il solo report)
+app.post('/api/library/:subject/quiz/import', upload.single('file'), libRoute(async (req,res)=>{
+  const subject = libSubject(req, res); if (!subject) return;
+  if (!req.file) return res.status(400).json({ ok:false, error:'Nessun file caricato' });
+  const format = String(req.body?.format || '').toLowerCase();
+  if (format && !QUIZ_FORMATS.includes(format)) return res.status(400).json({ ok:false, error:`Formato non supportato (ammessi: ${QUIZ_FORMATS.join(', ')})` });
+  let parsed;
+  try { parsed = parseQuizFile(req.file.buffer, req.file.originalname, format); }
+  catch (e) {
+    if (e.code === 'IMPORT_INVALID') return res.status(400).json({ ok:false, error: e.message, rejected: [] });
+    throw e;
+  }
+  const { rejected } = parsed;
+  if (!parsed.questions.length) return res.status(400).json({ ok:false, error:'Nessuna domanda valida trovata nel file', format: parsed.format, rejected });
+  const lib = libraryFor(req);
+  const quizId = req.body?.quizId ? String(req.body.quizId) : '';
+  let item = quizId ? await lib.get(subject, 'quiz', quizId) : null;
+  if (quizId && !item) return res.status(404).json({ ok:false, error:'Quiz di destinazione non trovato' });
+  const { questions, added, duplicates } = mergeQuestions(item ? item.data?.questions || [] : [], parsed.questions);
+  const dryRun = ['1', 'true'].includes(String(req.body?.dryRun ?? req.query.dryRun ?? '').toLowerCase());
+  if (!item) {
+    const title = String(req.body?.title || '').trim() || importTitle(parsed.title, req.file.originalname.replace(/(\.(gift|qti))?\.[^.]+$/i, ''));
+    item = { id: crypto.randomUUID(), title, createdAt: new Date().toLocaleString('it-IT'), date: new Date().toISOString(), type: 'quiz', data: { difficulty: 'medium', questions: [], source: { importedFrom: req.file.originalname, format: parsed.format } } };
+  }
+  item = { ...item, data: { ...item.data, questions } };
+  if (!dryRun) await lib.upsert(subject, 'quiz', item);
+  log.info('import quiz', { format: parsed.format, name: req.file.originalname, added: added.length, duplicates, rejected: rejected.length, dryRun });
+  res.json({ ok:true, format: parsed.format, dryRun, item: dryRun ? null : item, imported: added.length, duplicates, rejected });
+}));
+
+/* =============================================================
+   APPUNTI INDICIZZATI E DOMANDE
+   Ogni documento caricato (generazioni o /documents) è diviso in passaggi per
+   pagina, trasformato in vettori e salvato nell'indice della materia
+   (DATA_DIR/index, una cartella per utente come la libreria).
+   POST /api/ask recupera i passaggi più vicini alla domanda e fa rispondere
+   il modello solo da quelli, citando documento e pagina.
+   ============================================================= */
+const RAG_INDEX_UPLOADS = process.env.RAG_INDEX_UPLOADS !== '0';
+const RAG_CHUNK_TOKENS = parseInt(process.env.RAG_CHUNK_TOKENS || '300', 10);
+const RAG_TOP_K = parseInt(process.env.RAG_TOP_K || '6', 10);
+const RAG_MIN_SCORE = parseFloat(process.env.RAG_MIN_SCORE || '0.05');
+const ASK_MAX_CHARS = 1000;
+const EMBEDDINGS_PROVIDER = (process.env.EMBEDDINGS_PROVIDER || 'local').trim().toLowerCase();
+const EMBEDDINGS_MODEL = process.env.EMBEDDINGS_MODEL || 'text-embedding-3-small';
+if (!['local', 'llm'].includes(EMBEDDINGS_PROVIDER)) throw new Error(`EMBEDDINGS_PROVIDER sconosciuto: ${EMBEDDINGS_PROVIDER} (valori: local, llm)`);
+if (EMBEDDINGS_PROVIDER === 'llm' && typeof llm?.embed !== 'function') throw new Error(`EMBEDDINGS_PROVIDER=llm richiede un provider con embedding (provider attuale: ${llm ? llm.name : 'nessuno'})`);
+const localEmbedder = createLocalEmbedder();
+
+// Le chiamate al provider passano dallo scheduler e finiscono nei consumi della richiesta
+function embedderFor(rc) {
+  if (EMBEDDINGS_PROVIDER === 'local') return localEmbedder;
+  return createProviderEmbedder(llm, {
+    model: EMBEDDINGS_MODEL,
+    call: (fn, texts) => llmCall(fn, { rc, tokens: estimateTokens(texts.join(' ')), model: EMBEDDINGS_MODEL, kind: 'embed' })
+  });
+}
+
+const _notesIndexes = new Map();
+function notesIndexFor(req) {
+  const owner = ownerOf(req);
+  const key = owner || '';
+  if (!_notesIndexes.has(key)) _notesIndexes.set(key, createNotesIndex(owner ? path.join(DATA_DIR, 'index', 'users', owner) : path.join(DATA_DIR, 'index')));
+  return _notesIndexes.get(key);
+}
+
+// Passaggi brevi dentro la pagina, così ogni citazione punta a una pagina precisa
+async function indexDocument(req, subject, doc) {
+  const passages = doc.pages.flatMap(p => chunkText(p.text, { maxTokens: RAG_CHUNK_TOKENS, overlapTokens: 40 }).map(text => ({ page: p.page, text })));
+  const meta = { id: doc.sha, name: doc.name, format: doc.format };
+  const out = await notesIndexFor(req).addDocument(subject, meta, passages, embedderFor(requestCtx(req)));
+  log.info('documento indicizzato', { subject, docId: out.doc.id, name: meta.name, added: out.added, chunks: out.doc.chunks });
+  return out;
+}
+
+const snippet = (t, max = 300) => (t.length > max ? t.slice(0, max).replace(/\s+\S*$/, '') + '…' : t);
+
+async function buildAnswer(question, profile, passages, history, rc) {
+  if (!HAS_LLM) {
+    const p = passages[0];
+    return { answer: `${fallbackTexts(profile.language).fromNotes} (${p.doc.name}, p. ${p.page}): ${snippet(p.text, 400)} [1]`, sources: [1], found: true };
+  }
+  const lang = languageName(profile.language);
+  const system = `Sei un tutor che risponde alle domande di uno studente usando SOLO i suoi appunti. Rispondi in ${lang} e SOLO in JSON valido.`;
+  const context = history.length
+    ? `CONVERSAZIONE PRECEDENTE:\n${history.map(h => `${h.role === 'assistant' ? 'Tutor' : 'Studente'}: ${h.content}`).join('\n')}\n\n`
+    : '';
+  const user = `
+${context}Domanda dello studente (materia: ${profile.name}): ${question}
+
+Rispondi basandoti esclusivamente sui passaggi numerati qui sotto, tratti dagli appunti dello studente.
+Cita i passaggi usati con il loro numero tra parentesi quadre, es. [2], e riportali in 'sources'.
+Se i passaggi non contengono la risposta dillo chiaramente, con 'found' a false, senza inventare.
+${guideLines(profile)}Formato JSON: {"answer":"<risposta>","sources":[1],"found":true}
+
+PASSAGGI:
+"""
+${passages.map((p, i) => `[${i + 1}] (${p.doc.name}, p. ${p.page})\n${p.text}`).join('\n\n')}
+"""
+  `.trim();
+  const schema = {
+    type: 'object',
+    additionalProperties: false,
+    properties: {
+      answer: { type: 'string', description: `Risposta in ${lang} con i riferimenti [n] ai passaggi` },
+      sources: { type: 'array', items: { type: 'integer', minimum: 1 }, description: 'Numeri dei passaggi usati' },
+      found: { type: 'boolean', description: 'false se gli appunti non contengono la risposta' }
+    },
+    required: ['answer', 'sources', 'found']
+  };
+  return cachedLLM(rc, 'ask_response', system, user, 0.2, async () => {
+    const out = await askLLM_JSON(system, user, 0.2, { schemaName: 'ask_response', schema, rc });
+    if (typeof out.answer !== 'string' || !out.answer.trim()) throw new Error("JSON senza campo 'answer'");
+    return out;
+  });
+}
+
+// language: parametro della richiesta; 'auto' = la lingua della domanda
+async function runAsk(req, { subject, question, history, k, language }) {
+  const base = await subjectProfile(req, subject);
+  const requested = parseLanguageParam(language, base.language);
+  const profile = { ...base, language: resolveTarget(requested, detectLanguage(question, { minHits: 1 })) };
+  const index = notesIndexFor(req);
+  if (!(await index.listDocs(subject)).length) {
+    const err = new Error(`Nessun documento indicizzato per ${subject}: carica prima gli appunti della materia`);
+    err.status = 404;
+    throw err;
+  }
+  // La domanda precedente aiuta a recuperare i passaggi giusti per le domande di seguito ("e quanto dura?")
+  const lastUser = [...history].reverse().find(h => h.role === 'user');
+  const rc = requestCtx(req);
+  const passages = await index.search(subject, [lastUser?.content, question].filter(Boolean).join('\n'), embedderFor(rc), { k, minScore: RAG_MIN_SCORE });
+  log.info('domanda', { subject, chars: question.length, passages: passages.length, best: passages[0] ? Math.round(passages[0].score * 1000) / 1000 : null });
+  if (!passages.length) return { answer: fallbackTexts(profile.language).notFound, found: false, citations: [], ...requestMeta(req) };
+  const out = await buildAnswer(question, profile, passages, history, rc);
+  // Passaggi citati: quelli dichiarati in 'sources', altrimenti i [n] presenti nella risposta
+  let used = (Array.isArray(out.sources) ? out.sources : []).map(n => parseInt(n, 10));
+  if (!used.length) used = [...out.answer.matchAll(/\[(\d+)\]/g)].map(m => parseInt(m[1], 10));
+  used = [...new Set(used)].filter(n => n >= 1 && n <= passages.length);
+  const citations = used.map(n => {
+    const p = passages[n - 1];
+    return { n, docId: p.doc.id, name: p.doc.name, page: p.page, score: Math.round(p.score * 1000) / 1000, text: snippet(p.text) };
+  });
+  return { answer: out.answer.trim(), found: out.found !== false, citations, ...requestMeta(req) };
+}
+
+function askHistory(raw) {
+  if (!Array.isArray(raw)) return [];
+  return raw
+    .filter(h => h && (h.role === 'user' || h.role === 'assistant') && typeof h.content === 'string' && h.content.trim())
+    .slice(-6)
+    .map(h => ({ role: h.role, content: snippet(h.content.trim(), 500) }));
+}
+
+app.post('/api/ask', requireCapacity, requireQuota, async (req,res)=>{
+  const subject = String(req.body?.subject || '').trim();
+  const question = String(req.body?.question || '').trim();
+  let error = null;
+  if (!subject || subject.length > 80) error = 'Materia non valida';
+  else if (!question) error = 'Domanda mancante';
+  else if (question.length > ASK_MAX_CHARS) error = `Domanda troppo lunga (massimo ${ASK_MAX_CHARS} caratteri)`;
+  if (error) { refundQuota(req); return res.status(400).json({ ok:false, error }); }
+  const k = Math.max(1, Math.min(parseInt(req.body.k, 10) || RAG_TOP_K, 12));
+  try {
+    const data = await runAsk(req, { subject, question, history: askHistory(req.body.history), k, language: req.body.language }).finally(() => recordUsage(req, 'ask'));
+    res.json({ ok:true, data });
+  } catch (e) {
+    refundQuota(req);
+    if (e?.code === 'QUEUE_FULL') res.setHeader('Retry-After', '30');
+    res.status(e?.code === 'QUEUE_FULL' ? 503 : (e?.status === 404 ? 404 : 400)).json({ ok:false, error: e.message || String(e) });
+  }
+});
+
+app.get('/api/library/:subject/documents', libRoute(async (req,res)=>{
+  const subject = libSubject(req, res); if (!subject) return;
+  res.json({ ok:true, documents: await notesIndexFor(req).listDocs(subject) });
+}));
+// Aggiunge un documento all'indice senza generare nulla (stesso campo 'pdf' e formati delle generazioni)
+app.post('/api/library/:subject/documents', requireCapacity, upload.single('pdf'), async (req,res)=>{
+  const subject = libSubject(req, res); if (!subject) return;
+  try {
+    const doc = await extractPagesFromReq(req).finally(() => recordUsage(req, 'index'));
+    const { doc: document, added } = await indexDocument(req, subject, doc);
+    res.json({ ok:true, document, added, ...ocrSummary(doc) });
+  } catch (e) {
+    if (e?.code === 'QUEUE_FULL') res.setHeader('Retry-After', '30');
+    res.status(e?.code === 'QUEUE_FULL' ? 503 : 400).json({ ok:false, error: e.message || String(e) });
+  }
 });
+app.delete('/api/library/:subject/documents/:id', libRoute(async (req,res)=>{
+  const subject = libSubject(req, res); if (!subject) return;
+  if (!(await notesIndexFor(req).removeDocument(subject, req.params.id))) return res.status(404).json({ ok:false, error:'Documento non trovato' });
+  res.json({ ok:true });
+}));
+
+app.get('/api/library/:subject/:section', libRoute(async (req,res)=>{
+  const subject = libSubject(req, res); if (!subject) return;
+  const section = libSection(req, res); if (!section) return;
+  res.json({ ok:true, items: await libraryFor(req).list(subject, section) });
+}));
+app.post('/api/library/:subject/:section', libRoute(async (req,res)=>{
+  const subject = libSubject(req, res); if (!subject) return;
+  const section = libSection(req, res); if (!section) return;
+  const item = libItem(req.body);
+  if (!item) return res.status(400).json({ ok:false, error:'Elemento non valido' });
+  res.json({ ok:true, item: await libraryFor(req).upsert(subject, section, item) });
+}));
+
+app.get('/api/library/:subject/:section/:id', libRoute(async (req,res)=>{
+  const subject = libSubject(req, res); if (!subject) return;
+  const section = libSection(req, res); if (!section) return;
+  const item = await libraryFor(req).get(subject, section, req.params.id);
+  if (!item) return res.status(404).json({ ok:false, error:'Elemento non trovato' });
+  res.json({ ok:true, item });
+}));
+app.put('/api/library/:subject/:section/:id', libRoute(async (req,res)=>{
+  const subject = libSubject(req, res); if (!subject) return;
+  const section = libSection(req, res); if (!section) return;
+  const item = libItem(req.body, req.params.id);
+  if (!item) return res.status(400).json({ ok:false, error:'Elemento non valido' });
+  res.json({ ok:true, item: await libraryFor(req).upsert(subject, section, item) });
+}));
+app.delete('/api/library/:subject/:section/:id', libRoute(async (req,res)=>{
+  const subject = libSubject(req, res); if (!subject) return;
+  const section = libSection(req, res); if (!section) return;
+  const removed = await libraryFor(req).remove(subject, section, req.params.id);
+  if (!removed) return res.status(404).json({ ok:false, error:'Elemento non trovato' });
+  res.json({ ok:true });
+}));
+
+export { app, safeJSON, chunkText, distributeCount, splitPageMarkers };
+
+// Avvio solo se eseguito direttamente (npm start); i test importano l'app e la avviano su una porta effimera
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  app.listen(PORT, () => {
+    log.info('server attivo', { port: PORT, llm: HAS_LLM ? llm.name : 'OFF' });
+  });
+}
@@ -0,0 +1,138 @@
+import test from 'node:test';
+import fs from 'node:fs';
+import path from 'node:path';
+import assert from 'node:assert/strict';
+import { startApp, pdfForm } from './helpers/app.js';
+import { textPdf } from './helpers/pdf.js';
+import { hashPassword, verifyPassword, signToken, verifyToken } from '../lib/accounts.js';
+
+const app = await startApp({ OPENAI_API_KEY: '', AUTH_REQUIRED: '1', AUTH_INVITE_CODE: 'classe-3b', USER_DAILY_QUOTA: '2', AUTH_SECRET: 'segreto-di-test', ADMIN_USERS: 'Dora' });
+test.after(() => app.close());
+
+async function call(method, url, { token, body } = {}) {
+  const headers = {};
+  if (token) headers.Authorization = `Bearer ${token}`;
+  if (body !== undefined && !(body instanceof FormData)) headers['Content-Type'] = 'application/json';
+  const res = await fetch(app.base + url, { method, headers, body: body instanceof FormData ? body : (body !== undefined ? JSON.stringify(body) : undefined) });
+  return { status: res.status, js: await res.json() };
+}
+
+const register = (username, password = 'password-lunga') =>
+  call('POST', '/api/auth/register', { body: { username, password, inviteCode: 'classe-3b' } });
+
+test('hash scrypt verificabile e diverso a ogni salvataggio', async () => {
+  const a = await hashPassword('segreta123');
+  const b = await hashPassword('segreta123');
+  assert.notEqual(a, b);
+  assert.ok(a.startsWith('scrypt$'));
+  assert.equal(await verifyPassword('segreta123', a), true);
+  assert.equal(await verifyPassword('sbagliata', a), false);
+});
+
+test('token firmati: manomissione e scadenza vengono rifiutate', () => {
+  const t = signToken({ sub: 'u1', exp: Date.now() + 1000 }, 'k');
+  assert.equal(verifyToken(t, 'k').sub, 'u1');
+  assert.equal(verifyToken(t, 'altra-chiave'), null);
+  const [body, sig] = t.split('.');
+  const forged = Buffer.from(JSON.stringify({ sub: 'admin', exp: Date.now() + 1000 })).toString('base64url');
+  assert.equal(verifyToken(`${forged}.${sig}`, 'k'), null);
+  assert.equal(verifyToken(`${body}.${sig}`, 'k', Date.now() + 5000), null);
+});
+
+test('archivio utenti illeggibile: il login risponde 500 in JSON invece di restare appeso', async () => {
+  const file = path.join(app.dataDir, 'users.json');
+  fs.writeFileSync(file, '{ non è JSON');
+  try {
+    const r = await call('POST', '/api/auth/login', { body: { username: 'mario.rossi', password: 'password-lunga' } });
+    assert.equal(r.status, 500);
+    assert.deepEqual(r.js, { ok: false, error: 'Accesso non riuscito' });
+  } finally { fs.unlinkSync(file); }
+});
+
+test('registrazione, login e /api/auth/me', async () => {
+  let r = await register('Mario.Rossi');
+  assert.equal(r.status, 201);
+  assert.equal(r.js.user.username, 'mario.rossi');
+  assert.ok(r.js.token);
+  assert.equal(r.js.user.passwordHash, undefined);
+
+  r = await register('mario.rossi');
+  assert.equal(r.status, 409);
+
+  r = await call('POST', '/api/auth/login', { body: { username: 'mario.rossi', password: 'errata!!' } });
+  assert.equal(r.status, 401);
+  r = await call('POST', '/api/auth/login', { body: { username: 'MARIO.ROSSI', password: 'password-lunga' } });
+  assert.equal(r.status, 200);
+
+  const me = await call('GET', '/api/auth/me', { token: r.js.token });
+  assert.equal(me.js.user.username, 'mario.rossi');
+  assert.deepEqual(me.js.quota, { used: 0, limit: 2, remaining: 2 });
+});
+
+test('registrazione con invito errato o password corta rifiutata', async () => {
+  let r = await call('POST', '/api/auth/register', { body: { username: 'intruso', password: 'password-lunga', inviteCode: 'no' } });
+  assert.equal(r.status, 403);
+  r = await call('POST', '/api/auth/register', { body: { username: 'luca', password: 'corta', inviteCode: 'classe-3b' } });
+  assert.equal(r.status, 400);
+});
+
+test('con AUTH_REQUIRED le rotte richiedono un token valido', async () => {
+  assert.equal((await call('GET', '/api/library')).status, 401);
+  assert.equal((await call('GET', '/api/library', { token: 'non.valido' })).status, 401);
+  assert.equal((await call('GET', '/api/ping')).js.auth.required, true);
+});
+
+test('libreria e job sono separati per utente', async () => {
+  const anna = (await register('anna')).js.token;
+  const bruno = (await register('bruno')).js.token;
+
+  await call('PUT', '/api/library/Biologia/riassunti/r1', { token: anna, body: { title: 'Di Anna' } });
+  assert.equal((await call('GET', '/api/library/Biologia/riassunti', { token: anna })).js.items.length, 1);
+  assert.deepEqual((await call('GET', '/api/library/Biologia/riassunti', { token: bruno })).js.items, []);
+  assert.equal((await call('GET', '/api/library/Biologia/riassunti/r1', { token: bruno })).status, 404);
+
+  const created = await call('POST', '/api/summary?async=1', { token: anna, body: pdfForm(textPdf()) });
+  assert.equal(created.status, 202);
+  assert.equal((await call('GET', `/api/jobs/${created.js.jobId}`, { token: bruno })).status, 404);
+  assert.equal((await call('DELETE', `/api/jobs/${created.js.jobId}`, { token: bruno })).status, 404);
+  assert.equal((await call('GET', `/api/jobs/${created.js.jobId}`, { token: anna })).status, 200);
+});
+
+test('la quota giornaliera blocca le generazioni oltre il limite e non conta quelle fallite', async () => {
+  const token = (await register('carla')).js.token;
+  // Richiesta senza PDF: fallisce e la generazione viene restituita
+  assert.equal((await call('POST', '/api/quiz', { token, body: pdfForm(null) })).status, 400);
+  assert.equal((await call('GET', '/api/auth/me', { token })).js.quota.used, 0);
+
+  assert.equal((await call('POST', '/api/quiz', { token, body: pdfForm(textPdf(), { numQuestions: 2 }) })).status, 200);
+  assert.equal((await call('POST', '/api/flashcards', { token, body: pdfForm(textPdf(), { numCards: 2 }) })).status, 200);
+  const r = await call('POST', '/api/summary', { token, body: pdfForm(textPdf()) });
+  assert.equal(r.status, 429);
+  assert.equal(r.js.ok, false);
+  assert.deepEqual(r.js.quota, { used: 2, limit: 2, remaining: 0 });
+});
+
+test('correzione a lotti: una generazione per ogni risposta aperta, nessuna per le altre', async () => {
+  const token = (await register('franca')).js.token;
+  const open = { question: { type: 'open', question: 'Che cosa fa il mitocondrio?', rubric: 'Produce ATP' }, answer: 'Produce ATP.' };
+  const single = { question: { question: 'Q', options: ['a', 'b', 'c', 'd'], correct: 0 }, answer: 0 };
+  let r = await call('POST', '/api/quiz/grade', { token, body: { items: [single, single] } });
+  assert.equal(r.status, 200);
+  assert.equal((await call('GET', '/api/auth/me', { token })).js.quota.used, 0);
+  r = await call('POST', '/api/quiz/grade', { token, body: { items: [open, single, open, open] } });
+  assert.equal(r.status, 429);
+  assert.match(r.js.error, /servono 3 generazioni, ne restano 2/);
+  r = await call('POST', '/api/quiz/grade', { token, body: { items: [open, single, open] } });
+  assert.deepEqual(r.js.data.results.map(x => x.type), ['open', 'single', 'open']);
+  assert.equal((await call('GET', '/api/auth/me', { token })).js.quota.used, 2);
+});
+
+test('consumi visibili solo agli utenti in ADMIN_USERS', async () => {
+  const other = (await register('enzo')).js.token;
+  assert.equal((await call('GET', '/api/admin/usage', { token: other })).status, 403);
+  assert.equal((await call('GET', '/api/admin/usage')).status, 401);
+  const admin = (await register('dora')).js.token;
+  const r = await call('GET', '/api/admin/usage', { token: admin });
+  assert.equal(r.status, 200);
+  assert.equal(r.js.usage.totals.requests, 0, 'i generatori demo non consumano token');
+});
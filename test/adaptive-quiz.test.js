@@ -0,0 +1,144 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { expectedScore, recordAttempt, pickNextQuestion, sessionTarget, masterySummary } from '../lib/mastery.js';
+import { startFakeLLM } from './helpers/fake-llm.js';
+import { startApp, pdfForm } from './helpers/app.js';
+import { makePdf, textPdf } from './helpers/pdf.js';
+
+const fake = await startFakeLLM();
+const app = await startApp({ OPENAI_API_KEY: 'sk-test', OPENAI_BASE_URL: fake.url, OPENAI_JSON_ATTEMPTS: '1' });
+test.after(async () => { await app.close(); await fake.close(); });
+test.beforeEach(() => { fake.chats.length = 0; fake.script.length = 0; });
+
+async function call(method, url, body) {
+  const res = await fetch(app.base + url, {
+    method,
+    headers: body !== undefined ? { 'Content-Type': 'application/json' } : {},
+    body: body !== undefined ? JSON.stringify(body) : undefined
+  });
+  return { status: res.status, js: await res.json() };
+}
+const userPrompt = (chat) => chat.messages.find(m => m.role === 'user').content;
+const fresh = () => ({ topics: {}, questions: {} });
+
+test('Elo: probabilità attesa, aggiornamento di argomento e domanda, K che cala con i tentativi', () => {
+  assert.equal(expectedScore(1500, 1500), 0.5);
+  assert.ok(Math.abs(expectedScore(1500, 1100) - 0.909) < 0.001);
+  const m = fresh();
+  const q = { key: 'quiz|a|Q1', topic: 'Mitocondri', rating: 1500 };
+  const first = recordAttempt(m, q, 1, 1000);
+  assert.deepEqual([m.topics.Mitocondri.rating, m.questions['quiz|a|Q1'].rating, first.change, first.mastery], [1532, 1484, 32, 55]);
+  const second = recordAttempt(m, q, 1, 2000);
+  assert.ok(second.change > 0 && second.change < 32, 'secondo tentativo: K più basso e risposta più attesa');
+  // Credito parziale pari all'atteso: nessuno spostamento
+  const still = fresh();
+  recordAttempt(still, q, 0.5);
+  assert.equal(still.topics.Mitocondri.rating, 1500);
+  assert.deepEqual([m.topics.Mitocondri.attempts, m.topics.Mitocondri.score, m.topics.Mitocondri.last], [2, 2, 2000]);
+});
+
+test('scelta della domanda: argomenti deboli prima, difficoltà che segue le ultime risposte', () => {
+  const items = [
+    { key: 'forte', topic: 'Fotosintesi', rating: 1500 },
+    { key: 'debole', topic: 'Mitocondri', rating: 1500 }
+  ];
+  const m = { topics: { Fotosintesi: { rating: 1700, attempts: 5, score: 4, last: 0 }, Mitocondri: { rating: 1300, attempts: 5, score: 1, last: 0 } }, questions: {} };
+  assert.equal(pickNextQuestion(items, m).item.key, 'debole');
+  assert.deepEqual(pickNextQuestion(items, m, [{ key: 'debole', score: 0 }, { key: 'forte', score: 1 }]), { item: null, target: 0.73, remaining: 0 });
+
+  assert.equal(sessionTarget([]), 0.7);
+  assert.equal(sessionTarget([{ score: 1 }, { score: 1 }, { score: 1 }]), 0.6);
+  assert.equal(sessionTarget([{ score: 0 }, { score: 0 }, { score: 0 }]), 0.85);
+  const ladder = [{ key: 'facile', topic: 'T', rating: 1350 }, { key: 'media', topic: 'T', rating: 1450 }];
+  assert.equal(pickNextQuestion(ladder, fresh()).item.key, 'facile');
+  const { item, target, remaining } = pickNextQuestion(ladder, fresh(), [1, 2, 3].map(i => ({ key: `x${i}`, score: 1 })));
+  assert.deepEqual([item.key, item.expected, target, remaining], ['media', 0.57, 0.6, 2]);
+
+  const summary = masterySummary(m, [...items, { key: 'nuova', topic: 'Genetica', rating: 1500 }]);
+  assert.deepEqual(summary.map(t => [t.topic, t.mastery, t.weak, t.questions]), [['Mitocondri', 24, true, 1], ['Fotosintesi', 76, false, 1], ['Genetica', 50, false, 1]]);
+  assert.deepEqual([summary[0].accuracy, summary[2].accuracy], [20, null]);
+});
+
+test("POST /api/quiz: l'argomento di ogni domanda è chiesto nel prompt e nello schema", async () => {
+  const { data } = await (await fetch(app.base + '/api/quiz', { method: 'POST', body: pdfForm(textPdf(), { num: 2 }) })).json();
+  assert.match(userPrompt(fake.chats[0]), /In 'topic' indica l'argomento della domanda in 1-4 parole/);
+  assert.doesNotMatch(userPrompt(fake.chats[0]), /Concentrati su questi argomenti/);
+  assert.equal(fake.chats[0].response_format.json_schema.schema.properties.questions.items.properties.topic.type, 'string');
+  assert.deepEqual(data.questions.map(q => q.topic), ['Pagina 1', 'Pagina 1']);
+});
+
+const QUIZ = {
+  id: 'q1', title: 'Biologia cellulare', type: 'quiz',
+  data: { difficulty: 'medium', questions: [
+    { question: 'Che cosa producono i mitocondri?', options: ['ATP', 'DNA', 'RNA', 'Glucosio'], correct: 0, topic: 'Mitocondri' },
+    { question: 'Dove avviene la respirazione cellulare?', options: ['Nei mitocondri', 'Nel nucleo', 'Nei ribosomi', 'Nel citoplasma'], correct: 0, topic: 'Mitocondri' },
+    { question: 'Dove avviene la fotosintesi?', options: ['Nei cloroplasti', 'Nei ribosomi', 'Nel nucleo', 'Nei mitocondri'], correct: 0, topic: 'Fotosintesi' },
+    { question: 'Che cosa libera la fotosintesi?', options: ['Ossigeno', 'Azoto', 'Elio', 'Metano'], correct: 0, topic: 'Fotosintesi' },
+    { question: 'Domanda senza argomento', options: ['Sì', 'No', 'Forse', 'Mai'], correct: 0 }
+  ] }
+};
+const keyOf = (q) => `quiz|q1|${q.question}`;
+
+test('sessione adattiva: prossima domanda, risposte, padronanza per argomento', async () => {
+  assert.equal((await call('POST', '/api/library/Biologia/quiz', QUIZ)).status, 200);
+  const first = await call('POST', '/api/library/Biologia/adaptive/next', {});
+  assert.equal(first.status, 200);
+  assert.deepEqual([first.js.item.itemId, first.js.item.expected, first.js.target, first.js.remaining], ['q1', 0.5, 0.7, 5]);
+  assert.ok(first.js.item.question.options.length === 4);
+
+  const [m1, m2, f1, f2, untagged] = QUIZ.data.questions;
+  const session = [];
+  for (const [q, score] of [[m1, 0], [m2, 0], [f1, 1], [f2, 1]]) {
+    const { status, js } = await call('POST', '/api/library/Biologia/adaptive/answer', { key: keyOf(q), score });
+    assert.equal(status, 200);
+    assert.equal(js.result.topic, q.topic);
+    session.push({ key: keyOf(q), score });
+  }
+  const next = await call('POST', '/api/library/Biologia/adaptive/next', { session });
+  assert.equal(next.js.item.key, keyOf(untagged));
+  assert.equal(next.js.item.topic, 'Biologia cellulare', 'senza argomento vale il titolo del quiz');
+  assert.equal((await call('POST', '/api/library/Biologia/adaptive/next', { session, quizIds: ['altro'] })).js.item, null);
+
+  const { js } = await call('GET', '/api/library/Biologia/mastery');
+  assert.deepEqual(js.topics.map(t => [t.topic, t.attempts, t.weak, t.questions]), [['Mitocondri', 2, true, 2], ['Fotosintesi', 2, false, 2], ['Biologia cellulare', 0, false, 1]]);
+  assert.ok(js.topics[0].mastery < 50 && js.topics[1].mastery > 50);
+
+  assert.equal((await call('POST', '/api/library/Biologia/adaptive/answer', { key: keyOf(m1), score: 2 })).status, 400);
+  assert.equal((await call('POST', '/api/library/Biologia/adaptive/answer', { key: 'quiz|q1|boh', score: 1 })).status, 404);
+  assert.equal((await call('POST', '/api/library/Biologia/adaptive/next', { session: 'x' })).status, 400);
+});
+
+test('POST /api/quiz/weak-topics: domande nuove sugli argomenti deboli dai passaggi degli appunti', async () => {
+  const pdf = makePdf([
+    ['I mitocondri producono ATP con la respirazione cellulare.'],
+    ['La fotosintesi avviene nei cloroplasti e libera ossigeno.'],
+    ['Il nucleo custodisce il DNA della cellula.']
+  ]);
+  const fd = new FormData();
+  fd.append('pdf', new Blob([pdf], { type: 'application/pdf' }), 'appunti.pdf');
+  assert.equal((await fetch(app.base + '/api/library/Biologia/documents', { method: 'POST', body: fd })).status, 200);
+
+  const res = await call('POST', '/api/quiz/weak-topics', { subject: 'Biologia', num: 2 });
+  assert.equal(res.status, 200);
+  const prompt = userPrompt(fake.chats[0]);
+  assert.match(prompt, /Concentrati su questi argomenti, su cui lo studente è debole: Mitocondri\. In 'topic' usa esattamente questi nomi\./);
+  assert.match(prompt, /"""\[Pagina 1\]\nI mitocondri producono ATP/);
+  assert.deepEqual(fake.chats[0].response_format.json_schema.schema.properties.questions.items.properties.topic.enum, ['Mitocondri']);
+  assert.doesNotMatch(prompt, /fotosintesi|nucleo/i);
+  assert.deepEqual(res.js.data.topics, ['Mitocondri']);
+  assert.deepEqual(res.js.data.questions.map(q => [q.topic, q.sourcePage]), [['Mitocondri', 1], ['Mitocondri', 1]]);
+
+  // Argomenti indicati esplicitamente
+  fake.chats.length = 0;
+  const chosen = await call('POST', '/api/quiz/weak-topics', { subject: 'Biologia', topics: 'Fotosintesi, Nucleo', num: 2 });
+  assert.deepEqual(chosen.js.data.questions.map(q => q.topic).sort(), ['Fotosintesi', 'Nucleo']);
+  assert.match(userPrompt(fake.chats[0]), /\[Pagina 2\][\s\S]*\[Pagina 3\]/);
+
+  // "Elimina dati" azzera anche la padronanza: niente più argomenti deboli da proporre
+  assert.equal((await call('DELETE', '/api/library/Biologia/results')).status, 200);
+  const none = await call('POST', '/api/quiz/weak-topics', { subject: 'Biologia' });
+  assert.equal(none.status, 400);
+  assert.match(none.js.error, /Nessun argomento da rinforzare/);
+  const noDocs = await call('POST', '/api/quiz/weak-topics', { subject: 'Chimica', topics: ['Legami'] });
+  assert.match(noDocs.js.error, /Nessun documento indicizzato per Chimica/);
+});
@@ -0,0 +1,30 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { startApp } from './helpers/app.js';
+
+const app = await startApp({ SERVER_API_KEY: 'chiave-segreta', OPENAI_API_KEY: '' });
+test.after(() => app.close());
+
+test('con SERVER_API_KEY le rotte /api/* richiedono x-api-key', async () => {
+  const res = await fetch(app.base + '/api/info');
+  assert.equal(res.status, 401);
+  assert.deepEqual(await res.json(), { ok: false, error: 'Unauthorized' });
+});
+
+test('una chiave sbagliata viene rifiutata', async () => {
+  const res = await fetch(app.base + '/api/info', { headers: { 'x-api-key': 'altra' } });
+  assert.equal(res.status, 401);
+});
+
+test('la chiave corretta passa', async () => {
+  const res = await fetch(app.base + '/api/info', { headers: { 'x-api-key': 'chiave-segreta' } });
+  assert.equal(res.status, 200);
+  const js = await res.json();
+  assert.equal(js.ok, true);
+  assert.equal(js.hasOpenAI, false);
+});
+
+test('/api/ping resta pubblico', async () => {
+  const res = await fetch(app.base + '/api/ping');
+  assert.equal(res.status, 200);
+});
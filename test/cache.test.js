@@ -0,0 +1,84 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { createCache, cacheKey } from '../lib/cache.js';
+import { startFakeLLM } from './helpers/fake-llm.js';
+import { startApp, pdfForm } from './helpers/app.js';
+import { textPdf, multiPagePdf } from './helpers/pdf.js';
+
+const fake = await startFakeLLM();
+const app = await startApp({ OPENAI_API_KEY: 'sk-test', OPENAI_BASE_URL: fake.url, CACHE_BACKEND: 'disk' });
+test.after(async () => { await app.close(); await fake.close(); });
+test.beforeEach(() => { fake.chats.length = 0; fake.requests.length = 0; });
+
+const post = (path, body, headers = {}) => fetch(app.base + path, { method: 'POST', body, headers }).then(r => r.json());
+const tmpDir = () => fs.mkdtempSync(path.join(os.tmpdir(), 'studytool-cache-'));
+
+test('cacheKey: stabile rispetto all\'ordine delle chiavi', () => {
+  assert.equal(cacheKey({ a: 1, b: { x: [1, 2], y: null } }), cacheKey({ b: { y: null, x: [1, 2] }, a: 1 }));
+  assert.notEqual(cacheKey({ a: 1 }), cacheKey({ a: 2 }));
+});
+
+test('backend disk e memory: lettura, scrittura, TTL', async () => {
+  for (const backend of ['disk', 'memory']) {
+    const c = createCache({ backend, dir: tmpDir(), ttlMs: 50 });
+    assert.equal(await c.get('llm', 'ab12'), undefined);
+    await c.set('llm', 'ab12', { text: 'ciao' });
+    assert.deepEqual(await c.get('llm', 'ab12'), { text: 'ciao' });
+    await new Promise(r => setTimeout(r, 80));
+    assert.equal(await c.get('llm', 'ab12'), undefined, `${backend}: voce scaduta`);
+  }
+  assert.throws(() => createCache({ backend: 'redis' }), /CACHE_BACKEND sconosciuto/);
+});
+
+test('limite di dimensione: eliminate le voci usate meno di recente', async () => {
+  const dir = tmpDir();
+  const c = createCache({ backend: 'disk', dir, maxBytes: 1000 });
+  const big = 'x'.repeat(250);
+  for (const k of ['aa01', 'aa02', 'aa03']) { await c.set('extract', k, big); await new Promise(r => setTimeout(r, 20)); }
+  await c.get('extract', 'aa01'); // aa01 torna la più recente
+  await new Promise(r => setTimeout(r, 20));
+  await c.set('extract', 'aa04', big);
+  assert.equal(await c.get('extract', 'aa02'), undefined);
+  assert.equal(await c.get('extract', 'aa01'), big);
+  assert.ok((await c.stats()).bytes <= 1000);
+  // Dopo un riavvio l'indice viene ricostruito dalla cartella
+  assert.equal((await createCache({ backend: 'disk', dir, maxBytes: 1000 }).stats()).entries, 3);
+});
+
+test('seconda richiesta identica: nessuna chiamata al modello', async () => {
+  const first = await post('/api/summary', pdfForm(textPdf()));
+  assert.equal(first.ok, true);
+  assert.deepEqual(first.data.cache, { bypass: false, extraction: 'miss', llm: { hits: 0, misses: 1 } });
+  assert.equal(fake.chats.length, 1);
+
+  const second = await post('/api/summary', pdfForm(textPdf()));
+  assert.equal(second.data.text, first.data.text);
+  assert.deepEqual(second.data.cache, { bypass: false, extraction: 'hit', llm: { hits: 1, misses: 0 } });
+  assert.equal(fake.chats.length, 1);
+});
+
+test('parametri diversi: riusa il testo estratto ma rigenera', async () => {
+  await post('/api/flashcards', pdfForm(multiPagePdf(), { num: 2 }));
+  const calls = fake.chats.length;
+  const js = await post('/api/flashcards', pdfForm(multiPagePdf(), { num: 3 }));
+  assert.equal(js.data.cache.extraction, 'hit');
+  assert.equal(js.data.cache.llm.hits, 0);
+  assert.ok(fake.chats.length > calls);
+  // Un intervallo di pagine diverso è un'altra voce di estrazione
+  const ranged = await post('/api/flashcards', pdfForm(multiPagePdf(), { num: 2, page_from: 2, page_to: 2 }));
+  assert.equal(ranged.data.cache.extraction, 'miss');
+});
+
+test('Cache-Control: no-cache salta la cache ma aggiorna le voci', async () => {
+  await post('/api/quiz', pdfForm(textPdf(), { num: 1 }));
+  fake.chats.length = 0;
+  const js = await post('/api/quiz', pdfForm(textPdf(), { num: 1 }), { 'Cache-Control': 'no-cache' });
+  assert.deepEqual(js.data.cache, { bypass: true, extraction: 'miss', llm: { hits: 0, misses: 1 } });
+  assert.equal(fake.chats.length, 1);
+  const viaField = await post('/api/quiz', pdfForm(textPdf(), { num: 1, cache: 0 }));
+  assert.equal(viaField.data.cache.bypass, true);
+  assert.ok(fs.existsSync(path.join(app.dataDir, 'cache', 'llm')));
+});
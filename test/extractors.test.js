@@ -0,0 +1,122 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { extractDocx, extractPptx, extractEpub, extractText, decodeText, createExtractorRegistry, DOCUMENT_EXTRACTORS } from '../lib/extractors.js';
+import { docxFile, pptxFile, epubFile } from './helpers/documents.js';
+import { startFakeLLM } from './helpers/fake-llm.js';
+import { startApp } from './helpers/app.js';
+import { textPdf } from './helpers/pdf.js';
+
+const fake = await startFakeLLM();
+const app = await startApp({ OPENAI_API_KEY: 'sk-test', OPENAI_BASE_URL: fake.url });
+test.after(async () => { await app.close(); await fake.close(); });
+test.beforeEach(() => { fake.chats.length = 0; fake.requests.length = 0; });
+
+const userPrompt = (chat) => chat.messages.find(m => m.role === 'user').content;
+function docForm(buf, name, type, fields = {}) {
+  const fd = new FormData();
+  fd.append('pdf', new Blob([buf], { type }), name);
+  for (const [k, v] of Object.entries(fields)) fd.append(k, String(v));
+  return fd;
+}
+const post = (path, body) => fetch(app.base + path, { method: 'POST', body });
+
+test('DOCX: titoli, elenchi e salti pagina', () => {
+  const buf = docxFile([
+    [{ text: 'La cellula', style: 'Heading1' }, 'Unita fondamentale dei viventi.', { text: 'nucleo', list: true }, { text: 'citoplasma', list: true }],
+    [{ text: 'Mitosi', style: 'Titolo2' }, 'Divisione del nucleo.']
+  ]);
+  const { pages, numPages } = extractDocx(buf);
+  assert.equal(numPages, 2);
+  assert.deepEqual(pages, [
+    { page: 1, text: '## La cellula\n\nUnita fondamentale dei viventi.\n\n- nucleo\n- citoplasma' },
+    { page: 2, text: '## Mitosi\n\nDivisione del nucleo.' }
+  ]);
+});
+
+test('PPTX: una pagina per slide nell\'ordine della presentazione, con note', () => {
+  const buf = pptxFile([
+    { title: 'Introduzione', bullets: ['Primo punto', 'Secondo punto'] },
+    { title: 'Conclusioni', bullets: ['Riepilogo'], notes: 'Ricordare la domanda d esame' }
+  ]);
+  const { pages } = extractPptx(buf);
+  assert.deepEqual(pages, [
+    { page: 1, text: '## Introduzione\n\n- Primo punto\n- Secondo punto' },
+    { page: 2, text: '## Conclusioni\n\nRiepilogo\n\nNote: Ricordare la domanda d esame' }
+  ]);
+});
+
+test('EPUB: una pagina per capitolo, copertina vuota saltata', () => {
+  const buf = epubFile([null, { title: 'Capitolo 1', paragraphs: ['Primo & unico.', 'Secondo.'] }, { title: 'Capitolo 2', paragraphs: ['Fine.'] }]);
+  const { pages } = extractEpub(buf);
+  assert.deepEqual(pages, [
+    { page: 1, text: '## Capitolo 1\n\nPrimo & unico.\n\nSecondo.' },
+    { page: 2, text: '## Capitolo 2\n\nFine.' }
+  ]);
+});
+
+test('TXT/MD: form feed separa le pagine, codifiche UTF-8/BOM/Windows-1252', () => {
+  assert.deepEqual(extractText(Buffer.from('# Titolo\r\nuno\fdue')).pages, [{ page: 1, text: '# Titolo\nuno' }, { page: 2, text: 'due' }]);
+  assert.equal(decodeText(Buffer.from('﻿città', 'utf8')), 'città');
+  assert.equal(decodeText(Buffer.from([0x63, 0x69, 0x74, 0x74, 0xe0])), 'città');
+});
+
+test('file corrotti → errore leggibile', () => {
+  assert.throws(() => extractDocx(Buffer.from('PK non zip')), /DOCX non valido/);
+  assert.throws(() => extractPptx(docxFile([['x']])), /manca ppt\/presentation\.xml/);
+});
+
+test('registro: MIME, poi estensione, poi firma del file', () => {
+  const reg = createExtractorRegistry(DOCUMENT_EXTRACTORS);
+  const docx = docxFile([['x']]);
+  assert.equal(reg.find({ mimetype: 'text/markdown', originalname: 'a.bin' }).name, 'text');
+  assert.equal(reg.find({ mimetype: 'application/octet-stream', originalname: 'Lezione.PPTX' }).name, 'pptx');
+  assert.equal(reg.find({ mimetype: 'application/zip', originalname: 'senza-estensione', buffer: docx }).name, 'docx');
+  assert.equal(reg.find({ mimetype: 'application/octet-stream', originalname: 'x', buffer: epubFile([{ title: 't', paragraphs: [] }]) }).name, 'epub');
+  assert.equal(reg.find({ mimetype: 'application/msword', originalname: 'vecchio.doc', buffer: Buffer.from('xx') }), null);
+});
+
+test('POST /api/summary con DOCX, PPTX ed EPUB usa le pagine del formato', async () => {
+  const docx = docxFile([[{ text: 'Genetica', style: 'Heading1' }, 'Il DNA contiene i geni.'], ['Seconda pagina del documento.']]);
+  let js = await (await post('/api/summary', docForm(docx, 'dispensa.docx', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'))).json();
+  assert.equal(js.ok, true);
+  assert.match(userPrompt(fake.chats[0]), /\[Pagina 1\]\n## Genetica\n\nIl DNA contiene i geni\.\n\n\[Pagina 2\]\nSeconda pagina/);
+
+  fake.chats.length = 0;
+  const pptx = pptxFile([{ title: 'Uno', bullets: ['Slide uno.'] }, { title: 'Due', bullets: ['Slide due.'] }, { title: 'Tre', bullets: ['Slide tre.'] }]);
+  js = await (await post('/api/flashcards', docForm(pptx, 'slide.pptx', 'application/octet-stream', { num: 2, page_from: 2, page_to: 2 }))).json();
+  assert.equal(js.ok, true);
+  assert.ok(js.data.cards.every(c => c.sourcePage === 2));
+  const prompt = fake.chats.map(userPrompt).join('\n');
+  assert.match(prompt, /\[Pagina 2\]\n## Due/);
+  assert.doesNotMatch(prompt, /Slide uno|Slide tre/);
+
+  fake.chats.length = 0;
+  js = await (await post('/api/summary', docForm(epubFile([{ title: 'Capitolo', paragraphs: ['Testo del libro.'] }]), 'libro.epub', 'application/epub+zip'))).json();
+  assert.equal(js.ok, true);
+  assert.match(userPrompt(fake.chats[0]), /## Capitolo\n\nTesto del libro\./);
+});
+
+test('POST /api/quiz con Markdown e PDF senza MIME corretto', async () => {
+  let js = await (await post('/api/quiz', docForm(Buffer.from('# Appunti\n\nLa fotosintesi produce ossigeno.'), 'appunti.md', '', { num: 1 }))).json();
+  assert.equal(js.ok, true);
+  assert.match(userPrompt(fake.chats[0]), /# Appunti\n\nLa fotosintesi produce ossigeno\./);
+  js = await (await post('/api/summary', docForm(textPdf(), 'senza-estensione', 'application/octet-stream'))).json();
+  assert.equal(js.ok, true);
+});
+
+test('immagini PNG/JPEG passano dall\'OCR del provider', async () => {
+  const png = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0, 0, 0, 0]);
+  const js = await (await post('/api/summary', docForm(png, 'foto.png', 'image/png'))).json();
+  assert.equal(js.ok, true);
+  const ocr = fake.chats[0].messages[0].content;
+  assert.equal(ocr[1].type, 'image_url');
+  assert.match(ocr[1].image_url.url, /^data:image\/png;base64,/);
+  assert.match(userPrompt(fake.chats[1]), /\[Pagina 1\]\nAppunti fotografati: la mitosi divide il nucleo\./);
+});
+
+test('formato non supportato → 400 con i formati accettati', async () => {
+  const res = await post('/api/summary', docForm(Buffer.from('binario'), 'vecchio.doc', 'application/msword'));
+  assert.equal(res.status, 400);
+  const js = await res.json();
+  assert.match(js.error, /Formato non supportato \(vecchio\.doc\)\. Formati accettati: PDF, DOCX, PPTX, EPUB, TXT\/MD, PNG\/JPEG/);
+});
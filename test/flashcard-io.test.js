@@ -0,0 +1,117 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { zipSync, strToU8 } from 'fflate';
+import { startApp } from './helpers/app.js';
+import { buildApkg, parseApkg, cardsToDelimited, parseDelimited, mergeCards } from '../lib/flashcard-io.js';
+
+const app = await startApp({ OPENAI_API_KEY: '' });
+test.after(() => app.close());
+
+const CARDS = [
+  { front: 'Cos\'è il mitocondrio?', back: 'La "centrale energetica", produce ATP', difficulty: 'easy', tags: ['cellula', 'organelli'], sourcePage: 3 },
+  { front: 'Ribosoma', back: 'Sintesi proteica;\nlegge l\'mRNA', difficulty: 'hard', tags: [], sourcePage: null }
+];
+
+test('.apkg: esportazione e reimportazione conservano testo, tag, difficoltà e pagina', async () => {
+  const apkg = await buildApkg('Biologia::Cellula', CARDS);
+  const parsed = await parseApkg(apkg);
+  assert.equal(parsed.deckName, 'Biologia::Cellula');
+  assert.deepEqual(parsed.cards, CARDS);
+});
+
+test('.apkg nel formato recente (solo anki21b) viene rifiutato con un messaggio chiaro', async () => {
+  const zip = zipSync({ 'collection.anki21b': new Uint8Array([1, 2, 3]), 'collection.anki2': new Uint8Array([0]), media: strToU8('{}') });
+  await assert.rejects(parseApkg(zip), /versioni precedenti/);
+  await assert.rejects(parseApkg(Buffer.from('non è uno zip')), (err) => err.code === 'IMPORT_INVALID');
+});
+
+test('CSV e TSV: virgolette, separatori e a capo nelle celle', () => {
+  for (const delimiter of [',', '\t']) {
+    const text = cardsToDelimited(CARDS, { delimiter, deckName: 'Biologia::Cellula' });
+    assert.match(text, /^#separator:/);
+    assert.match(text, /cellula organelli difficulty::easy pagina::3/);
+    const parsed = parseDelimited(text);
+    assert.equal(parsed.deckName, 'Biologia::Cellula');
+    assert.deepEqual(parsed.cards, CARDS);
+  }
+});
+
+test('CSV senza intestazioni Anki: riconosce header in italiano e separatore ;', () => {
+  // Difficoltà con il vecchio valore italiano: normalizzata al valore neutro
+  const parsed = parseDelimited('Domanda;Risposta;Difficoltà;Pagina\nH2O;Acqua;facile;7\n;senza fronte;;\n');
+  assert.deepEqual(parsed.cards, [{ front: 'H2O', back: 'Acqua', difficulty: 'easy', tags: [], sourcePage: 7 }]);
+  assert.equal(parsed.skipped, 1);
+});
+
+test('TSV esportato da Anki (fronte, retro, tag) senza intestazione', () => {
+  // Tag di difficoltà dei mazzi esportati prima dei valori neutri
+  const parsed = parseDelimited('Cellula\t<b>Unità</b> della vita\tbio difficolta::media\n', { filename: 'mazzo.txt' });
+  assert.deepEqual(parsed.cards, [{ front: 'Cellula', back: '<b>Unità</b> della vita', difficulty: 'medium', tags: ['bio'], sourcePage: null }]);
+  const html = parseDelimited('#separator:tab\n#html:true\nA&amp;B<br>C\tx\n');
+  assert.equal(html.cards[0].front, 'A&B\nC');
+});
+
+test('deduplicazione sul fronte normalizzato', () => {
+  const { added, duplicates } = mergeCards([{ front: 'Ribosoma', back: 'x' }], [{ front: '  ribosoma? ', back: 'y' }, { front: 'Nucleo', back: 'z' }, { front: 'nucleo', back: 'w' }]);
+  assert.deepEqual(added.map(c => c.front), ['Nucleo']);
+  assert.equal(duplicates, 2);
+});
+
+function fileForm(content, name, fields = {}) {
+  const fd = new FormData();
+  fd.append('file', new Blob([content]), name);
+  for (const [k, v] of Object.entries(fields)) fd.append(k, v);
+  return fd;
+}
+
+test('API: export di un mazzo e import in un mazzo esistente senza duplicati', async () => {
+  await fetch(app.base + '/api/library/Biologia/flashcards/m1', {
+    method: 'PUT', headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ title: 'Cellula', data: { cards: CARDS } })
+  });
+
+  let res = await fetch(app.base + '/api/library/Biologia/flashcards/m1/export?format=apkg');
+  assert.equal(res.status, 200);
+  assert.match(res.headers.get('content-disposition'), /Cellula\.apkg/);
+  const apkg = Buffer.from(await res.arrayBuffer());
+  assert.equal((await parseApkg(apkg)).cards.length, 2);
+
+  res = await fetch(app.base + '/api/library/Biologia/flashcards/m1/export?format=tsv');
+  assert.match(res.headers.get('content-type'), /tab-separated/);
+  assert.match(await res.text(), /#separator:Tab/);
+
+  // Reimport nello stesso mazzo con una carta nuova: solo quella viene aggiunta
+  const csv = cardsToDelimited([...CARDS, { front: 'Nucleo', back: 'Contiene il DNA', difficulty: 'medium', tags: ['cellula'] }]);
+  res = await fetch(app.base + '/api/library/Biologia/flashcards/import', { method: 'POST', body: fileForm(csv, 'cellula.csv', { deckId: 'm1' }) });
+  let js = await res.json();
+  assert.equal(js.ok, true);
+  assert.deepEqual([js.imported, js.duplicates, js.item.data.cards.length], [1, 2, 3]);
+
+  // Import come nuovo mazzo: il titolo viene dal mazzo Anki
+  res = await fetch(app.base + '/api/library/Biologia/flashcards/import', { method: 'POST', body: fileForm(apkg, 'export.apkg') });
+  js = await res.json();
+  assert.equal(js.item.title, 'Cellula');
+  assert.notEqual(js.item.id, 'm1');
+  const list = await (await fetch(app.base + '/api/library/Biologia/flashcards')).json();
+  assert.equal(list.items.length, 2);
+});
+
+test('API: il nome del mazzo Anki importato diventa un titolo senza markup', async () => {
+  const apkg = await buildApkg('Biologia::<img src=x onerror=alert(1)>Organuli', CARDS);
+  const js = await (await fetch(app.base + '/api/library/Biologia/flashcards/import', { method: 'POST', body: fileForm(apkg, 'organuli.apkg') })).json();
+  assert.equal(js.item.title, 'Organuli');
+  const onlyMarkup = await buildApkg('&lt;script&gt;alert(1)&lt;/script&gt;', CARDS);
+  const fallback = await (await fetch(app.base + '/api/library/Biologia/flashcards/import', { method: 'POST', body: fileForm(onlyMarkup, 'organuli.apkg') })).json();
+  assert.doesNotMatch(fallback.item.title, /[<>]/, 'anche il markup scritto come entità');
+});
+
+test('API: formato o file non validi restituiscono 400/404', async () => {
+  let res = await fetch(app.base + '/api/library/Biologia/flashcards/m1/export?format=pdf');
+  assert.equal(res.status, 400);
+  res = await fetch(app.base + '/api/library/Biologia/flashcards/manca/export');
+  assert.equal(res.status, 404);
+  res = await fetch(app.base + '/api/library/Biologia/flashcards/import', { method: 'POST', body: fileForm('solo una colonna\n', 'x.csv') });
+  assert.equal(res.status, 400);
+  res = await fetch(app.base + '/api/library/Biologia/flashcards/import', { method: 'POST', body: fileForm('a,b\n', 'x.csv', { deckId: 'manca' }) });
+  assert.equal(res.status, 404);
+});
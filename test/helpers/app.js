@@ -0,0 +1,23 @@
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+// Avvia l'app Express su una porta effimera. Le variabili d'ambiente vanno impostate
+// prima dell'import perché server.js legge la configurazione al caricamento.
+// DATA_DIR punta a una cartella temporanea per non toccare ./data.
+// La cache è spenta salvo richiesta esplicita, così ogni test vede davvero le chiamate al modello.
+export async function startApp(env = {}) {
+  const DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'studytool-test-'));
+  Object.assign(process.env, { OPENAI_SDK_MAX_RETRIES: '0', CHUNK_PAUSE_MS: '0', CACHE_BACKEND: 'off', DATA_DIR }, env);
+  const { app } = await import('../../server.js');
+  const server = await new Promise(r => { const s = app.listen(0, '127.0.0.1', () => r(s)); });
+  const base = `http://127.0.0.1:${server.address().port}`;
+  return { base, dataDir: process.env.DATA_DIR, close: () => new Promise(r => server.close(r)) };
+}
+
+export function pdfForm(pdf, fields = {}) {
+  const fd = new FormData();
+  if (pdf) fd.append('pdf', new Blob([pdf], { type: 'application/pdf' }), 'lezione.pdf');
+  for (const [k, v] of Object.entries(fields)) fd.append(k, String(v));
+  return fd;
+}
@@ -0,0 +1,55 @@
+import { zipSync, strToU8 } from 'fflate';
+
+// Generatori di documenti Office/EPUB minimali per i test: solo le parti lette dagli estrattori.
+const esc = (s) => String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+const zip = (files) => Buffer.from(zipSync(Object.fromEntries(Object.entries(files).map(([k, v]) => [k, strToU8(v)]))));
+
+// Ogni pagina è un array di paragrafi: stringa oppure { text, style } (es. 'Heading1', 'ListParagraph').
+// Tra le pagine viene inserito un salto pagina esplicito.
+export function docxFile(pages) {
+  const para = (p) => {
+    const { text, style, list } = typeof p === 'string' ? { text: p } : p;
+    const pPr = style || list ? `<w:pPr>${style ? `<w:pStyle w:val="${style}"/>` : ''}${list ? '<w:numPr><w:ilvl w:val="0"/><w:numId w:val="1"/></w:numPr>' : ''}</w:pPr>` : '';
+    return `<w:p>${pPr}<w:r><w:t xml:space="preserve">${esc(text)}</w:t></w:r></w:p>`;
+  };
+  const body = pages.map(p => p.map(para).join('')).join('<w:p><w:r><w:br w:type="page"/></w:r></w:p>');
+  return zip({
+    '[Content_Types].xml': '<?xml version="1.0"?><Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"/>',
+    'word/document.xml': `<?xml version="1.0" encoding="UTF-8" standalone="yes"?><w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"><w:body>${body}</w:body></w:document>`
+  });
+}
+
+// Ogni slide è { title, bullets: [], notes }; i file delle slide sono numerati al contrario
+// per verificare che l'ordine venga letto da presentation.xml
+export function pptxFile(slides) {
+  const n = slides.length;
+  const shape = (type, paras) => `<p:sp><p:nvSpPr><p:cNvPr id="2" name="s"/><p:cNvSpPr/><p:nvPr>${type ? `<p:ph type="${type}"/>` : '<p:ph idx="1"/>'}</p:nvPr></p:nvSpPr><p:txBody>${paras.map(t => `<a:p><a:r><a:t>${esc(t)}</a:t></a:r></a:p>`).join('')}</p:txBody></p:sp>`;
+  const ns = 'xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main" xmlns:p="http://schemas.openxmlformats.org/presentationml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"';
+  const files = {
+    'ppt/presentation.xml': `<?xml version="1.0"?><p:presentation ${ns}><p:sldIdLst>${slides.map((_, i) => `<p:sldId id="${256 + i}" r:id="rId${i + 1}"/>`).join('')}</p:sldIdLst></p:presentation>`,
+    'ppt/_rels/presentation.xml.rels': `<?xml version="1.0"?><Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">${slides.map((_, i) => `<Relationship Id="rId${i + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/slide" Target="slides/slide${n - i}.xml"/>`).join('')}</Relationships>`
+  };
+  slides.forEach((s, i) => {
+    const file = `slide${n - i}.xml`;
+    files[`ppt/slides/${file}`] = `<?xml version="1.0"?><p:sld ${ns}><p:cSld><p:spTree>${shape('title', [s.title])}${shape('', s.bullets || [])}${shape('sldNum', [String(i + 1)])}</p:spTree></p:cSld></p:sld>`;
+    if (s.notes) {
+      files[`ppt/slides/_rels/${file}.rels`] = `<?xml version="1.0"?><Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId9" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/notesSlide" Target="../notesSlides/notesSlide${n - i}.xml"/></Relationships>`;
+      files[`ppt/notesSlides/notesSlide${n - i}.xml`] = `<?xml version="1.0"?><p:notes ${ns}><p:cSld><p:spTree>${shape('sldImg', [])}${shape('body', [s.notes])}</p:spTree></p:cSld></p:notes>`;
+    }
+  });
+  return zip(files);
+}
+
+// Ogni capitolo è { title, paragraphs: [] }; un capitolo `null` è una copertina senza testo
+export function epubFile(chapters) {
+  const files = {
+    mimetype: 'application/epub+zip',
+    'META-INF/container.xml': '<?xml version="1.0"?><container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container"><rootfiles><rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/></rootfiles></container>',
+    'OEBPS/content.opf': `<?xml version="1.0"?><package xmlns="http://www.idpf.org/2007/opf" version="3.0"><manifest>${chapters.map((_, i) => `<item id="c${i}" href="text/cap%20${i}.xhtml" media-type="application/xhtml+xml"/>`).join('')}</manifest><spine>${chapters.map((_, i) => `<itemref idref="c${i}"/>`).join('')}</spine></package>`
+  };
+  chapters.forEach((c, i) => {
+    const body = c ? `<h1>${esc(c.title)}</h1>${c.paragraphs.map(p => `<p>${esc(p)}</p>`).join('')}` : '<div><img src="cover.jpg" alt=""/></div>';
+    files[`OEBPS/text/cap ${i}.xhtml`] = `<?xml version="1.0" encoding="utf-8"?><!DOCTYPE html><html xmlns="http://www.w3.org/1999/xhtml"><head><title>x</title><style>p{}</style></head><body>${body}</body></html>`;
+  });
+  return zip(files);
+}
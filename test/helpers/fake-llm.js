@@ -0,0 +1,77 @@
+import http from 'node:http';
+import { mockGenerate } from '../../lib/llm-providers.js';
+import { createLocalEmbedder } from '../../lib/embeddings.js';
+
+// Hints per il generatore mock: via HTTP l'unico dato strutturato è lo schema della risposta
+// (numero richiesto da maxItems, tipi e argomenti dagli enum delle domande, mappa concettuale se lo schema la chiede)
+function schemaHints(schema) {
+  const props = schema?.properties || {};
+  const list = props.questions || props.cards;
+  const item = props.questions?.items?.properties || {};
+  return { count: list?.maxItems, types: item.type?.enum || [], topics: item.topic?.enum || [], conceptMap: 'conceptMap' in props };
+}
+
+// Server HTTP che imita le API OpenAI usate dal backend (chat.completions, anche con immagini, files, responses, embeddings).
+// `script` è una coda di risposte per le chat: { status, body, headers, delayMs } oppure { json } / { raw } (anche con headers);
+// quando è vuota risponde con il generatore deterministico del provider mock.
+export async function startFakeLLM() {
+  const embedder = createLocalEmbedder({ dims: 64 });
+  const fake = { requests: [], chats: [], embeddings: [], script: [], active: 0, maxActive: 0, ocrText: '=== Pagina 1 ===\nTesto scansionato pagina uno.\n\n=== Pagina 2 ===\nTesto scansionato pagina due.', imageText: 'Appunti fotografati: la mitosi divide il nucleo.' };
+
+  const send = (res, status, body, headers = {}) => {
+    res.writeHead(status, { 'content-type': 'application/json', ...headers });
+    res.end(JSON.stringify(body));
+  };
+  const completion = (content) => ({
+    id: 'chatcmpl-test', object: 'chat.completion', created: 1, model: 'fake',
+    choices: [{ index: 0, finish_reason: 'stop', message: { role: 'assistant', content } }],
+    usage: { prompt_tokens: 10, completion_tokens: 10, total_tokens: 20 }
+  });
+
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', c => chunks.push(c));
+    req.on('end', async () => {
+      const raw = Buffer.concat(chunks);
+      fake.requests.push({ method: req.method, url: req.url });
+      if (req.method === 'POST' && req.url === '/v1/chat/completions') {
+        const body = JSON.parse(raw.toString('utf8'));
+        fake.chats.push(body);
+        fake.active++;
+        fake.maxActive = Math.max(fake.maxActive, fake.active);
+        const step = fake.script.shift();
+        await new Promise(r => setTimeout(r, step?.delayMs ?? 20));
+        fake.active--;
+        if (step?.status) return send(res, step.status, step.body || { error: { message: 'scripted error' } }, step.headers);
+        const user = body.messages.find(m => m.role === 'user')?.content || '';
+        // OCR delle immagini: il messaggio contiene una parte image_url
+        if (Array.isArray(user) && user.some(p => p.type === 'image_url')) return send(res, 200, completion(fake.imageText));
+        const schemaName = body.response_format?.json_schema?.name || 'response';
+        const hints = schemaHints(body.response_format?.json_schema?.schema);
+        const content = step && 'raw' in step ? step.raw : JSON.stringify(step?.json ?? mockGenerate(schemaName, user, hints));
+        return send(res, 200, completion(content), step?.headers);
+      }
+      if (req.method === 'POST' && req.url === '/v1/embeddings') {
+        const body = JSON.parse(raw.toString('utf8'));
+        const input = [].concat(body.input);
+        fake.embeddings.push(body);
+        const vectors = await embedder.embed(input);
+        return send(res, 200, { object: 'list', model: body.model, data: vectors.map((v, index) => ({ object: 'embedding', index, embedding: Array.from(v) })), usage: { prompt_tokens: input.length * 5, total_tokens: input.length * 5 } });
+      }
+      if (req.method === 'POST' && req.url === '/v1/files') {
+        return send(res, 200, { id: 'file-test', object: 'file', bytes: raw.length, purpose: 'assistants', filename: 'upload.pdf', created_at: 1 });
+      }
+      if (req.method === 'DELETE' && req.url.startsWith('/v1/files/')) {
+        return send(res, 200, { id: 'file-test', object: 'file', deleted: true });
+      }
+      if (req.method === 'POST' && req.url === '/v1/responses') {
+        return send(res, 200, { id: 'resp-test', object: 'response', status: 'completed', output: [{ type: 'message', role: 'assistant', content: [{ type: 'output_text', text: fake.ocrText }] }] });
+      }
+      send(res, 404, { error: { message: `not found: ${req.method} ${req.url}` } });
+    });
+  });
+  await new Promise(r => server.listen(0, '127.0.0.1', r));
+  fake.url = `http://127.0.0.1:${server.address().port}/v1`;
+  fake.close = () => new Promise(r => server.close(r));
+  return fake;
+}
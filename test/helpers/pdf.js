@@ -0,0 +1,92 @@
+import path from 'node:path';
+import zlib from 'node:zlib';
+import { createRequire } from 'node:module';
+
+const require = createRequire(import.meta.url);
+
+// Generatore di PDF minimali per i test (Helvetica, una riga di testo per operatore Tj).
+// Ogni pagina è un array di righe: stringa (corpo 12pt) oppure { text, size } per i titoli.
+// Una pagina `null` non contiene testo ma solo un disegno, come una scansione;
+// una pagina { image } (vedi scanPage) contiene solo una bitmap in scala di grigi.
+
+function escapePdf(s) {
+  return String(s).replace(/\\/g, '\\\\').replace(/\(/g, '\\(').replace(/\)/g, '\\)');
+}
+
+function pageStream(lines) {
+  if (!lines) return '0.5 w 72 72 m 540 720 l S 72 720 m 540 72 l S';
+  let y = 720;
+  const ops = [];
+  for (const line of lines) {
+    const { text, size = 12 } = typeof line === 'string' ? { text: line } : line;
+    ops.push(`BT /F1 ${size} Tf 72 ${y} Td (${escapePdf(text)}) Tj ET`);
+    y -= size >= 16 ? size * 2 : size * 1.4;
+  }
+  return ops.join('\n');
+}
+
+export function makePdf(pages) {
+  const objs = ['<< /Type /Catalog /Pages 2 0 R >>'];
+  const kids = pages.map((_, i) => `${3 + i * 2} 0 R`).join(' ');
+  objs.push(`<< /Type /Pages /Kids [${kids}] /Count ${pages.length} >>`);
+  const fontId = 3 + pages.length * 2;
+  const images = [];
+  pages.forEach((lines, i) => {
+    const image = lines && lines.image;
+    if (image) images.push(image);
+    const xobj = image ? ` /XObject << /Im1 ${fontId + images.length} 0 R >>` : '';
+    objs.push(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Contents ${4 + i * 2} 0 R /Resources << /Font << /F1 ${fontId} 0 R >>${xobj} >> >>`);
+    const stream = image ? 'q 612 0 0 792 0 0 cm /Im1 Do Q' : pageStream(lines);
+    objs.push(`<< /Length ${Buffer.byteLength(stream, 'latin1')} >>\nstream\n${stream}\nendstream`);
+  });
+  objs.push('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>');
+  for (const im of images) {
+    objs.push(`<< /Type /XObject /Subtype /Image /Width ${im.width} /Height ${im.height} /ColorSpace /DeviceGray /BitsPerComponent 8 /Filter /FlateDecode /Length ${im.data.length} >>\nstream\n${im.data.toString('latin1')}\nendstream`);
+  }
+  let out = '%PDF-1.4\n';
+  const offsets = [];
+  objs.forEach((o, i) => {
+    offsets.push(Buffer.byteLength(out, 'latin1'));
+    out += `${i + 1} 0 obj\n${o}\nendobj\n`;
+  });
+  const xref = Buffer.byteLength(out, 'latin1');
+  out += `xref\n0 ${objs.length + 1}\n0000000000 65535 f \n`;
+  out += offsets.map(o => `${String(o).padStart(10, '0')} 00000 n \n`).join('');
+  out += `trailer\n<< /Size ${objs.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+  return Buffer.from(out, 'latin1');
+}
+
+// Rasterizza una pagina di testo (righe come in makePdf) in scala di grigi, come farebbe uno scanner.
+// Restituisce l'immagine per una pagina { image } di makePdf e il PNG equivalente.
+export async function scanPage(lines, dpi = 200) {
+  const [{ getDocument }, { createCanvas }] = await Promise.all([import('pdfjs-dist/legacy/build/pdf.mjs'), import('@napi-rs/canvas')]);
+  const fontDir = path.join(path.dirname(require.resolve('pdfjs-dist/package.json')), 'standard_fonts') + path.sep;
+  const doc = await getDocument({ data: new Uint8Array(makePdf([lines])), standardFontDataUrl: fontDir, verbosity: 0 }).promise;
+  const page = await doc.getPage(1);
+  const viewport = page.getViewport({ scale: dpi / 72 });
+  const canvas = createCanvas(Math.ceil(viewport.width), Math.ceil(viewport.height));
+  const ctx = canvas.getContext('2d');
+  ctx.fillStyle = '#fff';
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  await page.render({ canvasContext: ctx, canvas, viewport }).promise;
+  await doc.destroy();
+  const rgba = ctx.getImageData(0, 0, canvas.width, canvas.height).data;
+  const gray = Buffer.alloc(canvas.width * canvas.height);
+  for (let i = 0; i < gray.length; i++) gray[i] = rgba[i * 4];
+  return { image: { width: canvas.width, height: canvas.height, data: zlib.deflateSync(gray) }, png: canvas.toBuffer('image/png') };
+}
+
+export const textPdf = () => makePdf([[
+  { text: 'La cellula', size: 20 },
+  'La cellula e l unita fondamentale della vita.',
+  'Il nucleo contiene il DNA della cellula eucariote.'
+]]);
+
+export const multiPagePdf = () => makePdf([
+  [{ text: 'Capitolo uno', size: 20 }, 'Prima pagina: la membrana plasmatica delimita la cellula.'],
+  [{ text: 'Capitolo due', size: 20 }, 'Seconda pagina: il mitocondrio produce ATP per la cellula.'],
+  [{ text: 'Capitolo tre', size: 20 }, 'Terza pagina: il ribosoma sintetizza le proteine.'],
+  ['Quarta pagina: il reticolo endoplasmatico trasporta le molecole.']
+]);
+
+export const scannedPdf = () => makePdf([null, null]);
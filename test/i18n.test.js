@@ -0,0 +1,83 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { detectLanguage, parseLanguageParam, languageCode, resolveTarget, normLength, normDifficulty, coerceDifficulty } from '../lib/i18n.js';
+import { startFakeLLM } from './helpers/fake-llm.js';
+import { startApp, pdfForm } from './helpers/app.js';
+import { makePdf, textPdf } from './helpers/pdf.js';
+
+const fake = await startFakeLLM();
+const app = await startApp({ OPENAI_API_KEY: 'sk-test', OPENAI_BASE_URL: fake.url, OPENAI_JSON_ATTEMPTS: '1' });
+test.after(async () => { await app.close(); await fake.close(); });
+test.beforeEach(() => { fake.chats.length = 0; fake.script.length = 0; });
+
+const englishPdf = () => makePdf([[
+  'The cell is the basic unit of life and all living organisms are made of cells.',
+  'The mitochondrion is the organelle that produces the energy of the cell in the form of ATP.',
+  'Ribosomes read the messenger RNA and build the proteins that are needed by the cell.'
+]]);
+const prompts = (chat) => ({ system: chat.messages.find(m => m.role === 'system').content, user: chat.messages.find(m => m.role === 'user').content });
+const post = (route, form) => fetch(app.base + `/api/${route}`, { method: 'POST', body: form });
+
+test('riconoscimento della lingua e parametro language', () => {
+  assert.equal(detectLanguage('La cellula è l\'unità fondamentale della vita e tutti gli organismi sono fatti di cellule.'), 'it');
+  assert.equal(detectLanguage('The cell is the basic unit of life and all living organisms are made of cells.'), 'en');
+  assert.equal(detectLanguage('Die Zelle ist die kleinste Einheit des Lebens und alle Lebewesen sind aus Zellen aufgebaut, die sich teilen.'), 'de');
+  assert.equal(detectLanguage('ATP ADP NADH'), null, 'troppo pochi indizi');
+
+  assert.deepEqual(['en-US', 'Inglese', 'Français', 'DE'].map(languageCode), ['en', 'en', 'fr', 'de']);
+  assert.equal(parseLanguageParam('', 'fr'), 'fr');
+  assert.equal(parseLanguageParam('AUTO'), 'auto');
+  assert.throws(() => parseLanguageParam('klingon'), (e) => e.status === 400 && /Lingua non supportata: klingon \(ammesse: auto, it, en/.test(e.message));
+  assert.equal(resolveTarget('auto', null), 'it', 'documento non riconosciuto: lingua predefinita');
+  assert.equal(resolveTarget('auto', 'de'), 'de');
+});
+
+test('lunghezza e difficoltà: valori neutri, vecchi valori italiani come alias', () => {
+  assert.deepEqual(['short', 'breve', 'esaustivo', ''].map(v => normLength(v)), ['short', 'short', 'long', 'medium']);
+  assert.deepEqual(['HARD', 'facile', 'media'].map(v => normDifficulty(v)), ['hard', 'easy', 'medium']);
+  assert.throws(() => normLength('lunghissimo'), (e) => e.status === 400 && /Lunghezza non valida: lunghissimo \(ammesse: short, medium, long\)/.test(e.message));
+  assert.equal(coerceDifficulty('impossibile'), 'medium');
+});
+
+test('language=auto genera nella lingua del documento e la risposta riporta origine e destinazione', async () => {
+  const res = await post('summary', pdfForm(englishPdf(), { language: 'auto', length: 'short' }));
+  assert.equal(res.status, 200);
+  assert.deepEqual((await res.json()).data.language, { source: 'en', target: 'en' });
+  const { system, user } = prompts(fake.chats[0]);
+  assert.match(system, /riassunti accurati in inglese\./);
+  assert.match(user, /LUNGHEZZA: breve/);
+  assert.doesNotMatch(user, /Il testo di partenza/);
+});
+
+test('lingua di output diversa dal documento: indicazione di traduzione nel prompt', async () => {
+  const res = await post('flashcards', pdfForm(textPdf(), { language: 'de', difficulty: 'hard', num: 2 }));
+  assert.equal(res.status, 200);
+  assert.deepEqual((await res.json()).data.language, { source: 'it', target: 'de' });
+  const { system, user } = prompts(fake.chats[0]);
+  assert.match(system, / in tedesco/);
+  assert.match(user, /difficoltà difficile/);
+  assert.match(user, /Il testo di partenza è in italiano: scrivi comunque tutto in tedesco/);
+});
+
+test('lingua, lunghezza o difficoltà non valide → 400 senza chiamare il modello', async () => {
+  for (const [route, fields, msg] of [
+    ['summary', { language: 'klingon' }, /Lingua non supportata/],
+    ['summary', { length: 'lunghissimo' }, /Lunghezza non valida/],
+    ['quiz', { difficulty: 'estrema' }, /Difficoltà non valida/]
+  ]) {
+    const res = await post(route, pdfForm(textPdf(), fields));
+    assert.equal(res.status, 400);
+    assert.match((await res.json()).error, msg);
+  }
+  assert.equal(fake.chats.length, 0);
+  assert.deepEqual((await (await fetch(app.base + '/api/info')).json()).languages, ['it', 'en', 'de', 'fr', 'es']);
+});
+
+test('/api/ask: language=auto risponde nella lingua della domanda', async () => {
+  assert.equal((await post('library/Biologia/documents', pdfForm(englishPdf()))).status, 200);
+  const ask = (body) => fetch(app.base + '/api/ask', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ subject: 'Biologia', ...body }) });
+  assert.equal((await ask({ question: 'What is the mitochondrion?', language: 'auto' })).status, 200);
+  assert.match(prompts(fake.chats[0]).system, /Rispondi in inglese/);
+  await ask({ question: 'What is the mitochondrion?' });
+  assert.match(prompts(fake.chats[1]).system, /Rispondi in italiano/, 'senza parametro: lingua del profilo');
+});
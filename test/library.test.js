@@ -0,0 +1,104 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { startApp } from './helpers/app.js';
+
+const app = await startApp({ OPENAI_API_KEY: '' });
+test.after(() => app.close());
+
+async function call(method, url, body) {
+  const res = await fetch(app.base + url, {
+    method,
+    headers: body !== undefined ? { 'Content-Type': 'application/json' } : {},
+    body: body !== undefined ? JSON.stringify(body) : undefined
+  });
+  return { status: res.status, js: await res.json() };
+}
+
+test('CRUD di un elemento della libreria', async () => {
+  let r = await call('GET', '/api/library/Biologia/flashcards');
+  assert.deepEqual(r.js, { ok: true, items: [] });
+
+  r = await call('PUT', '/api/library/Biologia/flashcards/fc1', { title: 'Cellula', cards: [{ front: 'a', back: 'b' }] });
+  assert.equal(r.status, 200);
+  assert.equal(r.js.item.id, 'fc1');
+  assert.ok(r.js.item.date);
+
+  r = await call('POST', '/api/library/Biologia/flashcards', { title: 'Senza id' });
+  assert.ok(r.js.item.id, 'id assegnato dal server');
+
+  r = await call('PUT', '/api/library/Biologia/flashcards/fc1', { title: 'Cellula (rivista)', cards: [] });
+  r = await call('GET', '/api/library/Biologia/flashcards');
+  assert.equal(r.js.items.length, 2);
+  assert.equal(r.js.items.find(x => x.id === 'fc1').title, 'Cellula (rivista)');
+
+  r = await call('GET', '/api/library/Biologia/flashcards/fc1');
+  assert.equal(r.js.item.title, 'Cellula (rivista)');
+
+  r = await call('DELETE', '/api/library/Biologia/flashcards/fc1');
+  assert.deepEqual(r.js, { ok: true });
+  r = await call('GET', '/api/library/Biologia/flashcards/fc1');
+  assert.equal(r.status, 404);
+  r = await call('DELETE', '/api/library/Biologia/flashcards/fc1');
+  assert.equal(r.status, 404);
+});
+
+test('i dati sono salvati su disco, un file per materia', async () => {
+  await call('PUT', '/api/library/Chimica/riassunti/r1', { title: 'Legami', text: '...' });
+  const file = path.join(app.dataDir, 'library', 'Chimica.json');
+  const data = JSON.parse(await fs.readFile(file, 'utf8'));
+  assert.equal(data.sections.riassunti[0].id, 'r1');
+});
+
+test('sezione o corpo non validi restituiscono 400', async () => {
+  let r = await call('GET', '/api/library/Biologia/appunti');
+  assert.equal(r.status, 400);
+  assert.equal(r.js.ok, false);
+  r = await call('PUT', '/api/library/Biologia/quiz/q1', [1, 2]);
+  assert.equal(r.status, 400);
+  r = await call('POST', '/api/library/Fisica/results', { score: 'tanti' });
+  assert.equal(r.status, 400);
+});
+
+test('statistiche e risultati per materia', async () => {
+  let r = await call('PUT', '/api/library/Fisica/stats', { stats: { 'Cos\'è la forza?': { asked: 3, wrong: 1 } } });
+  assert.equal(r.status, 200);
+  r = await call('GET', '/api/library/Fisica/stats');
+  assert.deepEqual(r.js.stats, { 'Cos\'è la forza?': { asked: 3, wrong: 1 } });
+
+  await call('POST', '/api/library/Fisica/results', { score: 3, total: 2, correct: 2, wrong: 0 });
+  await call('POST', '/api/library/Fisica/results', { score: 1.1, total: 2, correct: 1, wrong: 1 });
+  r = await call('GET', '/api/library/Fisica/results');
+  assert.equal(r.js.results.length, 2);
+  assert.equal(r.js.results[0].score, 1.1, 'il più recente è in testa');
+
+  await call('DELETE', '/api/library/Fisica/results');
+  r = await call('GET', '/api/library/Fisica/results');
+  assert.deepEqual(r.js.results, []);
+  r = await call('GET', '/api/library/Fisica/stats');
+  assert.deepEqual(r.js.stats, {});
+});
+
+test('import dal localStorage unisce senza duplicare', async () => {
+  await call('PUT', '/api/library/Storia/quiz/q1', { title: 'Già sul server', questions: [] });
+  const payload = {
+    subjects: {
+      Storia: {
+        sections: { quiz: [{ id: 'q1', title: 'Copia locale' }, { id: 'q2', title: 'Nuovo' }], riassunti: [{ title: 'senza id' }] },
+        stats: { d1: { asked: 2, wrong: 1 } },
+        results: [{ score: 1, total: 1, date: 'ieri' }]
+      }
+    }
+  };
+  let r = await call('POST', '/api/library/import', payload);
+  assert.deepEqual(r.js.imported, { Storia: { items: 1, results: 1 } });
+  r = await call('POST', '/api/library/import', payload);
+  assert.deepEqual(r.js.imported, { Storia: { items: 0, results: 0 } });
+
+  r = await call('GET', '/api/library/Storia/quiz');
+  assert.deepEqual(r.js.items.map(x => x.title).sort(), ['Già sul server', 'Nuovo']);
+  r = await call('GET', '/api/library');
+  const storia = r.js.subjects.find(s => s.subject === 'Storia');
+  assert.deepEqual(storia.counts, { riassunti: 0, flashcards: 0, quiz: 2 });
+});
@@ -0,0 +1,53 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'node:path';
+import { startFakeLLM } from './helpers/fake-llm.js';
+import { startApp, pdfForm } from './helpers/app.js';
+import { makePdf, scanPage } from './helpers/pdf.js';
+import { createLocalOcr } from '../lib/local-ocr.js';
+
+const fake = await startFakeLLM();
+const app = await startApp({ OPENAI_API_KEY: 'sk-test', OPENAI_BASE_URL: fake.url, OCR_ENGINE: 'tesseract', OCR_DPI: '150' });
+test.after(async () => { await app.close(); await fake.close(); });
+test.beforeEach(() => { fake.chats.length = 0; fake.requests.length = 0; });
+
+const userPrompt = (chat) => chat.messages.find(m => m.role === 'user').content;
+const scan = await scanPage([{ text: 'La mitosi', size: 24 }, 'La mitosi divide il nucleo della cellula in due nuclei figli.']);
+
+test('tesseract legge la pagina rasterizzata con confidenza per pagina', async () => {
+  const ocr = createLocalOcr({ langPath: path.join(app.dataDir, 'tessdata'), dpi: 150 });
+  const pages = await ocr.ocrPdfPages(makePdf([['Pagina di testo.'], scan]), [2]);
+  assert.equal(pages.length, 1);
+  assert.equal(pages[0].page, 2);
+  assert.match(pages[0].text, /mitosi divide il nucleo/i);
+  assert.ok(pages[0].confidence > 60 && pages[0].confidence <= 100);
+});
+
+test('PDF misto: OCR locale solo sulle pagine vuote, niente upload al provider', async () => {
+  const pdf = makePdf([[{ text: 'Capitolo uno', size: 20 }, 'Il ribosoma sintetizza le proteine.'], scan]);
+  const js = await (await fetch(app.base + '/api/summary', { method: 'POST', body: pdfForm(pdf) })).json();
+  assert.equal(js.ok, true);
+  assert.equal(js.data.ocr.engine, 'tesseract');
+  assert.deepEqual(js.data.ocr.pages.map(p => p.page), [2]);
+  assert.deepEqual(js.data.ocr.lowConfidence, []);
+  const prompt = userPrompt(fake.chats[0]);
+  assert.match(prompt, /\[Pagina 1\]\n## Capitolo uno\n\nIl ribosoma/);
+  assert.match(prompt, /\[Pagina 2\]\n[\s\S]*mitosi divide il nucleo/i);
+  assert.ok(!fake.requests.some(r => r.url.startsWith('/v1/files') || r.url === '/v1/responses'), 'il PDF non lascia il server');
+});
+
+test('PDF con solo testo: nessun OCR e nessun campo ocr nel risultato', async () => {
+  const js = await (await fetch(app.base + '/api/summary', { method: 'POST', body: pdfForm(makePdf([['Solo testo estraibile.']])) })).json();
+  assert.equal(js.ok, true);
+  assert.equal(js.data.ocr, undefined);
+});
+
+test('immagini lette dall\'OCR locale', async () => {
+  const fd = new FormData();
+  fd.append('pdf', new Blob([scan.png], { type: 'image/png' }), 'foto.png');
+  const js = await (await fetch(app.base + '/api/summary', { method: 'POST', body: fd })).json();
+  assert.equal(js.ok, true);
+  assert.equal(js.data.ocr.engine, 'tesseract');
+  assert.equal(fake.chats.length, 1, 'una sola chiamata al modello: il riassunto');
+  assert.match(userPrompt(fake.chats[0]), /mitosi divide il nucleo/i);
+});
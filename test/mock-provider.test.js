@@ -0,0 +1,58 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { startApp, pdfForm } from './helpers/app.js';
+import { textPdf, scannedPdf } from './helpers/pdf.js';
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'st-fixtures-'));
+const fixture = (name, value) => fs.writeFileSync(path.join(dir, `${name}.json`), JSON.stringify(value));
+const app = await startApp({ LLM_PROVIDER: 'mock', LLM_MOCK_FIXTURES: dir, OPENAI_API_KEY: '', OPENAI_JSON_ATTEMPTS: '2' });
+test.after(async () => { await app.close(); fs.rmSync(dir, { recursive: true, force: true }); });
+test.afterEach(() => { for (const f of fs.readdirSync(dir)) fs.rmSync(path.join(dir, f)); });
+
+const post = (p, body) => fetch(app.base + p, { method: 'POST', body });
+
+test('senza rete né chiave il mock genera risposte deterministiche', async () => {
+  const a = await (await post('/api/quiz', pdfForm(textPdf(), { num: 2 }))).json();
+  const b = await (await post('/api/quiz', pdfForm(textPdf(), { num: 2 }))).json();
+  assert.equal(a.ok, true);
+  assert.equal(a.data.questions.length, 2);
+  assert.deepEqual(a, b);
+});
+
+test('il mock segue gli hints della richiesta: tipi di domanda e griglia di correzione', async () => {
+  const quiz = await (await post('/api/quiz', pdfForm(textPdf(), { num: 2, types: 'truefalse,open' }))).json();
+  assert.deepEqual(quiz.data.questions.map(q => q.type), ['truefalse', 'open']);
+  const question = { type: 'open', question: 'Che cosa fa il mitocondrio?', rubric: 'Produce ATP con la respirazione cellulare' };
+  const grade = (answer) => fetch(app.base + '/api/quiz/grade', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ question, answer }) }).then(r => r.json());
+  assert.deepEqual((await grade('Produce ATP.')).data.missing, ['respirazion', 'cellular'], 'termini della griglia (radici) assenti dalla risposta');
+  assert.equal((await grade('Con la respirazione cellulare produce ATP.')).data.correct, true);
+});
+
+test('fixture: response_format non supportato → ritenta senza e legge il testo', async () => {
+  fixture('summary_response', { sequence: [
+    { error: { status: 400, message: "Invalid parameter: 'response_format' is not supported" } },
+    { raw: 'Testo libero {"text":"dal fallback"} finale' }
+  ] });
+  const js = await (await post('/api/summary', pdfForm(textPdf()))).json();
+  assert.deepEqual(js, { ok: true, data: { text: 'dal fallback', language: { source: 'it', target: 'it' } } });
+});
+
+test('fixture: JSON malformato al primo tentativo viene ritentato', async () => {
+  fixture('flashcards_response', { sequence: [
+    { raw: '{"cards": [' },
+    { json: { cards: [{ front: 'F', back: 'B', difficulty: 'facile', tags: [], sourcePage: 1 }] } }
+  ] });
+  const js = await (await post('/api/flashcards', pdfForm(textPdf(), { num: 1 }))).json();
+  // Difficoltà restituita con il vecchio valore italiano: normalizzata al valore neutro
+  assert.deepEqual(js.data.cards, [{ front: 'F', back: 'B', difficulty: 'easy', tags: [], sourcePage: 1, confidence: 0.5 }]);
+});
+
+test('fixture OCR per i PDF scansionati', async () => {
+  fixture('ocr', { raw: '=== Pagina 1 ===\nCapitolo trascritto.\n\n=== Pagina 2 ===\nSeconda pagina trascritta.' });
+  const js = await (await post('/api/summary', pdfForm(scannedPdf()))).json();
+  assert.equal(js.ok, true);
+  assert.match(js.data.text, /Capitolo trascritto\./);
+});
@@ -0,0 +1,127 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { startFakeLLM } from './helpers/fake-llm.js';
+import { startApp } from './helpers/app.js';
+import { textPdf, multiPagePdf } from './helpers/pdf.js';
+
+const fake = await startFakeLLM();
+const app = await startApp({
+  OPENAI_API_KEY: 'sk-test', OPENAI_BASE_URL: fake.url, OPENAI_JSON_ATTEMPTS: '1', AUTH_REQUIRED: '1', AUTH_SECRET: 'segreto-di-test',
+  UPLOAD_MAX_FILES: '3', UPLOAD_MAX_FILE_MB: '1', UPLOAD_MAX_TOTAL_MB: '1', OPENAI_MAX_TOTAL_INPUT_CHARS: '300'
+});
+const { chunkText, splitPageMarkers } = await import('../server.js');
+test.after(async () => { await app.close(); await fake.close(); });
+test.beforeEach(() => { fake.chats.length = 0; fake.script.length = 0; });
+
+async function login(username) {
+  const res = await fetch(app.base + '/api/auth/register', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ username, password: 'password-lunga' }) });
+  return { Authorization: `Bearer ${(await res.json()).token}` };
+}
+// files: [[nome, contenuto, tipo?]], tutti nel campo 'pdf'
+function filesForm(files, fields = {}) {
+  const fd = new FormData();
+  for (const [name, buf, type = 'application/pdf'] of files) fd.append('pdf', new Blob([buf], { type }), name);
+  for (const [k, v] of Object.entries(fields)) fd.append(k, String(v));
+  return fd;
+}
+const post = (route, headers, files, fields) => fetch(app.base + route, { method: 'POST', headers, body: filesForm(files, fields) });
+const userPrompt = (chat) => chat.messages.find(m => m.role === 'user').content;
+const quotaUsed = async (headers) => (await (await fetch(app.base + '/api/auth/me', { headers })).json()).quota.used;
+
+test('marcatori con il documento: divisione in pagine e chunk', () => {
+  const text = '[Documento 1: a.pdf · Pagina 2]\nuno\n\n[Documento 2: b.pdf · Pagina 2]\ndue';
+  assert.deepEqual(splitPageMarkers(text), [{ doc: 1, name: 'a.pdf', page: 2, text: 'uno' }, { doc: 2, name: 'b.pdf', page: 2, text: 'due' }]);
+  // Stessa pagina ma documento diverso: il marcatore viene ripetuto
+  assert.deepEqual(chunkText(text), [text]);
+  const para = Array.from({ length: 30 }, (_, i) => `Frase numero ${i} sul documento.`).join(' ');
+  const chunks = chunkText(`[Documento 1: a.pdf · Pagina 1]\n${para}\n\n[Documento 2: b.pdf · Pagina 1]\n${para}`, { maxTokens: 100, overlapTokens: 0 });
+  assert.ok(chunks.length > 2);
+  for (const c of chunks) assert.match(c, /^\[Documento [12]: [ab]\.pdf · Pagina 1\]\n/);
+});
+
+test('POST /api/flashcards con più file: testo etichettato per documento, intervalli per file, fonte di ogni carta', async () => {
+  const auth = await login('giulia');
+  const res = await post('/api/flashcards', auth, [['biologia.pdf', textPdf()], ['organelli.pdf', multiPagePdf()]], { numCards: 6, ranges: JSON.stringify([null, '2-3']) });
+  assert.equal(res.status, 200);
+  const { data } = await res.json();
+  const prompt = userPrompt(fake.chats[0]);
+  assert.match(prompt, /\[Documento 1: biologia\.pdf · Pagina 1\]\n[\s\S]*La cellula e l unita fondamentale[\s\S]*\[Documento 2: organelli\.pdf · Pagina 2\]\n[\s\S]*\[Documento 2: organelli\.pdf · Pagina 3\]/);
+  assert.doesNotMatch(prompt, /Prima pagina|Quarta pagina/);
+  assert.match(prompt, /In 'sourceDoc' indica il numero D del documento/);
+  assert.deepEqual(fake.chats[0].response_format.json_schema.schema.properties.cards.items.properties.sourceDoc.minimum, 1);
+
+  assert.deepEqual(data.sources.map(s => [s.name, s.format, s.pages, s.truncated]), [['biologia.pdf', 'pdf', 1, false], ['organelli.pdf', 'pdf', 2, false]]);
+  assert.deepEqual(new Set(data.cards.map(c => c.sourceFile)), new Set(['biologia.pdf', 'organelli.pdf']));
+  const mito = data.cards.find(c => /mitocondrio/.test(c.back));
+  assert.deepEqual([mito.sourceFile, mito.sourcePage, mito.sourceDoc], ['organelli.pdf', 2, undefined]);
+  assert.equal(await quotaUsed(auth), 1, 'una sola generazione per tutti i file');
+
+  // Ogni documento entra nell'indice della materia
+  const docs = await (await fetch(app.base + '/api/library/Generale/documents', { headers: auth })).json();
+  assert.deepEqual(docs.documents.map(d => d.name).sort(), ['biologia.pdf', 'organelli.pdf']);
+});
+
+test('un file solo: prompt, schema e risposta come prima', async () => {
+  const auth = await login('marco');
+  const { data } = await (await post('/api/quiz', auth, [['lezione.pdf', textPdf()]], { num: 2 })).json();
+  assert.match(userPrompt(fake.chats[0]), /"""\[Pagina 1\]\n/);
+  assert.doesNotMatch(userPrompt(fake.chats[0]), /Documento|sourceDoc/);
+  assert.equal(fake.chats[0].response_format.json_schema.schema.properties.questions.items.properties.sourceDoc, undefined);
+  assert.equal(data.sources, undefined);
+  assert.ok(data.questions.every(q => !('sourceFile' in q)));
+});
+
+test('budget di caratteri condiviso: i documenti corti lasciano spazio agli altri', async () => {
+  const auth = await login('sara');
+  const res = await post('/api/summary', auth, [['breve.pdf', textPdf()], ['lungo.pdf', multiPagePdf()]]);
+  const { data } = await res.json();
+  const [short, long] = data.sources;
+  assert.deepEqual([short.truncated, long.truncated], [false, true]);
+  assert.equal(short.chars + long.chars, 300);
+  assert.match(userPrompt(fake.chats[0]), /Copri tutti i documenti e nelle citazioni indica anche il nome del file/);
+  assert.doesNotMatch(userPrompt(fake.chats[0]), /Quarta pagina/);
+});
+
+test('limiti di upload e intervalli non validi → errore senza generare, quota restituita', async () => {
+  const auth = await login('pietro');
+  const big = Buffer.alloc(600 * 1024, 'a');
+  for (const [files, fields, status, msg] of [
+    [[['a.pdf', Buffer.alloc(1100 * 1024, 'a')]], {}, 413, /File troppo grande \(massimo 1 MB per file\)/],
+    [[['a.pdf', big], ['b.pdf', big]], {}, 413, /Upload troppo grande: 1\.2 MB in totale \(massimo 1 MB\)/],
+    [[1, 2, 3, 4].map(i => [`${i}.pdf`, textPdf()]), {}, 400, /Troppi file \(massimo 3\)/],
+    [[['a.pdf', textPdf()], ['b.pdf', textPdf()]], { ranges: '["3-1"]' }, 400, /Intervallo di pagine non valido per a\.pdf: "3-1"/],
+    [[['a.pdf', textPdf()]], { ranges: '[null, "1-2"]' }, 400, /Campo 'ranges' non valido/],
+    [[['a.pdf', textPdf()], ['note.bin', Buffer.from('boh'), 'application/octet-stream']], {}, 400, /^note\.bin: Formato non supportato/]
+  ]) {
+    const res = await post('/api/study-pack', auth, files, fields);
+    assert.equal(res.status, status);
+    assert.match((await res.json()).error, msg);
+  }
+  assert.equal(fake.chats.length, 0);
+  assert.equal(await quotaUsed(auth), 0);
+});
+
+test('import e indicizzazione: file troppo grande o in più → errore JSON, non la pagina di errore di Express', async () => {
+  const auth = await login('irene');
+  const oversized = Buffer.alloc(1100 * 1024, 'a');
+  for (const [route, field, name] of [
+    ['/api/library/Storia/flashcards/import', 'file', 'mazzo.csv'],
+    ['/api/library/Storia/quiz/import', 'file', 'banca.gift'],
+    ['/api/library/Storia/documents', 'pdf', 'appunti.pdf']
+  ]) {
+    const fd = new FormData();
+    fd.append(field, new Blob([oversized]), name);
+    const res = await fetch(app.base + route, { method: 'POST', headers: auth, body: fd });
+    assert.equal(res.status, 413, route);
+    assert.match(res.headers.get('content-type'), /application\/json/);
+    assert.deepEqual(await res.json(), { ok: false, error: 'File troppo grande (massimo 1 MB per file)' });
+  }
+  const two = new FormData();
+  for (const name of ['a.csv', 'b.csv']) two.append('file', new Blob(['fronte,retro']), name);
+  const res = await fetch(app.base + '/api/library/Storia/flashcards/import', { method: 'POST', headers: auth, body: two });
+  assert.equal(res.status, 400);
+  assert.deepEqual(await res.json(), { ok: false, error: 'Carica un solo file' });
+  const wrong = new FormData();
+  wrong.append('allegato', new Blob(['x']), 'x.csv');
+  assert.match((await (await fetch(app.base + '/api/library/Storia/quiz/import', { method: 'POST', headers: auth, body: wrong })).json()).error, /Campo file inatteso: allegato/);
+});
@@ -0,0 +1,112 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createLogger, withContext } from '../lib/logger.js';
+import { createMetrics } from '../lib/metrics.js';
+import { startFakeLLM } from './helpers/fake-llm.js';
+import { startApp, pdfForm } from './helpers/app.js';
+import { textPdf } from './helpers/pdf.js';
+
+const fake = await startFakeLLM();
+const app = await startApp({ OPENAI_API_KEY: 'sk-test', OPENAI_BASE_URL: fake.url, OPENAI_JSON_ATTEMPTS: '1', OPENAI_CONCURRENCY: '2', LOG_LEVEL: 'debug', METRICS_TOKEN: 'scrape-me' });
+test.after(async () => { await app.close(); await fake.close(); });
+test.beforeEach(() => { fake.chats.length = 0; fake.script.length = 0; });
+
+const tick = (ms) => new Promise(r => setTimeout(r, ms));
+const sink = () => { const lines = []; return { lines, write: (s) => lines.push(JSON.parse(s)) }; };
+const scrape = async () => (await fetch(app.base + '/metrics', { headers: { authorization: 'Bearer scrape-me' } })).text();
+const sample = (text, re) => Number(text.split('\n').find(l => re.test(l))?.split(' ').pop() ?? NaN);
+
+// Righe di log JSON scritte dal server mentre gira fn; il resto (report dei test) passa invariato
+async function captureLogs(fn) {
+  const lines = [];
+  const orig = { out: process.stdout.write, err: process.stderr.write };
+  const grab = (stream, write) => (chunk, ...rest) => {
+    if (typeof chunk === 'string' && chunk.startsWith('{"time"')) { lines.push(JSON.parse(chunk)); return true; }
+    return write.call(stream, chunk, ...rest);
+  };
+  process.stdout.write = grab(process.stdout, orig.out);
+  process.stderr.write = grab(process.stderr, orig.err);
+  try { await fn(); } finally { process.stdout.write = orig.out; process.stderr.write = orig.err; }
+  return lines;
+}
+
+test('logger: righe JSON con livello e contesto, anche tra contesti paralleli', async () => {
+  const out = sink(), err = sink();
+  const log = createLogger({ level: 'info', out, err });
+  await Promise.all(['a', 'b'].map(rid => withContext({ rid }, async () => {
+    await tick(rid === 'a' ? 10 : 0);
+    await withContext({ step: 'S1/2' }, async () => { await tick(5); log.info('chunk', { n: 1 }); });
+    log.debug('nascosto');
+    log.error('errore', { err: Object.assign(new Error('boom'), { code: 'X', status: 502 }) });
+  })));
+  assert.deepEqual(out.lines.map(l => [l.rid, l.step, l.level, l.msg, l.n]), [['b', 'S1/2', 'info', 'chunk', 1], ['a', 'S1/2', 'info', 'chunk', 1]]);
+  assert.deepEqual(err.lines.map(l => [l.rid, l.step, l.err]), [['b', undefined, { message: 'boom', code: 'X', status: 502 }], ['a', undefined, { message: 'boom', code: 'X', status: 502 }]]);
+  assert.ok(!Number.isNaN(Date.parse(out.lines[0].time)));
+  assert.throws(() => createLogger({ level: 'verbose' }), /LOG_LEVEL sconosciuto/);
+});
+
+test('metriche: formato testuale Prometheus con etichette, bucket e gauge calcolati', async () => {
+  const m = createMetrics({ prefix: 'x_' });
+  m.counter('calls_total', 'Chiamate', ['kind']).inc({ kind: 'a"b' }, 2);
+  m.histogram('lat_seconds', 'Latenza', ['route'], [0.1, 1]).observe({ route: '/r' }, 0.5);
+  m.gauge('depth', 'Coda', [], () => [[{}, 7]]);
+  const text = await m.render();
+  assert.match(text, /# TYPE x_calls_total counter\nx_calls_total\{kind="a\\"b"\} 2\n/);
+  assert.match(text, /x_lat_seconds_bucket\{route="\/r",le="0.1"\} 0\nx_lat_seconds_bucket\{route="\/r",le="1"\} 1\nx_lat_seconds_bucket\{route="\/r",le="\+Inf"\} 1\nx_lat_seconds_sum\{route="\/r"\} 0.5\nx_lat_seconds_count\{route="\/r"\} 1\n/);
+  assert.match(text, /# TYPE x_depth gauge\nx_depth 7\n/);
+  assert.equal(m.value('calls_total', { kind: 'a"b' }), 2);
+});
+
+test('richieste concorrenti: ogni riga di log porta il proprio request-id', async () => {
+  fake.script.push({ delayMs: 120 }, { delayMs: 10 });
+  let resA, resB;
+  const lines = await captureLogs(async () => {
+    const a = fetch(app.base + '/api/summary', { method: 'POST', body: pdfForm(textPdf(), { subject: 'Alfa' }) });
+    await tick(30);
+    const b = fetch(app.base + '/api/summary', { method: 'POST', body: pdfForm(textPdf(), { subject: 'Beta' }) });
+    [resA, resB] = await Promise.all([a, b]);
+  });
+  assert.deepEqual([resA.status, resB.status], [200, 200]);
+  const ridA = resA.headers.get('x-request-id'), ridB = resB.headers.get('x-request-id');
+  const summaries = lines.filter(l => l.msg === 'riassunto');
+  assert.deepEqual(summaries.map(l => [l.subject, l.rid]).sort(), [['Alfa', ridA], ['Beta', ridB]]);
+  // Le chiamate partono dallo scheduler ma restano nel contesto (rid e step) di chi le ha accodate
+  const calls = lines.filter(l => l.msg === 'chiamata LLM');
+  assert.deepEqual(calls.map(l => l.rid).sort(), [ridA, ridB].sort());
+  assert.ok(calls.every(l => l.step === 'S1/1' && l.kind === 'chat'));
+  const slow = calls.find(l => l.rid === ridA);
+  assert.ok(slow.ms >= 100, 'la chiamata lenta è quella della prima richiesta');
+});
+
+test('GET /metrics: richiede il token e espone latenze, chiamate LLM, coda, OCR ed estrazioni fallite', async () => {
+  assert.equal((await fetch(app.base + '/metrics')).status, 401);
+  fake.script.push({ status: 429, body: { error: { message: 'Rate limit reached' } }, headers: { 'retry-after-ms': '10' } });
+  assert.equal((await fetch(app.base + '/api/summary', { method: 'POST', body: pdfForm(textPdf()) })).status, 200);
+  // PDF illeggibile e OCR senza testo: estrazione fallita
+  const ocrText = fake.ocrText;
+  fake.ocrText = '';
+  const bad = new FormData();
+  bad.append('pdf', new Blob(['non sono un pdf'], { type: 'application/pdf' }), 'rotto.pdf');
+  try { assert.equal((await fetch(app.base + '/api/summary', { method: 'POST', body: bad })).status, 400); }
+  finally { fake.ocrText = ocrText; }
+  const odd = new FormData();
+  odd.append('pdf', new Blob(['x'], { type: 'application/octet-stream' }), 'dati.bin');
+  assert.equal((await fetch(app.base + '/api/summary', { method: 'POST', body: odd })).status, 400);
+
+  const res = await fetch(app.base + '/metrics', { headers: { authorization: 'Bearer scrape-me' } });
+  assert.equal(res.status, 200);
+  assert.match(res.headers.get('content-type'), /^text\/plain;.*version=0\.0\.4/);
+  const text = await scrape();
+  assert.ok(sample(text, /^studytool_http_request_duration_seconds_count\{method="POST",route="\/api\/summary",status="200"\}/) >= 1);
+  assert.match(text, /studytool_http_request_duration_seconds_bucket\{method="POST",route="\/api\/summary",status="200",le="0.5"\} \d+/);
+  assert.ok(sample(text, /^studytool_llm_calls_total\{provider="openai",kind="chat",outcome="ok"\}/) >= 1);
+  assert.equal(sample(text, /^studytool_llm_calls_total\{provider="openai",kind="chat",outcome="rate_limited"\}/), 1);
+  assert.equal(sample(text, /^studytool_llm_rate_limited_total\{provider="openai"\}/), 1);
+  assert.equal(sample(text, /^studytool_llm_retries_total\{provider="openai"\}/), 1);
+  assert.ok(sample(text, /^studytool_llm_tokens_total\{model="gpt-4o-mini",type="prompt"\}/) >= 10);
+  assert.match(text, /\nstudytool_llm_queue_depth 0\n/);
+  assert.match(text, /\nstudytool_llm_active_calls 0\n/);
+  assert.match(text, /# TYPE studytool_ocr_invocations_total counter/);
+  assert.equal(sample(text, /^studytool_extraction_failures_total\{format="pdf"\}/), 1);
+  assert.equal(sample(text, /^studytool_extraction_failures_total\{format="unsupported"\}/), 1);
+});
@@ -0,0 +1,52 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { safeJSON, chunkText, distributeCount, splitPageMarkers } from '../server.js';
+
+test('safeJSON legge JSON puro', () => {
+  assert.deepEqual(safeJSON('{"text":"ciao"}'), { text: 'ciao' });
+});
+
+test('safeJSON estrae il blocco ```json in mezzo al testo', () => {
+  assert.deepEqual(safeJSON('Ecco il risultato:\n```json\n{"cards":[1,2]}\n```\nFine.'), { cards: [1, 2] });
+});
+
+test('safeJSON recupera il primo oggetto tra prosa prima e dopo', () => {
+  assert.deepEqual(safeJSON('Certo! {"a":{"b":[1]}} spero vada bene'), { a: { b: [1] } });
+  assert.deepEqual(safeJSON('risposta: [{"q":1}] ok'), [{ q: 1 }]);
+});
+
+test('safeJSON rifiuta risposte vuote o senza JSON', () => {
+  assert.throws(() => safeJSON(''), /Risposta IA vuota/);
+  assert.throws(() => safeJSON('nessun dato qui'), /Nessun JSON trovato/);
+});
+
+test('splitPageMarkers ricostruisce le pagine dai marcatori', () => {
+  assert.deepEqual(splitPageMarkers('[Pagina 2]\nuno\n\n[Pagina 5]\ndue'), [{ page: 2, text: 'uno' }, { page: 5, text: 'due' }]);
+  assert.deepEqual(splitPageMarkers('senza marcatori'), [{ page: 1, text: 'senza marcatori' }]);
+});
+
+test('chunkText rispetta le frasi, riporta la pagina e aggiunge overlap', () => {
+  const para = Array.from({ length: 40 }, (_, i) => `Frase numero ${i} sulla cellula.`).join(' ');
+  const chunks = chunkText(`[Pagina 3]\n## Titolo\n\n${para}`, { maxTokens: 100, overlapTokens: 20 });
+  assert.ok(chunks.length > 1);
+  for (const c of chunks) {
+    assert.match(c, /^\[Pagina 3\]\n/);
+    assert.match(c, /\.$/, 'ogni chunk termina a fine frase');
+  }
+  const lastOfFirst = chunks[0].split('. ').pop();
+  assert.ok(chunks[1].includes(lastOfFirst), 'la frase finale del chunk precedente è ripetuta');
+});
+
+test('chunkText non lascia un titolo in coda al chunk', () => {
+  const para = (n) => Array.from({ length: n }, (_, i) => `Frase ${i} di prova per il chunk.`).join(' ');
+  const chunks = chunkText(`## Primo\n\n${para(12)}\n\n## Secondo\n\n${para(12)}`, { maxTokens: 120, overlapTokens: 0 });
+  for (const c of chunks) assert.doesNotMatch(c, /## \w+$/);
+  assert.ok(chunks.some(c => c.startsWith('## Secondo')));
+});
+
+test('distributeCount ripartisce num su tutti i chunk', () => {
+  const counts = distributeCount(12, ['a'.repeat(400), 'b'.repeat(400), 'c'.repeat(400)]);
+  assert.deepEqual(counts, [4, 4, 4]);
+  assert.equal(distributeCount(7, ['a'.repeat(800), 'b'.repeat(200)]).reduce((a, b) => a + b, 0), 7);
+  assert.deepEqual(distributeCount(2, ['a', 'b', 'c', 'd', 'e']), [0, 1, 0, 1, 0]);
+});
@@ -0,0 +1,155 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeQuestion, parseQuestionTypes, gradeAnswer, gradeOpenFallback, QUESTION_TYPES } from '../lib/questions.js';
+import { collectReviewItems } from '../lib/srs.js';
+import { startFakeLLM } from './helpers/fake-llm.js';
+import { startApp, pdfForm } from './helpers/app.js';
+import { textPdf } from './helpers/pdf.js';
+
+const fake = await startFakeLLM();
+const app = await startApp({ OPENAI_API_KEY: 'sk-test', OPENAI_BASE_URL: fake.url, OPENAI_JSON_ATTEMPTS: '1' });
+test.after(async () => { await app.close(); await fake.close(); });
+test.beforeEach(() => { fake.chats.length = 0; fake.script.length = 0; });
+
+const userPrompt = (chat) => chat.messages.find(m => m.role === 'user').content;
+const grade = (body) => fetch(app.base + '/api/quiz/grade', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+const OPEN = { type: 'open', question: 'Che cosa fa il mitocondrio?', rubric: 'Produce ATP con la respirazione cellulare', sampleAnswer: 'Produce energia sotto forma di ATP.' };
+
+test('normalizeQuestion: campi per tipo, tolleranze e motivi di scarto', () => {
+  // Domande salvate prima dei tipi: scelta singola
+  assert.deepEqual(normalizeQuestion({ question: ' Q ', options: ['a', 'b', 'c', 'd'], correct: 9 }), { type: 'single', question: 'Q', options: ['a', 'b', 'c', 'd'], correct: 3, explanation: '', sourcePage: null });
+  assert.deepEqual(normalizeQuestion({ type: 'multiple', question: 'Q', options: ['a', 'b', 'c', 'd'], correct: [3, '1', 1, 7] }).correct, [1, 3]);
+  assert.equal(normalizeQuestion({ type: 'truefalse', question: 'Q', answer: 'falso' }).answer, false);
+  assert.deepEqual(normalizeQuestion({ type: 'numeric', question: 'Q', answer: '9,81', tolerance: '0.05', unit: 'm/s^2', sourcePage: '3' }),
+    { type: 'numeric', question: 'Q', answer: 9.81, tolerance: 0.05, unit: 'm/s^2', explanation: '', sourcePage: 3 });
+  assert.deepEqual(normalizeQuestion({ type: 'cloze', question: 'Il ___ e il ______', blanks: ['nucleo', ['DNA', 'dna']] }).blanks, [['nucleo'], ['DNA', 'dna']]);
+  for (const [raw, msg] of [
+    [{ type: 'essay', question: 'Q' }, /Tipo di domanda non valido: essay/],
+    [{ type: 'single', question: 'Q', options: ['a'] }, /Servono 4 opzioni \(trovate 1\)/],
+    [{ type: 'multiple', question: 'Q', options: ['a'], correct: [0] }, /Servono da 2 a 8 opzioni \(trovate 1\)/],
+    [{ type: 'multiple', question: 'Q', options: ['a', 'b'], correct: [] }, /Nessuna risposta corretta/],
+    [{ type: 'numeric', question: 'Q', answer: 'tanti' }, /Risposta numerica non valida/],
+    [{ type: 'numeric', question: 'Q', answer: 1, tolerance: -1 }, /Tolleranza non valida/],
+    [{ type: 'cloze', question: 'Il ___ e il ___', blanks: [['a']] }, /Servono le risposte per ognuno dei 2 spazi vuoti/],
+    [{ type: 'open', question: 'Q' }, /Griglia di correzione mancante/]
+  ]) assert.throws(() => normalizeQuestion(raw), (e) => e.status === 400 && msg.test(e.message));
+
+  assert.deepEqual(parseQuestionTypes(''), ['single']);
+  assert.deepEqual(parseQuestionTypes('open, TRUEFALSE'), ['truefalse', 'open'], 'ordine canonico');
+  assert.deepEqual(parseQuestionTypes(['all']), QUESTION_TYPES);
+  assert.throws(() => parseQuestionTypes('single,matching'), /Tipo di domanda non valido: matching \(ammessi: single, multiple, truefalse, numeric, cloze, open, all\)/);
+});
+
+test('gradeAnswer: punteggi per tipo', () => {
+  const multiple = normalizeQuestion({ type: 'multiple', question: 'Q', options: ['a', 'b', 'c', 'd'], correct: [0, 1] });
+  assert.deepEqual(gradeAnswer(multiple, [1, 0]), { score: 1, correct: true });
+  assert.deepEqual(gradeAnswer(multiple, [0]), { score: 0.5, correct: false });
+  assert.deepEqual(gradeAnswer(multiple, [0, 2]), { score: 0, correct: false }, 'una scelta sbagliata annulla una giusta');
+  const numeric = normalizeQuestion({ type: 'numeric', question: 'Q', answer: 9.81, tolerance: 0.05 });
+  assert.equal(gradeAnswer(numeric, '9,78').correct, true);
+  assert.equal(gradeAnswer(numeric, 9.87).correct, false);
+  assert.equal(gradeAnswer(numeric, 'boh').correct, false);
+  const cloze = normalizeQuestion({ type: 'cloze', question: 'Il ___ contiene il ___', blanks: [['nucleo'], ['DNA', 'acido desossiribonucleico']] });
+  assert.deepEqual(gradeAnswer(cloze, [' Nucleo.', 'acido  desossiribonucleico']), { score: 1, correct: true });
+  assert.deepEqual(gradeAnswer(cloze, ['núcleo', 'RNA']), { score: 0.5, correct: false });
+  assert.equal(gradeAnswer(normalizeQuestion({ type: 'truefalse', question: 'Q', answer: true }), 'vero').correct, true);
+  assert.equal(gradeAnswer(normalizeQuestion(OPEN), 'ATP'), null);
+  assert.equal(gradeOpenFallback(normalizeQuestion(OPEN), 'Il mitocondrio produce ATP con la respirazione').correct, true);
+  assert.equal(gradeOpenFallback(normalizeQuestion(OPEN), 'Non lo so').score, 0);
+  // Il ripasso prende le domande di ogni tipo
+  const items = collectReviewItems({ quiz: [{ id: 'q1', data: { questions: [OPEN, { question: 'Vecchia', options: ['a', 'b'], correct: 0 }, { type: 'boh', question: 'X' }] } }] });
+  assert.deepEqual(items.map(i => i.question.question), [OPEN.question, 'Vecchia']);
+});
+
+test('POST /api/quiz con types: prompt e schema per tipo, domande validate', async () => {
+  const res = await fetch(app.base + '/api/quiz', { method: 'POST', body: pdfForm(textPdf(), { num: 6, types: 'all' }) });
+  assert.equal(res.status, 200);
+  const { questions } = (await res.json()).data;
+  assert.deepEqual(questions.map(q => q.type), QUESTION_TYPES);
+  assert.deepEqual(questions.find(q => q.type === 'cloze').blanks.length, 1);
+  const chat = fake.chats[0];
+  assert.match(userPrompt(chat), /Tipi di domanda da alternare \(campo 'type'\): single, multiple, truefalse, numeric, cloze, open\.\n- single: /);
+  assert.deepEqual(chat.response_format.json_schema.schema.properties.questions.items.properties.type.enum, QUESTION_TYPES);
+  assert.equal(chat.response_format.json_schema.schema.properties.questions.maxItems, 6, 'al massimo le domande richieste');
+
+  // Solo scelta singola (default): prompt e schema di prima
+  fake.chats.length = 0;
+  await fetch(app.base + '/api/quiz', { method: 'POST', body: pdfForm(textPdf(), { num: 2 }) });
+  assert.doesNotMatch(userPrompt(fake.chats[0]), /Tipi di domanda/);
+  assert.equal(fake.chats[0].response_format.json_schema.schema.properties.questions.items.properties.type, undefined);
+
+  fake.chats.length = 0;
+  const bad = await fetch(app.base + '/api/quiz', { method: 'POST', body: pdfForm(textPdf(), { types: 'matching' }) });
+  assert.equal(bad.status, 400);
+  assert.match((await bad.json()).error, /Tipo di domanda non valido: matching/);
+  assert.equal(fake.chats.length, 0);
+});
+
+test('POST /api/quiz/grade: correzione locale senza modello, aperte corrette dal modello', async () => {
+  let js = await (await grade({ question: { type: 'numeric', question: 'g?', answer: 9.81, tolerance: 0.05 }, answer: '9,8' })).json();
+  assert.deepEqual(js, { ok: true, data: { type: 'numeric', score: 1, correct: true } });
+  js = await (await grade({ question: { question: 'Q', options: ['a', 'b', 'c', 'd'], correct: 1 }, answer: 0 })).json();
+  assert.deepEqual(js.data, { type: 'single', score: 0, correct: false });
+  assert.equal(fake.chats.length, 0);
+
+  fake.script.push({ json: { score: 0.4, feedback: 'Manca la respirazione cellulare.', missing: ['respirazione cellulare'] } });
+  js = await (await grade({ subject: 'Biologia', question: OPEN, answer: 'Produce ATP.' })).json();
+  assert.deepEqual(js, { ok: true, data: { type: 'open', score: 0.4, correct: false, feedback: 'Manca la respirazione cellulare.', missing: ['respirazione cellulare'] } });
+  const chat = fake.chats[0];
+  assert.equal(chat.response_format.json_schema.name, 'grade_response');
+  assert.equal(chat.temperature, 0);
+  assert.match(userPrompt(chat), /GRIGLIA DI CORREZIONE: Produce ATP con la respirazione cellulare\nRISPOSTA MODELLO: /);
+
+  fake.script.push({ json: { score: 1.4, feedback: 'Completa.', missing: [] } });
+  js = await (await grade({ question: OPEN, answer: 'Con la respirazione cellulare produce ATP.' })).json();
+  assert.deepEqual(js.data, { type: 'open', score: 1, correct: true, feedback: 'Completa.', missing: [] });
+
+  for (const [body, msg] of [
+    [{ question: OPEN, answer: '  ' }, /Risposta mancante/],
+    [{ question: { type: 'open', question: 'Q' }, answer: 'x' }, /Griglia di correzione mancante/],
+    [{ answer: 'x' }, /Domanda non valida/]
+  ]) {
+    const res = await grade(body);
+    assert.equal(res.status, 400);
+    assert.match((await res.json()).error, msg);
+  }
+});
+
+test('POST /api/quiz/grade con items: un quiz intero in una chiamata, risultati nello stesso ordine', async () => {
+  const items = [
+    { question: { question: 'Q', options: ['a', 'b', 'c', 'd'], correct: 2 }, answer: 2 },
+    { question: { type: 'truefalse', question: 'Vero?', answer: false }, answer: true },
+    { question: OPEN, answer: 'Produce ATP.' },
+    { question: { type: 'cloze', question: 'Il ___ contiene il DNA', blanks: [['nucleo']] }, answer: ['Nucleo'] }
+  ];
+  fake.script.push({ json: { score: 0.5, feedback: 'Parziale.', missing: ['respirazione cellulare'] } });
+  const res = await grade({ subject: 'Biologia', items });
+  assert.equal(res.status, 200);
+  const { results } = (await res.json()).data;
+  assert.deepEqual(results, [
+    { type: 'single', score: 1, correct: true },
+    { type: 'truefalse', score: 0, correct: false },
+    { type: 'open', score: 0.5, correct: false, feedback: 'Parziale.', missing: ['respirazione cellulare'] },
+    { type: 'cloze', score: 1, correct: true }
+  ]);
+  assert.equal(fake.chats.length, 1, 'solo la risposta aperta passa dal modello');
+
+  // Senza risposte aperte nessuna chiamata al modello
+  fake.chats.length = 0;
+  const auto = await (await grade({ items: [items[0], items[3]] })).json();
+  assert.deepEqual(auto.data.results.map(r => r.score), [1, 1]);
+  assert.equal(fake.chats.length, 0);
+
+  // Una voce non valida respinge tutto il lotto, indicando quale
+  for (const [body, msg] of [
+    [{ items: [items[0], { question: OPEN, answer: ' ' }] }, /^Domanda 2: Risposta mancante$/],
+    [{ items: [{ question: { question: 'Q', options: ['a'] }, answer: 0 }] }, /^Domanda 1: Servono 4 opzioni/],
+    [{ items: [] }, /Servono da 1 a 60 risposte/],
+    [{ items: Array(61).fill(items[0]) }, /Servono da 1 a 60 risposte/]
+  ]) {
+    const bad = await grade(body);
+    assert.equal(bad.status, 400);
+    assert.match((await bad.json()).error, msg);
+  }
+  assert.equal(fake.chats.length, 0);
+});
@@ -0,0 +1,186 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { startApp } from './helpers/app.js';
+import { quizToMoodleXml, parseMoodleXml, quizToGift, parseGift, quizToQtiPackage, parseQti, detectQuizFormat } from '../lib/quiz-io.js';
+
+const app = await startApp({ OPENAI_API_KEY: '' });
+test.after(() => app.close());
+
+const QUESTIONS = [
+  { type: 'single', question: 'Qual è la formula dell\'acqua? {H & O}', options: ['H2O', 'CO2', 'NaCl', 'O2'], correct: 0, explanation: 'Due atomi di idrogeno: uno di ossigeno.', sourcePage: 4 },
+  { type: 'single', question: 'Il pH neutro vale…', options: ['1', '7', '14', '<0 = acido'], correct: 1, explanation: '', sourcePage: null }
+];
+// Un esempio per tipo (il cloze a un solo spazio passa anche da GIFT)
+const TYPED = [
+  { type: 'multiple', question: 'Quali sono gas nobili?', options: ['He', 'Ne', 'O2', 'N2'], correct: [0, 1], explanation: 'Gruppo 18.', sourcePage: 2 },
+  { type: 'truefalse', question: 'L\'acqua bolle a 100 °C a livello del mare', answer: true, explanation: '', sourcePage: null },
+  { type: 'numeric', question: 'Numero di Avogadro (×10^23)?', answer: 6.022, tolerance: 0.01, unit: 'mol^-1', explanation: '', sourcePage: 5 },
+  { type: 'cloze', question: 'Il simbolo del sodio è _____ nella tavola periodica.', blanks: [['Na', 'na']], explanation: '', sourcePage: null },
+  { type: 'open', question: 'Che cos\'è un legame covalente?', rubric: 'Condivisione di elettroni tra atomi; esempio.', sampleAnswer: 'Due atomi condividono una coppia di elettroni, come in H2.', explanation: '', sourcePage: null }
+];
+
+test('Moodle XML: andata e ritorno', () => {
+  const xml = quizToMoodleXml('Chimica base', QUESTIONS, { category: 'StudyTool/Chimica/Chimica base' });
+  assert.match(xml, /<question type="multichoice">/);
+  const parsed = parseMoodleXml(xml);
+  assert.equal(parsed.title, 'Chimica base');
+  assert.deepEqual(parsed.questions, QUESTIONS);
+  assert.deepEqual(parsed.rejected, []);
+});
+
+test('GIFT: andata e ritorno con caratteri speciali', () => {
+  const gift = quizToGift('Chimica base', QUESTIONS, { category: 'StudyTool/Chimica' });
+  const parsed = parseGift(gift);
+  assert.equal(parsed.title, 'Chimica');
+  assert.deepEqual(parsed.questions, QUESTIONS);
+});
+
+test('QTI 2.1: pacchetto con manifest, andata e ritorno', () => {
+  const zip = quizToQtiPackage('Chimica base', QUESTIONS);
+  assert.equal(detectQuizFormat(zip, 'x.zip'), 'qti');
+  const parsed = parseQti(zip);
+  assert.equal(parsed.title, 'Chimica base');
+  assert.deepEqual(parsed.questions, QUESTIONS);
+});
+
+test('tutti i tipi di domanda: andata e ritorno nei tre formati', () => {
+  const cloze2 = { type: 'cloze', question: '_____ e _____ sono isotopi dell\'idrogeno.', blanks: [['deuterio'], ['trizio', 'tritio']], explanation: '', sourcePage: null };
+  const xml = quizToMoodleXml('Chimica', [...TYPED, cloze2]);
+  assert.match(xml, /<question type="multichoice">[\s\S]*<single>false<\/single>[\s\S]*fraction="-50"/);
+  assert.match(xml, /\{1:SHORTANSWER:=trizio~=tritio\}/);
+  assert.deepEqual(parseMoodleXml(xml).questions, [...TYPED, cloze2]);
+  assert.deepEqual(parseQti(quizToQtiPackage('Chimica', [...TYPED, cloze2])).questions, [...TYPED, cloze2]);
+  // GIFT: un solo spazio per domanda e nessuna griglia per le aperte
+  const gift = quizToGift('Chimica', [...TYPED, cloze2]);
+  assert.match(gift, /\/\/ Griglia di correzione: Condivisione di elettroni/);
+  assert.match(gift, /non esportabile in GIFT/);
+  const parsed = parseGift(gift);
+  assert.deepEqual(parsed.questions, TYPED.slice(0, 4));
+  assert.deepEqual(parsed.rejected.map(r => r.reason), ['domanda aperta senza griglia di correzione (GIFT non la prevede)']);
+});
+
+test('Moodle XML: le domande fuori modello vengono scartate con il motivo', () => {
+  const xml = `<?xml version="1.0"?><quiz>
+    <question type="truefalse"><name><text>VF</text></name><questiontext format="html"><text>Il sole è una stella</text></questiontext></question>
+    <question type="matching"><name><text>Abbina</text></name><questiontext format="html"><text>Abbina</text></questiontext></question>
+    <question type="essay"><name><text>Tema</text></name><questiontext format="html"><text>Descrivi</text></questiontext></question>
+    <question type="shortanswer"><name><text>Breve</text></name><questiontext format="html"><text>Capitale d'Italia?</text></questiontext>
+      <answer fraction="100"><text>Roma</text></answer><answer fraction="50"><text>Rome</text></answer></question>
+    <question type="multichoice"><name><text>Multi</text></name><questiontext format="html"><text>Scegli</text></questiontext><single>false</single>
+      <answer fraction="50"><text>a</text></answer><answer fraction="50"><text>b</text></answer></question>
+    <question type="multichoice"><name><text>Tre</text></name><questiontext format="html"><text><![CDATA[<p>Solo <b>tre</b></p>]]></text></questiontext><single>true</single>
+      <answer fraction="100"><text>a</text></answer><answer fraction="0"><text>b</text></answer><answer fraction="0"><text>c</text></answer></question>
+    <question type="multichoice"><name><text>Ok</text></name><questiontext format="plain_text"><text>2 &lt; 3?</text></questiontext><single>true</single>
+      <answer fraction="100"><text>sì</text></answer><answer fraction="0"><text>no</text></answer><answer fraction="0"><text>forse</text></answer><answer fraction="-25"><text>mai</text></answer></question>
+    <question type="multichoice"><name><text>Nessuna</text></name><questiontext format="html"><text>?</text></questiontext>
+      <answer fraction="0"><text>a</text></answer><answer fraction="0"><text>b</text></answer><answer fraction="0"><text>c</text></answer><answer fraction="0"><text>d</text></answer></question>
+  </quiz>`;
+  const parsed = parseMoodleXml(xml);
+  assert.deepEqual(parsed.questions, [
+    { type: 'cloze', question: 'Capitale d\'Italia? _____', blanks: [['Roma']], explanation: '', sourcePage: null },
+    { type: 'multiple', question: 'Scegli', options: ['a', 'b'], correct: [0, 1], explanation: '', sourcePage: null },
+    { type: 'single', question: '2 < 3?', options: ['sì', 'no', 'forse', 'mai'], correct: 0, explanation: '', sourcePage: null }
+  ]);
+  assert.deepEqual(parsed.rejected, [
+    { index: 1, title: 'VF', reason: 'risposta vero/falso mancante' },
+    { index: 2, title: 'Abbina', reason: 'tipo "matching" non supportato' },
+    { index: 3, title: 'Tema', reason: 'griglia di correzione mancante' },
+    { index: 6, title: 'Tre', reason: 'servono 4 opzioni (trovate 3)' },
+    { index: 8, title: 'Nessuna', reason: 'nessuna risposta corretta' }
+  ]);
+});
+
+test('GIFT: vero/falso, numeriche, risposta breve e parola mancante', () => {
+  const gift = `// commento
+::VF:: Il sole è una stella {T####È una stella nana.}
+
+::Num:: Quanto fa 2+2? {#4}
+
+::Intervallo:: Un valore tra 1 e 2 {#1..2}
+
+::Breve:: Capitale d'Italia? {=Roma =roma}
+
+Il simbolo del sodio è {=Na ~So ~Sd ~N} nella tavola periodica.
+
+::Multi:: Scegli due {~%50%a ~%50%b ~c ~d}
+
+::Tema:: Descrivi la cellula. {}
+
+::Abbina:: Abbina {=a -> 1 =b -> 2}
+`;
+  const parsed = parseGift(gift);
+  assert.deepEqual(parsed.questions, [
+    { type: 'truefalse', question: 'Il sole è una stella', answer: true, explanation: 'È una stella nana.', sourcePage: null },
+    { type: 'numeric', question: 'Quanto fa 2+2?', answer: 4, tolerance: 0, unit: '', explanation: '', sourcePage: null },
+    { type: 'numeric', question: 'Un valore tra 1 e 2', answer: 1.5, tolerance: 0.5, unit: '', explanation: '', sourcePage: null },
+    { type: 'cloze', question: 'Capitale d\'Italia? _____', blanks: [['Roma', 'roma']], explanation: '', sourcePage: null },
+    { type: 'single', question: 'Il simbolo del sodio è _____ nella tavola periodica.', options: ['Na', 'So', 'Sd', 'N'], correct: 0, explanation: '', sourcePage: null },
+    { type: 'multiple', question: 'Scegli due', options: ['a', 'b', 'c', 'd'], correct: [0, 1], explanation: '', sourcePage: null }
+  ]);
+  assert.deepEqual(parsed.rejected.map(r => r.reason), ['domanda aperta senza griglia di correzione (GIFT non la prevede)', 'domanda di abbinamento non supportata']);
+});
+
+function fileForm(content, name, fields = {}) {
+  const fd = new FormData();
+  fd.append('file', new Blob([content]), name);
+  for (const [k, v] of Object.entries(fields)) fd.append(k, v);
+  return fd;
+}
+
+test('API: export nei tre formati e import con report e deduplicazione', async () => {
+  await fetch(app.base + '/api/library/Chimica/quiz/qz1', {
+    method: 'PUT', headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ title: 'Chimica base', data: { questions: QUESTIONS } })
+  });
+  for (const [format, type] of [['moodle', /xml/], ['gift', /text\/plain/], ['qti', /zip/]]) {
+    const res = await fetch(app.base + `/api/library/Chimica/quiz/qz1/export?format=${format}`);
+    assert.equal(res.status, 200);
+    assert.match(res.headers.get('content-type'), type);
+  }
+  const gift = await (await fetch(app.base + '/api/library/Chimica/quiz/qz1/export?format=gift')).text();
+  const extra = gift + '\n::Tema:: Descrivi il ferro. {}\n\n::Nuova:: Simbolo del ferro? {=Fe ~F ~Fr ~Ir}\n';
+
+  // Prova senza salvare
+  let js = await (await fetch(app.base + '/api/library/Chimica/quiz/import', { method: 'POST', body: fileForm(extra, 'banca.gift', { quizId: 'qz1', dryRun: '1' }) })).json();
+  assert.deepEqual([js.ok, js.dryRun, js.item, js.imported, js.duplicates], [true, true, null, 1, 2]);
+  assert.deepEqual(js.rejected, [{ index: 3, title: 'Tema', reason: 'domanda aperta senza griglia di correzione (GIFT non la prevede)' }]);
+  let list = await (await fetch(app.base + '/api/library/Chimica/quiz/qz1')).json();
+  assert.equal(list.item.data.questions.length, 2);
+
+  js = await (await fetch(app.base + '/api/library/Chimica/quiz/import', { method: 'POST', body: fileForm(extra, 'banca.gift', { quizId: 'qz1' }) })).json();
+  assert.equal(js.item.data.questions.length, 3);
+  assert.equal(js.format, 'gift');
+
+  // Pacchetto QTI come nuovo quiz
+  const qti = Buffer.from(await (await fetch(app.base + '/api/library/Chimica/quiz/qz1/export?format=qti')).arrayBuffer());
+  js = await (await fetch(app.base + '/api/library/Chimica/quiz/import', { method: 'POST', body: fileForm(qti, 'chimica.qti.zip') })).json();
+  assert.equal(js.format, 'qti');
+  assert.equal(js.item.title, 'Chimica base');
+  assert.equal(js.imported, 3);
+});
+
+test('API: file senza domande valide o XML rotto → 400 con report', async () => {
+  let res = await fetch(app.base + '/api/library/Chimica/quiz/import', { method: 'POST', body: fileForm('::Tema:: Descrivi la cellula. {}\n', 'x.gift') });
+  let js = await res.json();
+  assert.equal(res.status, 400);
+  assert.equal(js.rejected.length, 1);
+  res = await fetch(app.base + '/api/library/Chimica/quiz/import', { method: 'POST', body: fileForm('<quiz><question', 'rotto.xml') });
+  assert.equal(res.status, 400);
+  res = await fetch(app.base + '/api/library/Chimica/quiz/qz1/export?format=docx');
+  assert.equal(res.status, 400);
+});
+
+test('API: il titolo della banca importata arriva senza markup', async () => {
+  const banks = [
+    // Moodle e GIFT: il titolo è l'ultimo segmento della categoria (una "/" lo spezzerebbe)
+    ['moodle.xml', quizToMoodleXml('Acidi e basi', QUESTIONS).replace('<quiz>', '<quiz><question type="category"><category><text>$course$/Chimica/&lt;script&gt;alert(1)&lt;img src=x onerror=alert(1)&gt;Acidi e basi</text></category></question>')],
+    ['banca.gift', `$CATEGORY: $course$/Chimica/<script>alert(1)<img src=x onerror=alert(1)>Acidi e basi\n\n${quizToGift('Acidi e basi', QUESTIONS)}`],
+    ['banca.qti.zip', quizToQtiPackage('<script>alert(1)</script>Acidi e basi', QUESTIONS)]
+  ];
+  for (const [name, bank] of banks) {
+    const js = await (await fetch(app.base + '/api/library/Sicurezza/quiz/import', { method: 'POST', body: fileForm(bank, name) })).json();
+    assert.equal(js.ok, true, name);
+    assert.doesNotMatch(js.item.title, /[<>]/, name);
+    assert.match(js.item.title, /Acidi e basi$/, name);
+  }
+});
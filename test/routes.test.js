@@ -0,0 +1,124 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { startFakeLLM } from './helpers/fake-llm.js';
+import { startApp, pdfForm } from './helpers/app.js';
+import { textPdf, multiPagePdf, scannedPdf } from './helpers/pdf.js';
+
+const fake = await startFakeLLM();
+const app = await startApp({ OPENAI_API_KEY: 'sk-test', OPENAI_BASE_URL: fake.url, OPENAI_JSON_ATTEMPTS: '2' });
+test.after(async () => { await app.close(); await fake.close(); });
+test.beforeEach(() => { fake.chats.length = 0; fake.requests.length = 0; fake.script.length = 0; });
+
+const post = (path, body) => fetch(app.base + path, { method: 'POST', body });
+const userPrompt = (chat) => chat.messages.find(m => m.role === 'user').content;
+
+test('GET /api/ping risponde senza autenticazione', async () => {
+  const js = await (await fetch(app.base + '/api/ping')).json();
+  assert.deepEqual(js, { ok: true, hasOpenAI: true, provider: 'openai', auth: { required: false, register: true, invite: false } });
+});
+
+test('POST /api/summary restituisce { text } e invia pagine e titoli al modello', async () => {
+  const res = await post('/api/summary', pdfForm(textPdf(), { subject: 'Biologia' }));
+  assert.equal(res.status, 200);
+  assert.ok(res.headers.get('x-request-id'));
+  const js = await res.json();
+  assert.equal(js.ok, true);
+  assert.equal(typeof js.data.text, 'string');
+  assert.equal(fake.chats.length, 1);
+  assert.equal(fake.chats[0].response_format.json_schema.name, 'summary_response');
+  assert.match(userPrompt(fake.chats[0]), /\[Pagina 1\]\n## La cellula\n\nLa cellula e l unita fondamentale/);
+});
+
+test('POST /api/flashcards restituisce num carte con pagina di origine', async () => {
+  const js = await (await post('/api/flashcards', pdfForm(textPdf(), { num: 3 }))).json();
+  assert.equal(js.ok, true);
+  assert.equal(js.data.cards.length, 3);
+  for (const c of js.data.cards) {
+    assert.equal(typeof c.front, 'string');
+    assert.equal(typeof c.back, 'string');
+    assert.equal(c.sourcePage, 1);
+  }
+});
+
+test('page_from/page_to selezionano le pagine reali del PDF', async () => {
+  const js = await (await post('/api/quiz', pdfForm(multiPagePdf(), { num: 2, page_from: 2, page_to: 3 }))).json();
+  assert.equal(js.ok, true);
+  const prompt = fake.chats.map(userPrompt).join('\n');
+  assert.match(prompt, /\[Pagina 2\]\n## Capitolo due/);
+  assert.match(prompt, /Terza pagina/);
+  assert.doesNotMatch(prompt, /Prima pagina|Quarta pagina/);
+});
+
+test('il sanitiser del quiz deduplica, scarta le domande non valide e limita correct', async () => {
+  fake.script.push({ json: { questions: [
+    { question: 'Cos e il DNA?', options: ['a', 'b', 'c', 'd'], correct: 7 },
+    { question: '  cos E il dna?  ', options: ['a', 'b', 'c', 'd'], correct: 1 },
+    { question: 'Solo tre opzioni', options: ['a', 'b', 'c'], correct: 0 },
+    { question: 'Cinque opzioni', options: ['a', 'b', 'c', 'd', 'e'], correct: '2', explanation: 'perché', sourcePage: 1 },
+    { question: '', options: ['a', 'b', 'c', 'd'], correct: 0 },
+    { question: 'Opzioni ripetute', options: ['a', 'A', 'c', 'd'], correct: 0 },
+    { type: 'truefalse', question: 'Tipo non richiesto', answer: true }
+  ] } });
+  const js = await (await post('/api/quiz', pdfForm(textPdf(), { num: 5 }))).json();
+  assert.equal(js.ok, true);
+  assert.deepEqual(js.data.questions, [
+    { type: 'single', question: 'Cos e il DNA?', options: ['a', 'b', 'c', 'd'], correct: 3, explanation: '', sourcePage: null, confidence: 0.5 },
+    { type: 'single', question: 'Cinque opzioni', options: ['a', 'b', 'c', 'd'], correct: 2, explanation: 'perché', sourcePage: 1, confidence: 0.5 }
+  ]);
+});
+
+test('quiz senza domande valide → 400', async () => {
+  fake.script.push({ json: { questions: [{ question: 'x', options: ['a'], correct: 0 }] } });
+  const res = await post('/api/quiz', pdfForm(textPdf(), { num: 1 }));
+  assert.equal(res.status, 400);
+  assert.deepEqual(await res.json(), { ok: false, error: "Nessuna domanda valida generata dall'IA" });
+});
+
+test('la risposta del modello con prosa e code fence viene comunque letta', async () => {
+  fake.script.push({ raw: 'Ecco il riassunto:\n```json\n{"text":"Riassunto dal fence"}\n```' });
+  const js = await (await post('/api/summary', pdfForm(textPdf()))).json();
+  assert.deepEqual(js, { ok: true, data: { text: 'Riassunto dal fence', language: { source: 'it', target: 'it' } } });
+});
+
+test('JSON non valido per tutti i tentativi → 400 con errore di parsing', async () => {
+  fake.script.push({ raw: 'niente json' }, { raw: 'ancora niente' });
+  const res = await post('/api/summary', pdfForm(textPdf()));
+  assert.equal(res.status, 400);
+  assert.match((await res.json()).error, /Nessun JSON trovato/);
+  assert.equal(fake.chats.length, 2);
+});
+
+test('file mancante → 400', async () => {
+  const res = await post('/api/flashcards', pdfForm(null, { num: 3 }));
+  assert.equal(res.status, 400);
+  assert.deepEqual(await res.json(), { ok: false, error: "File mancante (campo 'pdf')" });
+});
+
+test('PDF scansionato passa dall\'OCR e rispetta l\'intervallo pagine', async () => {
+  const js = await (await post('/api/summary', pdfForm(scannedPdf(), { page_from: 2, page_to: 2 }))).json();
+  assert.equal(js.ok, true);
+  const urls = fake.requests.map(r => `${r.method} ${r.url}`);
+  assert.ok(urls.includes('POST /v1/files'));
+  assert.ok(urls.includes('POST /v1/responses'));
+  assert.ok(urls.includes('DELETE /v1/files/file-test'), 'il file OCR viene cancellato');
+  const prompt = userPrompt(fake.chats[0]);
+  assert.match(prompt, /\[Pagina 2\]\nTesto scansionato pagina due/);
+  assert.doesNotMatch(prompt, /pagina uno/);
+});
+
+test('job asincrono: 202 con jobId, poi stato done con risultato', async () => {
+  const res = await post('/api/flashcards?async=1', pdfForm(textPdf(), { num: 2 }));
+  assert.equal(res.status, 202);
+  const { jobId } = await res.json();
+  let job;
+  for (let i = 0; i < 50; i++) {
+    job = (await (await fetch(`${app.base}/api/jobs/${jobId}`)).json()).job;
+    if (job.status !== 'queued' && job.status !== 'running') break;
+    await new Promise(r => setTimeout(r, 20));
+  }
+  assert.equal(job.status, 'done');
+  assert.equal(job.percent, 100);
+  assert.equal(job.result.cards.length, 2);
+  const del = await fetch(`${app.base}/api/jobs/sconosciuto`, { method: 'DELETE' });
+  assert.equal(del.status, 404);
+});
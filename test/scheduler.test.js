@@ -0,0 +1,121 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createScheduler, parseDuration, retryAfterMs } from '../lib/scheduler.js';
+import { estimateCost } from '../lib/usage.js';
+import { startFakeLLM } from './helpers/fake-llm.js';
+import { startApp, pdfForm } from './helpers/app.js';
+import { textPdf } from './helpers/pdf.js';
+
+const fake = await startFakeLLM();
+const app = await startApp({ OPENAI_API_KEY: 'sk-test', OPENAI_BASE_URL: fake.url, OPENAI_JSON_ATTEMPTS: '1', OPENAI_CONCURRENCY: '1', LLM_QUEUE_MAX: '1' });
+test.after(async () => { await app.close(); await fake.close(); });
+test.beforeEach(() => { fake.chats.length = 0; fake.script.length = 0; });
+
+const summary = () => fetch(app.base + '/api/summary', { method: 'POST', body: pdfForm(textPdf()) });
+const tick = (ms) => new Promise(r => setTimeout(r, ms));
+
+test('durate e attese dagli header del provider', () => {
+  assert.equal(parseDuration('6m0s'), 360_000);
+  assert.equal(parseDuration('1.5s'), 1500);
+  assert.equal(parseDuration('20ms'), 20);
+  assert.equal(parseDuration('2'), 2000);
+  assert.equal(parseDuration('presto'), null);
+  assert.equal(retryAfterMs({ 'retry-after-ms': '250', 'retry-after': '9' }), 250);
+  assert.equal(retryAfterMs(new Headers({ 'Retry-After': '3' })), 3000);
+  assert.equal(retryAfterMs({ 'x-ratelimit-remaining-requests': '5', 'x-ratelimit-remaining-tokens': '0', 'x-ratelimit-reset-tokens': '1m30s' }), 90_000);
+  assert.equal(retryAfterMs({}), null);
+});
+
+test('RPM su finestra scorrevole: la chiamata oltre il budget aspetta', async () => {
+  const s = createScheduler({ rpm: 2, concurrency: 5 });
+  let started = 0;
+  const run = () => s.schedule(async () => { started++; });
+  await Promise.all([run(), run()]);
+  run();
+  await tick(30);
+  assert.equal(started, 2, 'la terza resta in coda');
+  assert.equal(s.stats().queued, 1);
+  assert.deepEqual(s.stats().window, { requests: 2, tokens: 0 });
+});
+
+test('TPM: la stima viene sostituita dai token reali', async () => {
+  const s = createScheduler({ tpm: 1000, concurrency: 5 });
+  await s.schedule(async () => ({ usage: { promptTokens: 100, completionTokens: 50 } }), { tokens: 900, tokensOf: (r) => r.usage.promptTokens + r.usage.completionTokens });
+  assert.equal(s.stats().window.tokens, 150);
+  await s.schedule(async () => {}, { tokens: 850 }); // 150 + 850 rientra nel budget
+  let started = false;
+  s.schedule(async () => { started = true; }, { tokens: 10 });
+  await tick(20);
+  assert.equal(started, false, 'budget esaurito fino allo scorrere della finestra');
+});
+
+test('equità: i client vengono serviti a turno', async () => {
+  const s = createScheduler({ concurrency: 1 });
+  const order = [];
+  const job = (client, n) => s.schedule(async () => { order.push(`${client}${n}`); await tick(5); }, { client });
+  // x0 occupa l'unico slot mentre "a" accoda tre chiamate prima di "b"
+  await Promise.all([job('x', 0), job('a', 1), job('a', 2), job('a', 3), job('b', 1), job('b', 2)]);
+  assert.deepEqual(order, ['x0', 'a1', 'b1', 'a2', 'b2', 'a3']);
+});
+
+test('coda piena → QUEUE_FULL; pausa dagli header x-ratelimit', async () => {
+  const s = createScheduler({ concurrency: 1, maxQueue: 1 });
+  const slow = s.schedule(() => tick(50));
+  const queued = s.schedule(() => tick(1));
+  await assert.rejects(s.schedule(() => tick(1)), (err) => err.code === 'QUEUE_FULL' && err.status === 503);
+  assert.equal(s.isFull(), true);
+  await Promise.all([slow, queued]);
+
+  s.observe({ 'x-ratelimit-remaining-requests': '0', 'x-ratelimit-reset-requests': '80ms' });
+  const t0 = Date.now();
+  await s.schedule(async () => {});
+  assert.ok(Date.now() - t0 >= 75, 'attende il reset indicato dal provider');
+});
+
+test('costo stimato dal listino', () => {
+  assert.equal(estimateCost('gpt-4o-mini-2024-07-18', 1_000_000, 1_000_000), 0.75);
+  assert.equal(estimateCost('openai/gpt-4o', 1000, 0), 0.0025);
+  assert.equal(estimateCost('llama3.1', 1000, 1000), null);
+});
+
+test('429 con retry-after-ms: attesa del provider invece del backoff', async () => {
+  fake.script.push({ status: 429, body: { error: { message: 'Rate limit reached' } }, headers: { 'retry-after-ms': '50' } });
+  const t0 = Date.now();
+  const res = await summary();
+  assert.equal(res.status, 200);
+  assert.equal(fake.chats.length, 2);
+  assert.ok(Date.now() - t0 < 450, 'niente backoff da 500ms');
+});
+
+test('429 con attesa oltre il minuto: errore senza ritentare', async () => {
+  fake.script.push({ status: 429, body: { error: { message: 'Limite giornaliero' } }, headers: { 'retry-after': '3600' } });
+  const res = await summary();
+  assert.equal(res.status, 400);
+  assert.equal(fake.chats.length, 1);
+});
+
+test('coda LLM piena → 503 con Retry-After', async () => {
+  fake.script.push({ delayMs: 400 }, { delayMs: 400 });
+  const first = summary();
+  await tick(100);
+  const second = summary();
+  await tick(100);
+  const res = await summary();
+  assert.equal(res.status, 503);
+  assert.equal(res.headers.get('retry-after'), '30');
+  assert.match((await res.json()).error, /troppe richieste in coda/);
+  assert.deepEqual((await Promise.all([first, second])).map(r => r.status), [200, 200]);
+});
+
+test('GET /api/admin/usage: token e costo per client e modello', async () => {
+  await summary();
+  const js = await (await fetch(app.base + '/api/admin/usage?days=7')).json();
+  assert.equal(js.ok, true);
+  const { usage } = js;
+  assert.ok(usage.totals.requests >= 1);
+  assert.ok(usage.clients['ip:127.0.0.1'].promptTokens >= 10);
+  assert.equal(usage.models['gpt-4o-mini'].costUsd > 0, true);
+  assert.deepEqual(Object.keys(usage.recent[0].models), ['gpt-4o-mini']);
+  assert.equal(usage.recent[0].kind, 'summary');
+  assert.equal(js.scheduler.limits.maxQueue, 1);
+});
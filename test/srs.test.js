@@ -0,0 +1,94 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { startApp } from './helpers/app.js';
+import { sm2, dueToday, reviewKey, collectReviewItems, DAY_MS } from '../lib/srs.js';
+
+const app = await startApp({ OPENAI_API_KEY: '', SRS_NEW_PER_DAY: '3' });
+test.after(() => app.close());
+
+async function call(method, url, body) {
+  const res = await fetch(app.base + url, {
+    method,
+    headers: body !== undefined ? { 'Content-Type': 'application/json' } : {},
+    body: body !== undefined ? JSON.stringify(body) : undefined
+  });
+  return { status: res.status, js: await res.json() };
+}
+
+test('SM-2: intervalli 1, 6, poi moltiplicati per la facilità', () => {
+  const t0 = Date.UTC(2026, 0, 1);
+  let s = sm2(null, 4, t0);
+  assert.deepEqual([s.reps, s.interval, s.ease], [1, 1, 2.5]);
+  s = sm2(s, 4, t0);
+  assert.equal(s.interval, 6);
+  s = sm2(s, 5, t0);
+  assert.equal(s.interval, 15);
+  assert.equal(s.ease, 2.6);
+  assert.equal(s.due, t0 + 15 * DAY_MS);
+});
+
+test('SM-2: un errore azzera le ripetizioni, conta la dimenticanza e abbassa la facilità', () => {
+  let s = sm2(sm2(null, 4), 4);
+  s = sm2(s, 1);
+  assert.equal(s.reps, 0);
+  assert.equal(s.interval, 1);
+  assert.equal(s.lapses, 1);
+  assert.ok(s.ease < 2.5);
+  for (let i = 0; i < 10; i++) s = sm2(s, 0);
+  assert.equal(s.ease, 1.3, 'la facilità non scende sotto 1.3');
+});
+
+test('dueToday: scaduti prima, poi nuovi entro il limite', () => {
+  const now = Date.UTC(2026, 0, 10, 12);
+  const items = collectReviewItems({
+    flashcards: [{ id: 'f', data: { cards: [{ front: 'A', back: '1' }, { front: 'B', back: '2' }, { front: 'C', back: '3' }] } }],
+    quiz: [{ id: 'q', data: { questions: [{ question: 'D?', options: ['x', 'y', 'z', 'w'], correct: 0 }] } }]
+  });
+  assert.equal(items.length, 4);
+  const srs = {
+    [reviewKey('card', 'f', 'A')]: { due: now + 5 * DAY_MS },
+    [reviewKey('card', 'f', 'B')]: { due: now - DAY_MS },
+    [reviewKey('quiz', 'q', 'D?')]: { due: now + 3600 * 1000 }
+  };
+  const { due, fresh, newTotal } = dueToday(items, srs, { now, newLimit: 5 });
+  assert.deepEqual(due.map(x => x.key), [reviewKey('card', 'f', 'B'), reviewKey('quiz', 'q', 'D?')]);
+  assert.deepEqual(fresh.map(x => x.key), [reviewKey('card', 'f', 'C')]);
+  assert.equal(newTotal, 1);
+});
+
+test('sessione di ripasso via API: nuovi elementi, voto, uscita dalla coda e statistiche', async () => {
+  await call('PUT', '/api/library/Biologia/flashcards/f1', { title: 'Cellula', data: { cards: [{ front: 'Mitocondrio?', back: 'Centrale energetica' }, { front: 'Ribosoma?', back: 'Sintesi proteica' }] } });
+  await call('PUT', '/api/library/Biologia/quiz/q1', { title: 'Quiz cellula', data: { questions: [
+    { question: 'Dove avviene la respirazione?', options: ['Mitocondrio', 'Nucleo', 'Ribosoma', 'Golgi'], correct: 0 },
+    { question: 'Cosa contiene il nucleo?', options: ['DNA', 'ATP', 'Lipidi', 'Amido'], correct: 0 }
+  ] } });
+
+  let r = await call('GET', '/api/library/Biologia/review');
+  assert.deepEqual(r.js.counts, { due: 0, new: 3, newTotal: 4, total: 4 });
+  const [first] = r.js.items;
+  assert.equal(first.kind, 'card');
+  assert.equal(first.state, null);
+
+  r = await call('POST', '/api/library/Biologia/review', { key: first.key, grade: 4 });
+  assert.equal(r.js.state.interval, 1);
+  assert.equal(r.js.state.reps, 1);
+
+  r = await call('GET', '/api/library/Biologia/review');
+  assert.ok(!r.js.items.some(x => x.key === first.key), 'rivisto: scade domani');
+  assert.equal(r.js.counts.newTotal, 3);
+
+  const q = r.js.items.find(x => x.kind === 'quiz');
+  await call('POST', '/api/library/Biologia/review', { key: q.key, grade: 1 });
+  r = await call('GET', '/api/library/Biologia/review/stats');
+  assert.equal(r.js.summary.reviewsToday, 2);
+  assert.equal(r.js.summary.learned, 2);
+  assert.equal(r.js.summary.retention30, 50);
+  assert.equal(r.js.summary.upcoming[1], 2, 'entrambi tornano domani');
+});
+
+test('voto o chiave non validi restituiscono 400', async () => {
+  let r = await call('POST', '/api/library/Biologia/review', { key: 'card|f1|Mitocondrio?', grade: 7 });
+  assert.equal(r.status, 400);
+  r = await call('POST', '/api/library/Biologia/review', { key: 'altro|x', grade: 3 });
+  assert.equal(r.status, 400);
+});
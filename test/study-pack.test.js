@@ -0,0 +1,85 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { startFakeLLM } from './helpers/fake-llm.js';
+import { startApp, pdfForm } from './helpers/app.js';
+import { textPdf } from './helpers/pdf.js';
+
+const fake = await startFakeLLM();
+const app = await startApp({ OPENAI_API_KEY: 'sk-test', OPENAI_BASE_URL: fake.url, OPENAI_JSON_ATTEMPTS: '1', AUTH_REQUIRED: '1', AUTH_SECRET: 'segreto-di-test', USER_DAILY_QUOTA: '4' });
+test.after(async () => { await app.close(); await fake.close(); });
+test.beforeEach(() => { fake.chats.length = 0; fake.script.length = 0; });
+
+async function login(username) {
+  const res = await fetch(app.base + '/api/auth/register', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ username, password: 'password-lunga' }) });
+  return { Authorization: `Bearer ${(await res.json()).token}` };
+}
+const pack = (headers, fields, query = '') => fetch(app.base + '/api/study-pack' + query, { method: 'POST', headers, body: pdfForm(textPdf(), fields) });
+const quotaUsed = async (headers) => (await (await fetch(app.base + '/api/auth/me', { headers })).json()).quota.used;
+const schemaOf = (chat) => chat.response_format.json_schema.name;
+
+test('POST /api/study-pack: riassunto, flashcard e quiz da un solo upload', async () => {
+  const auth = await login('giulia');
+  const res = await pack(auth, { subject: 'Biologia', length: 'short', difficulty: 'easy', numCards: 2, numQuestions: 3, types: 'single,truefalse' });
+  assert.equal(res.status, 200);
+  const { data } = await res.json();
+  assert.deepEqual(fake.chats.map(schemaOf), ['summary_response', 'flashcards_response', 'quiz_response']);
+  assert.match(data.summary.text, /cellula/);
+  assert.equal(data.flashcards.cards.length, 2);
+  assert.ok(data.flashcards.cards.every(c => typeof c.confidence === 'number'));
+  assert.deepEqual(data.quiz.questions.map(q => q.type), ['single', 'truefalse', 'single']);
+  assert.deepEqual(data.language, { source: 'it', target: 'it' });
+  assert.equal(data.errors, undefined);
+  // Stesse opzioni delle rotte singole, nei rispettivi prompt
+  const user = (i) => fake.chats[i].messages.find(m => m.role === 'user').content;
+  assert.match(user(0), /LUNGHEZZA: breve/);
+  assert.match(user(1), /genera 2 flashcards con difficoltà facile/);
+  assert.match(user(2), /Numero domande: 3\. Difficoltà: facile/);
+
+  // Un solo documento indicizzato, tre generazioni addebitate
+  const docs = await (await fetch(app.base + '/api/library/Biologia/documents', { headers: auth })).json();
+  assert.equal(docs.documents.length, 1);
+  assert.equal(await quotaUsed(auth), 3);
+  const over = await pack(auth, {});
+  assert.equal(over.status, 429);
+  assert.match((await over.json()).error, /Quota giornaliera insufficiente \(servono 3 generazioni, ne restano 1\)/);
+  assert.equal(fake.chats.length, 3);
+});
+
+test('una parte fallita finisce in errors e la sua generazione viene restituita', async () => {
+  const auth = await login('marco');
+  fake.script.push({}, {}, { json: { questions: [{ question: 'x', options: ['a'], correct: 0 }] } });
+  const res = await pack(auth, { numCards: 1, numQuestions: 1 });
+  assert.equal(res.status, 200);
+  const { data } = await res.json();
+  assert.deepEqual(Object.keys(data).filter(k => ['summary', 'flashcards', 'quiz', 'errors'].includes(k)), ['summary', 'flashcards', 'errors']);
+  assert.deepEqual(data.errors, { quiz: "Nessuna domanda valida generata dall'IA" });
+  assert.equal(await quotaUsed(auth), 2);
+});
+
+test('parametri non validi → 400 prima di estrarre e generare, quota restituita', async () => {
+  const auth = await login('sara');
+  for (const [fields, msg] of [[{ types: 'matching' }, /Tipo di domanda non valido/], [{ length: 'lunghissimo' }, /Lunghezza non valida/], [{ language: 'klingon' }, /Lingua non supportata/]]) {
+    const res = await pack(auth, fields);
+    assert.equal(res.status, 400);
+    assert.match((await res.json()).error, msg);
+  }
+  assert.equal(fake.chats.length, 0);
+  assert.equal(await quotaUsed(auth), 0);
+});
+
+test('study-pack asincrono: il job riporta la parte in corso e il pacchetto completo', async () => {
+  const auth = await login('pietro');
+  fake.script.push({ delayMs: 150 }, { delayMs: 150 }, { delayMs: 150 });
+  const created = await (await pack(auth, { numCards: 1, numQuestions: 1 }, '?async=1')).json();
+  assert.equal(created.job.kind, 'study-pack');
+  const parts = new Set();
+  let job = created.job;
+  while (job.status === 'queued' || job.status === 'running') {
+    if (job.part) parts.add(job.part.name);
+    await new Promise(r => setTimeout(r, 40));
+    job = (await (await fetch(app.base + '/api/jobs/' + created.jobId, { headers: auth })).json()).job;
+  }
+  assert.equal(job.status, 'done');
+  assert.ok(parts.has('flashcards') && parts.has('quiz'), [...parts].join(','));
+  assert.deepEqual(['summary', 'flashcards', 'quiz'].map(k => !!job.result[k]), [true, true, true]);
+});
@@ -0,0 +1,111 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeProfile, normalizeSubject, profileGuide, DEFAULT_PROFILE } from '../lib/subjects.js';
+import { startFakeLLM } from './helpers/fake-llm.js';
+import { startApp, pdfForm } from './helpers/app.js';
+import { textPdf } from './helpers/pdf.js';
+
+const fake = await startFakeLLM();
+const app = await startApp({ OPENAI_API_KEY: 'sk-test', OPENAI_BASE_URL: fake.url, OPENAI_JSON_ATTEMPTS: '1' });
+test.after(async () => { await app.close(); await fake.close(); });
+test.beforeEach(() => { fake.chats.length = 0; fake.script.length = 0; });
+
+async function call(method, url, body) {
+  const res = await fetch(app.base + url, {
+    method,
+    headers: body !== undefined ? { 'Content-Type': 'application/json' } : {},
+    body: body !== undefined ? JSON.stringify(body) : undefined
+  });
+  return { status: res.status, js: await res.json() };
+}
+const prompts = (chat) => ({ system: chat.messages.find(m => m.role === 'system').content, user: chat.messages.find(m => m.role === 'user').content });
+
+test('profilo: validazione e indicazioni per il prompt', () => {
+  assert.equal(profileGuide(DEFAULT_PROFILE), '', 'profilo predefinito: prompt invariati');
+  const p = normalizeProfile({ language: ' Inglese ', tone: 'formale', formulas: 'latex', glossary: [{ term: 'ATP', definition: 'adenosina trifosfato' }, 'Krebs', { term: ' ' }], instructions: 'Niente elenchi puntati.' });
+  assert.deepEqual([p.language, p.glossary], ['en', [{ term: 'ATP', definition: 'adenosina trifosfato' }, { term: 'Krebs', definition: '' }]]);
+  assert.match(profileGuide(p), /registro formale[\s\S]*LaTeX tra \$\.\.\.\$[\s\S]*glossario della materia\):\n- ATP: adenosina trifosfato\n- Krebs\nIstruzioni specifiche per la materia: Niente elenchi puntati\./);
+  assert.throws(() => normalizeProfile({ tone: 'sarcastico' }), (e) => e.status === 400 && /Tono non valido \(ammessi: neutro, formale, divulgativo, semplice\)/.test(e.message));
+  assert.throws(() => normalizeProfile({ formulas: 'mathml' }), /Gestione formule non valida/);
+  assert.throws(() => normalizeProfile({ glossary: 'ATP' }), /glossario deve essere un elenco/);
+  assert.throws(() => normalizeProfile({ language: 'it<script>' }), (e) => e.status === 400 && /Lingua non supportata/.test(e.message));
+  assert.equal(normalizeProfile({}, { language: 'italiano' }).language, 'it', 'profili salvati con il nome della lingua');
+  assert.throws(() => normalizeSubject({ name: 'X', color: 'rosso' }), /Colore non valido/);
+  // Aggiornamento parziale: i campi assenti restano quelli di prima
+  const prev = normalizeSubject({ name: 'Fisica', description: 'Onde', profile: { formulas: 'latex' } });
+  assert.deepEqual(normalizeSubject({ profile: { tone: 'semplice' } }, prev), { ...prev, profile: { ...prev.profile, tone: 'semplice' } });
+});
+
+test('GET /api/subjects: al primo accesso materie predefinite più quelle con dati in libreria', async () => {
+  await call('PUT', '/api/library/Storia/riassunti/r1', { title: 'Risorgimento' });
+  const r = await call('GET', '/api/subjects');
+  assert.equal(r.status, 200);
+  assert.deepEqual(r.js.subjects.map(s => s.name), ['Biologia', 'Chimica', 'Fisica', 'Storia']);
+  assert.equal(r.js.subjects.find(s => s.name === 'Fisica').profile.formulas, 'latex');
+  assert.deepEqual(r.js.options.tones, ['neutro', 'formale', 'divulgativo', 'semplice']);
+});
+
+test('il profilo della materia entra nei prompt di riassunto, flashcard e quiz', async () => {
+  const created = await call('POST', '/api/subjects', {
+    name: 'Letteratura inglese', color: '#c0392b',
+    profile: { language: 'inglese', tone: 'semplice', glossary: [{ term: 'stream of consciousness', definition: 'flusso di coscienza' }], instructions: "Cita sempre l'autore." }
+  });
+  assert.equal(created.status, 201);
+  assert.equal(created.js.subject.profile.language, 'en');
+  assert.equal((await call('POST', '/api/subjects', { name: 'Letteratura inglese' })).status, 409);
+  const bad = await call('POST', '/api/subjects', { name: 'Arte', profile: { tone: 'sarcastico' } });
+  assert.equal(bad.status, 400);
+  assert.match(bad.js.error, /Tono non valido/);
+
+  for (const route of ['summary', 'flashcards', 'quiz']) {
+    assert.equal((await fetch(app.base + `/api/${route}`, { method: 'POST', body: pdfForm(textPdf(), { subject: 'Letteratura inglese' }) })).status, 200);
+  }
+  assert.equal(fake.chats.length, 3);
+  for (const chat of fake.chats) {
+    const { system, user } = prompts(chat);
+    assert.match(system, / in inglese/);
+    assert.match(user, /materia: Letteratura inglese/);
+    assert.match(user, /Usa frasi brevi e un lessico semplice/);
+    assert.match(user, /- stream of consciousness: flusso di coscienza\nIstruzioni specifiche per la materia: Cita sempre l'autore\.\nFormat/);
+  }
+
+  // Materia senza personalizzazioni: prompt di sempre
+  fake.chats.length = 0;
+  await fetch(app.base + '/api/summary', { method: 'POST', body: pdfForm(textPdf(), { subject: 'Chimica' }) });
+  const { system, user } = prompts(fake.chats[0]);
+  assert.match(system, /riassunti accurati in italiano\./);
+  assert.match(user, /es\. "\(p\. 3\)"\. Mantieni la struttura per paragrafi\.\nFormatta in JSON/);
+});
+
+test('PUT /api/subjects/:name: modifica il profilo e rinomina spostando libreria e appunti indicizzati', async () => {
+  await call('POST', '/api/subjects', { name: 'Anatomia' });
+  await call('PUT', '/api/library/Anatomia/quiz/q1', { title: 'Ossa', questions: [] });
+  assert.equal((await fetch(app.base + '/api/library/Anatomia/documents', { method: 'POST', body: pdfForm(textPdf()) })).status, 200);
+
+  let r = await call('PUT', '/api/subjects/Anatomia', { profile: { instructions: 'Usa la nomenclatura latina.' } });
+  assert.equal(r.status, 200);
+  assert.equal(r.js.subject.profile.instructions, 'Usa la nomenclatura latina.');
+  assert.equal((await call('PUT', '/api/subjects/Anatomia', { name: 'Biologia' })).status, 409);
+
+  r = await call('PUT', '/api/subjects/Anatomia', { name: 'Anatomia umana', description: 'Apparati e organi' });
+  assert.equal(r.status, 200);
+  assert.deepEqual([r.js.subject.name, r.js.subject.description, r.js.subject.profile.instructions], ['Anatomia umana', 'Apparati e organi', 'Usa la nomenclatura latina.']);
+  assert.deepEqual((await call('GET', '/api/library/Anatomia%20umana/quiz')).js.items.map(i => i.id), ['q1']);
+  assert.deepEqual((await call('GET', '/api/library/Anatomia/quiz')).js.items, []);
+  assert.equal((await call('GET', '/api/library/Anatomia%20umana/documents')).js.documents.length, 1);
+  assert.deepEqual((await call('GET', '/api/library/Anatomia/documents')).js.documents, []);
+  assert.equal((await call('PUT', '/api/subjects/Anatomia', { description: 'x' })).status, 404);
+
+  // Le generazioni usano il profilo salvato sotto il nuovo nome
+  await fetch(app.base + '/api/quiz', { method: 'POST', body: pdfForm(textPdf(), { subject: 'Anatomia umana' }) });
+  assert.match(prompts(fake.chats.at(-1)).user, /Istruzioni specifiche per la materia: Usa la nomenclatura latina\./);
+});
+
+test('DELETE /api/subjects/:name: toglie la materia con i suoi contenuti', async () => {
+  await call('POST', '/api/subjects', { name: 'Geografia' });
+  await call('PUT', '/api/library/Geografia/flashcards/f1', { title: 'Capitali', cards: [] });
+  assert.deepEqual((await call('DELETE', '/api/subjects/Geografia')).js, { ok: true });
+  assert.ok(!(await call('GET', '/api/subjects')).js.subjects.some(s => s.name === 'Geografia'));
+  assert.deepEqual((await call('GET', '/api/library/Geografia/flashcards')).js.items, []);
+  assert.equal((await call('DELETE', '/api/subjects/Geografia')).status, 404);
+});
@@ -0,0 +1,114 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { outlineFromMarkdown, normalizeStructuredSummary, combineStructured, markdownToHtml, summaryToMarkdown, parseSummaryFormat } from '../lib/summary-io.js';
+import { startFakeLLM } from './helpers/fake-llm.js';
+import { startApp, pdfForm } from './helpers/app.js';
+import { textPdf } from './helpers/pdf.js';
+
+const fake = await startFakeLLM();
+const app = await startApp({ OPENAI_API_KEY: 'sk-test', OPENAI_BASE_URL: fake.url, OPENAI_JSON_ATTEMPTS: '1', AUTH_REQUIRED: '1', AUTH_SECRET: 'segreto-di-test' });
+test.after(async () => { await app.close(); await fake.close(); });
+test.beforeEach(() => { fake.chats.length = 0; fake.script.length = 0; });
+
+async function login(username) {
+  const res = await fetch(app.base + '/api/auth/register', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ username, password: 'password-lunga' }) });
+  return { Authorization: `Bearer ${(await res.json()).token}` };
+}
+const summary = (headers, fields) => fetch(app.base + '/api/summary', { method: 'POST', headers, body: pdfForm(textPdf(), fields) });
+const schemaOf = (chat) => chat.response_format.json_schema;
+const userPrompt = (chat) => chat.messages.find(m => m.role === 'user').content;
+
+test('normalizzazione: indice dai titoli, formule senza delimitatori, mappa con archi validi, unione dei chunk', () => {
+  assert.deepEqual(outlineFromMarkdown('## Cellula\ntesto\n```\n## non titolo\n```\n### Nucleo ##'), [{ level: 2, title: 'Cellula' }, { level: 3, title: 'Nucleo' }]);
+  const a = normalizeStructuredSummary({
+    markdown: '## Energia\nVale $E = mc^2$.',
+    keyTerms: [{ term: 'Energia', definition: 'Capacità di compiere lavoro.' }, { term: 'energia', definition: 'doppione' }, { term: '', definition: 'vuoto' }],
+    formulas: [{ latex: '$$E = mc^2$$', description: 'Equivalenza massa-energia' }],
+    conceptMap: { nodes: [{ id: 'a', label: 'Energia' }, { id: 'b', label: 'Massa' }, { id: 'a', label: 'doppione' }], edges: [{ from: 'a', to: 'b', label: 'equivale' }, { from: 'a', to: 'z', label: 'orfano' }] }
+  });
+  assert.deepEqual(a.outline, [{ level: 2, title: 'Energia' }]);
+  assert.deepEqual(a.keyTerms.map(k => k.term), ['Energia']);
+  assert.deepEqual(a.formulas, [{ latex: 'E = mc^2', description: 'Equivalenza massa-energia' }]);
+  assert.deepEqual(a.conceptMap, { nodes: [{ id: 'a', label: 'Energia' }, { id: 'b', label: 'Massa' }], edges: [{ from: 'a', to: 'b', label: 'equivale' }] });
+  assert.equal(normalizeStructuredSummary({ markdown: 'x', conceptMap: { nodes: [], edges: [] } }).conceptMap, null);
+
+  const b = normalizeStructuredSummary({ markdown: '## Massa', keyTerms: [{ term: 'Massa', definition: 'Quantità di materia.' }], formulas: [{ latex: 'E=mc^2', description: '' }], conceptMap: { nodes: [{ id: 'x', label: 'massa' }, { id: 'y', label: 'Peso' }], edges: [{ from: 'x', to: 'y', label: 'determina' }] } });
+  const joined = combineStructured([a, b]);
+  assert.equal(joined.text, '## Energia\nVale $E = mc^2$.\n\n## Massa');
+  assert.deepEqual(joined.outline.map(o => o.title), ['Energia', 'Massa']);
+  assert.deepEqual(joined.keyTerms.map(k => k.term), ['Energia', 'Massa']);
+  assert.equal(joined.formulas.length, 1, 'stessa formula a meno degli spazi');
+  // I nodi con la stessa etichetta (Massa/massa) si fondono
+  assert.deepEqual(joined.conceptMap.nodes.map(n => n.label), ['Energia', 'Massa', 'Peso']);
+  assert.deepEqual(joined.conceptMap.edges.map(e => [e.from, e.to]), [['n1', 'n2'], ['n2', 'n3']]);
+  assert.throws(() => parseSummaryFormat('pdf'), (err) => err.status === 400 && /Formato del riassunto non valido: pdf/.test(err.message));
+});
+
+test('Markdown → HTML: titoli, elenchi, enfasi, formule lasciate intatte per KaTeX, HTML del testo neutralizzato', () => {
+  const html = markdownToHtml('## Legge\n- la **forza** è $F = m_a \\cdot a_b$\n- *vettore*\n\n$$\n\\frac{a_1}{b_1}\n$$\n\n<script>x</script>');
+  assert.match(html, /<h2>Legge<\/h2>\n<ul>\n<li>la <strong>forza<\/strong> è \$F = m_a \\cdot a_b\$<\/li>\n<li><em>vettore<\/em><\/li>\n<\/ul>/);
+  assert.match(html, /<div class="math">\$\$\\frac\{a_1\}\{b_1\}\$\$<\/div>/);
+  assert.match(html, /<p>&lt;script&gt;x&lt;\/script&gt;<\/p>/);
+  const md = summaryToMarkdown('Fisica', { text: '## Legge', language: 'en', keyTerms: [{ term: 'Forza', definition: 'Causa del moto.' }], formulas: [{ latex: 'F = ma', description: '' }], conceptMap: { nodes: [{ id: 'a', label: 'Forza "netta"' }, { id: 'b', label: 'Moto' }], edges: [{ from: 'a', to: 'b', label: 'causa' }] } });
+  assert.equal(md, '# Fisica\n\n## Legge\n\n## Key terms\n\n- **Forza**: Causa del moto.\n\n## Formulas\n\n$$F = ma$$\n\n## Concept map\n\n```mermaid\ngraph TD\n  n1["Forza #quot;netta#quot;"]\n  n2["Moto"]\n  n1 -->|"causa"| n2\n```\n');
+});
+
+test('POST /api/summary con format=structured: schema dedicato, Markdown, termini e mappa; conceptMap=0 la omette', async () => {
+  const auth = await login('giulia');
+  const res = await summary(auth, { format: 'structured' });
+  assert.equal(res.status, 200);
+  const { data } = await res.json();
+  const schema = schemaOf(fake.chats[0]);
+  assert.equal(schema.name, 'summary_structured_response');
+  assert.deepEqual(schema.schema.required, ['markdown', 'keyTerms', 'formulas', 'conceptMap']);
+  assert.match(userPrompt(fake.chats[0]), /titoli ## e ###[\s\S]*formule in LaTeX tra \$\.\.\.\$/);
+  assert.equal(data.format, 'structured');
+  assert.match(data.text, /^## Sezione 1\n\n/);
+  assert.deepEqual(data.outline[0], { level: 2, title: 'Sezione 1' });
+  assert.ok(data.keyTerms.length > 0 && data.keyTerms.every(k => k.term && k.definition));
+  assert.deepEqual(data.formulas, []);
+  assert.equal(data.conceptMap.nodes[0].label, 'Documento');
+  assert.equal(data.conceptMap.edges.length, data.conceptMap.nodes.length - 1);
+
+  fake.chats.length = 0;
+  const noMap = (await (await summary(auth, { format: 'structured', conceptMap: '0' })).json()).data;
+  assert.equal(schemaOf(fake.chats[0]).schema.properties.conceptMap, undefined);
+  assert.doesNotMatch(userPrompt(fake.chats[0]), /conceptMap/);
+  assert.equal(noMap.conceptMap, null);
+
+  // Senza format il riassunto resta testo semplice
+  fake.chats.length = 0;
+  const plain = (await (await summary(auth, {})).json()).data;
+  assert.equal(schemaOf(fake.chats[0]).name, 'summary_response');
+  assert.deepEqual([plain.format, plain.keyTerms], [undefined, undefined]);
+
+  const bad = await summary(auth, { format: 'pdf' });
+  assert.equal(bad.status, 400);
+  assert.match((await bad.json()).error, /Formato del riassunto non valido/);
+});
+
+test('GET /api/library/:subject/riassunti/:id/export: Markdown e HTML con KaTeX e Mermaid', async () => {
+  const auth = { ...await login('marco'), 'Content-Type': 'application/json' };
+  const item = { id: 'r1', title: 'Cinematica', type: 'riassunti', data: { text: '## Moto\nVale $v = s/t$.', format: 'structured', keyTerms: [{ term: 'Velocità', definition: 'Spazio su tempo.' }], formulas: [{ latex: 'v = \\frac{s}{t}', description: 'Velocità media' }], conceptMap: { nodes: [{ id: 'a', label: 'Moto' }, { id: 'b', label: 'Velocità' }], edges: [{ from: 'a', to: 'b', label: 'descritto da' }] } } };
+  assert.equal((await fetch(app.base + '/api/library/Fisica/riassunti', { method: 'POST', headers: auth, body: JSON.stringify(item) })).status, 200);
+
+  const md = await fetch(app.base + '/api/library/Fisica/riassunti/r1/export', { headers: auth });
+  assert.equal(md.headers.get('content-type'), 'text/markdown; charset=utf-8');
+  assert.match(md.headers.get('content-disposition'), /filename="Cinematica\.md"/);
+  assert.match(await md.text(), /^# Cinematica\n\n## Moto\nVale \$v = s\/t\$\.\n\n## Termini chiave\n\n- \*\*Velocità\*\*: Spazio su tempo\.\n\n## Formule\n\n\$\$v = \\frac\{s\}\{t\}\$\$\n\nVelocità media\n\n## Mappa concettuale\n\n```mermaid\ngraph TD/);
+
+  const html = await (await fetch(app.base + '/api/library/Fisica/riassunti/r1/export?format=html', { headers: auth })).text();
+  assert.match(html, /<link rel="stylesheet" href="https:\/\/cdn\.jsdelivr\.net\/npm\/katex@[\d.]+\/dist\/katex\.min\.css" integrity="sha384-[\w+/=]{64}" crossorigin="anonymous">/);
+  // Ogni libreria dal CDN ha versione fissa e hash SRI
+  const scripts = html.match(/<script[^>]*>/g);
+  assert.equal(scripts.length, 3);
+  for (const tag of scripts) assert.match(tag, /src="https:\/\/cdn\.jsdelivr\.net\/npm\/[a-z]+@[\d.]+\/[^"]+" integrity="sha384-[\w+/=]{64}" crossorigin="anonymous"/);
+  assert.match(scripts[2], /mermaid@10\.9\.1\/dist\/mermaid\.min\.js/);
+  assert.match(html, /<h2>Moto<\/h2>\n<p>Vale \$v = s\/t\$\.<\/p>/);
+  assert.match(html, /<pre class="mermaid">graph TD\n  n1\[&quot;Moto&quot;\]/);
+  assert.match(html, /@media print/);
+
+  const bad = await fetch(app.base + '/api/library/Fisica/riassunti/r1/export?format=docx', { headers: auth });
+  assert.equal(bad.status, 400);
+  assert.equal((await fetch(app.base + '/api/library/Fisica/riassunti/nope/export', { headers: auth })).status, 404);
+});
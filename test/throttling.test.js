@@ -0,0 +1,44 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { startFakeLLM } from './helpers/fake-llm.js';
+import { startApp, pdfForm } from './helpers/app.js';
+import { textPdf } from './helpers/pdf.js';
+
+const fake = await startFakeLLM();
+const app = await startApp({ OPENAI_API_KEY: 'sk-test', OPENAI_BASE_URL: fake.url, OPENAI_JSON_ATTEMPTS: '1', OPENAI_CONCURRENCY: '1' });
+test.after(async () => { await app.close(); await fake.close(); });
+test.beforeEach(() => { fake.chats.length = 0; fake.script.length = 0; fake.maxActive = 0; });
+
+const summary = () => fetch(app.base + '/api/summary', { method: 'POST', body: pdfForm(textPdf()) });
+const rateLimited = { status: 429, body: { error: { message: 'Rate limit reached' } } };
+
+test('withRetries ritenta i 429 con backoff e poi riesce', async () => {
+  fake.script.push(rateLimited, rateLimited);
+  const t0 = Date.now();
+  const res = await summary();
+  assert.equal(res.status, 200);
+  assert.equal(fake.chats.length, 3);
+  assert.ok(Date.now() - t0 >= 1500, 'backoff 500ms + 1000ms');
+});
+
+test('dopo 3 retry il 429 viene restituito come errore', async () => {
+  fake.script.push(rateLimited, rateLimited, rateLimited, rateLimited);
+  const res = await summary();
+  assert.equal(res.status, 400);
+  assert.match((await res.json()).error, /Rate limit/);
+  assert.equal(fake.chats.length, 4);
+});
+
+test('gli errori diversi da 429 non vengono ritentati da withRetries', async () => {
+  fake.script.push({ status: 500, body: { error: { message: 'boom' } } });
+  const res = await summary();
+  assert.equal(res.status, 400);
+  assert.equal(fake.chats.length, 1);
+});
+
+test('OPENAI_CONCURRENCY=1 serializza le chiamate al modello', async () => {
+  fake.script.push({ delayMs: 80 }, { delayMs: 80 }, { delayMs: 80 });
+  const all = await Promise.all([summary(), summary(), summary()]);
+  assert.deepEqual(all.map(r => r.status), [200, 200, 200]);
+  assert.equal(fake.maxActive, 1);
+});
@@ -0,0 +1,94 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { checkQuestion, checkCard, isCatchAll, nearDuplicateOptions, mergeVerdict } from '../lib/verify.js';
+import { normalizeQuestion } from '../lib/questions.js';
+import { textTerms } from '../lib/embeddings.js';
+import { startFakeLLM } from './helpers/fake-llm.js';
+import { startApp, pdfForm } from './helpers/app.js';
+import { textPdf } from './helpers/pdf.js';
+
+const fake = await startFakeLLM();
+const app = await startApp({ OPENAI_API_KEY: 'sk-test', OPENAI_BASE_URL: fake.url, OPENAI_JSON_ATTEMPTS: '1', VERIFY_MODE: 'llm' });
+test.after(async () => { await app.close(); await fake.close(); });
+test.beforeEach(() => { fake.chats.length = 0; fake.script.length = 0; });
+
+const schemaOf = (chat) => chat.response_format.json_schema.name;
+const userPrompt = (chat) => chat.messages.find(m => m.role === 'user').content;
+const SOURCE = new Set(textTerms('La cellula e l unita fondamentale della vita. Il nucleo contiene il DNA della cellula eucariote.'));
+
+test('controlli euristici: distrattori generici, opzioni quasi uguali, aderenza al testo', () => {
+  assert.deepEqual(['Tutte le precedenti', 'nessuna delle risposte precedenti', 'None of the above', 'Keine der genannten', 'Ninguna de las anteriores', 'Tutte le cellule'].map(isCatchAll), [true, true, true, true, true, false]);
+  assert.deepEqual(nearDuplicateOptions(['Il nucleo contiene il DNA', 'il DNA: lo contiene il nucleo!', 'Il nucleo contiene RNA', 'ATP']), [[0, 1]]);
+
+  const good = checkQuestion(normalizeQuestion({ question: 'Che cosa contiene il nucleo?', options: ['Il DNA della cellula', 'Il citoplasma', 'I lipidi', 'L ATP'], correct: 0 }), SOURCE);
+  assert.deepEqual(good, { confidence: 1, grounding: 1, issues: [], fatal: false });
+  const generic = checkQuestion(normalizeQuestion({ question: 'Q', options: ['Il DNA', 'RNA', 'Tutte le precedenti', 'ATP'], correct: 0 }), SOURCE);
+  assert.deepEqual([generic.fatal, generic.confidence, generic.issues], [true, 0, ['distrattore generico: "Tutte le precedenti"']]);
+  const off = checkQuestion(normalizeQuestion({ type: 'truefalse', question: 'I mitocondri producono ATP.', answer: true }), SOURCE);
+  assert.deepEqual([off.fatal, off.confidence, off.issues], [false, 0, ['poco aderente al testo']]);
+  assert.equal(checkQuestion(normalizeQuestion({ type: 'multiple', question: 'Q', options: ['a', 'b'], correct: [0, 1] }), SOURCE).fatal, true);
+
+  assert.deepEqual(checkCard({ front: 'Nucleo', back: 'Contiene il DNA della cellula.' }, SOURCE).confidence, 1);
+  assert.deepEqual(checkCard({ front: 'Mitocondrio', back: ' mitocondrio. ' }, SOURCE).issues, ['il retro ripete il fronte']);
+  assert.deepEqual(checkCard({ front: 'X', back: '' }, SOURCE).issues, ['carta incompleta']);
+
+  // Verdetto del modello: pesa più dell'aderenza, e boccia le risposte sbagliate
+  assert.equal(mergeVerdict(good, { supported: true, correct: true, confidence: 0.5 }).confidence, 0.65);
+  assert.deepEqual(mergeVerdict(good, { supported: true, correct: false, confidence: 0.9, issue: 'Giusta la B.' }).issues, ['risposta indicata non corretta', 'Giusta la B.']);
+  assert.equal(mergeVerdict(good, null).failed, false);
+});
+
+test('POST /api/quiz: le domande bocciate vengono rigenerate, le altre tornano con la fiducia', async () => {
+  fake.script.push(
+    { json: { questions: [
+      { question: 'Che cosa contiene il nucleo?', options: ['Il DNA della cellula', 'Il citoplasma', 'I lipidi', 'L ATP'], correct: 0, sourcePage: 1 },
+      { question: 'Dove si trova il DNA?', options: ['Nel nucleo', 'Nel citoplasma', 'Tutte le precedenti', 'Nessuna delle precedenti'], correct: 0 },
+      { question: 'Qual e l unita fondamentale della vita?', options: ['Il nucleo', 'La cellula', 'Il DNA', 'L atomo'], correct: 0 }
+    ] } },
+    { json: { items: [
+      { index: 0, supported: true, correct: true, confidence: 0.9, issue: '' },
+      { index: 1, supported: true, correct: false, confidence: 0.8, issue: 'Secondo il testo e la cellula.' }
+    ] } }
+  );
+  const res = await fetch(app.base + '/api/quiz', { method: 'POST', body: pdfForm(textPdf(), { num: 3 }) });
+  assert.equal(res.status, 200);
+  const { questions, verification } = (await res.json()).data;
+  assert.deepEqual(fake.chats.map(schemaOf), ['quiz_response', 'verify_response', 'quiz_response', 'verify_response']);
+
+  // Al modello va solo la domanda senza difetti evidenti (il distrattore generico è già bocciato)
+  const check = userPrompt(fake.chats[1]);
+  assert.match(check, /\[0\] \(single\) Che cosa contiene il nucleo\? \| Opzioni: A\) Il DNA della cellula B\) Il citoplasma C\) I lipidi D\) L ATP \| Giusta: A\n\[1\] \(single\) Qual e l unita/);
+  assert.doesNotMatch(check, /Dove si trova il DNA/);
+  assert.equal(fake.chats[1].temperature, 0);
+  assert.match(userPrompt(fake.chats[2]), /Numero domande: 2\.[\s\S]*Non riproporre questi elementi, scartati in verifica: "Dove si trova il DNA\?"; "Qual e l unita fondamentale della vita\?"\./);
+  assert.doesNotMatch(userPrompt(fake.chats[0]), /Non riproporre/);
+
+  assert.equal(questions.length, 3);
+  assert.deepEqual(questions[0], { type: 'single', question: 'Che cosa contiene il nucleo?', options: ['Il DNA della cellula', 'Il citoplasma', 'I lipidi', 'L ATP'], correct: 0, explanation: '', sourcePage: 1, confidence: 0.93 });
+  assert.ok(questions.slice(1).every(q => q.confidence > 0 && q.confidence <= 1));
+  assert.deepEqual(verification, { mode: 'llm', checked: 5, regenerated: 2, dropped: 2 });
+});
+
+test('POST /api/flashcards: carte incomplete o ripetute scartate, nessuna rigenerazione se tutte passano', async () => {
+  fake.script.push(
+    { json: { cards: [
+      { front: 'Nucleo', back: 'Contiene il DNA della cellula eucariote.', sourcePage: 1 },
+      { front: 'Mitocondrio', back: 'mitocondrio' },
+      { front: '', back: 'Senza fronte' }
+    ] } },
+    { json: { items: [{ index: 0, supported: true, correct: true, confidence: 1 }] } }
+  );
+  const js = await (await fetch(app.base + '/api/flashcards', { method: 'POST', body: pdfForm(textPdf(), { num: 3 }) })).json();
+  assert.equal(js.ok, true);
+  assert.deepEqual(fake.chats.map(schemaOf), ['flashcards_response', 'verify_response', 'flashcards_response', 'verify_response']);
+  assert.match(userPrompt(fake.chats[2]), /scartati in verifica: "Mitocondrio"\./);
+  assert.equal(js.data.cards[0].confidence, 1);
+  assert.equal(js.data.cards.length, 3);
+  assert.deepEqual(js.data.verification, { mode: 'llm', checked: 5, regenerated: 2, dropped: 2 });
+
+  fake.chats.length = 0;
+  const again = await (await fetch(app.base + '/api/flashcards', { method: 'POST', body: pdfForm(textPdf(), { num: 2, difficulty: 'easy' }) })).json();
+  assert.deepEqual(fake.chats.map(schemaOf), ['flashcards_response', 'verify_response']);
+  assert.deepEqual(again.data.verification, { mode: 'llm', checked: 2, regenerated: 0, dropped: 0 });
+  assert.deepEqual((await (await fetch(app.base + '/api/info')).json()).verify, { mode: 'llm', regenerate: true, minConfidence: 0 });
+});